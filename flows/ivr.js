@@ -0,0 +1,458 @@
+/**
+ * Inbound IVR flow definition
+ *
+ * createIvrFlow({ languages }) builds the flow for the installed languages
+ * (lib/i18n.js): the language menu offers them in order, digit 1 for the
+ * first. Each key under `nodes` is a step name used by the /action router. Node
+ * types and transition syntax are documented in lib/flow-engine.js.
+ * Conditions, validators and verifiers are referenced by name and are
+ * registered where the engine is created (server.js).
+ *
+ * To add a menu: add a `menu` node here and point an existing option's
+ * `next` at it. No handler code is needed. Callers may also answer by
+ * voice: options list the words (per language) that select them under
+ * `speech`; digits and number words ("one", "uno") always work.
+ *
+ * `shortcuts` (star repeats, pound goes back, 9 is the main menu, 0 an
+ * operator) work in every gather; a menu option on the same key wins, so
+ * keep menus on 1 to 8. The language menu plays before the mini-miranda and
+ * the recording start, so shortcuts are off there (no key may skip them);
+ * it still skips the shortcut keys, which limits it to 8 languages. Entries
+ * ended with pound (amounts, card numbers) go back when pound is pressed on
+ * its own.
+ *
+ * Identity verification asks the factors of the caller's policy, in order
+ * (CONFIG.VERIFICATION.POLICIES); a menu option picks the policy with
+ * `set: { verificationPolicy }`. Each factor in FACTORS has its own step,
+ * and every one of them moves on through NEXT_FACTOR.
+ *
+ * Callers on hold in the queue (routes/hold.js) may leave it to leave a
+ * callback number; after the longest wait they overflow to the 'overflow'
+ * route of CONFIG.ROUTING, or to voicemail.
+ *
+ * The call recording starts once the mini-miranda disclosure has played and
+ * is paused while identity factors (`sensitive`) and card details (`secure`)
+ * are keyed in. When it cannot be paused or stopped, callers go to an agent
+ * (or the after-hours menu) instead of keying them in.
+ */
+
+const { languageNames } = require('../lib/i18n');
+
+const VOICEMAIL_WORDS = { en: ['voicemail', 'message'], es: ['mensaje', 'buzon de voz'] };
+const CALLBACK_WORDS = { en: ['callback', 'call back', 'call me'], es: ['llamada de regreso', 'llamenme', 'devolver la llamada'] };
+const REPEAT_WORDS = { en: ['repeat', 'again'], es: ['repetir', 'otra vez', 'de nuevo'] };
+const AGENT_WORDS = { en: ['agent', 'representative', 'person'], es: ['agente', 'representante', 'persona'] };
+const PAY_WORDS = { en: ['payment', 'pay'], es: ['pago', 'pagar'] };
+const DONE_WORDS = { en: ['finished', 'done', 'goodbye'], es: ['terminado', 'termine', 'adios'] };
+
+// The account summary opens with the balance, or the credit when the customer is owed money
+const ACCOUNT_SUMMARY = { when: 'hasCredit', then: 'account-credit', otherwise: 'account-balance' };
+
+// A payment the gateway could not confirm blocks another on the same call (it may have gone through)
+const PAYMENT_START = { when: 'paymentUnconfirmed', then: 'payment-unconfirmed', otherwise: { when: 'hasBalance', then: 'payment-amount', otherwise: 'no-balance-due' } };
+
+// Callback requests start by confirming the calling number, or keying one in
+const CALLBACK_NUMBER = { when: 'hasCallerNumber', then: 'callback-confirm-number', otherwise: 'callback-enter-number' };
+
+// Identity factors verification policies are made of, each gathered into the
+// session field of the same name by its own step
+const FACTORS = {
+  last4ssn: { step: 'ask-ssn', prompt: 'ssn4Prompt', invalid: 'invalidSSN', numDigits: 4, validator: 'digits' },
+  dob: { step: 'ask-dob', prompt: 'dobPrompt', invalid: 'invalidDOB', numDigits: 8, speech: 'date', validator: 'dob' },
+  zip: { step: 'ask-zip', prompt: 'zipPrompt', invalid: 'invalidZIP', numDigits: 5, validator: 'digits' },
+  accountNumber: { step: 'ask-account-number', prompt: 'accountNumberPrompt', invalid: 'invalidAccountNumber', numDigits: 8, validator: 'digits' },
+  // The PIN is texted to the number on file when the step is entered
+  otp: { step: 'ask-otp', onEnter: 'sendOneTimePin', prompt: 'otpPrompt', invalid: 'invalidOtp', numDigits: 6, validator: 'digits' }
+};
+
+// The policy's next factor (conditions `nextFactor.<factor>`), then the check
+const NEXT_FACTOR = Object.entries(FACTORS).reduceRight(
+  (otherwise, [factor, { step }]) => ({ when: `nextFactor.${factor}`, then: step, otherwise }),
+  'verify-user'
+);
+
+function factorSteps() {
+  return Object.fromEntries(Object.entries(FACTORS).map(([factor, { step, ...gather }]) => [
+    step,
+    { type: 'collect', ...gather, sensitive: true, field: factor, attempts: factor, next: NEXT_FACTOR }
+  ]));
+}
+
+// Keys that work in every gather, announced after the mini-miranda
+const SHORTCUTS = {
+  '*': { action: 'repeat' },
+  '#': { action: 'back' },
+  '9': { action: 'goto', next: 'ask-question-type' },
+  '0': { action: 'goto', next: { when: 'csrAvailable', then: 'transfer-call', otherwise: 'after-hours' } }
+};
+
+// Digits the language menu can offer; shortcut keys mean the same thing in every other gather
+const LANGUAGE_DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'].filter(digit => !SHORTCUTS[digit]);
+
+// Each language announces its own digit in its own voice; callers may also say its name
+function languageMenu(languages) {
+  if (languages.length > LANGUAGE_DIGITS.length) {
+    throw new Error(`The language menu supports at most ${LANGUAGE_DIGITS.length} languages`);
+  }
+  const [defaultLanguage] = languages;
+  return {
+    type: 'menu',
+    // Ahead of the disclosure and the recording: keys are only ever a language here
+    shortcuts: false,
+    prompt: languages.map((language, index) => ({ message: 'languagePrompt', language, values: { digit: LANGUAGE_DIGITS[index] } })),
+    noInput: { message: 'noInput', language: defaultLanguage },
+    invalid: { message: 'invalidLanguage', language: defaultLanguage },
+    attempts: 'language',
+    options: Object.fromEntries(languages.map((language, index) => [
+      LANGUAGE_DIGITS[index],
+      { set: { language }, speech: languageNames(language, languages), next: { when: 'returningCaller', then: 'returning-greeting', otherwise: 'mini-miranda' } }
+    ]))
+  };
+}
+
+const createIvrFlow = ({ languages }) => ({
+  start: 'language-selection',
+  // Answered outbound campaign calls (language already known)
+  outboundStart: 'campaign-greeting',
+  // Recognized returning callers with a saved language (language already known)
+  returningStart: 'returning-greeting',
+  shortcuts: SHORTCUTS,
+  // A recording that can be neither paused nor stopped must not hear keyed-in details
+  onRecordingFailure: { when: 'csrAvailable', then: 'transfer-call', otherwise: 'after-hours' },
+  nodes: {
+    // 0. Language selection (offered in every installed language, default first)
+    'language-selection': languageMenu(languages),
+
+    // 0b. Outbound campaign calls: greeting, mini-miranda, then straight to verification
+    'campaign-greeting': {
+      type: 'say',
+      message: 'campaignGreeting',
+      next: 'mini-miranda'
+    },
+
+    // 0c. Returning callers (number saved on their record) are greeted by name
+    'returning-greeting': {
+      type: 'say',
+      message: 'returningGreeting',
+      variables: 'returningCaller',
+      next: 'mini-miranda'
+    },
+
+    // 1. Mini-miranda and the shortcut keys, skipping the CSR notice while agents are
+    // available. Recording starts once the disclosure has been heard.
+    'mini-miranda': {
+      type: 'say',
+      message: 'miniMiranda',
+      next: 'shortcuts-notice'
+    },
+    'shortcuts-notice': {
+      type: 'say',
+      startRecording: true,
+      message: 'shortcutsNotice',
+      next: { when: 'outboundCall', then: NEXT_FACTOR, otherwise: { when: 'csrAvailable', then: 'ask-question-type', otherwise: 'csr-notice' } }
+    },
+
+    // 2. CSR notice (only reached when agents are not available)
+    'csr-notice': {
+      type: 'say',
+      message: 'noCSRAgents',
+      next: 'ask-question-type'
+    },
+
+    // 3. Question type selection
+    'ask-question-type': {
+      type: 'menu',
+      prompt: 'questionTypePrompt',
+      invalid: 'invalidQuestionType',
+      attempts: 'questionType',
+      options: {
+        '1': {
+          set: { questionType: 'general' },
+          speech: { en: ['general', 'information'], es: ['general', 'informacion'] },
+          next: { when: 'csrAvailable', then: 'transfer-call', otherwise: 'after-hours' }
+        },
+        '2': {
+          set: { questionType: 'account-specific', verificationPolicy: 'standard' },
+          speech: { en: ['account', 'payment', 'pay'], es: ['cuenta', 'pago', 'pagar'] },
+          next: NEXT_FACTOR
+        }
+      }
+    },
+
+    // 4. Identity verification (account-specific path): the factors of the caller's
+    // policy; recognized returning callers are only asked CONFIG.RETURNING_CALLERS.STEP_UP
+    ...factorSteps(),
+    'verify-user': {
+      type: 'verify',
+      verifier: 'customer',
+      success: 'verificationSuccess',
+      failure: 'verificationFailed',
+      resetAttempts: Object.keys(FACTORS),
+      clearFields: Object.keys(FACTORS),
+      next: { when: 'hasAccount', then: ACCOUNT_SUMMARY, otherwise: { when: 'csrAvailable', then: 'transfer-call', otherwise: 'after-hours' } },
+      onFailure: NEXT_FACTOR,
+      onLocked: 'account-locked'
+    },
+    // Too many failed checks (this call, this number or this customer): no more guesses
+    'account-locked': {
+      type: 'say',
+      message: 'accountLocked',
+      next: { when: 'lockedCallerToAgent', then: 'transfer-call', otherwise: 'locked-goodbye' }
+    },
+    'locked-goodbye': {
+      type: 'hangup',
+      message: 'lockedGoodbye'
+    },
+
+    // 4b. Self-service for verified callers: account summary, then repeat, pay or an agent
+    'account-balance': {
+      type: 'say',
+      message: 'accountBalance',
+      variables: 'account',
+      next: { when: 'hasBalanceDue', then: 'account-due-date', otherwise: { when: 'hasLastPayment', then: 'account-last-payment', otherwise: 'self-service' } }
+    },
+    'account-credit': {
+      type: 'say',
+      message: 'accountCredit',
+      variables: 'account',
+      next: { when: 'hasLastPayment', then: 'account-last-payment', otherwise: 'self-service' }
+    },
+    'account-due-date': {
+      type: 'say',
+      message: 'accountDueDate',
+      variables: 'account',
+      next: { when: 'hasLastPayment', then: 'account-last-payment', otherwise: 'self-service' }
+    },
+    'account-last-payment': {
+      type: 'say',
+      message: 'accountLastPayment',
+      variables: 'account',
+      next: 'self-service'
+    },
+    'self-service': {
+      type: 'menu',
+      prompt: 'selfServiceMenu',
+      invalid: 'invalidSelection',
+      attempts: 'selfService',
+      options: {
+        '1': { speech: REPEAT_WORDS, next: ACCOUNT_SUMMARY },
+        '2': { speech: AGENT_WORDS, next: { when: 'csrAvailable', then: 'transfer-call', otherwise: 'after-hours' } },
+        '3': { speech: PAY_WORDS, next: PAYMENT_START },
+        '4': { speech: DONE_WORDS, next: 'self-service-goodbye' }
+      }
+    },
+    'self-service-goodbye': {
+      type: 'hangup',
+      message: 'selfServiceGoodbye'
+    },
+    'no-balance-due': {
+      type: 'say',
+      message: 'noBalanceDue',
+      next: 'self-service'
+    },
+
+    // 4c. Card payment: amount, card details (secure, never stored on the session),
+    // read-back, then the charge through the payment gateway
+    'payment-amount': {
+      type: 'collect',
+      prompt: 'paymentAmountPrompt',
+      invalid: 'invalidPaymentAmount',
+      finishOnKey: '#',
+      speech: false,
+      validator: 'amount',
+      field: 'paymentCents',
+      attempts: 'paymentAmount',
+      next: { when: 'paymentWithinBalance', then: 'payment-card-number', otherwise: 'payment-over-balance' }
+    },
+    'payment-over-balance': {
+      type: 'say',
+      message: 'paymentOverBalance',
+      variables: 'account',
+      next: 'payment-amount'
+    },
+    'payment-card-number': {
+      type: 'collect',
+      prompt: 'cardNumberPrompt',
+      invalid: 'invalidCardNumber',
+      finishOnKey: '#',
+      secure: true,
+      validator: 'cardNumber',
+      field: 'cardNumber',
+      attempts: 'cardNumber',
+      next: 'payment-card-expiry'
+    },
+    'payment-card-expiry': {
+      type: 'collect',
+      prompt: 'cardExpiryPrompt',
+      invalid: 'invalidCardExpiry',
+      numDigits: 4,
+      secure: true,
+      validator: 'cardExpiry',
+      field: 'cardExpiry',
+      attempts: 'cardExpiry',
+      next: 'payment-card-cvc'
+    },
+    'payment-card-cvc': {
+      type: 'collect',
+      prompt: 'cardCvcPrompt',
+      invalid: 'invalidCardCvc',
+      finishOnKey: '#',
+      secure: true,
+      validator: 'cardCvc',
+      field: 'cardCvc',
+      attempts: 'cardCvc',
+      next: 'payment-confirm'
+    },
+    'payment-confirm': {
+      type: 'menu',
+      onEnter: 'preparePayment',
+      prompt: 'paymentConfirm',
+      variables: 'payment',
+      invalid: 'invalidSelection',
+      attempts: 'paymentConfirm',
+      options: {
+        '1': { speech: { en: ['yes', 'confirm'], es: ['si', 'confirmar'] }, next: 'payment-submit' },
+        '2': { speech: { en: ['no', 'cancel'], es: ['no', 'cancelar'] }, next: 'payment-cancelled' }
+      }
+    },
+    'payment-submit': {
+      type: 'say',
+      onEnter: 'submitPayment',
+      message: 'paymentProcessing',
+      next: { when: 'paymentApproved', then: 'payment-approved', otherwise: { when: 'paymentUnconfirmed', then: 'payment-unconfirmed', otherwise: 'payment-declined' } }
+    },
+    'payment-approved': {
+      type: 'say',
+      message: 'paymentApproved',
+      variables: 'payment',
+      next: 'self-service'
+    },
+    'payment-declined': {
+      type: 'say',
+      message: 'paymentDeclined',
+      next: 'self-service'
+    },
+    // The card was sent but the gateway failed: an agent confirms the charge
+    'payment-unconfirmed': {
+      type: 'say',
+      message: 'paymentUnconfirmed',
+      next: 'self-service'
+    },
+    'payment-cancelled': {
+      type: 'say',
+      onEnter: 'cancelPayment',
+      message: 'paymentCancelled',
+      next: 'self-service'
+    },
+
+    // 5. Closed branch (outside business hours, holidays and special closures)
+    'after-hours': {
+      type: 'menu',
+      prompt: 'afterHoursMenu',
+      invalid: 'invalidSelection',
+      attempts: 'afterHours',
+      onNoInput: 'closed-goodbye',
+      options: {
+        '1': { speech: VOICEMAIL_WORDS, next: 'voicemail' },
+        '2': { speech: CALLBACK_WORDS, next: CALLBACK_NUMBER }
+      }
+    },
+    'voicemail': {
+      type: 'record',
+      onEnter: 'startVoicemail',
+      prompt: 'voicemailPrompt',
+      maxLength: 180,
+      recordingStatusCallback: '/voicemail/recording-status',
+      transcribe: { when: 'transcribableLanguage', then: true, otherwise: false },
+      transcribeCallback: '/voicemail/transcription',
+      next: 'voicemail-saved'
+    },
+    'voicemail-saved': {
+      type: 'hangup',
+      message: 'voicemailThanks'
+    },
+
+    // Callback request: confirm or key in the number, then pick a slot
+    'callback-confirm-number': {
+      type: 'menu',
+      prompt: 'callbackConfirmNumber',
+      variables: 'callerNumber',
+      invalid: 'invalidSelection',
+      attempts: 'callbackNumber',
+      options: {
+        '1': { set: { callbackDigits: null }, speech: { en: ['yes', 'this number'], es: ['si', 'este numero'] }, next: 'callback-slot' },
+        '2': { speech: { en: ['different', 'another', 'no'], es: ['otro', 'diferente', 'no'] }, next: 'callback-enter-number' }
+      }
+    },
+    'callback-enter-number': {
+      type: 'collect',
+      prompt: 'callbackEnterNumber',
+      invalid: 'invalidPhoneNumber',
+      numDigits: 10,
+      validator: 'usPhone',
+      field: 'callbackDigits',
+      attempts: 'callbackNumber',
+      next: 'callback-slot'
+    },
+    'callback-slot': {
+      type: 'choose',
+      prompt: 'callbackSlotIntro',
+      choicePrompt: 'callbackSlotOption',
+      choices: 'callbackSlots',
+      field: 'callbackSlot',
+      invalid: 'invalidSelection',
+      attempts: 'callbackSlot',
+      next: 'callback-scheduled',
+      onEmpty: 'callback-unavailable'
+    },
+    'callback-scheduled': {
+      type: 'hangup',
+      onEnter: 'scheduleCallback',
+      message: 'callbackScheduled',
+      variables: 'callbackSlot'
+    },
+    'callback-unavailable': {
+      type: 'say',
+      message: 'callbackUnavailable',
+      next: 'voicemail'
+    },
+    'closed-goodbye': {
+      type: 'hangup',
+      message: 'closedGoodbye'
+    },
+
+    // 6. Transfer through the routing table (CONFIG.ROUTING), falling through
+    // destinations until one answers. Callers leave the hold queue (routes/hold.js)
+    // to leave a callback number, or after waiting too long (overflow)
+    'transfer-call': {
+      type: 'transfer',
+      message: 'transferring',
+      onExhausted: 'agents-unavailable',
+      onLeave: { when: 'holdCallbackRequested', then: CALLBACK_NUMBER, otherwise: 'hold-overflow' }
+    },
+    'hold-overflow': {
+      type: 'say',
+      message: 'holdOverflow',
+      next: 'overflow-transfer'
+    },
+    // The 'overflow' route's destinations (e.g. an alternate number), then voicemail
+    'overflow-transfer': {
+      type: 'transfer',
+      route: 'overflow',
+      onExhausted: 'voicemail'
+    },
+    'agents-unavailable': {
+      type: 'menu',
+      prompt: 'agentsUnavailableMenu',
+      invalid: 'invalidSelection',
+      attempts: 'afterHours',
+      onNoInput: 'closed-goodbye',
+      options: {
+        '1': { speech: VOICEMAIL_WORDS, next: 'voicemail' },
+        '2': { speech: CALLBACK_WORDS, next: CALLBACK_NUMBER }
+      }
+    }
+  }
+});
+
+module.exports = { createIvrFlow, FACTORS };
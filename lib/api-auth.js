@@ -0,0 +1,74 @@
+/**
+ * API-key authentication for the internal REST endpoints.
+ *
+ * Clients send `Authorization: Bearer <key>` or `X-API-Key: <key>`. Keys are
+ * compared in constant time. With no keys configured every request is
+ * rejected, so an unconfigured deployment is closed rather than open.
+ *
+ * The admin API and console also accept HTTP Basic credentials
+ * (`users`: [{ username, password }]) so supervisors can sign in from a
+ * browser; unauthenticated requests are answered with a Basic challenge.
+ */
+
+const crypto = require('crypto');
+const defaultLogger = require('./logger');
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function requestKey(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  return req.get('x-api-key') || null;
+}
+
+function createApiKeyAuth({ keys = [], logger = defaultLogger }) {
+  if (!keys.length) logger.warn('No API keys configured; authenticated endpoints will reject every request');
+
+  return function requireApiKey(req, res, next) {
+    const key = requestKey(req);
+    if (key && keys.some(candidate => safeEqual(key, candidate))) return next();
+
+    logger.warn('Rejected API request', { path: req.path, reason: key ? 'invalid key' : 'missing key' });
+    res.status(401).json({ error: 'Unauthorized' });
+  };
+}
+
+function basicCredentials(req) {
+  const header = req.get('authorization') || '';
+  if (!header.startsWith('Basic ')) return null;
+  const decoded = Buffer.from(header.slice('Basic '.length).trim(), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+  return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+function createAdminAuth({ keys = [], users = [], realm = 'IVR admin', logger = defaultLogger }) {
+  if (!keys.length && !users.length) logger.warn('No API keys or admin users configured; the admin API will reject every request');
+
+  return function requireAdmin(req, res, next) {
+    const key = requestKey(req);
+    if (key && keys.some(candidate => safeEqual(key, candidate))) return next();
+
+    const credentials = basicCredentials(req);
+    // Every user is checked so the response time does not reveal which usernames exist
+    const matches = credentials && users.filter(user => {
+      const username = safeEqual(credentials.username, user.username);
+      const password = safeEqual(credentials.password, user.password);
+      return username && password;
+    });
+    if (matches && matches.length) {
+      req.adminUser = credentials.username;
+      return next();
+    }
+
+    logger.warn('Rejected admin request', { path: req.path, reason: key || credentials ? 'invalid credentials' : 'missing credentials' });
+    res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+    res.status(401).json({ error: 'Unauthorized' });
+  };
+}
+
+module.exports = { createApiKeyAuth, createAdminAuth };
@@ -0,0 +1,72 @@
+/**
+ * Time zones of North American (+1) numbers, by area code
+ *
+ *   areaCodeTimeZones('+14155550100') -> ['America/Los_Angeles']
+ *   areaCodeTimeZones('+18505550100') -> ['America/Chicago', 'America/New_York']
+ *
+ * Area codes that straddle a zone line list every zone they cover, and
+ * numbers whose zone is unknown (other countries, new or non-geographic
+ * codes) get every US zone. Callers that must respect local hours should
+ * require all of the returned zones to be open.
+ */
+
+const EASTERN = 'America/New_York';
+const CENTRAL = 'America/Chicago';
+const MOUNTAIN = 'America/Denver';
+const ARIZONA = 'America/Phoenix';
+const PACIFIC = 'America/Los_Angeles';
+const ALASKA = 'America/Anchorage';
+const HAWAII = 'Pacific/Honolulu';
+
+const US_TIME_ZONES = [EASTERN, CENTRAL, MOUNTAIN, ARIZONA, PACIFIC, ALASKA, HAWAII];
+
+const ZONES = {
+  [EASTERN]: [
+    203, 475, 860, 959, 302, 202, 771, 239, 305, 321, 352, 386, 407, 561, 656, 689, 727, 754, 772, 786, 813, 863, 904, 941, 954,
+    229, 404, 470, 478, 678, 706, 762, 770, 912, 943, 260, 317, 463, 574, 765, 502, 606, 859, 207, 227, 240, 301, 410, 443, 667,
+    339, 351, 413, 508, 617, 774, 781, 857, 978, 231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 947, 989, 603,
+    201, 551, 609, 640, 732, 848, 856, 862, 908, 973, 212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716,
+    718, 838, 845, 914, 917, 929, 934, 252, 336, 472, 704, 743, 828, 910, 919, 980, 984, 216, 220, 234, 283, 326, 330, 380, 419,
+    436, 440, 513, 567, 614, 740, 937, 215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878, 401,
+    803, 821, 839, 843, 854, 864, 423, 865, 802, 276, 434, 540, 571, 686, 703, 757, 804, 826, 948, 304, 681
+  ],
+  [CENTRAL]: [
+    205, 251, 256, 334, 483, 659, 938, 327, 479, 501, 870, 217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815,
+    847, 861, 872, 219, 319, 515, 563, 641, 712, 316, 913, 225, 318, 337, 504, 985, 218, 320, 507, 612, 651, 763, 952,
+    228, 601, 662, 769, 314, 417, 557, 573, 636, 660, 816, 975, 402, 531, 405, 539, 572, 580, 918, 615, 629, 731, 901, 931,
+    210, 214, 254, 281, 325, 346, 361, 409, 430, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903, 940, 945, 956, 972, 979,
+    262, 274, 353, 414, 534, 608, 715, 920
+  ],
+  [MOUNTAIN]: [303, 719, 720, 970, 983, 406, 505, 575, 385, 435, 801, 307, 915],
+  [ARIZONA]: [480, 520, 602, 623, 928],
+  [PACIFIC]: [
+    209, 213, 279, 310, 323, 341, 350, 369, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657, 661, 669, 707, 714,
+    747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 702, 725, 775, 503, 971, 206, 253, 360, 425, 509, 564
+  ],
+  [ALASKA]: [907],
+  [HAWAII]: [808]
+};
+
+// Area codes split by a zone line
+const SPLIT = {
+  270: [CENTRAL, EASTERN], 364: [CENTRAL, EASTERN],
+  448: [CENTRAL, EASTERN], 850: [CENTRAL, EASTERN],
+  812: [CENTRAL, EASTERN], 930: [CENTRAL, EASTERN],
+  906: [CENTRAL, EASTERN],
+  308: [CENTRAL, MOUNTAIN], 605: [CENTRAL, MOUNTAIN], 701: [CENTRAL, MOUNTAIN],
+  620: [CENTRAL, MOUNTAIN], 785: [CENTRAL, MOUNTAIN], 432: [CENTRAL, MOUNTAIN],
+  208: [MOUNTAIN, PACIFIC], 986: [MOUNTAIN, PACIFIC],
+  458: [MOUNTAIN, PACIFIC], 541: [MOUNTAIN, PACIFIC]
+};
+
+const BY_AREA_CODE = new Map([
+  ...Object.entries(ZONES).flatMap(([zone, codes]) => codes.map(code => [String(code), [zone]])),
+  ...Object.entries(SPLIT)
+]);
+
+function areaCodeTimeZones(number) {
+  const match = /^\+1(\d{3})\d{7}$/.exec(number || '');
+  return [...((match && BY_AREA_CODE.get(match[1])) || US_TIME_ZONES)];
+}
+
+module.exports = { areaCodeTimeZones, US_TIME_ZONES };
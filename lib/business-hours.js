@@ -0,0 +1,173 @@
+/**
+ * Business-hours calendar
+ *
+ * Schedules are evaluated on the wall clock of the configured timezone, so
+ * opening hours stay correct across DST changes; check() and isOpen() take
+ * another zone for hours kept in someone else's local time (e.g. outbound
+ * calls in the contact's). Each queue has:
+ *
+ * - weekly:    { mon: [['08:00', '20:00']], ..., sun: [] } open windows per
+ *              weekday, 24-hour 'HH:MM', close exclusive ('24:00' allowed)
+ * - holidays:  [{ date: 'YYYY-MM-DD' | 'MM-DD', name }] closed all day;
+ *              'MM-DD' repeats every year
+ * - closures:  [{ start: 'YYYY-MM-DDTHH:MM', end: 'YYYY-MM-DDTHH:MM', reason }]
+ *              special closures in local time, end exclusive
+ *
+ * Top-level holidays/closures apply to every queue. Schedules are read on
+ * every check, so changing them in place takes effect immediately (the
+ * admin API does this after validating with the exported validators). `now` is injectable so
+ * tests can freeze the clock. nextWindow() converts the next open window
+ * back to real instants (Date), also DST-aware.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Wall-clock date, time and weekday of `at` in `timeZone`
+function localParts(at, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(at).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+// UTC offset (ms) of `timeZone` at `instant`
+function offsetAt(instant, timeZone) {
+  const { date, time } = localParts(new Date(instant), timeZone);
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute) - Math.floor(instant / 60000) * 60000;
+}
+
+// The instant at which the wall clock in `timeZone` shows `date` `time`
+function zonedTimeToDate(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Second pass settles times next to a DST change
+  const guess = asUtc - offsetAt(asUtc, timeZone);
+  return new Date(asUtc - offsetAt(guess, timeZone));
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+function validateSchedule(name, schedule) {
+  const fail = problem => { throw new Error(`Business hours for "${name}" ${problem}`); };
+  if (!schedule.weekly || typeof schedule.weekly !== 'object') fail('have no weekly schedule');
+
+  Object.entries(schedule.weekly).forEach(([day, windows]) => {
+    if (!WEEKDAYS.includes(day)) fail(`use unknown weekday "${day}"`);
+    if (!Array.isArray(windows) || !windows.every(window => Array.isArray(window) && window.length === 2)) {
+      fail(`need a list of [open, close] windows on ${day}`);
+    }
+    windows.forEach(([open, close]) => {
+      if (!TIME_PATTERN.test(open) || !TIME_PATTERN.test(close)) fail(`have an invalid time on ${day}`);
+      if (open >= close) fail(`open after they close on ${day}`);
+    });
+  });
+}
+
+const HOLIDAY_PATTERN = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const STAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateHolidays(holidays) {
+  if (!Array.isArray(holidays)) throw new Error('Holidays must be a list');
+  holidays.forEach(holiday => {
+    if (!holiday || !HOLIDAY_PATTERN.test(holiday.date)) {
+      throw new Error(`Holiday dates must be 'YYYY-MM-DD' or 'MM-DD' (found ${JSON.stringify(holiday && holiday.date)})`);
+    }
+  });
+}
+
+function validateClosures(closures) {
+  if (!Array.isArray(closures)) throw new Error('Closures must be a list');
+  closures.forEach(closure => {
+    if (!closure || !STAMP_PATTERN.test(closure.start) || !STAMP_PATTERN.test(closure.end)) {
+      throw new Error("Closures need a start and end as 'YYYY-MM-DDTHH:MM'");
+    }
+    if (closure.start >= closure.end) throw new Error(`Closure starting ${closure.start} ends before it starts`);
+  });
+}
+
+function createBusinessHours({ timezone, queues, holidays = [], closures = [], now = () => new Date() }) {
+  Object.entries(queues).forEach(([name, schedule]) => validateSchedule(name, schedule));
+  validateHolidays(holidays);
+  validateClosures(closures);
+
+  function holidayOn(date, schedule) {
+    return [...holidays, ...(schedule.holidays || [])]
+      .find(holiday => holiday.date === date || holiday.date === date.slice(5));
+  }
+
+  function closureAt(stamp, schedule) {
+    return [...closures, ...(schedule.closures || [])]
+      .find(closure => stamp >= closure.start && stamp < closure.end);
+  }
+
+  // { open, reason } for `queue` at `at` (defaults to the injected clock) on the
+  // wall clock of `timeZone`
+  function check(queue, at = now(), timeZone = timezone) {
+    const schedule = queues[queue];
+    if (!schedule) throw new Error(`No business hours configured for queue "${queue}"`);
+
+    const local = localParts(at, timeZone);
+    const holiday = holidayOn(local.date, schedule);
+    if (holiday) return { open: false, reason: `holiday: ${holiday.name || holiday.date}`, local };
+
+    const closure = closureAt(`${local.date}T${local.time}`, schedule);
+    if (closure) return { open: false, reason: `closure: ${closure.reason || closure.start}`, local };
+
+    const windows = schedule.weekly[local.weekday] || [];
+    const open = windows.some(([from, to]) => local.time >= from && local.time < to);
+    return { open, reason: open ? 'open' : 'outside business hours', local };
+  }
+
+  // Next weekly window ending after `from` ({ start, end } as Dates), skipping
+  // holidays; special closures are left to check(). Looks `days` days ahead.
+  function nextWindow(queue, from = now(), days = 14) {
+    const schedule = queues[queue];
+    if (!schedule) throw new Error(`No business hours configured for queue "${queue}"`);
+
+    const today = localParts(from, timezone).date;
+    for (let offset = 0; offset <= days; offset++) {
+      const date = addDays(today, offset);
+      if (holidayOn(date, schedule)) continue;
+
+      const windows = [...(schedule.weekly[weekdayOf(date)] || [])].sort(([a], [b]) => a.localeCompare(b));
+      for (const [open, close] of windows) {
+        const start = zonedTimeToDate(date, open, timezone);
+        const end = zonedTimeToDate(date, close, timezone);
+        if (end > from) return { start, end };
+      }
+    }
+    return null;
+  }
+
+  return {
+    check,
+    isOpen: (queue, at, timeZone) => check(queue, at, timeZone).open,
+    nextWindow
+  };
+}
+
+module.exports = { createBusinessHours, validateSchedule, validateHolidays, validateClosures, localParts, zonedTimeToDate };
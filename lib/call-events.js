@@ -0,0 +1,67 @@
+/**
+ * Call-event audit trail (JSON Lines file).
+ *
+ * Every event is one line, appended in the order it happened:
+ *
+ *   { at, callSid, type, step, language, questionType, ...details }
+ *
+ * Types recorded by the IVR:
+ * - call.started / call.ended      first webhook / final call status
+ * - step                           a flow node was rendered
+ * - input.invalid                  bad or missing input; counter and attempt number
+ * - verification                  result 'passed', 'failed' or 'error'
+ * - transfer.dial                  a routing destination was dialed
+ * - transfer.outcome               DialCallStatus/QueueResult of that destination
+ * - transfer.exhausted             every destination failed
+ * - hold.left                      the caller left the hold queue ('callback' or 'overflow')
+ * - flow.ended                     the flow hung up ('completed', 'too-many-attempts', 'system-error')
+ * - recording                      the call recording was started, paused, resumed or stopped
+ * - recording.status               Twilio's progress report for that recording
+ *
+ * Events never carry entered digits or phone numbers. Appends go through a
+ * single queue, so reads see every event recorded before them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+function createCallEventStore({ file, now = () => new Date() }) {
+  let queue = Promise.resolve();
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function readAll() {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  return {
+    record(event) {
+      const entry = { at: now().toISOString(), ...event };
+      return enqueue(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+        return entry;
+      });
+    },
+
+    // Events in recorded order, optionally for one call and/or since an instant
+    list({ callSid, since } = {}) {
+      return enqueue(async () => (await readAll())
+        .filter(event => !callSid || event.callSid === callSid)
+        .filter(event => !since || new Date(event.at) >= since));
+    }
+  };
+}
+
+module.exports = { createCallEventStore };
@@ -0,0 +1,86 @@
+/**
+ * Call recorder
+ *
+ * The interface used to record the caller's own call:
+ *
+ * - start(callSid, { statusCallback }) -> { sid }   dual-channel (caller and IVR/agent apart)
+ * - pause(callSid)                                  nothing is kept until resume()
+ * - resume(callSid)
+ * - stop(callSid)                                   ends the recording for the rest of the call
+ *
+ * createTwilioRecorder() drives the Calls Recordings REST API; `statusCallback`
+ * (an absolute URL) receives the recording's progress. createFakeRecorder()
+ * records what it was asked to do, in order, for tests and local development
+ * without Twilio credentials.
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+// The recording in progress on a call, whatever its sid
+const CURRENT = 'Twilio.CURRENT';
+
+function createTwilioRecorder({ accountSid, authToken, pauseBehavior = 'skip' }) {
+  const client = twilio(accountSid, authToken);
+
+  return {
+    async start(callSid, { statusCallback } = {}) {
+      const recording = await client.calls(callSid).recordings.create({
+        recordingChannels: 'dual',
+        ...(statusCallback && {
+          recordingStatusCallback: statusCallback,
+          recordingStatusCallbackMethod: 'POST',
+          recordingStatusCallbackEvent: ['in-progress', 'completed', 'absent']
+        })
+      });
+      return { sid: recording.sid };
+    },
+
+    async pause(callSid) {
+      await client.calls(callSid).recordings(CURRENT).update({ status: 'paused', pauseBehavior });
+    },
+
+    async resume(callSid) {
+      await client.calls(callSid).recordings(CURRENT).update({ status: 'in-progress' });
+    },
+
+    async stop(callSid) {
+      await client.calls(callSid).recordings(CURRENT).update({ status: 'stopped' });
+    }
+  };
+}
+
+function createFakeRecorder({ fail = () => null } = {}) {
+  const actions = [];
+
+  // `fail(action)` may return an error message to simulate a rejected request
+  function perform(action) {
+    const error = fail(action);
+    if (error) throw new Error(error);
+    actions.push(action);
+  }
+
+  return {
+    actions,
+
+    async start(callSid, { statusCallback } = {}) {
+      const sid = `RE${crypto.randomBytes(16).toString('hex')}`;
+      perform({ callSid, action: 'start', sid, statusCallback });
+      return { sid };
+    },
+
+    async pause(callSid) {
+      perform({ callSid, action: 'pause' });
+    },
+
+    async resume(callSid) {
+      perform({ callSid, action: 'resume' });
+    },
+
+    async stop(callSid) {
+      perform({ callSid, action: 'stop' });
+    }
+  };
+}
+
+module.exports = { createTwilioRecorder, createFakeRecorder };
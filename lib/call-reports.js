@@ -0,0 +1,168 @@
+/**
+ * Call reporting built from the audit trail (lib/call-events.js).
+ *
+ * summarizeCalls() folds the events of each CallSid into one call summary
+ * with an `outcome`:
+ *
+ * - transferred:        reached a transfer destination
+ * - completed:          the flow hung up normally (voicemail, callback, ...)
+ * - too-many-attempts:  hung up after MAX_ATTEMPTS invalid inputs
+ * - system-error:       hung up on an error
+ * - abandoned:          the caller hung up inside the IVR; `abandonedAt` is
+ *                       the last step they heard
+ * - in-progress:        no final status yet and seen recently
+ *
+ * Calls without a final call status are treated as ended once their last
+ * event is older than `staleAfterSeconds`. Days are calendar days in
+ * `timeZone`, taken from the call's first event.
+ */
+
+const { localParts } = require('./business-hours');
+const { TRANSFER_FAILURES } = require('./flow-engine');
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(part, whole) {
+  return whole ? round(part / whole, 3) : null;
+}
+
+function summarizeCalls(events, { timeZone, now = new Date(), staleAfterSeconds = 60 * 60 }) {
+  const calls = new Map();
+
+  events.forEach(event => {
+    let call = calls.get(event.callSid);
+    if (!call) {
+      call = {
+        callSid: event.callSid,
+        date: localParts(new Date(event.at), timeZone).date,
+        startedAt: event.at,
+        lastEventAt: event.at,
+        language: null,
+        questionType: null,
+        steps: [],
+        invalidInputs: {},
+        verification: { passed: 0, failed: 0, error: 0 },
+        transferredAt: null,
+        state: 'in-ivr',
+        endReason: null,
+        ended: false
+      };
+      calls.set(event.callSid, call);
+    }
+
+    call.lastEventAt = event.at;
+    if (event.language) call.language = event.language;
+    if (event.questionType) call.questionType = event.questionType;
+
+    switch (event.type) {
+      case 'step':
+        if (call.steps[call.steps.length - 1] !== event.step) call.steps.push(event.step);
+        if (call.state === 'in-ivr') call.lastStep = event.step;
+        break;
+      case 'input.invalid':
+        call.invalidInputs[event.step] = (call.invalidInputs[event.step] || 0) + 1;
+        break;
+      case 'verification':
+        call.verification[event.result]++;
+        break;
+      case 'transfer.dial':
+        if (!call.transferredAt) call.transferredAt = event.at;
+        call.state = 'transferring';
+        break;
+      case 'transfer.outcome':
+        if (!TRANSFER_FAILURES.includes(event.outcome)) call.state = 'transferred';
+        // Left a hold queue on purpose (callback number, overflow): back in the IVR
+        else if (event.outcome === 'leave') call.state = 'in-ivr';
+        break;
+      case 'transfer.exhausted':
+        call.state = 'in-ivr';
+        break;
+      case 'flow.ended':
+        call.state = 'ended';
+        call.endReason = event.reason;
+        break;
+      case 'call.ended':
+        call.ended = true;
+        break;
+    }
+  });
+
+  const staleBefore = now.getTime() - staleAfterSeconds * 1000;
+  return [...calls.values()].map(({ state, endReason, lastStep, ...call }) => {
+    const over = call.ended || new Date(call.lastEventAt).getTime() < staleBefore;
+    let outcome;
+    if (state === 'transferring' || state === 'transferred') outcome = 'transferred';
+    else if (state === 'ended') outcome = endReason;
+    else outcome = over ? 'abandoned' : 'in-progress';
+
+    return {
+      ...call,
+      outcome,
+      abandonedAt: outcome === 'abandoned' ? lastStep || null : null,
+      secondsToTransfer: call.transferredAt ? (new Date(call.transferredAt) - new Date(call.startedAt)) / 1000 : null
+    };
+  });
+}
+
+function inRange(call, { from, to }) {
+  return (!from || call.date >= from) && (!to || call.date <= to);
+}
+
+// One row per day plus a 'total' row
+function dailyReport(calls, range = {}) {
+  const selected = calls.filter(call => inRange(call, range));
+  const languages = [...new Set(selected.map(call => call.language || 'none'))].sort();
+
+  function row(date, group) {
+    const verifying = group.filter(call => call.verification.passed + call.verification.failed + call.verification.error > 0);
+    const transferred = group.filter(call => call.secondsToTransfer !== null);
+    const result = { date, calls: group.length };
+    languages.forEach(language => {
+      result[`language_${language}`] = group.filter(call => (call.language || 'none') === language).length;
+    });
+    return Object.assign(result, {
+      general: group.filter(call => call.questionType === 'general').length,
+      accountSpecific: group.filter(call => call.questionType === 'account-specific').length,
+      verificationCalls: verifying.length,
+      verifiedCalls: verifying.filter(call => call.verification.passed > 0).length,
+      verificationPassRate: ratio(verifying.filter(call => call.verification.passed > 0).length, verifying.length),
+      transfers: transferred.length,
+      avgSecondsToTransfer: transferred.length
+        ? round(transferred.reduce((sum, call) => sum + call.secondsToTransfer, 0) / transferred.length, 1)
+        : null,
+      abandoned: group.filter(call => call.outcome === 'abandoned').length
+    });
+  }
+
+  const dates = [...new Set(selected.map(call => call.date))].sort();
+  return [
+    ...dates.map(date => row(date, selected.filter(call => call.date === date))),
+    row('total', selected)
+  ];
+}
+
+// Where callers hang up: per step, how many reached it, abandoned there and
+// entered invalid input there. Most abandoned first.
+function abandonmentReport(calls, range = {}) {
+  const selected = calls.filter(call => inRange(call, range));
+  const steps = new Map();
+  const stepRow = step => {
+    if (!steps.has(step)) steps.set(step, { step, reached: 0, abandoned: 0, dropOffRate: null, invalidInputs: 0 });
+    return steps.get(step);
+  };
+
+  selected.forEach(call => {
+    new Set(call.steps).forEach(step => { stepRow(step).reached++; });
+    Object.entries(call.invalidInputs).forEach(([step, count]) => { stepRow(step).invalidInputs += count; });
+    if (call.abandonedAt) stepRow(call.abandonedAt).abandoned++;
+  });
+
+  return [...steps.values()]
+    .map(row => ({ ...row, dropOffRate: ratio(row.abandoned, row.reached) }))
+    .sort((a, b) => b.abandoned - a.abandoned || b.reached - a.reached);
+}
+
+module.exports = { summarizeCalls, dailyReport, abandonmentReport };
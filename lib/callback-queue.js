@@ -0,0 +1,146 @@
+/**
+ * Callback request queue (JSON file).
+ *
+ * Status lifecycle:
+ *
+ *   pending --claim()--> dialing --connected()--> connected --completed()--> completed
+ *      |                    |                         |
+ *      |                    \-----attemptFailed()-----+--> pending (retry later)
+ *      |                                                   or failed (out of attempts)
+ *      \--expire()--> expired (the slot ended before the call could be placed)
+ *
+ * A request is due once `notBefore` (initially the start of the chosen slot)
+ * has passed, and until `slotEnd`. recover() treats requests left `dialing`
+ * for longer than `dialingTimeoutMinutes` (the process stopped before the
+ * call was answered or reported) as failed attempts.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+
+const STATUSES = ['pending', 'dialing', 'connected', 'completed', 'failed', 'expired'];
+
+function createCallbackQueue({ file, maxAttempts = 3, retryMinutes = 15, dialingTimeoutMinutes = 10, now = () => new Date() }) {
+  const store = createJsonStore({ file });
+
+  // Back to pending for a retry, or failed once out of attempts
+  function failAttempt(request, reason) {
+    const exhausted = request.attempts >= maxAttempts;
+    Object.assign(request, {
+      status: exhausted ? 'failed' : 'pending',
+      notBefore: exhausted ? request.notBefore : new Date(now().getTime() + retryMinutes * 60000).toISOString(),
+      lastError: reason,
+      updatedAt: now().toISOString()
+    });
+  }
+
+  function transition(id, from, changes) {
+    return store.update(requests => {
+      const request = requests.find(r => r.id === id);
+      if (!request || (from && !from.includes(request.status))) return null;
+      Object.assign(request, changes, { updatedAt: now().toISOString() });
+      return { ...request };
+    });
+  }
+
+  return {
+    create({ callSid, number, language, questionType, verified, customerId, slot }) {
+      return store.update(requests => {
+        const request = {
+          id: crypto.randomUUID(),
+          callSid,
+          number,
+          language,
+          questionType,
+          verified,
+          customerId: customerId || null,
+          slotStart: slot.start,
+          slotEnd: slot.end,
+          notBefore: slot.start,
+          status: 'pending',
+          attempts: 0,
+          outboundCallSid: null,
+          lastError: null,
+          createdAt: now().toISOString(),
+          updatedAt: now().toISOString()
+        };
+        requests.push(request);
+        return { ...request };
+      });
+    },
+
+    async due(at = now()) {
+      return (await store.read())
+        .filter(r => r.status === 'pending' && new Date(r.notBefore) <= at && at < new Date(r.slotEnd))
+        .map(r => ({ ...r }));
+    },
+
+    // pending requests whose slot is over -> expired; returns them
+    expire(at = now()) {
+      return store.update(requests => requests
+        .filter(r => r.status === 'pending' && new Date(r.slotEnd) <= at)
+        .map(request => {
+          Object.assign(request, { status: 'expired', lastError: 'slot-ended', updatedAt: at.toISOString() });
+          return { ...request };
+        }));
+    },
+
+    // dialing requests nobody heard back about -> failed attempts; returns them
+    recover(at = now()) {
+      const before = at.getTime() - dialingTimeoutMinutes * 60000;
+      return store.update(requests => requests
+        .filter(r => r.status === 'dialing' && new Date(r.updatedAt).getTime() <= before)
+        .map(request => {
+          failAttempt(request, 'interrupted');
+          return { ...request };
+        }));
+    },
+
+    // pending -> dialing; null when another worker got there first
+    claim(id) {
+      return store.update(requests => {
+        const request = requests.find(r => r.id === id && r.status === 'pending');
+        if (!request) return null;
+        Object.assign(request, { status: 'dialing', attempts: request.attempts + 1, updatedAt: now().toISOString() });
+        return { ...request };
+      });
+    },
+
+    dialed(id, outboundCallSid) {
+      return transition(id, ['dialing'], { outboundCallSid });
+    },
+
+    // The customer answered and is being bridged to an agent
+    connected(id) {
+      return transition(id, ['dialing'], { status: 'connected' });
+    },
+
+    // Only once an agent took the call
+    completed(id) {
+      return transition(id, ['connected'], { status: 'completed', lastError: null });
+    },
+
+    // null when the request is no longer being called (already completed or failed)
+    attemptFailed(id, reason) {
+      return store.update(requests => {
+        const request = requests.find(r => r.id === id && ['dialing', 'connected'].includes(r.status));
+        if (!request) return null;
+        failAttempt(request, reason);
+        return { ...request };
+      });
+    },
+
+    async get(id) {
+      const request = (await store.read()).find(r => r.id === id);
+      return request ? { ...request } : null;
+    },
+
+    async list({ status } = {}) {
+      return (await store.read())
+        .filter(r => !status || r.status === status)
+        .map(r => ({ ...r }));
+    }
+  };
+}
+
+module.exports = { createCallbackQueue, STATUSES };
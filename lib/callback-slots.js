@@ -0,0 +1,43 @@
+/**
+ * Callback time slots offered to after-hours callers.
+ *
+ * Slots are cut from the next business-hours window of a queue, start at
+ * least `leadMinutes` from now and must themselves be open (so special
+ * closures are respected). Labels are spoken in the caller's language.
+ */
+
+// Locale overrides; other languages format with their own code ('pt', 'vi', ...)
+const LOCALES = { en: 'en-US', es: 'es-US' };
+
+function slotLabel(start, language, timeZone) {
+  return new Intl.DateTimeFormat(LOCALES[language] || language || LOCALES.en, {
+    timeZone,
+    weekday: 'long',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(start);
+}
+
+function callbackSlots({ businessHours, queue, timeZone, language, from, slotMinutes, maxSlots, leadMinutes = 0 }) {
+  const earliest = new Date(from.getTime() + leadMinutes * 60000);
+  let window = businessHours.nextWindow(queue, earliest);
+
+  // A window can be fully covered by a special closure; then try the next one
+  for (let tries = 0; window && tries < 7; tries++) {
+    const slots = [];
+    for (let start = window.start; start < window.end && slots.length < maxSlots; start = new Date(start.getTime() + slotMinutes * 60000)) {
+      const end = new Date(Math.min(start.getTime() + slotMinutes * 60000, window.end.getTime()));
+      if (start >= earliest && businessHours.isOpen(queue, start)) {
+        slots.push({
+          value: { start: start.toISOString(), end: end.toISOString() },
+          label: slotLabel(start, language, timeZone)
+        });
+      }
+    }
+    if (slots.length) return slots;
+    window = businessHours.nextWindow(queue, window.end);
+  }
+  return [];
+}
+
+module.exports = { callbackSlots, slotLabel };
@@ -0,0 +1,87 @@
+/**
+ * Callback worker
+ *
+ * Polls the callback queue and places due callbacks through the dialer
+ * interface (see lib/dialer.js), with answering-machine detection. Calls are
+ * only placed while the queue's business hours are open; the outbound call
+ * fetches `connectUrl`, which greets the customer and bridges them to an
+ * agent, and reports its outcome to `statusUrl`. Every pass first expires
+ * requests whose slot is over and retries those left dialing by a restart.
+ */
+
+const defaultLogger = require('./logger');
+
+function createCallbackWorker({
+  queue,
+  dialer,
+  businessHours,
+  hoursQueue,
+  callerId,
+  connectUrl,
+  statusUrl,
+  pollSeconds = 30,
+  now = () => new Date(),
+  logger = defaultLogger
+}) {
+  let timer = null;
+  let running = null;
+
+  async function dial(request) {
+    const claimed = await queue.claim(request.id);
+    if (!claimed) return;
+
+    const log = logger.child({ callbackId: claimed.id });
+    try {
+      const call = await dialer.placeCall({
+        to: claimed.number,
+        from: callerId,
+        url: connectUrl(claimed),
+        statusCallback: statusUrl(claimed),
+        machineDetection: 'Enable'
+      });
+      await queue.dialed(claimed.id, call.sid);
+      log.info('Callback dialing', { outboundCallSid: call.sid, attempt: claimed.attempts });
+    } catch (error) {
+      const updated = await queue.attemptFailed(claimed.id, error.message);
+      log.error('Callback could not be placed', { error, status: updated && updated.status });
+    }
+  }
+
+  // One pass over the due requests; overlapping ticks share the same pass
+  function tick() {
+    if (!running) {
+      running = (async () => {
+        for (const request of await queue.recover(now())) {
+          logger.warn('Callback left dialing; counted as a failed attempt', { callbackId: request.id, status: request.status });
+        }
+        for (const request of await queue.expire(now())) {
+          logger.warn('Callback slot ended before it could be placed', { callbackId: request.id, slotEnd: request.slotEnd });
+        }
+        if (!businessHours.isOpen(hoursQueue, now())) return;
+        for (const request of await queue.due(now())) {
+          await dial(request);
+        }
+      })().finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  return {
+    tick,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => tick().catch(error => logger.error('Callback worker failed', { error })), pollSeconds * 1000);
+      timer.unref();
+    },
+
+    // Resolves once the pass in progress, if any, has finished
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      return running ? running.catch(() => {}) : Promise.resolve();
+    }
+  };
+}
+
+module.exports = { createCallbackWorker };
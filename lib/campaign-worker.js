@@ -0,0 +1,91 @@
+/**
+ * Campaign worker
+ *
+ * Polls the campaign store and calls due contacts through the dialer
+ * interface (see lib/dialer.js), with answering-machine detection. Calls are
+ * only placed while the `hoursQueue` calendar is open both in the business
+ * timezone (so CSRs are there to take transfers) and in the contact's local
+ * time (see contactTimeZones(); a contact whose zone is uncertain waits until
+ * every zone it could be in is open), and at most `maxConcurrent` campaign
+ * calls are in progress at once. The outbound call
+ * fetches `answerUrl` when picked up and reports its outcome to `statusUrl`.
+ */
+
+const defaultLogger = require('./logger');
+const { contactTimeZones } = require('./campaigns');
+
+function createCampaignWorker({
+  campaigns,
+  dialer,
+  businessHours,
+  hoursQueue,
+  callerId,
+  answerUrl,
+  statusUrl,
+  maxConcurrent,
+  pollSeconds = 30,
+  now = () => new Date(),
+  logger = defaultLogger
+}) {
+  let timer = null;
+  let running = null;
+
+  // True when a call was placed
+  async function dial({ campaign, contact }) {
+    const claimed = await campaigns.claim(campaign.id, contact.id);
+    if (!claimed) return false;
+
+    const log = logger.child({ campaignId: campaign.id, contactId: contact.id });
+    try {
+      const call = await dialer.placeCall({
+        to: contact.number,
+        from: callerId,
+        url: answerUrl(campaign, contact),
+        statusCallback: statusUrl(campaign, contact),
+        machineDetection: 'Enable'
+      });
+      await campaigns.dialed(campaign.id, contact.id, call.sid);
+      log.info('Campaign call placed', { outboundCallSid: call.sid, attempt: claimed.contact.attempts });
+      return true;
+    } catch (error) {
+      const updated = await campaigns.attemptFailed(campaign.id, contact.id, 'failed');
+      log.error('Campaign call could not be placed', { error, status: updated && updated.contact.status });
+      return false;
+    }
+  }
+
+  // One pass over the due contacts; overlapping ticks share the same pass
+  function tick() {
+    if (!running) {
+      running = (async () => {
+        if (!businessHours.isOpen(hoursQueue, now())) return;
+        let free = maxConcurrent - (await campaigns.dialing());
+        for (const due of await campaigns.due(now())) {
+          if (free <= 0) break;
+          if (!contactTimeZones(due.contact).every(zone => businessHours.isOpen(hoursQueue, now(), zone))) continue;
+          if (await dial(due)) free--;
+        }
+      })().finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  return {
+    tick,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => tick().catch(error => logger.error('Campaign worker failed', { error })), pollSeconds * 1000);
+      timer.unref();
+    },
+
+    // Resolves once the pass in progress, if any, has finished
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      return running ? running.catch(() => {}) : Promise.resolve();
+    }
+  };
+}
+
+module.exports = { createCampaignWorker };
@@ -0,0 +1,197 @@
+/**
+ * Outbound call campaigns (JSON file).
+ *
+ * A campaign is a call list; each contact goes through:
+ *
+ *   pending --claim()--> dialing --finished()--> completed
+ *                           \--attemptFailed()--> pending (retry later)
+ *                                                 or failed (out of attempts)
+ *
+ * Along the way the contact collects outcomes (answered, machine, no-answer,
+ * busy, failed, verified, transferred). `history` keeps each one with its
+ * time; `outcome` is the furthest the contact got, in OUTCOMES order. A
+ * campaign is completed once none of its contacts is pending or dialing.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+const { parseCsv } = require('./csv');
+const { areaCodeTimeZones } = require('./area-codes');
+
+const STATUSES = ['active', 'paused', 'completed'];
+const CONTACT_STATUSES = ['pending', 'dialing', 'completed', 'failed'];
+// Least to most progress
+const OUTCOMES = ['failed', 'busy', 'no-answer', 'machine', 'answered', 'verified', 'transferred'];
+const CONTACT_FIELDS = ['number', 'name', 'language', 'customerId', 'timezone'];
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Contacts from a JSON array or CSV text (header line: number,name,language,customerId,timezone).
+// `timezone` (IANA, e.g. America/Denver) sets the contact's local time; without
+// it the zone comes from the number's area code (lib/area-codes.js).
+function parseContacts(input, { languages }) {
+  const problems = [];
+  let rows = input;
+  if (typeof input === 'string') rows = parseCsv(input);
+  if (!Array.isArray(rows) || !rows.length) return { contacts: [], problems: ['the call list has no contacts'] };
+
+  const contacts = rows.map((row, index) => {
+    const line = `contact ${index + 1}`;
+    if (!row || typeof row !== 'object') {
+      problems.push(`${line} is not an object`);
+      return null;
+    }
+    Object.keys(row).filter(field => !CONTACT_FIELDS.includes(field)).forEach(field => problems.push(`${line} has unknown field "${field}"`));
+    const { number, name = '', language = '', customerId = '', timezone = '' } = row;
+    if (typeof number !== 'string' || !/^\+[1-9]\d{7,14}$/.test(number)) problems.push(`${line} number must be E.164 (e.g. +15551234567)`);
+    if (language && !languages.includes(language)) problems.push(`${line} language must be one of: ${languages.join(', ')}`);
+    if (timezone && !isTimeZone(timezone)) problems.push(`${line} timezone must be an IANA time zone (e.g. America/Chicago)`);
+    return { number, name: name || null, language: language || null, customerId: customerId || null, timezone: timezone || null };
+  });
+  return { contacts, problems };
+}
+
+// Time zones the contact may be in: their own, or every zone of the number's area code
+function contactTimeZones(contact) {
+  return contact.timezone ? [contact.timezone] : areaCodeTimeZones(contact.number);
+}
+
+function createCampaignStore({ file, maxAttempts = 2, retryMinutes = 120, now = () => new Date() }) {
+  const store = createJsonStore({ file });
+
+  function summary({ contacts, ...campaign }) {
+    const counts = Object.fromEntries(CONTACT_STATUSES.map(status => [status, contacts.filter(c => c.status === status).length]));
+    return { ...campaign, contacts: contacts.length, counts };
+  }
+
+  function find(campaigns, campaignId, contactId) {
+    const campaign = campaigns.find(c => c.id === campaignId);
+    const contact = campaign && campaign.contacts.find(c => c.id === contactId);
+    return contact ? { campaign, contact } : null;
+  }
+
+  function addOutcome(contact, outcome, at) {
+    contact.history.push({ outcome, at });
+    if (!contact.outcome || OUTCOMES.indexOf(outcome) > OUTCOMES.indexOf(contact.outcome)) contact.outcome = outcome;
+  }
+
+  function settle(campaign) {
+    if (campaign.status !== 'completed' && campaign.contacts.every(c => c.status === 'completed' || c.status === 'failed')) {
+      campaign.status = 'completed';
+    }
+  }
+
+  // Change a contact in `from` statuses; returns copies of both, or null
+  function transition(campaignId, contactId, from, change) {
+    return store.update(campaigns => {
+      const found = find(campaigns, campaignId, contactId);
+      if (!found || (from && !from.includes(found.contact.status))) return null;
+      const at = now().toISOString();
+      change(found.contact, at);
+      found.contact.updatedAt = at;
+      settle(found.campaign);
+      return { campaign: summary(found.campaign), contact: { ...found.contact } };
+    });
+  }
+
+  return {
+    create({ name, language, contacts }) {
+      return store.update(campaigns => {
+        const at = now().toISOString();
+        const campaign = {
+          id: crypto.randomUUID(),
+          name,
+          language,
+          status: 'active',
+          createdAt: at,
+          contacts: contacts.map(contact => ({
+            id: crypto.randomUUID(),
+            ...contact,
+            status: 'pending',
+            attempts: 0,
+            notBefore: at,
+            callSid: null,
+            outcome: null,
+            history: [],
+            updatedAt: at
+          }))
+        };
+        campaigns.push(campaign);
+        return summary(campaign);
+      });
+    },
+
+    async list() {
+      return (await store.read()).map(summary);
+    },
+
+    async get(id) {
+      const campaign = (await store.read()).find(c => c.id === id);
+      return campaign ? { ...summary(campaign), contacts: campaign.contacts.map(c => ({ ...c })) } : null;
+    },
+
+    // active <-> paused; null when the campaign is missing or completed
+    setStatus(id, status) {
+      return store.update(campaigns => {
+        const campaign = campaigns.find(c => c.id === id);
+        if (!campaign || campaign.status === 'completed') return null;
+        campaign.status = status;
+        return summary(campaign);
+      });
+    },
+
+    // Pending contacts of active campaigns whose next attempt is due, oldest campaign first
+    async due(at = now()) {
+      return (await store.read())
+        .filter(campaign => campaign.status === 'active')
+        .flatMap(campaign => campaign.contacts
+          .filter(contact => contact.status === 'pending' && new Date(contact.notBefore) <= at)
+          .map(contact => ({ campaign: summary(campaign), contact: { ...contact } })));
+    },
+
+    // Calls placed and not finished yet, across campaigns
+    async dialing() {
+      return (await store.read()).reduce((count, campaign) => count + campaign.contacts.filter(c => c.status === 'dialing').length, 0);
+    },
+
+    // pending -> dialing; null when another worker got there first
+    claim(campaignId, contactId) {
+      return transition(campaignId, contactId, ['pending'], contact => {
+        contact.status = 'dialing';
+        contact.attempts++;
+      });
+    },
+
+    dialed(campaignId, contactId, callSid) {
+      return transition(campaignId, contactId, ['dialing'], contact => { contact.callSid = callSid; });
+    },
+
+    recordOutcome(campaignId, contactId, outcome) {
+      return transition(campaignId, contactId, null, (contact, at) => addOutcome(contact, outcome, at));
+    },
+
+    // The call is over after being answered (by a person or a machine)
+    finished(campaignId, contactId) {
+      return transition(campaignId, contactId, ['dialing'], contact => { contact.status = 'completed'; });
+    },
+
+    // Not reached (`outcome` is no-answer, busy or failed): retry later or give up
+    attemptFailed(campaignId, contactId, outcome) {
+      return transition(campaignId, contactId, ['dialing'], (contact, at) => {
+        addOutcome(contact, outcome, at);
+        const exhausted = contact.attempts >= maxAttempts;
+        contact.status = exhausted ? 'failed' : 'pending';
+        if (!exhausted) contact.notBefore = new Date(now().getTime() + retryMinutes * 60000).toISOString();
+      });
+    }
+  };
+}
+
+module.exports = { createCampaignStore, parseContacts, contactTimeZones, STATUSES, CONTACT_STATUSES, OUTCOMES };
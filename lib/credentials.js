@@ -0,0 +1,108 @@
+/**
+ * Identity-verification secrets at rest
+ *
+ * Verification fields (last-4 SSN, DOB, ZIP, account number) are stored as
+ * salted scrypt hashes in the form `scrypt$<cost>$<salt>$<hash>` (base64 salt
+ * and hash) and are only ever compared through verifySecret(), which uses a
+ * constant-time comparison.
+ *
+ * Each hashed field also gets a blind index under `credentialIndex`: a keyed
+ * HMAC (CREDENTIAL_INDEX_KEY) of the value. Lookups use it to pick the few
+ * records worth an scrypt check instead of checking every record; without the
+ * key it reveals nothing about the value. Keep the key stable: records indexed
+ * under another key are no longer found. Records hashed before indexes existed
+ * have none and remain candidates for every lookup.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const CREDENTIAL_FIELDS = ['last4ssn', 'dob', 'zip', 'accountNumber'];
+const DEFAULT_COST = 16384;
+const KEY_LENGTH = 32;
+const PREFIX = 'scrypt$';
+const DEVELOPMENT_INDEX_KEY = 'development-only-credential-index-key';
+
+// Read when used, so tests and scripts can set it after loading this module
+function indexKey() {
+  if (process.env.CREDENTIAL_INDEX_KEY) return process.env.CREDENTIAL_INDEX_KEY;
+  if (process.env.NODE_ENV === 'production') throw new Error('CREDENTIAL_INDEX_KEY must be set in production');
+  return DEVELOPMENT_INDEX_KEY;
+}
+
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(PREFIX);
+}
+
+async function hashSecret(value, { cost = DEFAULT_COST } = {}) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(value), salt, KEY_LENGTH, { N: cost });
+  return `${PREFIX}${cost}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifySecret(value, stored) {
+  if (value == null || !isHashed(stored)) return false;
+  const [, cost, salt, expected] = stored.split('$');
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scrypt(String(value), Buffer.from(salt, 'base64'), expectedHash.length, { N: Number(cost) });
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// Blind index of one credential value
+function credentialIndex(field, value, key = indexKey()) {
+  return crypto.createHmac('sha256', key).update(`${field}:${value}`).digest('base64url').slice(0, 16);
+}
+
+// Hash every plaintext credential field and index it; already-hashed values are kept.
+// `credentialIndex` only lists the fields hashed here: stores merge it into the record's.
+async function hashCredentials(record, options) {
+  const hashed = { ...record };
+  const index = {};
+  for (const field of CREDENTIAL_FIELDS) {
+    if (hashed[field] === null) index[field] = null;
+    if (hashed[field] != null && !isHashed(hashed[field])) {
+      index[field] = credentialIndex(field, hashed[field]);
+      hashed[field] = await hashSecret(hashed[field], options);
+    }
+  }
+  if (Object.keys(index).length) hashed.credentialIndex = { ...record.credentialIndex, ...index };
+  return hashed;
+}
+
+// Whether the record may match every supplied credential, judging by its blind
+// indexes only; records without an index for a field cannot be ruled out
+function mayMatchCredentials(record, credentials, key = indexKey()) {
+  return CREDENTIAL_FIELDS.filter(field => credentials[field] != null).every(field => {
+    if (record[field] == null) return false;
+    const indexed = record.credentialIndex && record.credentialIndex[field];
+    return !indexed || indexed === credentialIndex(field, credentials[field], key);
+  });
+}
+
+function hasPlaintextCredentials(record) {
+  return CREDENTIAL_FIELDS.some(field => record[field] != null && !isHashed(record[field]));
+}
+
+// True when every supplied credential matches; stops at the first mismatch
+async function matchesCredentials(record, credentials) {
+  const fields = CREDENTIAL_FIELDS.filter(field => credentials[field] != null);
+  if (!fields.length) return false;
+  for (const field of fields) {
+    if (!(await verifySecret(credentials[field], record[field]))) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  isHashed,
+  hashSecret,
+  verifySecret,
+  hashCredentials,
+  credentialIndex,
+  mayMatchCredentials,
+  hasPlaintextCredentials,
+  matchesCredentials
+};
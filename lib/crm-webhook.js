@@ -0,0 +1,97 @@
+/**
+ * CRM webhook
+ *
+ * Posts call events to a CRM endpoint as JSON, signed so the receiver can
+ * tell they came from this server:
+ *
+ *   X-IVR-Timestamp: <unix seconds>
+ *   X-IVR-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the secret>
+ *
+ * Receivers should recompute the signature over the raw body, compare in
+ * constant time and refuse old timestamps. Network errors, timeouts, 429 and
+ * 5xx answers are retried up to `maxAttempts` times, waiting `retrySeconds`,
+ * then twice as long each time; other answers are final. Every attempt
+ * carries the same `id`, so receivers can drop duplicates.
+ *
+ * The transfer screen pop (event 'transfer.started') is sent each time a
+ * transfer dials a destination:
+ *
+ *   {
+ *     "id": "5f0c6a2e-...",                 delivery id, the same on every retry
+ *     "event": "transfer.started",
+ *     "occurredAt": "2026-10-19T15:00:00.000Z",
+ *     "callSid": "CA...",
+ *     "caller": "+15551234567",            calling number, or null
+ *     "language": "es",                    the caller's language
+ *     "questionType": "account-specific",  or "general"
+ *     "verified": true,
+ *     "customer": { "id": "...", "name": "María" },  the verified customer, or null
+ *     "destination": { "name": "csr-line", "type": "number" },
+ *     "campaignId": null                   set on outbound campaign calls
+ *   }
+ */
+
+const crypto = require('crypto');
+const defaultLogger = require('./logger');
+
+const signPayload = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const retryable = status => status === 429 || status >= 500;
+
+function createCrmWebhook({
+  url,
+  secret,
+  maxAttempts = 4,
+  retrySeconds = 5,
+  timeoutSeconds = 5,
+  now = () => new Date(),
+  logger = defaultLogger
+}) {
+  if (!secret) throw new Error('The CRM webhook needs a signing secret');
+
+  const sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000).unref());
+
+  // One delivery; true when the receiver accepted it
+  async function attempt(body) {
+    const timestamp = String(Math.floor(now().getTime() / 1000));
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-IVR-Timestamp': timestamp,
+        'X-IVR-Signature': signPayload(secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutSeconds * 1000)
+    });
+    if (response.ok) return true;
+    if (!retryable(response.status)) throw Object.assign(new Error(`CRM webhook answered ${response.status}`), { final: true });
+    throw new Error(`CRM webhook answered ${response.status}`);
+  }
+
+  return {
+    // Resolves once the event is delivered or given up on ({ delivered, attempts }); never rejects
+    async send(event, data) {
+      const payload = { id: crypto.randomUUID(), event, occurredAt: now().toISOString(), ...data };
+      const body = JSON.stringify(payload);
+      const log = logger.child({ deliveryId: payload.id, event });
+
+      for (let attempts = 1; ; attempts++) {
+        try {
+          await attempt(body);
+          log.debug('CRM webhook delivered', { attempts });
+          return { delivered: true, attempts };
+        } catch (error) {
+          if (error.final || attempts >= maxAttempts) {
+            log.error('CRM webhook not delivered', { error, attempts });
+            return { delivered: false, attempts };
+          }
+          log.warn('CRM webhook failed; retrying', { error, attempts });
+          await sleep(retrySeconds * 2 ** (attempts - 1));
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createCrmWebhook, signPayload };
@@ -0,0 +1,58 @@
+/**
+ * Minimal CSV (RFC 4180) output for the reporting endpoints, and input for
+ * uploaded call lists.
+ */
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` defaults to the keys of the first row
+function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// One object per line, keyed by the header line; blank lines are skipped
+function parseCsv(text) {
+  const lines = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      lines.push([...cells, cell]);
+      cells = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  lines.push([...cells, cell]);
+
+  const [header = [], ...rows] = lines.filter(line => line.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim());
+  return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, (row[index] || '').trim()])));
+}
+
+module.exports = { toCsv, parseCsv };
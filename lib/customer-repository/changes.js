@@ -0,0 +1,21 @@
+/**
+ * Record changes shared by the customer repository backends.
+ */
+
+const { hasPlaintextCredentials } = require('../credentials');
+
+// `record` with `changes` applied. Changes given as a function are worked out from the
+// current record inside the backend's atomic update; they cannot set credentials, which
+// are hashed beforehand. Blind indexes of the changed credentials are merged, not replaced.
+function applyChanges(record, changes) {
+  let applied = changes;
+  if (typeof changes === 'function') {
+    applied = changes({ ...record }) || {};
+    if (hasPlaintextCredentials(applied)) throw new Error('Credential fields cannot be set by an update function');
+  }
+  const updated = { ...record, ...applied };
+  if (applied.credentialIndex) updated.credentialIndex = { ...record.credentialIndex, ...applied.credentialIndex };
+  return updated;
+}
+
+module.exports = { applyChanges };
@@ -0,0 +1,46 @@
+/**
+ * Customer repository
+ *
+ * Every backend exposes the same async interface:
+ *
+ * - findByCredentials({ last4ssn, dob, zip }) -> matching record, or null
+ * - findAllByCredentials(credentials)         -> every record matching the
+ *                                                supplied fields (e.g. only last4ssn)
+ * - findCandidates(credentials)               -> records the blind indexes of the
+ *                                                supplied fields do not rule out,
+ *                                                for the caller to check (cheap)
+ * - findByPhoneNumber(phoneNumber)             -> every record with that saved
+ *                                                `phoneNumber` (E.164)
+ * - list()                                    -> every record
+ * - get(id)                                   -> the record, or null
+ * - create(record)                            -> the new record with its generated id
+ * - update(id, changes)                       -> updated record, or null when
+ *                                                no record has that id; `changes`
+ *                                                may be a function of the current
+ *                                                record, applied atomically (it
+ *                                                cannot set credential fields)
+ * - delete(id)                                -> true, or false when no record has that id
+ * - ping()                                    -> resolves when the file or database
+ *                                                itself is usable (readiness), not
+ *                                                just records cached in memory
+ *
+ * Records are plain objects with a string `id`; backends return copies, so
+ * changes only take effect through `create`/`update`. Credential fields are
+ * hashed on the way in.
+ */
+
+const BACKENDS = {
+  json: options => require('./json-file').createJsonFileCustomerRepository(options),
+  // Loaded lazily so the JSON backend works without the native SQLite module
+  sqlite: options => require('./sqlite').createSqliteCustomerRepository(options)
+};
+
+function createCustomerRepository({ backend = 'json', ...options }) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown customer repository backend "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = { createCustomerRepository };
@@ -0,0 +1,100 @@
+/**
+ * JSON-file customer repository (db.json).
+ *
+ * Persistence (in-memory copy, queued atomic writes) comes from
+ * lib/json-store.js. Credential fields are stored as salted hashes (see
+ * lib/credentials.js); lookups only check the records their blind indexes
+ * point at.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createJsonStore } = require('../json-store');
+const { hashCredentials, hasPlaintextCredentials, matchesCredentials, mayMatchCredentials } = require('../credentials');
+const { applyChanges } = require('./changes');
+
+function createJsonFileCustomerRepository({ file }) {
+  const store = createJsonStore({
+    file,
+    onLoad(records) {
+      if (records.some(hasPlaintextCredentials)) {
+        throw new Error(`${file} contains plaintext credentials; run "npm run migrate-credentials -- ${file}" first`);
+      }
+      const missingIds = records.filter(r => !r.id);
+      missingIds.forEach(r => { r.id = crypto.randomUUID(); });
+      return missingIds.length > 0;
+    }
+  });
+
+  async function candidates(credentials) {
+    return (await store.read()).filter(record => mayMatchCredentials(record, credentials));
+  }
+
+  return {
+    async findByCredentials(credentials) {
+      for (const record of await candidates(credentials)) {
+        if (await matchesCredentials(record, credentials)) return { ...record };
+      }
+      return null;
+    },
+
+    async findAllByCredentials(credentials) {
+      const matches = [];
+      for (const record of await candidates(credentials)) {
+        if (await matchesCredentials(record, credentials)) matches.push({ ...record });
+      }
+      return matches;
+    },
+
+    async findCandidates(credentials) {
+      return (await candidates(credentials)).map(record => ({ ...record }));
+    },
+
+    async findByPhoneNumber(phoneNumber) {
+      return (await store.read()).filter(r => r.phoneNumber === phoneNumber).map(record => ({ ...record }));
+    },
+
+    async list() {
+      return (await store.read()).map(record => ({ ...record }));
+    },
+
+    async get(id) {
+      const record = (await store.read()).find(r => r.id === id);
+      return record ? { ...record } : null;
+    },
+
+    async create(record) {
+      const hashed = await hashCredentials({ ...record, id: crypto.randomUUID() });
+      return store.update(records => {
+        records.push(hashed);
+        return { ...hashed };
+      });
+    },
+
+    async update(id, changes) {
+      const hashedChanges = typeof changes === 'function' ? changes : await hashCredentials(changes);
+      return store.update(records => {
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return null;
+        records[index] = { ...applyChanges(records[index], hashedChanges), id };
+        return { ...records[index] };
+      });
+    },
+
+    async delete(id) {
+      return store.update(records => {
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) return false;
+        records.splice(index, 1);
+        return true;
+      });
+    },
+
+    // Records are served from memory once loaded, so check the file itself
+    async ping() {
+      await fs.promises.access(file, fs.constants.R_OK | fs.constants.W_OK);
+    }
+  };
+}
+
+module.exports = { createJsonFileCustomerRepository };
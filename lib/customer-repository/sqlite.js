@@ -0,0 +1,145 @@
+/**
+ * SQLite customer repository.
+ *
+ * Each record is kept as JSON so new customer fields need no schema change.
+ * Credential fields are salted hashes (see lib/credentials.js); their blind
+ * indexes are indexed columns, so lookups only check the records they point
+ * at. When the table is empty and `seedFile` is given,
+ * records are imported from that JSON file (e.g. an existing db.json) and
+ * any plaintext credentials are hashed on the way in.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { CREDENTIAL_FIELDS, hashCredentials, hasPlaintextCredentials, matchesCredentials, credentialIndex } = require('../credentials');
+const { applyChanges } = require('./changes');
+
+function createSqliteCustomerRepository({ file, seedFile }) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS customers (
+      id TEXT PRIMARY KEY,
+      record TEXT NOT NULL
+    );
+    ${CREDENTIAL_FIELDS.map(field => `CREATE INDEX IF NOT EXISTS customers_${field}_index ON customers (json_extract(record, '$.credentialIndex.${field}'));`).join('\n    ')}
+  `);
+
+  const statements = {
+    count: db.prepare('SELECT COUNT(*) AS count FROM customers'),
+    insert: db.prepare('INSERT INTO customers (id, record) VALUES (@id, @record)'),
+    all: db.prepare('SELECT record FROM customers'),
+    byId: db.prepare('SELECT record FROM customers WHERE id = ?'),
+    byPhoneNumber: db.prepare("SELECT record FROM customers WHERE json_extract(record, '$.phoneNumber') = ?"),
+    update: db.prepare('UPDATE customers SET record = @record WHERE id = @id'),
+    delete: db.prepare('DELETE FROM customers WHERE id = ?')
+  };
+
+  // Records whose blind indexes match every supplied credential, or that have none for it
+  const candidateStatements = new Map();
+  function candidateRows(credentials) {
+    const fields = CREDENTIAL_FIELDS.filter(field => credentials[field] != null);
+    const key = fields.join(',');
+    if (!candidateStatements.has(key)) {
+      const conditions = fields.map(field => `json_extract(record, '$.${field}') IS NOT NULL AND (json_extract(record, '$.credentialIndex.${field}') = @${field} OR json_extract(record, '$.credentialIndex.${field}') IS NULL)`);
+      candidateStatements.set(key, db.prepare(`SELECT record FROM customers${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`));
+    }
+    return candidateStatements.get(key).all(Object.fromEntries(fields.map(field => [field, credentialIndex(field, credentials[field])])));
+  }
+
+  function toRow(record) {
+    return { id: record.id, record: JSON.stringify(record) };
+  }
+
+  const insertAll = db.transaction(records => {
+    records.forEach(r => statements.insert.run(toRow(r)));
+  });
+
+  // Seeding hashes credentials, which is async, so it runs before the first query
+  let ready = Promise.resolve();
+  if (seedFile && statements.count.get().count === 0 && fs.existsSync(seedFile)) {
+    const seed = JSON.parse(fs.readFileSync(seedFile, 'utf8'));
+    ready = Promise.all(seed.map(r => hashCredentials({ ...r, id: r.id || crypto.randomUUID() }))).then(insertAll);
+  }
+
+  // Read-modify-write inside one transaction so concurrent updates don't clobber each other
+  const updateRecord = db.transaction((id, changes) => {
+    const row = statements.byId.get(id);
+    if (!row) return null;
+    const record = { ...applyChanges(JSON.parse(row.record), changes), id };
+    statements.update.run(toRow(record));
+    return record;
+  });
+
+  return {
+    async findByCredentials(credentials) {
+      await ready;
+      for (const row of candidateRows(credentials)) {
+        const record = JSON.parse(row.record);
+        if (hasPlaintextCredentials(record)) {
+          throw new Error(`Customer ${record.id} in ${file} has plaintext credentials`);
+        }
+        if (await matchesCredentials(record, credentials)) return record;
+      }
+      return null;
+    },
+
+    async findAllByCredentials(credentials) {
+      await ready;
+      const matches = [];
+      for (const row of candidateRows(credentials)) {
+        const record = JSON.parse(row.record);
+        if (await matchesCredentials(record, credentials)) matches.push(record);
+      }
+      return matches;
+    },
+
+    async findCandidates(credentials) {
+      await ready;
+      return candidateRows(credentials).map(row => JSON.parse(row.record));
+    },
+
+    async findByPhoneNumber(phoneNumber) {
+      await ready;
+      return statements.byPhoneNumber.all(phoneNumber).map(row => JSON.parse(row.record));
+    },
+
+    async list() {
+      await ready;
+      return statements.all.all().map(row => JSON.parse(row.record));
+    },
+
+    async get(id) {
+      await ready;
+      const row = statements.byId.get(id);
+      return row ? JSON.parse(row.record) : null;
+    },
+
+    async create(record) {
+      await ready;
+      const hashed = await hashCredentials({ ...record, id: crypto.randomUUID() });
+      statements.insert.run(toRow(hashed));
+      return hashed;
+    },
+
+    async update(id, changes) {
+      await ready;
+      return updateRecord(id, typeof changes === 'function' ? changes : await hashCredentials(changes));
+    },
+
+    async delete(id) {
+      await ready;
+      return statements.delete.run(id).changes > 0;
+    },
+
+    // An open connection keeps working after its file is removed, so check both
+    async ping() {
+      await ready;
+      await fs.promises.access(file, fs.constants.R_OK | fs.constants.W_OK);
+      statements.count.get();
+    }
+  };
+}
+
+module.exports = { createSqliteCustomerRepository };
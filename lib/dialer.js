@@ -0,0 +1,56 @@
+/**
+ * Outbound dialer
+ *
+ * The interface used by everything that places calls:
+ *
+ * - placeCall({ to, from, url, statusCallback, machineDetection }) -> { sid }
+ *
+ * `machineDetection` ('Enable') asks Twilio to tell people from answering
+ * machines; the answer webhook then carries `AnsweredBy`.
+ *
+ * createTwilioDialer() places real calls through the Twilio REST API;
+ * createFakeDialer() records the calls it was asked to place, for tests and
+ * local development without Twilio credentials.
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+function createTwilioDialer({ accountSid, authToken }) {
+  const client = twilio(accountSid, authToken);
+
+  return {
+    async placeCall({ to, from, url, statusCallback, machineDetection }) {
+      const call = await client.calls.create({
+        to,
+        from,
+        url,
+        method: 'POST',
+        statusCallback,
+        statusCallbackMethod: 'POST',
+        statusCallbackEvent: ['completed'],
+        ...(machineDetection && { machineDetection })
+      });
+      return { sid: call.sid };
+    }
+  };
+}
+
+function createFakeDialer({ fail = () => null } = {}) {
+  const calls = [];
+
+  return {
+    calls,
+
+    // `fail(call)` may return an error message to simulate a rejected call
+    async placeCall(call) {
+      const error = fail(call);
+      if (error) throw new Error(error);
+      const placed = { ...call, sid: `CA${crypto.randomBytes(16).toString('hex')}` };
+      calls.push(placed);
+      return { sid: placed.sid };
+    }
+  };
+}
+
+module.exports = { createTwilioDialer, createFakeDialer };
@@ -0,0 +1,569 @@
+/**
+ * Call-flow engine
+ *
+ * Interprets a declarative flow definition (see flows/ivr.js) and renders
+ * each step as TwiML. Every node has a `type`:
+ *
+ * - say:      play a message, then advance to `next`
+ * - menu:     gather a single digit and follow the matching `options` entry
+ * - choose:   offer a list built at call time by a named `choices` provider
+ *             ([{ value, label }], one digit each, announced with
+ *             `choicePrompt`), store the picked entry under `field`, then
+ *             advance to `next`; `onEmpty` when there is nothing to offer
+ * - collect:  gather `numDigits` digits (or up to `finishOnKey`), check them
+ *             with `validator`, store them on the session under `field`, then
+ *             advance to `next`. `secure` nodes (card data) are keypad only
+ *             and hand their input to the `secureInput` store instead of the
+ *             session (see lib/secure-input.js)
+ * - verify:   run a named verifier against the session; advance to `next`
+ *             on success or `onFailure` otherwise. `clearFields` are wiped
+ *             from the session once the verifier has run. A verifier that
+ *             answers `{ locked: true }` refuses to check at all (lockout):
+ *             the flow moves to `onLocked`; one that answers
+ *             `{ failed: true, details }` failed, and `details` go to the
+ *             verification event only, never to the caller
+ * - transfer: play a message (if any) and try each destination the router
+ *             returns for the caller, from the rules of its `route` if named
+ *             (see lib/routing.js). Unanswered, busy or failed destinations
+ *             fall through to the next; `onExhausted` after the last. A caller
+ *             who left an <Enqueue> waiting room (QueueResult 'leave') moves to
+ *             `onLeave` when the node has one
+ * - hangup:   play a message and end the call
+ * - record:   play a prompt and <Record> the caller, then advance to `next`;
+ *             `transcribe` may be conditional, callbacks are passed through
+ *
+ * Any node may name an `onEnter` hook, run before its prompt is rendered
+ * (not when gathered input is posted back), and a `variables` provider whose
+ * result fills `{placeholders}` in the node's messages. Gather nodes may set
+ * `onNoInput` to move on instead of repeating the prompt after a timeout.
+ *
+ * Gathers accept speech as well as DTMF when config.SPEECH.ENABLED is set.
+ * Speech is normalized (lib/speech.js) into what the keypad would send:
+ * menus match option digits, number words and each option's `speech`
+ * keywords (a list, or { en: [...], es: [...] }); collect nodes read digits,
+ * or a date when `speech: 'date'`. A result under MIN_CONFIDENCE counts as
+ * an invalid attempt and switches that step to keypad only for the call.
+ * `speech: false` keeps a gather keypad only.
+ *
+ * Transitions (`next`, `onFailure`, option targets, `transcribe`) are either
+ * a plain value or a conditional of the form
+ * `{ when: '<condition name>', then: <value>, otherwise: <value> }`; the
+ * branches may themselves be conditionals.
+ *
+ * Message references are either a catalog key (spoken in the caller's
+ * language, config.DEFAULT_LANGUAGE until one is chosen) or
+ * `{ message, language, values }` to force a language and fill placeholders.
+ * Speech is only offered in config.SPEECH.LANGUAGES.
+ *
+ * Call events (step entered, invalid input, verification result, transfer
+ * outcome, end of flow) are reported through the `audit` option as
+ * `audit(type, { callSid, step, session, ...details })`.
+ *
+ * Shortcut keys (`flow.shortcuts`, e.g. { '*': { action: 'repeat' } }) work in
+ * every gather and never count as attempts: 'repeat' plays the prompt again,
+ * 'back' returns to the previous gather step and `{ action: 'goto', next }`
+ * moves on like a transition. A key only acts as a shortcut when the whole
+ * input is that key and the step would not take it as an answer. The step
+ * history behind 'back' restarts after a step with side effects (a verify
+ * node or an `onEnter` hook), so callers cannot go back past them. A gather
+ * with `shortcuts: false` takes the keys as ordinary input, e.g. before a
+ * disclosure that no shortcut may skip.
+ * Twilio leaves `finishOnKey` out of the digits it sends, so on those gathers
+ * an empty entry is the key pressed alone: it acts as that key's shortcut, or
+ * else as no input (never a failed attempt).
+ *
+ * Call recording (the `recorder` option, e.g. lib/call-recorder.js wrapped
+ * with the session): it starts when a `startRecording` node is rendered,
+ * pauses before a `sensitive` or `secure` gather is rendered (the caller's
+ * digits are never recorded) and resumes at the next node that is neither.
+ * Its state ('in-progress', 'paused' or 'stopped') is kept in
+ * `session.recording`. It fails closed: a recording that cannot be paused is
+ * stopped for the rest of the call, and when it cannot be stopped either the
+ * gather is not rendered; the flow moves to `flow.onRecordingFailure` instead
+ * (or the call ends with systemError).
+ *
+ * Gather nodes post their input back to `/action?step=<node>&phase=input`;
+ * the prompt itself is rendered by `/action?step=<node>`. Every URL handed to
+ * Twilio passes through the `url` option (e.g. to stamp it for replay checks).
+ */
+
+const { twiml: { VoiceResponse } } = require('twilio');
+const defaultLogger = require('./logger');
+const { normalizeSpeech, speechHints } = require('./speech');
+const { interpolate } = require('./i18n');
+
+const GATHER_TYPES = ['menu', 'collect', 'choose'];
+const SHORTCUT_ACTIONS = ['repeat', 'back', 'goto'];
+// Steps remembered for the 'back' shortcut
+const MAX_HISTORY = 20;
+// Dial/Enqueue outcomes after which the next transfer destination is tried
+const TRANSFER_FAILURES = ['busy', 'no-answer', 'failed', 'queue-full', 'error', 'system-error', 'leave'];
+
+function createFlowEngine({ flow, messages, config, say, conditions = {}, validators = {}, verifiers = {}, hooks = {}, variables = {}, choices = {}, router, secureInput, recorder, url = path => path, audit = () => {}, logger = defaultLogger }) {
+  validateFlow(flow, { conditions, validators, verifiers, hooks, variables, choices, secureInput });
+  const shortcuts = flow.shortcuts || {};
+
+  // ===== HELPERS =====
+
+  function speak(parent, ref, session, vars = {}) {
+    const { message, language, values } = typeof ref === 'string' ? { message: ref } : ref;
+    const lang = languageOf(session, language);
+    return say(parent, interpolate(messages[lang][message], { ...vars, ...values }), lang);
+  }
+
+  // Language to speak in: forced, the caller's, or the default when not installed
+  function languageOf(session, forced) {
+    const lang = forced || session.language;
+    return messages[lang] ? lang : config.DEFAULT_LANGUAGE;
+  }
+
+  function resolve(value, session) {
+    if (value && typeof value === 'object' && value.when) {
+      return resolve(conditions[value.when](session) ? value.then : value.otherwise, session);
+    }
+    return value;
+  }
+
+  function advance(vr, session, next) {
+    session.currentStep = resolve(next, session);
+    vr.redirect(url('/action'));
+  }
+
+  // Values for `{placeholders}` in the node's messages
+  function varsFor(node, session) {
+    return node.variables ? variables[node.variables](session) : {};
+  }
+
+  // What a spoken answer to this gather should normalize to
+  function speechExpectation(id, node, session) {
+    const language = session.language;
+    if (node.type === 'menu') {
+      const options = Object.fromEntries(Object.entries(node.options).map(([key, option]) => [key, option.speech || []]));
+      return { expect: 'option', language, options };
+    }
+    if (node.type === 'choose') {
+      const offered = (session.choices && session.choices[id]) || [];
+      return { expect: 'option', language, options: Object.fromEntries(offered.map((choice, index) => [String(index + 1), []])) };
+    }
+    return { expect: node.speech || 'digits', language };
+  }
+
+  function speechAllowed(id, node, session) {
+    if (node.secure || node.speech === false) return false;
+    if (!config.SPEECH || !config.SPEECH.ENABLED || (session.keypadOnly || []).includes(id)) return false;
+    return !session.language || !config.SPEECH.LANGUAGES || config.SPEECH.LANGUAGES.includes(session.language);
+  }
+
+  // Keypad digits as sent, or speech normalized to them; `lowConfidence` asks for the keypad
+  function readInput(id, node, session, params) {
+    if (params.Digits || !params.SpeechResult) return { value: (params.Digits || '').replace(/\D/g, ''), source: 'dtmf' };
+    const confidence = params.Confidence === undefined ? 1 : Number(params.Confidence);
+    if (confidence < config.SPEECH.MIN_CONFIDENCE) return { value: '', source: 'speech', lowConfidence: true };
+    return { value: normalizeSpeech(params.SpeechResult, speechExpectation(id, node, session)) || '', source: 'speech' };
+  }
+
+  function renderGather(vr, id, node, session, addPrompts) {
+    const vars = varsFor(node, session);
+    const attributes = {
+      input: 'dtmf',
+      action: url(`/action?step=${id}&phase=input`),
+      method: 'POST'
+    };
+    if (node.finishOnKey) {
+      attributes.finishOnKey = node.finishOnKey;
+    } else {
+      attributes.numDigits = node.numDigits || 1;
+      // '#' would end the gather instead of reaching us as a shortcut
+      if (shortcuts['#']) attributes.finishOnKey = '';
+    }
+    if (speechAllowed(id, node, session)) {
+      Object.assign(attributes, {
+        input: 'dtmf speech',
+        language: config.LANGUAGES[languageOf(session)],
+        hints: speechHints(speechExpectation(id, node, session)).join(', '),
+        speechTimeout: 'auto'
+      });
+    }
+    const history = session.history || [];
+    if (history[history.length - 1] !== id) session.history = [...history, id].slice(-MAX_HISTORY);
+
+    const g = vr.gather(attributes);
+    [].concat(node.prompt || []).forEach(ref => speak(g, ref, session, vars));
+    if (addPrompts) addPrompts(g);
+    speak(vr, node.noInput || 'noInput', session);
+    vr.redirect(url(`/action?step=${node.onNoInput || id}`));
+  }
+
+  function retry(vr, id, node, session, track, input = {}) {
+    session.attempts[node.attempts] = (session.attempts[node.attempts] || 0) + 1;
+    track('input.invalid', {
+      counter: node.attempts,
+      attempt: session.attempts[node.attempts],
+      source: input.source || 'dtmf',
+      lowConfidence: !!input.lowConfidence
+    });
+    if (session.attempts[node.attempts] >= config.MAX_ATTEMPTS) {
+      track('flow.ended', { reason: 'too-many-attempts' });
+      speak(vr, 'tooManyAttempts', session);
+      vr.hangup();
+      return;
+    }
+    if (input.lowConfidence) {
+      // Speech is not working for this caller here; fall back to the keypad
+      session.keypadOnly = [...new Set([...(session.keypadOnly || []), id])];
+      speak(vr, 'speechFallback', session);
+    } else {
+      speak(vr, node.invalid, session);
+    }
+    vr.redirect(url(`/action?step=${id}`));
+  }
+
+  // The shortcut the caller pressed, unless this step would take the key as an answer
+  function shortcutFor(id, node, session, params) {
+    if (node.shortcuts === false) return null;
+    const key = (params.Digits || '').trim() || (emptyEntry(node, params) ? node.finishOnKey : '');
+    if (!shortcuts[key]) return null;
+    if (node.type === 'menu' && node.options[key]) return null;
+    if (node.type === 'choose' && ((session.choices || {})[id] || [])[Number(key) - 1]) return null;
+    if (node.type === 'collect' && validators[node.validator](key, node)) return null;
+    return { key, ...shortcuts[key] };
+  }
+
+  // Only finishOnKey was pressed (a timeout falls through to noInput instead)
+  function emptyEntry(node, params) {
+    return !!node.finishOnKey && !(params.Digits || '').trim() && !params.SpeechResult;
+  }
+
+  function useShortcut(vr, id, session, shortcut, track) {
+    track('shortcut', { key: shortcut.key, action: shortcut.action });
+    if (shortcut.action === 'goto') return advance(vr, session, shortcut.next);
+
+    if (shortcut.action === 'back') {
+      const history = [...(session.history || [])];
+      while (history[history.length - 1] === id) history.pop();
+      if (history.length) {
+        session.history = history;
+        session.currentStep = history[history.length - 1];
+        return vr.redirect(url('/action'));
+      }
+    }
+    // 'repeat', or 'back' with nowhere to go
+    vr.redirect(url(`/action?step=${id}`));
+  }
+
+  // ===== CALL RECORDING =====
+
+  // Start, pause or resume the recording for the node about to be rendered;
+  // false when the node must not be rendered because the caller would be recorded
+  async function controlRecording(node, session, params, log, track) {
+    if (!recorder) return true;
+    const sensitive = !!(node.sensitive || node.secure);
+    let action = null;
+    if (!session.recording) action = node.startRecording && !sensitive ? 'start' : null;
+    else if (sensitive && session.recording === 'in-progress') action = 'pause';
+    else if (!sensitive && session.recording === 'paused') action = 'resume';
+    if (!action) return true;
+
+    try {
+      await recorder[action](session, params);
+      session.recording = action === 'pause' ? 'paused' : 'in-progress';
+      track('recording', { action, result: 'ok' });
+      return true;
+    } catch (error) {
+      log.error('Error controlling the call recording', { action, error });
+      track('recording', { action, result: 'error' });
+      if (action !== 'pause') return true;
+    }
+
+    try {
+      await recorder.stop(session, params);
+      session.recording = 'stopped';
+      track('recording', { action: 'stop', result: 'ok' });
+      return true;
+    } catch (error) {
+      log.error('Error stopping the call recording', { error });
+      track('recording', { action: 'stop', result: 'error' });
+      return false;
+    }
+  }
+
+  // ===== NODE TYPES =====
+
+  const NODE_TYPES = {
+    say({ node, session, vr }) {
+      speak(vr, node.message, session, varsFor(node, session));
+      advance(vr, session, node.next);
+    },
+
+    menu({ id, node, phase, session, params, vr, track }) {
+      if (phase !== 'input') return renderGather(vr, id, node, session);
+
+      const input = readInput(id, node, session, params);
+      const option = node.options[input.value];
+      if (!option) return retry(vr, id, node, session, track, input);
+
+      Object.assign(session, option.set);
+      advance(vr, session, option.next);
+    },
+
+    collect({ id, node, phase, session, params, vr, track }) {
+      if (phase !== 'input') return renderGather(vr, id, node, session);
+
+      const input = readInput(id, node, session, params);
+      const value = input.value;
+      if (!value || !validators[node.validator](value, node)) return retry(vr, id, node, session, track, input);
+
+      if (node.secure) secureInput.put(params.CallSid, node.field, value);
+      else session[node.field] = value;
+      advance(vr, session, node.next);
+    },
+
+    async choose({ id, node, phase, session, params, vr, track }) {
+      session.choices = session.choices || {};
+
+      if (phase !== 'input') {
+        // Remember what was offered so the answer maps to the same list
+        const offered = (await choices[node.choices](session, params)).slice(0, 9);
+        if (!offered.length) return advance(vr, session, node.onEmpty);
+        session.choices[id] = offered;
+        return renderGather(vr, id, node, session, g => offered.forEach((choice, index) => {
+          speak(g, node.choicePrompt, session, { label: choice.label, digit: index + 1 });
+        }));
+      }
+
+      const offered = session.choices[id] || [];
+      const input = readInput(id, node, session, params);
+      const choice = input.value && offered[Number(input.value) - 1];
+      if (!choice) return retry(vr, id, node, session, track, input);
+
+      session[node.field] = choice;
+      delete session.choices[id];
+      advance(vr, session, node.next);
+    },
+
+    async verify({ node, session, params, vr, log, track }) {
+      try {
+        const record = await verifiers[node.verifier](session, params);
+        // Collected identity data is not kept in the session once it has been checked
+        (node.clearFields || []).forEach(field => { session[field] = null; });
+        if (record && record.locked) {
+          log.warn('Caller locked out of verification');
+          track('verification', { verifier: node.verifier, result: 'locked' });
+          advance(vr, session, node.onLocked);
+        } else if (record && !record.failed) {
+          log.info('Caller verified', { customerId: record.id });
+          track('verification', { verifier: node.verifier, result: 'passed' });
+          session.verified = true;
+          session.customerId = record.id;
+          speak(vr, node.success, session, { name: record.name });
+          advance(vr, session, node.next);
+        } else {
+          log.info('Caller verification failed');
+          track('verification', { ...(record && record.details), verifier: node.verifier, result: 'failed' });
+          speak(vr, node.failure, session);
+          (node.resetAttempts || []).forEach(key => { session.attempts[key] = 0; });
+          advance(vr, session, node.onFailure);
+        }
+      } catch (error) {
+        log.error('Error verifying caller', { error });
+        track('verification', { verifier: node.verifier, result: 'error' });
+        track('flow.ended', { reason: 'system-error' });
+        speak(vr, 'systemError', session);
+        vr.hangup();
+      }
+    },
+
+    transfer({ id, node, phase, session, params, vr, log, track }) {
+      const destinations = router.destinationsFor(session, node.route);
+
+      if (phase === 'input') {
+        const outcome = params.DialCallStatus || params.QueueResult;
+        const failed = destinations[session.transferIndex];
+        track('transfer.outcome', {
+          destination: failed && failed.name,
+          outcome,
+          ...(params.QueueTime !== undefined && { queueTime: Number(params.QueueTime) })
+        });
+        if (outcome === 'leave' && node.onLeave) {
+          log.info('Caller left the queue', { destination: failed && failed.name });
+          return advance(vr, session, node.onLeave);
+        }
+        if (!TRANSFER_FAILURES.includes(outcome)) {
+          log.info('Transfer finished', { destination: failed && failed.name, outcome });
+          vr.hangup();
+          return;
+        }
+        log.warn('Transfer destination failed', { destination: failed && failed.name, outcome });
+        session.transferIndex++;
+      } else {
+        session.transferIndex = 0;
+        if (node.message) speak(vr, node.message, session);
+      }
+
+      const destination = destinations[session.transferIndex];
+      if (!destination) {
+        track('transfer.exhausted', { destinations: destinations.length });
+        return advance(vr, session, node.onExhausted);
+      }
+
+      log.info('Transferring call', { questionType: session.questionType, destination: destination.name, type: destination.type });
+      track('transfer.dial', { destination: destination.name, destinationType: destination.type });
+      router.dial(vr, destination, { action: url(`/action?step=${id}&phase=input`), session, callSid: params.CallSid });
+    },
+
+    hangup({ node, session, vr, track }) {
+      track('flow.ended', { reason: 'completed' });
+      speak(vr, node.message, session, varsFor(node, session));
+      vr.hangup();
+    },
+
+    record({ id, node, phase, session, vr }) {
+      if (phase === 'input') return advance(vr, session, node.next);
+
+      const transcribe = !!resolve(node.transcribe, session);
+      speak(vr, node.prompt, session);
+      vr.record({
+        action: url(`/action?step=${id}&phase=input`),
+        method: 'POST',
+        maxLength: node.maxLength || 120,
+        finishOnKey: '#',
+        playBeep: true,
+        recordingStatusCallback: node.recordingStatusCallback,
+        recordingStatusCallbackMethod: 'POST',
+        transcribe,
+        transcribeCallback: transcribe ? node.transcribeCallback : undefined
+      });
+    }
+  };
+
+  // ===== PUBLIC API =====
+
+  async function run({ step, phase, session, params }) {
+    const vr = new VoiceResponse();
+    const node = flow.nodes[step];
+    const log = logger.child({ callSid: params.CallSid, step });
+    const track = (type, details) => audit(type, { callSid: params.CallSid, step, session, ...details });
+
+    if (!node) {
+      log.error('Unknown flow step');
+      track('flow.ended', { reason: 'system-error' });
+      speak(vr, 'systemError', session);
+      vr.hangup();
+      return vr.toString();
+    }
+
+    if (phase !== 'input') {
+      track('step');
+      if (!(await controlRecording(node, session, params, log, track))) {
+        if (flow.onRecordingFailure) {
+          advance(vr, session, flow.onRecordingFailure);
+        } else {
+          track('flow.ended', { reason: 'system-error' });
+          speak(vr, 'systemError', session);
+          vr.hangup();
+        }
+        return vr.toString();
+      }
+      if (node.onEnter || node.type === 'verify') session.history = [];
+      if (node.onEnter) await hooks[node.onEnter](session, params);
+    } else if (GATHER_TYPES.includes(node.type)) {
+      const shortcut = shortcutFor(step, node, session, params);
+      if (shortcut) {
+        useShortcut(vr, step, session, shortcut, track);
+        return vr.toString();
+      }
+      if (emptyEntry(node, params)) {
+        speak(vr, node.noInput || 'noInput', session);
+        vr.redirect(url(`/action?step=${node.onNoInput || step}`));
+        return vr.toString();
+      }
+    }
+    await NODE_TYPES[node.type]({ id: step, node, phase, session, params, vr, log, track });
+    return vr.toString();
+  }
+
+  return { run, start: flow.start };
+}
+
+// Fail at startup rather than mid-call when a flow references something missing
+function validateFlow(flow, { conditions, validators, verifiers, hooks = {}, variables = {}, choices = {}, secureInput }) {
+  const ids = Object.keys(flow.nodes);
+  const fail = (id, problem) => { throw new Error(`Flow node "${id}" ${problem}`); };
+
+  function checkTarget(id, target) {
+    if (target && typeof target === 'object') {
+      if (!conditions[target.when]) fail(id, `uses unknown condition "${target.when}"`);
+      checkTarget(id, target.then);
+      checkTarget(id, target.otherwise);
+    } else if (!ids.includes(target)) {
+      fail(id, `points to unknown node "${target}"`);
+    }
+  }
+
+  // Conditional values that are not node ids (transcribe)
+  function checkCondition(id, value) {
+    if (value && typeof value === 'object' && !conditions[value.when]) {
+      fail(id, `uses unknown condition "${value.when}"`);
+    }
+  }
+
+  if (!ids.includes(flow.start)) throw new Error(`Flow start node "${flow.start}" does not exist`);
+  if (flow.onRecordingFailure) checkTarget('onRecordingFailure', flow.onRecordingFailure);
+
+  Object.entries(flow.shortcuts || {}).forEach(([key, shortcut]) => {
+    if (!/^[0-9*#]$/.test(key)) throw new Error(`Shortcut "${key}" is not a single keypad key`);
+    if (!SHORTCUT_ACTIONS.includes(shortcut.action)) throw new Error(`Shortcut "${key}" has unknown action "${shortcut.action}"`);
+    if (shortcut.action === 'goto') checkTarget(`shortcut ${key}`, shortcut.next);
+  });
+
+  ids.forEach(id => {
+    const node = flow.nodes[id];
+    if (node.shortcuts !== undefined && node.shortcuts !== false) fail(id, 'can only turn shortcuts off (shortcuts: false)');
+    switch (node.type) {
+      case 'say':
+        checkTarget(id, node.next);
+        break;
+      case 'menu':
+        if (!node.options || !Object.keys(node.options).length) fail(id, 'has no options');
+        Object.values(node.options).forEach(option => checkTarget(id, option.next));
+        break;
+      case 'choose':
+        if (!choices[node.choices]) fail(id, `uses unknown choices provider "${node.choices}"`);
+        if (!node.field) fail(id, 'has no field to store the choice in');
+        checkTarget(id, node.next);
+        checkTarget(id, node.onEmpty);
+        break;
+      case 'collect':
+        if (!validators[node.validator]) fail(id, `uses unknown validator "${node.validator}"`);
+        if (!node.field) fail(id, 'has no field to store input in');
+        if (node.secure && !secureInput) fail(id, 'is secure but no secureInput store was given');
+        checkTarget(id, node.next);
+        break;
+      case 'verify':
+        if (!verifiers[node.verifier]) fail(id, `uses unknown verifier "${node.verifier}"`);
+        checkTarget(id, node.next);
+        checkTarget(id, node.onFailure);
+        if (node.onLocked) checkTarget(id, node.onLocked);
+        break;
+      case 'transfer':
+        checkTarget(id, node.onExhausted);
+        if (node.onLeave) checkTarget(id, node.onLeave);
+        break;
+      case 'hangup':
+        break;
+      case 'record':
+        checkCondition(id, node.transcribe);
+        checkTarget(id, node.next);
+        break;
+      default:
+        fail(id, `has unknown type "${node.type}"`);
+    }
+    if (GATHER_TYPES.includes(node.type) && !node.attempts) fail(id, 'has no attempts counter');
+    if (node.sensitive && !GATHER_TYPES.includes(node.type)) fail(id, 'is sensitive but gathers nothing');
+    if (node.onNoInput) checkTarget(id, node.onNoInput);
+    if (node.onEnter && !hooks[node.onEnter]) fail(id, `uses unknown hook "${node.onEnter}"`);
+    if (node.variables && !variables[node.variables]) fail(id, `uses unknown variables provider "${node.variables}"`);
+  });
+}
+
+module.exports = { createFlowEngine, validateFlow, TRANSFER_FAILURES };
@@ -0,0 +1,75 @@
+/**
+ * Graceful shutdown of the HTTP server
+ *
+ * shutdown(signal) runs once: `beforeClose()` (fail readiness, stop the
+ * background workers), then the server stops accepting connections and
+ * waits for the requests in flight (Twilio webhooks mid-call) to be
+ * answered, then for the `background` work they left running (audit
+ * writes, CRM posts, worker passes), before `exit(0)`. Keep-alive
+ * connections are closed as soon as they are idle. Anything still running
+ * after `timeoutSeconds` is cut off with `exit(1)`.
+ *
+ *   const background = createBackgroundWork();
+ *   background.track(crmWebhook.send(event, data));
+ *   const shutdown = createGracefulShutdown({ server, background, timeoutSeconds: 20 });
+ *   process.on('SIGTERM', () => shutdown('SIGTERM'));
+ */
+
+const defaultLogger = require('./logger');
+
+// How often connections that finished their last response are closed while draining
+const IDLE_SWEEP_MS = 100;
+
+// Fire-and-forget work the process should finish before it exits
+function createBackgroundWork() {
+  const pending = new Set();
+
+  return {
+    // Returns `promise`; its outcome is left to the caller
+    track(promise) {
+      const settled = Promise.resolve(promise).catch(() => {}).finally(() => pending.delete(settled));
+      pending.add(settled);
+      return promise;
+    },
+
+    // Resolves once nothing is pending, including work started while waiting
+    async settled() {
+      while (pending.size) await Promise.all(pending);
+    },
+
+    get size() {
+      return pending.size;
+    }
+  };
+}
+
+function createGracefulShutdown({ server, timeoutSeconds, beforeClose = () => {}, background = createBackgroundWork(), exit = code => process.exit(code), logger = defaultLogger }) {
+  let started = false;
+
+  return function shutdown(signal) {
+    if (started) return;
+    started = true;
+    logger.info('Shutting down; draining in-flight requests', { signal, timeoutSeconds });
+    beforeClose();
+
+    const timer = setTimeout(() => {
+      logger.error('Requests or background work still running at the shutdown timeout; exiting', { timeoutSeconds, background: background.size });
+      exit(1);
+    }, timeoutSeconds * 1000);
+    timer.unref();
+    const sweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+    sweep.unref();
+
+    server.close(async error => {
+      clearInterval(sweep);
+      if (error) logger.error('Error closing the server', { error });
+      else logger.info('Server closed; waiting for background work', { background: background.size });
+      await background.settled();
+      clearTimeout(timer);
+      exit(error ? 1 : 0);
+    });
+    server.closeIdleConnections();
+  };
+}
+
+module.exports = { createGracefulShutdown, createBackgroundWork };
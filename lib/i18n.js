@@ -0,0 +1,73 @@
+/**
+ * Message catalogs
+ *
+ * One flat JSON file per language in locales/ (`<code>.json`, e.g. pt.json),
+ * mapping message keys to text. Messages take `{placeholders}`, filled by
+ * interpolate(). A language is installed by adding its file; the language
+ * menu is generated from whatever is installed.
+ *
+ * The default language's catalog is the reference: every other catalog must
+ * have exactly its keys, with the same placeholders, or loading fails at
+ * startup listing every problem.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Fill `{name}` placeholders; unknown ones are left as they are
+function interpolate(template, values = {}) {
+  return template.replace(PLACEHOLDER, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+function placeholdersOf(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))].sort();
+}
+
+function checkCatalogs(catalogs, defaultLanguage) {
+  const reference = catalogs[defaultLanguage];
+  if (!reference) throw new Error(`No message catalog for the default language "${defaultLanguage}"`);
+
+  const problems = [];
+  Object.entries(catalogs).forEach(([language, catalog]) => {
+    Object.entries(reference).forEach(([key, template]) => {
+      if (typeof catalog[key] !== 'string') {
+        problems.push(`${language}: missing "${key}"`);
+        return;
+      }
+      const expected = placeholdersOf(template).join(', ');
+      const actual = placeholdersOf(catalog[key]).join(', ');
+      if (expected !== actual) problems.push(`${language}: "${key}" must use placeholders {${expected}}, found {${actual}}`);
+    });
+    Object.keys(catalog)
+      .filter(key => !(key in reference))
+      .forEach(key => problems.push(`${language}: unknown key "${key}"`));
+  });
+
+  if (problems.length) throw new Error(`Message catalogs are incomplete:\n- ${problems.join('\n- ')}`);
+}
+
+// { <language>: { key: message } } for every catalog in `dir`
+function loadCatalogs({ dir, defaultLanguage }) {
+  const catalogs = Object.fromEntries(fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))]));
+  checkCatalogs(catalogs, defaultLanguage);
+  return catalogs;
+}
+
+// Installed languages in menu order: the default first, then alphabetical
+function installedLanguages(catalogs, defaultLanguage) {
+  return [defaultLanguage, ...Object.keys(catalogs).filter(language => language !== defaultLanguage).sort()];
+}
+
+// What callers may call `language` in any installed language ("spanish", "español", ...)
+function languageNames(language, languages) {
+  return [...new Set(languages.map(displayLanguage => (
+    new Intl.DisplayNames([displayLanguage], { type: 'language' }).of(language).toLowerCase()
+  )))];
+}
+
+module.exports = { interpolate, placeholdersOf, checkCatalogs, loadCatalogs, installedLanguages, languageNames };
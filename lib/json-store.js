@@ -0,0 +1,71 @@
+/**
+ * JSON file persistence shared by the file-backed stores.
+ *
+ * The file is read once and kept in memory. Changes go through a single
+ * write queue and are written to a temp file that is renamed over the
+ * original, so concurrent updates cannot overwrite each other and a crash
+ * never leaves a truncated file behind.
+ *
+ *   const store = createJsonStore({ file, initial: () => [] });
+ *   const items = await store.read();
+ *   await store.update(items => { items.push(item); return item; });
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+function createJsonStore({ file, initial = () => [], onLoad }) {
+  let loading = null;
+  let data = null;
+  let queue = Promise.resolve();
+
+  // Run `task` after every previously queued write has finished
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function persist() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 4));
+    await fs.rename(tmp, file);
+  }
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          data = initial();
+        }
+        // onLoad may fix up the data; returning true persists the fix
+        if (onLoad && (await onLoad(data))) await enqueue(persist);
+      })();
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  return {
+    async read() {
+      await load();
+      return data;
+    },
+
+    // `mutate` changes the data in place; its return value is passed through
+    async update(mutate) {
+      await load();
+      return enqueue(async () => {
+        const result = await mutate(data);
+        await persist();
+        return result;
+      });
+    }
+  };
+}
+
+module.exports = { createJsonStore };
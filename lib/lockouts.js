@@ -0,0 +1,98 @@
+/**
+ * Verification lockouts across calls (JSON file).
+ *
+ * Failed identity checks are counted per scope, e.g. the calling number
+ * ('caller') and the customer record the caller was trying to match
+ * ('customer'). Each scope has its own policy:
+ *
+ *   { maxFailures: 5, windowMinutes: 60, lockMinutes: 1440 }
+ *
+ * `maxFailures` failures within `windowMinutes` lock that caller or record
+ * for `lockMinutes`; while locked, verification is refused even with the
+ * right answers. A successful verification clears the failure count. Locks
+ * end on their own or through unlock() (admin API).
+ */
+
+const { createJsonStore } = require('./json-store');
+
+function createLockoutStore({ file, policies, now = () => new Date() }) {
+  const store = createJsonStore({ file });
+
+  function find(entries, scope, id) {
+    return entries.find(entry => entry.scope === scope && entry.id === id);
+  }
+
+  function isLocked(entry, at) {
+    return !!entry && !!entry.lockedUntil && new Date(entry.lockedUntil) > at;
+  }
+
+  // Entries with nothing left to remember are dropped
+  function prune(entries, at) {
+    for (let index = entries.length - 1; index >= 0; index--) {
+      const entry = entries[index];
+      const windowStart = at.getTime() - policies[entry.scope].windowMinutes * 60000;
+      entry.failures = entry.failures.filter(stamp => new Date(stamp).getTime() > windowStart);
+      if (!entry.failures.length && !isLocked(entry, at)) entries.splice(index, 1);
+    }
+  }
+
+  return {
+    // When `id` is locked in `scope`, the time the lock ends; null otherwise
+    async lockedUntil(scope, id) {
+      const entry = find(await store.read(), scope, id);
+      return isLocked(entry, now()) ? new Date(entry.lockedUntil) : null;
+    },
+
+    // Count a failure; returns { locked, lockedUntil } with `locked` true when this failure set the lock
+    recordFailure(scope, id) {
+      const policy = policies[scope];
+      if (!policy) throw new Error(`No lockout policy for "${scope}"`);
+      return store.update(entries => {
+        const at = now();
+        prune(entries, at);
+        let entry = find(entries, scope, id);
+        if (!entry) {
+          entry = { scope, id, failures: [], lockedAt: null, lockedUntil: null };
+          entries.push(entry);
+        }
+        entry.failures.push(at.toISOString());
+        if (isLocked(entry, at) || entry.failures.length < policy.maxFailures) {
+          return { locked: false, lockedUntil: isLocked(entry, at) ? entry.lockedUntil : null };
+        }
+        entry.lockedAt = at.toISOString();
+        entry.lockedUntil = new Date(at.getTime() + policy.lockMinutes * 60000).toISOString();
+        entry.failures = [];
+        return { locked: true, lockedUntil: entry.lockedUntil };
+      });
+    },
+
+    recordSuccess(scope, id) {
+      return store.update(entries => {
+        const entry = find(entries, scope, id);
+        if (entry) entry.failures = [];
+        prune(entries, now());
+      });
+    },
+
+    // Current locks, soonest to end first
+    async list() {
+      const at = now();
+      return (await store.read())
+        .filter(entry => isLocked(entry, at))
+        .map(({ scope, id, lockedAt, lockedUntil }) => ({ scope, id, lockedAt, lockedUntil }))
+        .sort((a, b) => a.lockedUntil.localeCompare(b.lockedUntil));
+    },
+
+    // Lift a lock and forget its failures; false when it was not locked
+    unlock(scope, id) {
+      return store.update(entries => {
+        const entry = find(entries, scope, id);
+        const wasLocked = isLocked(entry, now());
+        if (entry) entries.splice(entries.indexOf(entry), 1);
+        return wasLocked;
+      });
+    }
+  };
+}
+
+module.exports = { createLockoutStore };
@@ -0,0 +1,70 @@
+/**
+ * Structured logger
+ *
+ * Writes one JSON object per line: { time, level, msg, ...fields }.
+ * Identity data is redacted by default, both by field name (at any depth)
+ * and by value pattern for phone numbers that end up inside free text.
+ * Set LOG_REDACT=false only for local debugging with dummy data.
+ *
+ *   const logger = require('./lib/logger');
+ *   const log = logger.child({ callSid });
+ *   log.info('Language selected', { language: 'es' });
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Compared case-insensitively against field names; includes the caller details
+// Twilio adds to webhooks (FromZip, CallerName, ...), since ZIP is also a verification factor
+const SENSITIVE_FIELDS = [
+  'last4ssn', 'ssn', 'dob', 'zip', 'accountnumber', 'otp', 'pin',
+  'phonenumber', 'from', 'to', 'caller', 'called', 'callerid', 'callername', 'forwardedfrom',
+  ...['from', 'to', 'caller', 'called'].flatMap(party => ['zip', 'city', 'state', 'country'].map(field => party + field)),
+  'digits', 'speechresult'
+];
+// E.164 (+15551234567) and US formats ((555) 123-4567, 555.123.4567)
+const PHONE_PATTERN = /\+\d{8,15}\b|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+
+function redact(value, key) {
+  if (key && SENSITIVE_FIELDS.includes(key.toLowerCase()) && typeof value === 'string' && value !== '') {
+    return REDACTED;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redact(value.message), stack: redact(value.stack) };
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  if (typeof value === 'string') return value.replace(PHONE_PATTERN, REDACTED);
+  return value;
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  redactEnabled = process.env.LOG_REDACT !== 'false',
+  bindings = {},
+  write = line => process.stdout.write(line + '\n')
+} = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: levelName, msg, ...bindings, ...fields };
+    write(JSON.stringify(redactEnabled ? redact(entry) : entry, (key, value) => (
+      value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value
+    )));
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: extra => createLogger({ level, redactEnabled, bindings: { ...bindings, ...extra }, write })
+  };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
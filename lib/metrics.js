@@ -0,0 +1,151 @@
+/**
+ * Prometheus metrics
+ *
+ * A registry of the three instrument kinds the server needs, rendered in the
+ * Prometheus text exposition format (version 0.0.4):
+ *
+ * - counter({ name, help, labels })             .inc(labels, by = 1)
+ * - histogram({ name, help, labels, buckets })  .observe(labels, value)
+ * - gauge({ name, help, labels, collect })      .inc/.dec(labels), or read at
+ *                                               scrape time from `collect()`
+ *                                               (a number, or [{ labels, value }])
+ *
+ * `labels` lists the label names; every update passes values for all of them.
+ * Values live in this process's memory and start again at zero on restart,
+ * as Prometheus expects of counters.
+ */
+
+const defaultLogger = require('./logger');
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  const entries = Object.entries(pairs);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createMetrics({ logger = defaultLogger } = {}) {
+  const instruments = [];
+
+  function register({ name, help, labels = [] }, type) {
+    if (!NAME_PATTERN.test(name)) throw new Error(`Invalid metric name "${name}"`);
+    if (instruments.some(instrument => instrument.name === name)) throw new Error(`Metric "${name}" is already registered`);
+    labels.forEach(label => {
+      if (!LABEL_PATTERN.test(label) || label === 'le') throw new Error(`Metric "${name}" has invalid label "${label}"`);
+    });
+    const series = new Map();
+    const instrument = {
+      name,
+      help,
+      type,
+      labels,
+      series,
+      // Every label with its value, '' when not given
+      pairsFor(values = {}) {
+        return Object.fromEntries(labels.map(label => [label, values[label] === undefined ? '' : String(values[label])]));
+      },
+      // The series for these label values, created on first use
+      seriesFor(values, create) {
+        const pairs = instrument.pairsFor(values);
+        const key = JSON.stringify(pairs);
+        if (!series.has(key)) series.set(key, { pairs, ...create() });
+        return series.get(key);
+      }
+    };
+    instruments.push(instrument);
+    return instrument;
+  }
+
+  function header({ name, help, type }) {
+    return [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`];
+  }
+
+  async function renderInstrument(instrument) {
+    const lines = header(instrument);
+    if (instrument.type === 'histogram') {
+      instrument.series.forEach(({ pairs, counts, sum, count }) => {
+        instrument.buckets.forEach((bound, index) => {
+          lines.push(`${instrument.name}_bucket${formatLabels({ ...pairs, le: formatValue(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${instrument.name}_bucket${formatLabels({ ...pairs, le: '+Inf' })} ${count}`);
+        lines.push(`${instrument.name}_sum${formatLabels(pairs)} ${formatValue(sum)}`);
+        lines.push(`${instrument.name}_count${formatLabels(pairs)} ${count}`);
+      });
+      return lines;
+    }
+
+    if (instrument.collect) {
+      const collected = await instrument.collect();
+      const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+      samples.forEach(({ labels, value }) => {
+        lines.push(`${instrument.name}${formatLabels(instrument.pairsFor(labels))} ${formatValue(value)}`);
+      });
+      return lines;
+    }
+    instrument.series.forEach(({ pairs, value }) => lines.push(`${instrument.name}${formatLabels(pairs)} ${formatValue(value)}`));
+    return lines;
+  }
+
+  return {
+    counter(options) {
+      const instrument = register(options, 'counter');
+      return {
+        inc(labels, by = 1) {
+          if (!(by >= 0)) throw new Error(`Counter "${instrument.name}" can only go up`);
+          instrument.seriesFor(labels, () => ({ value: 0 })).value += by;
+        }
+      };
+    },
+
+    histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+      const instrument = register(options, 'histogram');
+      instrument.buckets = [...buckets].sort((a, b) => a - b);
+      return {
+        observe(labels, value) {
+          const entry = instrument.seriesFor(labels, () => ({ counts: instrument.buckets.map(() => 0), sum: 0, count: 0 }));
+          instrument.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    gauge({ collect, ...options }) {
+      const instrument = register(options, 'gauge');
+      instrument.collect = collect;
+      return {
+        inc(labels, by = 1) {
+          instrument.seriesFor(labels, () => ({ value: 0 })).value += by;
+        },
+        dec(labels, by = 1) {
+          instrument.seriesFor(labels, () => ({ value: 0 })).value -= by;
+        }
+      };
+    },
+
+    // Every metric in the text exposition format; a failing `collect` leaves its gauge out
+    async render() {
+      const blocks = await Promise.all(instruments.map(instrument => renderInstrument(instrument).catch(error => {
+        logger.error('Error collecting metric', { error, metric: instrument.name });
+        return null;
+      })));
+      return blocks.filter(Boolean).map(lines => lines.join('\n')).join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = { createMetrics };
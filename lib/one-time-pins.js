@@ -0,0 +1,54 @@
+/**
+ * One-time PINs for identity verification
+ *
+ * A PIN is issued per call for one customer and texted to the number on
+ * their record. It lives in this process's memory only, for `ttlSeconds`,
+ * and is used up by the first check, right or wrong. A call may hold a PIN
+ * issued for nobody (no single customer matched so far): it never checks,
+ * so the caller is treated exactly as if a PIN had been sent.
+ */
+
+const crypto = require('crypto');
+
+function createOneTimePins({ digits = 6, ttlSeconds, now = Date.now }) {
+  const calls = new Map();
+
+  function entryFor(callSid) {
+    const entry = calls.get(callSid);
+    if (entry && entry.expiresAt <= now()) {
+      calls.delete(callSid);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    // A new PIN for `customerId` (or null), replacing any the call holds
+    issue(callSid, customerId) {
+      const pin = String(crypto.randomInt(0, 10 ** digits)).padStart(digits, '0');
+      calls.set(callSid, { pin, customerId, expiresAt: now() + ttlSeconds * 1000 });
+      return pin;
+    },
+
+    // True while the call holds an unexpired PIN
+    pending(callSid) {
+      return !!entryFor(callSid);
+    },
+
+    // True when `pin` is the one issued to this call for `customerId`; the PIN is used up either way
+    check(callSid, customerId, pin) {
+      const entry = entryFor(callSid);
+      calls.delete(callSid);
+      if (!entry || entry.customerId == null || entry.customerId !== customerId || typeof pin !== 'string') return false;
+      const expected = Buffer.from(entry.pin);
+      const given = Buffer.from(pin);
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    },
+
+    delete(callSid) {
+      calls.delete(callSid);
+    }
+  };
+}
+
+module.exports = { createOneTimePins };
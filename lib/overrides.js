@@ -0,0 +1,159 @@
+/**
+ * Runtime overrides made through the admin API
+ *
+ * Supervisors may change a declared set of CONFIG values and any prompt text
+ * without a restart. Changes are validated, applied to the live objects
+ * (CONFIG and the message catalogs are shared by reference with the flow
+ * engine, routing and business hours) and saved to `file`, which is applied
+ * again at startup on top of the shipped defaults.
+ *
+ * Settings are declared by CONFIG path:
+ *
+ *   { 'BUSINESS_HOURS.CLOSURES': { description, validate(value) } }
+ *
+ * where validate throws an Error describing what is wrong. Lists and objects
+ * are replaced in place, so modules holding a reference see the new value.
+ * Prompt overrides must keep the placeholders of the default language.
+ */
+
+const defaultLogger = require('./logger');
+const { createJsonStore } = require('./json-store');
+const { placeholdersOf } = require('./i18n');
+
+function getPath(target, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), target);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const parent = getPath(target, keys.slice(0, -1).join('.')) || target;
+  const key = keys[keys.length - 1];
+  const current = parent[key];
+  if (Array.isArray(current) && Array.isArray(value)) {
+    current.splice(0, current.length, ...value);
+  } else if (isPlainObject(current) && isPlainObject(value)) {
+    Object.keys(current).forEach(name => delete current[name]);
+    Object.assign(current, value);
+  } else {
+    parent[key] = value;
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createOverrides({ file, config, settings, messages, defaultLanguage, logger = defaultLogger }) {
+  const store = createJsonStore({ file, initial: () => ({ settings: {}, messages: {} }) });
+  // Shipped values, restored when an override is removed
+  const defaults = {
+    settings: Object.fromEntries(Object.keys(settings).map(name => [name, clone(getPath(config, name))])),
+    messages: clone(messages)
+  };
+
+  // Problem with setting `name` to `value`, or null when it may be applied
+  function checkSetting(name, value) {
+    if (!settings[name]) return `Unknown setting "${name}"`;
+    if (value === undefined) return 'A value is required';
+    try {
+      settings[name].validate(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  // Problem with prompt `key` in `language` reading `text`, or null
+  function checkMessage(language, key, text) {
+    if (!messages[language]) return `Unknown language "${language}"`;
+    if (!(key in messages[defaultLanguage])) return `Unknown prompt "${key}"`;
+    if (typeof text !== 'string' || !text.trim()) return 'Prompt text is required';
+    const expected = placeholdersOf(defaults.messages[defaultLanguage][key]).join(', ');
+    const actual = placeholdersOf(text).join(', ');
+    return expected === actual ? null : `"${key}" must use placeholders {${expected}}, found {${actual}}`;
+  }
+
+  function saved(mutate) {
+    return store.update(data => {
+      mutate(data);
+      return data;
+    });
+  }
+
+  return {
+    checkSetting,
+    checkMessage,
+
+    // Apply the saved overrides; ones that no longer validate are skipped
+    async load() {
+      const data = await store.read();
+      Object.entries(data.settings).forEach(([name, value]) => {
+        const problem = checkSetting(name, value);
+        if (problem) return logger.warn('Ignoring saved setting override', { setting: name, problem });
+        setPath(config, name, clone(value));
+      });
+      Object.entries(data.messages).forEach(([language, overrides]) => {
+        Object.entries(overrides).forEach(([key, text]) => {
+          const problem = checkMessage(language, key, text);
+          if (problem) return logger.warn('Ignoring saved prompt override', { language, key, problem });
+          messages[language][key] = text;
+        });
+      });
+    },
+
+    settings() {
+      return Object.entries(settings).map(([name, { description }]) => ({
+        name,
+        description,
+        value: clone(getPath(config, name)),
+        default: clone(defaults.settings[name])
+      }));
+    },
+
+    async setSetting(name, value) {
+      const problem = checkSetting(name, value);
+      if (problem) throw new Error(problem);
+      await saved(data => { data.settings[name] = clone(value); });
+      setPath(config, name, clone(value));
+      logger.info('Setting changed', { setting: name });
+    },
+
+    async resetSetting(name) {
+      if (!settings[name]) throw new Error(`Unknown setting "${name}"`);
+      await saved(data => { delete data.settings[name]; });
+      setPath(config, name, clone(defaults.settings[name]));
+      logger.info('Setting reset', { setting: name });
+    },
+
+    // [{ key, text, default }] for every prompt of `language`
+    messages(language) {
+      if (!messages[language]) return null;
+      return Object.keys(messages[defaultLanguage]).map(key => ({
+        key,
+        text: messages[language][key],
+        default: defaults.messages[language][key]
+      }));
+    },
+
+    async setMessage(language, key, text) {
+      const problem = checkMessage(language, key, text);
+      if (problem) throw new Error(problem);
+      await saved(data => { data.messages[language] = { ...data.messages[language], [key]: text }; });
+      messages[language][key] = text;
+      logger.info('Prompt changed', { language, key });
+    },
+
+    async resetMessage(language, key) {
+      if (!messages[language] || !(key in messages[defaultLanguage])) throw new Error(`Unknown prompt "${language}/${key}"`);
+      await saved(data => {
+        if (data.messages[language]) delete data.messages[language][key];
+      });
+      messages[language][key] = defaults.messages[language][key];
+      logger.info('Prompt reset', { language, key });
+    }
+  };
+}
+
+module.exports = { createOverrides };
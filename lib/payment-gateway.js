@@ -0,0 +1,81 @@
+/**
+ * Payment gateway
+ *
+ * The interface used to take card payments:
+ *
+ * - charge({ amountCents, currency, card: { number, expMonth, expYear, cvc }, reference })
+ *     -> { approved, transactionId, declineCode }
+ *
+ * A declined card is a normal answer ({ approved: false, declineCode });
+ * charge() only throws when the processor could not be reached or answered
+ * with an error, in which case the card may or may not have been charged and
+ * charging it again could take the money twice.
+ *
+ * createHttpPaymentGateway() posts the charge as JSON to a processor
+ * endpoint and gives up after `timeoutSeconds`, so a stalled processor cannot
+ * hold the Twilio webhook past its own 15 second limit;
+ * createFakePaymentGateway() approves every card except the DECLINED_CARDS
+ * test numbers, charges the UNCONFIRMED_CARDS ones and then fails as if the
+ * answer was lost, and records what it charged (never the full card number),
+ * for tests and local development. createPaymentGateway() picks one by name and
+ * never picks the fake one in production.
+ */
+
+const crypto = require('crypto');
+
+// Well-known test card numbers the fake gateway declines
+const DECLINED_CARDS = {
+  '4000000000000002': 'card_declined',
+  '4000000000009995': 'insufficient_funds'
+};
+
+// Test card numbers the fake gateway charges and then fails, like a timeout after the charge
+const UNCONFIRMED_CARDS = ['4000000000000119'];
+
+function createHttpPaymentGateway({ url, apiKey, timeoutSeconds = 10 }) {
+  return {
+    async charge({ amountCents, currency, card, reference }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({ amount: amountCents, currency, card, reference }),
+        signal: AbortSignal.timeout(timeoutSeconds * 1000)
+      });
+      if (!response.ok) throw new Error(`Payment gateway answered ${response.status}`);
+      const { approved, transactionId = null, declineCode = null } = await response.json();
+      return { approved: !!approved, transactionId, declineCode };
+    }
+  };
+}
+
+function createFakePaymentGateway({ decline = card => DECLINED_CARDS[card.number] || null } = {}) {
+  const charges = [];
+
+  return {
+    charges,
+
+    // `decline(card)` may return a decline code to simulate a refused card
+    async charge({ amountCents, currency, card, reference }) {
+      const declineCode = decline(card);
+      const transactionId = declineCode ? null : `fake_${crypto.randomBytes(8).toString('hex')}`;
+      charges.push({ amountCents, currency, cardLast4: card.number.slice(-4), reference, transactionId, declineCode });
+      if (UNCONFIRMED_CARDS.includes(card.number)) throw new Error('Fake payment gateway timed out after charging the card');
+      return { approved: !declineCode, transactionId, declineCode };
+    }
+  };
+}
+
+// 'http' needs a `url`; 'fake' is refused in production, where it would approve every card
+function createPaymentGateway({ gateway, url, apiKey, timeoutSeconds, production = process.env.NODE_ENV === 'production' }) {
+  if (gateway === 'http') {
+    if (!url) throw new Error('The http payment gateway needs PAYMENT_GATEWAY_URL');
+    return createHttpPaymentGateway({ url, apiKey, timeoutSeconds });
+  }
+  if (gateway === 'fake') {
+    if (production) throw new Error('The fake payment gateway approves every card and cannot be used in production; set PAYMENT_GATEWAY_URL');
+    return createFakePaymentGateway();
+  }
+  throw new Error(`Unknown payment gateway "${gateway}" (expected one of: http, fake)`);
+}
+
+module.exports = { createPaymentGateway, createHttpPaymentGateway, createFakePaymentGateway, DECLINED_CARDS, UNCONFIRMED_CARDS };
@@ -0,0 +1,60 @@
+/**
+ * Hold-queue statistics
+ *
+ * Fed with the calls entering and leaving each <Enqueue> waiting room:
+ *
+ * - enqueued(queue, callSid)                     the caller was put on hold
+ * - dequeued(callSid, { outcome, waitSeconds })  they left it (QueueResult;
+ *                                                'bridged' when an agent took them)
+ *
+ * The estimated wait of a caller at a given position is that position times
+ * the average gap between the answers of the last `windowMinutes`; with a
+ * single answer in the window, that caller's own wait. It is null without
+ * answers, so callers only hear their position. Statistics live in this
+ * process's memory only.
+ */
+
+function createQueueStats({ windowMinutes = 30, now = () => new Date() } = {}) {
+  // callSid -> { queue, since }
+  const waiting = new Map();
+  // queue -> [{ at, waitSeconds }] by answer time
+  const answers = new Map();
+
+  function recentAnswers(queue) {
+    const after = now().getTime() - windowMinutes * 60000;
+    const recent = (answers.get(queue) || []).filter(answer => answer.at > after);
+    answers.set(queue, recent);
+    return recent;
+  }
+
+  return {
+    enqueued(queue, callSid) {
+      waiting.set(callSid, { queue, since: now().getTime() });
+    },
+
+    // `waitSeconds` is Twilio's QueueTime; the action reporting a bridged call may come much later
+    dequeued(callSid, { outcome, waitSeconds } = {}) {
+      const entry = waiting.get(callSid);
+      if (!entry) return;
+      waiting.delete(callSid);
+      if (outcome !== 'bridged') return;
+
+      const seconds = Number.isFinite(waitSeconds) ? waitSeconds : (now().getTime() - entry.since) / 1000;
+      const recent = recentAnswers(entry.queue);
+      recent.push({ at: entry.since + seconds * 1000, waitSeconds: seconds });
+      recent.sort((a, b) => a.at - b.at);
+    },
+
+    // Seconds until the caller, `position` in their queue, is likely answered; null when unknown
+    estimatedWaitSeconds(callSid, position) {
+      const entry = waiting.get(callSid);
+      const recent = entry ? recentAnswers(entry.queue) : [];
+      if (!recent.length || !(position >= 1)) return null;
+      if (recent.length === 1) return recent[0].waitSeconds;
+      const gap = (recent[recent.length - 1].at - recent[0].at) / 1000 / (recent.length - 1);
+      return Math.round(position * gap);
+    }
+  };
+}
+
+module.exports = { createQueueStats };
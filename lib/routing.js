@@ -0,0 +1,115 @@
+/**
+ * Transfer routing table
+ *
+ * DESTINATIONS describe where a call can go:
+ *
+ * - { type: 'number',  to: '+1...' | CONFIG key }        <Dial><Number>
+ * - { type: 'sip',     to: 'sip:agent@example.com' }     <Dial><Sip>
+ * - { type: 'queue',   to: '<task queue>', workflowSid } TaskRouter <Enqueue workflowSid>
+ * - { type: 'enqueue', to: '<queue name>', waitUrl }     plain <Enqueue> waiting room
+ *
+ * `callerId` (number and sip only) is 'caller' to pass the customer's own
+ * number through, a CONFIG key such as 'TWILIO_PHONE', or an E.164 number.
+ * `timeout` is the ring time in seconds. `whisper: true` (number and sip
+ * only) makes the agent hear the caller's context and press 1 before the
+ * call is connected; the router's `whisperUrl(callSid)` serves that prompt.
+ *
+ * RULES are checked in order; the first rule whose questionType, language
+ * and verified fields all match the session wins (omitted fields match
+ * anything). Its `destinations` are tried in order: every dial carries an
+ * `action` URL, so busy/no-answer/failed outcomes fall through to the next.
+ * A rule with a `route` (e.g. 'overflow') only serves transfer steps that
+ * name that route; the others serve the rest. A route without a matching
+ * rule has no destinations.
+ */
+
+const TYPES = ['number', 'sip', 'queue', 'enqueue'];
+const MATCH_FIELDS = ['questionType', 'language', 'verified'];
+const DEFAULT_TIMEOUT = 20;
+const WHISPER_TYPES = ['number', 'sip'];
+
+function validateRouting({ destinations, rules }) {
+  Object.entries(destinations).forEach(([name, destination]) => {
+    if (!TYPES.includes(destination.type)) {
+      throw new Error(`Routing destination "${name}" has unknown type "${destination.type}"`);
+    }
+    if (!destination.to) throw new Error(`Routing destination "${name}" has no "to"`);
+    if (destination.type === 'queue' && !destination.workflowSid) {
+      throw new Error(`Routing destination "${name}" needs a workflowSid`);
+    }
+    if (destination.whisper && !WHISPER_TYPES.includes(destination.type)) {
+      throw new Error(`Routing destination "${name}" is a ${destination.type}; only ${WHISPER_TYPES.join(' and ')} destinations can whisper`);
+    }
+  });
+
+  if (!rules.length) throw new Error('Routing table has no rules');
+  rules.forEach((rule, index) => {
+    Object.keys(rule).forEach(key => {
+      if (key !== 'destinations' && key !== 'route' && !MATCH_FIELDS.includes(key)) {
+        throw new Error(`Routing rule ${index} matches on unknown field "${key}"`);
+      }
+    });
+    if (!rule.destinations || !rule.destinations.length) throw new Error(`Routing rule ${index} has no destinations`);
+    rule.destinations.forEach(name => {
+      if (!destinations[name]) throw new Error(`Routing rule ${index} uses unknown destination "${name}"`);
+    });
+  });
+}
+
+function createRouter({ destinations, rules, config, whisperUrl }) {
+  validateRouting({ destinations, rules });
+  if (!whisperUrl && Object.values(destinations).some(destination => destination.whisper)) {
+    throw new Error('Whispering destinations need a whisperUrl');
+  }
+
+  function resolveNumber(ref, session) {
+    if (ref === 'caller') return session.phoneNumber;
+    return config[ref] || ref;
+  }
+
+  function matches(rule, session, route) {
+    return (rule.route || null) === (route || null)
+      && MATCH_FIELDS.every(field => rule[field] === undefined || rule[field] === session[field]);
+  }
+
+  return {
+    // Ordered destinations ({ name, ...destination }) for this caller, from the rules of `route` if given
+    destinationsFor(session, route) {
+      const rule = rules.find(r => matches(r, session, route));
+      return rule ? rule.destinations.map(name => ({ name, ...destinations[name] })) : [];
+    },
+
+    // Render one destination; `action` receives the outcome (DialCallStatus/QueueResult)
+    dial(vr, destination, { action, session, callSid }) {
+      switch (destination.type) {
+        case 'number':
+        case 'sip': {
+          const dial = vr.dial({
+            action,
+            method: 'POST',
+            timeout: destination.timeout || DEFAULT_TIMEOUT,
+            callerId: resolveNumber(destination.callerId || 'TWILIO_PHONE', session)
+          });
+          const attributes = destination.whisper ? { url: whisperUrl(callSid), method: 'POST' } : {};
+          if (destination.type === 'number') dial.number(attributes, resolveNumber(destination.to, session));
+          else dial.sip(attributes, destination.to);
+          break;
+        }
+        case 'queue':
+          vr.enqueue({ action, method: 'POST', workflowSid: destination.workflowSid })
+            .task({}, JSON.stringify({
+              queue: destination.to,
+              language: session.language,
+              questionType: session.questionType,
+              verified: !!session.verified
+            }));
+          break;
+        case 'enqueue':
+          vr.enqueue({ action, method: 'POST', waitUrl: destination.waitUrl, waitUrlMethod: 'POST' }, destination.to);
+          break;
+      }
+    }
+  };
+}
+
+module.exports = { createRouter, validateRouting };
@@ -0,0 +1,43 @@
+/**
+ * Holding place for secure gathers (card number, expiry, security code)
+ *
+ * Flow nodes marked `secure` hand their input here instead of the call
+ * session, so it never reaches the session store, call events or logs. Values
+ * live in this process's memory only, per call, until they are taken for use,
+ * the call ends or `ttlSeconds` pass. A restart or a second instance loses
+ * them; the flow then treats the payment as failed.
+ */
+
+function createSecureInput({ ttlSeconds, now = Date.now }) {
+  const calls = new Map();
+
+  function entryFor(callSid) {
+    const entry = calls.get(callSid);
+    if (entry && entry.expiresAt <= now()) {
+      calls.delete(callSid);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    put(callSid, field, value) {
+      const entry = entryFor(callSid) || { fields: {} };
+      entry.fields[field] = value;
+      entry.expiresAt = now() + ttlSeconds * 1000;
+      calls.set(callSid, entry);
+    },
+
+    // Fields held for the call, or null
+    get(callSid) {
+      const entry = entryFor(callSid);
+      return entry ? { ...entry.fields } : null;
+    },
+
+    delete(callSid) {
+      calls.delete(callSid);
+    }
+  };
+}
+
+module.exports = { createSecureInput };
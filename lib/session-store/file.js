@@ -0,0 +1,94 @@
+/**
+ * File-backed session store. Each call is kept in its own JSON file under
+ * `dir`, so sessions survive restarts and can be shared by several
+ * instances mounting the same directory. Writes go to a temp file and are
+ * renamed into place so a reader never sees a half-written session.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+function createFileSessionStore({ dir, ttlSeconds, now = Date.now }) {
+  let ready = null;
+
+  function ensureDir() {
+    if (!ready) ready = fs.mkdir(dir, { recursive: true });
+    return ready;
+  }
+
+  function fileFor(callSid) {
+    return path.join(dir, `${String(callSid).replace(/[^\w-]/g, '_')}.json`);
+  }
+
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function removeFile(file) {
+    try {
+      await fs.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  return {
+    async get(callSid) {
+      const file = fileFor(callSid);
+      const entry = await readEntry(file);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        await removeFile(file);
+        return null;
+      }
+      return entry.session;
+    },
+
+    async set(callSid, session) {
+      await ensureDir();
+      const file = fileFor(callSid);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ callSid, expiresAt: now() + ttlSeconds * 1000, session }));
+      await fs.rename(tmp, file);
+    },
+
+    async delete(callSid) {
+      await removeFile(fileFor(callSid));
+    },
+
+    async list() {
+      await ensureDir();
+      const live = [];
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const entry = await readEntry(path.join(dir, name)).catch(() => null);
+        if (entry && entry.expiresAt > now()) {
+          live.push({ callSid: entry.callSid || path.basename(name, '.json'), session: entry.session, expiresAt: entry.expiresAt });
+        }
+      }
+      return live;
+    },
+
+    async prune() {
+      await ensureDir();
+      let removed = 0;
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const file = path.join(dir, name);
+        const entry = await readEntry(file).catch(() => null);
+        if (!entry || entry.expiresAt <= now()) {
+          await removeFile(file);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = { createFileSessionStore };
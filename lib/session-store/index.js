@@ -0,0 +1,32 @@
+/**
+ * Call-session store
+ *
+ * Every backend exposes the same async interface:
+ *
+ * - get(callSid)           -> session object, or null when missing/expired
+ * - set(callSid, session)  -> persists the session and restarts its TTL
+ * - delete(callSid)        -> removes the session
+ * - prune()                -> removes every expired session, returns the count
+ * - list()                 -> [{ callSid, session, expiresAt }] for every live session
+ *
+ * Sessions are plain JSON-serializable objects; backends store copies, so
+ * callers must `set` after changing a session.
+ */
+
+const { createMemorySessionStore } = require('./memory');
+const { createFileSessionStore } = require('./file');
+
+const BACKENDS = {
+  memory: createMemorySessionStore,
+  file: createFileSessionStore
+};
+
+function createSessionStore({ backend = 'memory', ...options }) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown session store backend "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = { createSessionStore, createMemorySessionStore, createFileSessionStore };
@@ -0,0 +1,54 @@
+/**
+ * In-memory session store. Fast, but sessions are lost on restart and are
+ * not shared between instances; use the file backend for those cases.
+ */
+
+function createMemorySessionStore({ ttlSeconds, now = Date.now }) {
+  const sessions = new Map();
+
+  function isExpired(entry) {
+    return entry.expiresAt <= now();
+  }
+
+  return {
+    async get(callSid) {
+      const entry = sessions.get(callSid);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        sessions.delete(callSid);
+        return null;
+      }
+      return JSON.parse(entry.data);
+    },
+
+    async set(callSid, session) {
+      sessions.set(callSid, {
+        data: JSON.stringify(session),
+        expiresAt: now() + ttlSeconds * 1000
+      });
+    },
+
+    async delete(callSid) {
+      sessions.delete(callSid);
+    },
+
+    async list() {
+      return [...sessions]
+        .filter(([, entry]) => !isExpired(entry))
+        .map(([callSid, entry]) => ({ callSid, session: JSON.parse(entry.data), expiresAt: entry.expiresAt }));
+    },
+
+    async prune() {
+      let removed = 0;
+      for (const [callSid, entry] of sessions) {
+        if (isExpired(entry)) {
+          sessions.delete(callSid);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = { createMemorySessionStore };
@@ -0,0 +1,44 @@
+/**
+ * Text messages
+ *
+ * The interface used by everything that sends SMS:
+ *
+ * - send({ to, body }) -> { sid }
+ *
+ * createTwilioSms() sends through the Twilio REST API from `from`;
+ * createFakeSms() records the messages it was asked to send, for tests and
+ * local development without Twilio credentials.
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+function createTwilioSms({ accountSid, authToken, from }) {
+  const client = twilio(accountSid, authToken);
+
+  return {
+    async send({ to, body }) {
+      const message = await client.messages.create({ to, from, body });
+      return { sid: message.sid };
+    }
+  };
+}
+
+function createFakeSms({ fail = () => null } = {}) {
+  const messages = [];
+
+  return {
+    messages,
+
+    // `fail(message)` may return an error message to simulate a rejected send
+    async send(message) {
+      const error = fail(message);
+      if (error) throw new Error(error);
+      const sent = { ...message, sid: `SM${crypto.randomBytes(16).toString('hex')}` };
+      messages.push(sent);
+      return { sid: sent.sid };
+    }
+  };
+}
+
+module.exports = { createTwilioSms, createFakeSms };
@@ -0,0 +1,281 @@
+/**
+ * Speech input normalization
+ *
+ * Turns a Twilio SpeechResult into the same canonical value a keypad would
+ * have sent, so the flow engine and validators never see raw speech:
+ *
+ * - 'digits': "three oh seven one", "30 71", "treinta y uno"   -> '3071', '31'
+ * - 'date':   "January seventh nineteen ninety",
+ *             "siete de enero de mil novecientos noventa"     -> '01071990' (MMDDYYYY)
+ * - 'option': "uno", "one", "English" against { '1': ['english'], ... } -> '1'
+ *
+ * Numbers are read the way people say them: digit by digit, in pairs
+ * ("nineteen ninety") or with hundreds/thousands ("two thousand five",
+ * "mil novecientos"). Returns null when nothing usable was said. Pure
+ * functions, no I/O; `language` is 'en', 'es' or null for "either".
+ */
+
+const WORDS = {
+  en: {
+    units: { zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 },
+    // Words that are a complete number below 100 on their own
+    whole: {
+      ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+      sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+    },
+    tens: { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 },
+    hundreds: {},
+    multipliers: { hundred: 100, thousand: 1000 },
+    ordinals: {
+      first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+      tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16,
+      seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+    },
+    repeat: { double: 2, triple: 3 },
+    // Words joining tens and units ("treinta y uno"); without one, "ninety one" is 91
+    connectors: [],
+    months: {
+      january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+      july: 7, august: 8, september: 9, october: 10, november: 11, december: 12
+    },
+    fillers: ['and', 'the', 'of', 'a', 'on', 'is', 'its', 'my', 'number', 'uh', 'um']
+  },
+  es: {
+    units: { cero: 0, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9 },
+    whole: {
+      diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17,
+      dieciocho: 18, diecinueve: 19, veinte: 20, veintiuno: 21, veintiun: 21, veintiuna: 21, veintidos: 22,
+      veintitres: 23, veinticuatro: 24, veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28,
+      veintinueve: 29
+    },
+    tens: { treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90 },
+    hundreds: {
+      cien: 100, ciento: 100, doscientos: 200, trescientos: 300, cuatrocientos: 400, quinientos: 500,
+      seiscientos: 600, setecientos: 700, ochocientos: 800, novecientos: 900
+    },
+    multipliers: { mil: 1000 },
+    ordinals: { primero: 1, primer: 1 },
+    repeat: {},
+    connectors: ['y'],
+    months: {
+      enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+      septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12
+    },
+    fillers: ['y', 'de', 'del', 'el', 'la', 'es', 'mi', 'numero', 'eh']
+  }
+};
+
+// Word tables for one language, or all of them (first language wins) for null
+function wordsFor(language) {
+  if (WORDS[language]) return WORDS[language];
+  const merged = {};
+  Object.values(WORDS).reverse().forEach(words => {
+    Object.entries(words).forEach(([group, table]) => {
+      merged[group] = Array.isArray(table) ? [...new Set([...(merged[group] || []), ...table])] : { ...merged[group], ...table };
+    });
+  });
+  return merged;
+}
+
+// Lower case, no accents or punctuation; "7th" -> "7", "twenty-one" -> "twenty one"
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/đ/g, 'd')
+    .replace(/(\d)(st|nd|rd|th)\b/g, '$1')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+function valueOf(token, words) {
+  for (const group of ['units', 'whole', 'tens', 'hundreds', 'ordinals']) {
+    if (token in words[group]) return words[group][token];
+  }
+  return null;
+}
+
+function isNumberWord(token, words) {
+  return valueOf(token, words) !== null || token in words.multipliers || token in words.repeat;
+}
+
+// Number words as a digit string: "two thousand five" -> '2005',
+// "nineteen ninety" -> '1990', "three oh seven one" -> '3071'
+function spell(run, words) {
+  if (run.some(token => token in words.multipliers || token in words.hundreds)) {
+    let total = 0;
+    let current = 0;
+    run.forEach(token => {
+      if (token === 'hundred') current = (current || 1) * 100;
+      else if (token in words.multipliers) {
+        total += (current || 1) * words.multipliers[token];
+        current = 0;
+      } else {
+        current += valueOf(token, words) || 0;
+      }
+    });
+    return String(total + current);
+  }
+
+  let digits = '';
+  for (let index = 0; index < run.length; index++) {
+    const token = run[index];
+    const next = run[index + 1];
+    if (token in words.repeat) {
+      if (next in words.units) {
+        digits += String(words.units[next]).repeat(words.repeat[token]);
+        index++;
+      }
+    } else if (token in words.tens && words.connectors.includes(next) && words.units[run[index + 2]] > 0) {
+      digits += words.tens[token] + words.units[run[index + 2]];
+      index += 2;
+    } else if (token in words.tens && !words.connectors.length && words.units[next] > 0) {
+      digits += words.tens[token] + words.units[next];
+      index++;
+    } else if (valueOf(token, words) !== null) {
+      digits += valueOf(token, words);
+    }
+  }
+  return digits;
+}
+
+function normalizeDigits(text, language) {
+  const words = wordsFor(language);
+  let digits = '';
+  let run = [];
+  const flush = () => {
+    if (run.length) digits += spell(run, words);
+    run = [];
+  };
+
+  tokenize(text).forEach(token => {
+    if (/^\d+$/.test(token)) {
+      flush();
+      digits += token;
+    } else if (isNumberWord(token, words) || (run.length && words.connectors.includes(token))) {
+      run.push(token);
+    } else if (!words.fillers.includes(token)) {
+      flush();
+    }
+  });
+  flush();
+  return digits || null;
+}
+
+function dayValue(tokens, words) {
+  if (tokens.length === 1 && /^\d{1,2}$/.test(tokens[0])) return Number(tokens[0]);
+  if (!tokens.length || !tokens.every(token => valueOf(token, words) !== null)) return null;
+  return tokens.reduce((sum, token) => sum + valueOf(token, words), 0);
+}
+
+function yearValue(tokens, words) {
+  if (tokens.every(token => /^\d+$/.test(token))) return tokens.join('');
+  if (!tokens.every(token => isNumberWord(token, words))) return null;
+  return spell(tokens, words);
+}
+
+// Spoken date as MMDDYYYY; without a month name, eight spoken digits also work
+function normalizeDate(text, language) {
+  const words = wordsFor(language);
+  const tokens = tokenize(text);
+  const monthAt = tokens.findIndex(token => token in words.months);
+  if (monthAt < 0) {
+    // "1/7/1990" as transcribed; Spanish writes the day first
+    if (tokens.length === 3 && /^\d{1,2} \d{1,2} \d{4}$/.test(tokens.join(' '))) {
+      const [month, day] = language === 'es' ? [tokens[1], tokens[0]] : tokens;
+      return `${month.padStart(2, '0')}${day.padStart(2, '0')}${tokens[2]}`;
+    }
+    const digits = normalizeDigits(text, language);
+    return digits && digits.length === 8 ? digits : null;
+  }
+
+  const meaningful = list => list.filter(token => !words.fillers.includes(token));
+  const before = meaningful(tokens.slice(0, monthAt));
+  const after = meaningful(tokens.slice(monthAt + 1));
+
+  // "7 de enero de 1990" / "the seventh of January 1990": the day comes first.
+  // "January twenty first 1990": the day is one word, or tens + unit.
+  let dayTokens = before;
+  let yearTokens = after;
+  if (!before.length) {
+    const [first, second] = after;
+    const compound = first in words.tens && second !== undefined && valueOf(second, words) !== null && valueOf(second, words) < 10;
+    dayTokens = after.slice(0, compound ? 2 : 1);
+    yearTokens = after.slice(dayTokens.length);
+  }
+
+  const day = dayValue(dayTokens, words);
+  const year = yearValue(yearTokens, words);
+  if (!day || day > 31 || !year || year.length !== 4) return null;
+
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(words.months[tokens[monthAt]])}${pad(day)}${year}`;
+}
+
+// Keywords of an option for a language: a list for every language or { en: [...], es: [...] }
+function keywordsFor(keywords = [], language) {
+  if (Array.isArray(keywords)) return keywords;
+  return WORDS[language] ? keywords[language] || [] : Object.values(keywords).flat();
+}
+
+function containsPhrase(tokens, phrase) {
+  const wanted = tokenize(phrase);
+  return wanted.length > 0 && tokens.some((token, index) => wanted.every((word, offset) => tokens[index + offset] === word));
+}
+
+// Which option key was said; null when none or more than one matched.
+// Keywords win over digits ("quiero hacer una llamada de regreso").
+function matchOption(text, options, language) {
+  const words = wordsFor(language);
+  const tokens = tokenize(text);
+  const single = matched => (matched.length === 1 ? matched[0][0] : null);
+
+  const byKeyword = Object.entries(options)
+    .filter(([, keywords]) => keywordsFor(keywords, language).some(phrase => containsPhrase(tokens, phrase)));
+  if (byKeyword.length) return single(byKeyword);
+
+  return single(Object.entries(options).filter(([key]) => {
+    const numbers = Object.keys(words.units).filter(word => String(words.units[word]) === key);
+    return tokens.includes(key) || numbers.some(word => tokens.includes(word));
+  }));
+}
+
+/**
+ * Canonical value for a SpeechResult.
+ *   expect:   'digits' | 'date' | 'option'
+ *   language: 'en' | 'es' | null
+ *   options:  for 'option', { '<digit>': keywords }
+ */
+function normalizeSpeech(text, { expect, language = null, options = {} }) {
+  switch (expect) {
+    case 'digits': return normalizeDigits(text, language);
+    case 'date': return normalizeDate(text, language);
+    case 'option': return matchOption(text, options, language);
+    default: throw new Error(`Unknown speech expectation "${expect}"`);
+  }
+}
+
+// <Gather hints> for what the caller is expected to say
+function speechHints({ expect, language = null, options = {} }) {
+  const words = wordsFor(language);
+  const numberWords = Object.keys(words.units).filter(word => word.length > 2);
+  switch (expect) {
+    case 'digits':
+      return numberWords;
+    case 'date':
+      return Object.keys(words.months);
+    case 'option':
+      return Object.entries(options).flatMap(([key, keywords]) => [
+        ...keywordsFor(keywords, language),
+        ...numberWords.filter(word => String(words.units[word]) === key)
+      ]);
+    default:
+      throw new Error(`Unknown speech expectation "${expect}"`);
+  }
+}
+
+module.exports = { normalizeSpeech, speechHints, tokenize };
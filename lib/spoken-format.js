@@ -0,0 +1,57 @@
+/**
+ * Amounts and dates written the way text-to-speech reads them naturally
+ *
+ *   spokenAmount(125075, 'en')       -> '1,250 dollars and 75 cents'
+ *   spokenAmount(125075, 'es')       -> '1,250 dólares con 75 centavos'
+ *   spokenDate('2026-11-05', 'es')   -> '5 de noviembre de 2026'
+ *
+ * Amounts are integer cents of US dollars, never negative: a sign would be
+ * lost in the words, so credits are said with their own prompt (RangeError
+ * otherwise). Currency words exist for every
+ * shipped catalog; other languages fall back to Intl's currency format.
+ * Dates are calendar dates ('YYYY-MM-DD'), not instants, so no timezone
+ * shifts them.
+ */
+
+const CURRENCY_WORDS = {
+  en: { one: 'dollar', other: 'dollars', cent: 'cent', cents: 'cents', and: 'and' },
+  es: { one: 'dólar', other: 'dólares', cent: 'centavo', cents: 'centavos', and: 'con' },
+  pt: { one: 'dólar', other: 'dólares', cent: 'centavo', cents: 'centavos', and: 'e' },
+  vi: { one: 'đô la', other: 'đô la', cent: 'xu', cents: 'xu', and: 'và' }
+};
+
+// Locale overrides for formatting; others use the language code
+const LOCALES = { en: 'en-US', es: 'es-US' };
+
+const localeFor = language => LOCALES[language] || language || LOCALES.en;
+
+function spokenAmount(cents, language) {
+  if (cents < 0) throw new RangeError(`Cannot say a negative amount (${cents} cents)`);
+  const words = CURRENCY_WORDS[language];
+  if (!words) {
+    return new Intl.NumberFormat(localeFor(language), { style: 'currency', currency: 'USD' }).format(cents / 100);
+  }
+
+  const total = Math.round(cents);
+  const dollars = Math.floor(total / 100);
+  const remainder = total % 100;
+  const number = new Intl.NumberFormat(localeFor(language));
+  const dollarPart = `${number.format(dollars)} ${dollars === 1 ? words.one : words.other}`;
+  const centPart = `${remainder} ${remainder === 1 ? words.cent : words.cents}`;
+
+  if (!remainder) return dollarPart;
+  if (!dollars) return centPart;
+  return `${dollarPart} ${words.and} ${centPart}`;
+}
+
+function spokenDate(date, language) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Intl.DateTimeFormat(localeFor(language), {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  }).format(new Date(Date.UTC(year, month - 1, day)));
+}
+
+module.exports = { spokenAmount, spokenDate };
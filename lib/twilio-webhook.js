@@ -0,0 +1,122 @@
+/**
+ * Twilio webhook authentication
+ *
+ * createTwilioWebhookValidator() returns Express middleware that:
+ *
+ * - validates X-Twilio-Signature against the auth token. The signed URL is
+ *   rebuilt from PUBLIC_BASE_URL when set, otherwise from the
+ *   X-Forwarded-Proto/Host headers (ngrok, load balancers) or the request
+ *   itself, with and without an explicit default port.
+ * - rejects stale requests: URLs we hand to Twilio in TwiML are stamped with
+ *   `ts` (issue time) and `nonce` by stampUrl(). The signature covers the
+ *   query string, so the stamp cannot be altered and anything older than
+ *   `maxAgeSeconds` is refused.
+ * - rejects replays: each signature is accepted once within the replay
+ *   window. Stamped URLs are unique, so repeated legitimate redirects to
+ *   the same step still carry different signatures.
+ *
+ * Limits: webhooks configured on the number (/start, /call-status) and status
+ * callbacks (voicemail, callbacks, recordings, campaigns) cannot be stamped,
+ * since Twilio requests them long after the URL was handed out; they are not
+ * checked for staleness and only the replay check guards them. Replays are
+ * remembered in `replayCache` (a session store, lib/session-store) for
+ * `replayWindowSeconds`: the default in-memory one forgets them on restart
+ * and is not shared between instances, the file one on a shared directory is.
+ * A signature replayed after the window passes the check.
+ *
+ * The development bypass must be turned on explicitly and is ignored when
+ * NODE_ENV is 'production'.
+ */
+
+const crypto = require('crypto');
+const { validateRequest } = require('twilio');
+const defaultLogger = require('./logger');
+const { createMemorySessionStore } = require('./session-store');
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+// Expired replay entries are swept at most this often, never on every request
+const REPLAY_PRUNE_SECONDS = 60;
+
+// Add an issue timestamp and nonce to a URL we return in TwiML
+function stampUrl(url, now = Date.now) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}ts=${now()}&nonce=${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function candidateUrls(req, publicBaseUrl) {
+  const base = publicBaseUrl
+    ? publicBaseUrl.replace(/\/+$/, '')
+    : `${(req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim()}://${(req.get('x-forwarded-host') || req.get('host')).split(',')[0].trim()}`;
+  const url = new URL(base + req.originalUrl);
+
+  // Twilio may sign with or without the default port depending on how the URL was configured
+  const withoutPort = new URL(url);
+  withoutPort.port = '';
+  const withPort = new URL(withoutPort);
+  withPort.host = `${withoutPort.hostname}:${url.port || DEFAULT_PORTS[url.protocol]}`;
+
+  return [...new Set([url.toString(), withoutPort.toString(), withPort.toString()])];
+}
+
+function createTwilioWebhookValidator({
+  authToken,
+  publicBaseUrl,
+  maxAgeSeconds = 300,
+  replayWindowSeconds = 3600,
+  allowUnsigned = false,
+  logger = defaultLogger,
+  now = Date.now,
+  replayCache = createMemorySessionStore({ ttlSeconds: replayWindowSeconds, now })
+}) {
+  const bypass = allowUnsigned && process.env.NODE_ENV !== 'production';
+  let prunedAt = now();
+
+  if (bypass) {
+    logger.warn('Twilio signature validation is DISABLED (development bypass)');
+  } else if (!authToken) {
+    logger.error('No Twilio auth token configured; all webhook requests will be rejected');
+  }
+
+  async function isReplay(signature) {
+    if (now() - prunedAt >= REPLAY_PRUNE_SECONDS * 1000) {
+      prunedAt = now();
+      replayCache.prune().catch(error => logger.error('Error pruning the webhook replay cache', { error }));
+    }
+    const key = crypto.createHash('sha256').update(signature).digest('hex');
+    if (await replayCache.get(key)) return true;
+    await replayCache.set(key, { at: now() });
+    return false;
+  }
+
+  return async function validateTwilioWebhook(req, res, next) {
+    if (bypass) return next();
+
+    const log = logger.child({ callSid: req.body && req.body.CallSid, path: req.path });
+    const reject = reason => {
+      log.warn('Rejected Twilio webhook', { reason });
+      res.status(403).type('text/plain').send('Forbidden');
+    };
+
+    const signature = req.get('x-twilio-signature');
+    if (!authToken || !signature) return reject('missing signature');
+
+    const params = req.body || {};
+    const valid = candidateUrls(req, publicBaseUrl).some(url => validateRequest(authToken, signature, url, params));
+    if (!valid) return reject('invalid signature');
+
+    if (req.query.ts !== undefined) {
+      const issuedAt = Number(req.query.ts);
+      if (!Number.isFinite(issuedAt) || now() - issuedAt > maxAgeSeconds * 1000) return reject('stale request');
+    }
+
+    try {
+      if (await isReplay(signature)) return reject('replayed request');
+    } catch (error) {
+      log.error('Error checking the webhook replay cache', { error });
+      return res.status(503).type('text/plain').send('Service Unavailable');
+    }
+    next();
+  };
+}
+
+module.exports = { createTwilioWebhookValidator, stampUrl, candidateUrls };
@@ -0,0 +1,69 @@
+/**
+ * Input validators referenced by name from flow definitions.
+ * Each receives the digits entered by the caller and the flow node.
+ */
+
+// Exactly as many digits as the node gathers
+function digits(value, node) {
+  return value.length === node.numDigits;
+}
+
+function isValidDOB(dob) {
+  if (!/^\d{8}$/.test(dob)) return false;
+  const month = parseInt(dob.slice(0,2));
+  const day   = parseInt(dob.slice(2,4));
+  const year  = parseInt(dob.slice(4,8));
+
+  if (month < 1 || month > 12) return false;
+  if (year < 1900) return false;
+
+  const date = new Date(year, month - 1, day);
+  const now = new Date();
+  if (date.getFullYear() !== year || date.getMonth() + 1 !== month || date.getDate() !== day) return false;
+  if (date > now) return false;
+  return true;
+}
+
+// Ten-digit North American number: area code and exchange cannot start with 0 or 1
+function usPhone(value) {
+  return /^[2-9]\d{2}[2-9]\d{6}$/.test(value);
+}
+
+// Payment amount in cents, 1 cent to 99,999.99 dollars
+function amount(value) {
+  return /^\d{1,7}$/.test(value) && Number(value) > 0;
+}
+
+// Card number length and Luhn check digit
+function cardNumber(value) {
+  if (!/^\d{12,19}$/.test(value)) return false;
+  const sum = value.split('').reverse().reduce((total, digit, index) => {
+    const doubled = index % 2 ? Number(digit) * 2 : Number(digit);
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return sum % 10 === 0;
+}
+
+// Card expiry as MMYY, valid through the end of that month
+function cardExpiry(value) {
+  if (!/^\d{4}$/.test(value)) return false;
+  const month = parseInt(value.slice(0, 2));
+  const year = 2000 + parseInt(value.slice(2, 4));
+  if (month < 1 || month > 12) return false;
+  return new Date(year, month, 1) > new Date();
+}
+
+function cardCvc(value) {
+  return /^\d{3,4}$/.test(value);
+}
+
+module.exports = {
+  digits,
+  usPhone,
+  amount,
+  cardNumber,
+  cardExpiry,
+  cardCvc,
+  dob: isValidDOB,
+  isValidDOB
+};
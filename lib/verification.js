@@ -0,0 +1,48 @@
+/**
+ * Identity verification policies
+ *
+ * A policy is the ordered list of factors a caller is asked for, e.g.
+ * ['accountNumber', 'zip']. Credential factors (lib/credentials.js) are
+ * compared with the hashes on customer records; 'otp' is a one-time PIN
+ * texted to the number on the record the factors before it identify, so a
+ * policy cannot start with it.
+ */
+
+const { CREDENTIAL_FIELDS, matchesCredentials } = require('./credentials');
+
+const ONE_TIME_PIN = 'otp';
+
+// Throws unless each policy lists distinct known `factors` and every `required` policy exists
+function validatePolicies(policies, { factors, required = [] }) {
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    throw new Error('must map policy names to lists of factors');
+  }
+  Object.entries(policies).forEach(([name, policy]) => {
+    if (!Array.isArray(policy) || !policy.length || policy.some(factor => !factors.includes(factor)) || new Set(policy).size !== policy.length) {
+      throw new Error(`policy "${name}" must be a list of distinct factors from: ${factors.join(', ')}`);
+    }
+    if (policy[0] === ONE_TIME_PIN) throw new Error(`policy "${name}" cannot start with ${ONE_TIME_PIN}; the PIN goes to the customer the factors before it identify`);
+  });
+  const missing = required.filter(name => !policies[name]);
+  if (missing.length) throw new Error(`policies in use are missing: ${missing.join(', ')}`);
+}
+
+// Narrow `candidates` (e.g. from the repository's findCandidates) down by each
+// credential factor in order: { record } is the one left, `failedFactor` the factor
+// no candidate matched. Several records matching every factor is `ambiguous`: the
+// factors do not tell who is calling, so nobody is identified.
+async function matchFactors(candidates, factors, values) {
+  let remaining = candidates;
+  for (const factor of factors.filter(name => CREDENTIAL_FIELDS.includes(name))) {
+    const matching = [];
+    for (const record of remaining) {
+      if (await matchesCredentials(record, { [factor]: values[factor] })) matching.push(record);
+    }
+    if (!matching.length) return { record: null, failedFactor: factor };
+    remaining = matching;
+  }
+  if (remaining.length > 1) return { record: null, failedFactor: null, ambiguous: true };
+  return { record: remaining[0] || null, failedFactor: null };
+}
+
+module.exports = { ONE_TIME_PIN, validatePolicies, matchFactors };
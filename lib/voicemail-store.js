@@ -0,0 +1,124 @@
+/**
+ * After-hours voicemail store (JSON file).
+ *
+ * A voicemail is created when the caller reaches the recording prompt and
+ * is filled in by Twilio's recording-status and transcription callbacks:
+ *
+ * - status 'recording': caller reached the prompt, no audio yet
+ * - status 'new':       recording available, waiting for the morning shift
+ * - status 'handled':   worked by an agent (handledAt/handledBy set)
+ *
+ * One voicemail is kept per call (keyed by CallSid). Twilio does not order
+ * the two callbacks: a transcription that arrives before its recording is
+ * parked on the call's voicemail and merged once the recording completes.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+
+const STATUSES = ['recording', 'new', 'handled'];
+
+function createVoicemailStore({ file, now = () => new Date() }) {
+  const store = createJsonStore({ file });
+
+  function updateWhere(match, changes) {
+    return store.update(voicemails => {
+      const voicemail = voicemails.find(match);
+      if (!voicemail) return null;
+      Object.assign(voicemail, changes);
+      return { ...voicemail };
+    });
+  }
+
+  return {
+    // Create (or restart) the voicemail for a call
+    start({ callSid, caller, language, questionType, verified }) {
+      return store.update(voicemails => {
+        const existing = voicemails.find(v => v.callSid === callSid);
+        if (existing) {
+          Object.assign(existing, { language, questionType, verified });
+          return { ...existing };
+        }
+        const voicemail = {
+          id: crypto.randomUUID(),
+          callSid,
+          caller,
+          language,
+          questionType,
+          verified,
+          status: 'recording',
+          recordingSid: null,
+          recordingUrl: null,
+          recordingDuration: null,
+          transcript: null,
+          transcriptionStatus: null,
+          pendingTranscription: null,
+          createdAt: now().toISOString(),
+          recordedAt: null,
+          handledAt: null,
+          handledBy: null
+        };
+        voicemails.push(voicemail);
+        return { ...voicemail };
+      });
+    },
+
+    recordingCompleted(callSid, { recordingSid, recordingUrl, recordingDuration }) {
+      return store.update(voicemails => {
+        const voicemail = voicemails.find(v => v.callSid === callSid);
+        if (!voicemail) return null;
+        const pending = voicemail.pendingTranscription;
+        Object.assign(voicemail, {
+          status: 'new',
+          recordingSid,
+          recordingUrl,
+          recordingDuration,
+          recordedAt: now().toISOString(),
+          pendingTranscription: null
+        });
+        if (pending && pending.recordingSid === recordingSid) {
+          Object.assign(voicemail, { transcript: pending.transcript, transcriptionStatus: pending.transcriptionStatus });
+        }
+        return { ...voicemail };
+      });
+    },
+
+    // Matched on the recording; if that has not been reported yet, park the
+    // transcript on the call's voicemail until recordingCompleted
+    transcriptionReceived(recordingSid, { callSid, transcript, transcriptionStatus }) {
+      return store.update(voicemails => {
+        const recorded = voicemails.find(v => v.recordingSid === recordingSid);
+        if (recorded) {
+          Object.assign(recorded, { transcript, transcriptionStatus });
+          return { ...recorded };
+        }
+        const waiting = voicemails.find(v => v.callSid === callSid && !v.recordingSid);
+        if (!waiting) return null;
+        waiting.pendingTranscription = { recordingSid, transcript, transcriptionStatus };
+        return { ...waiting };
+      });
+    },
+
+    markHandled(id, handledBy) {
+      return updateWhere(v => v.id === id && v.status !== 'recording', {
+        status: 'handled',
+        handledAt: now().toISOString(),
+        handledBy: handledBy || null
+      });
+    },
+
+    async get(id) {
+      const voicemail = (await store.read()).find(v => v.id === id);
+      return voicemail ? { ...voicemail } : null;
+    },
+
+    // Oldest first, so the morning shift works through them in order
+    async list({ status } = {}) {
+      return (await store.read())
+        .filter(v => !status || v.status === status)
+        .map(v => ({ ...v }));
+    }
+  };
+}
+
+module.exports = { createVoicemailStore, STATUSES };
@@ -0,0 +1,191 @@
+/**
+ * Admin console pages (HTML rendered on the server, no client-side script)
+ *
+ * Each function returns a complete page for routes/admin.js. Every value is
+ * escaped; forms post back to /admin.
+ */
+
+function escape(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Template tag that escapes every interpolated value except nested html``
+function html(strings, ...values) {
+  const render = value => {
+    if (Array.isArray(value)) return value.map(render).join('');
+    return value && value.safe ? value.html : escape(value);
+  };
+  return raw(strings.reduce((out, string, index) => out + render(values[index - 1]) + string));
+}
+
+// Trusted markup, inserted as is
+function raw(markup) {
+  return { safe: true, html: markup };
+}
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 0 2rem 2rem; color: #222; }
+  nav { padding: 1rem 0; border-bottom: 1px solid #ccc; margin-bottom: 1rem; }
+  nav a { margin-right: 1rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: .4rem .6rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  textarea { width: 100%; font: inherit; }
+  .notice { background: #e7f6e7; padding: .6rem; }
+  .error { background: #fbe4e4; padding: .6rem; }
+  .muted { color: #777; font-size: .9em; }
+`;
+
+function layout(title, { notice, error }, body) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title} - IVR admin</title>
+  <style>${raw(STYLE)}</style>
+</head>
+<body>
+  <nav>
+    <a href="/admin">Active calls</a>
+    <a href="/admin/customers">Customers</a>
+    <a href="/admin/prompts">Prompts</a>
+    <a href="/admin/settings">Settings</a>
+  </nav>
+  <h1>${title}</h1>
+  ${notice ? html`<p class="notice">${notice}</p>` : ''}
+  ${error ? html`<p class="error">${error}</p>` : ''}
+  ${body}
+</body>
+</html>`.html;
+}
+
+function dashboard({ sessions, lockouts, ...flash }) {
+  return layout('Active calls', flash, html`
+  ${sessions.length ? html`
+  <table>
+    <tr><th>Call</th><th>Step</th><th>Language</th><th>Question</th><th>Verified</th><th>Session expires</th></tr>
+    ${sessions.map(session => html`
+    <tr>
+      <td>${session.callSid}</td>
+      <td>${session.currentStep}</td>
+      <td>${session.language || '-'}</td>
+      <td>${session.questionType || '-'}</td>
+      <td>${session.verified ? 'yes' : 'no'}</td>
+      <td>${session.expiresAt}</td>
+    </tr>`)}
+  </table>` : html`<p>No calls in progress.</p>`}
+  <h2>Verification lockouts</h2>
+  ${lockouts.length ? html`
+  <table>
+    <tr><th>Locked</th><th>Since</th><th>Until</th><th></th></tr>
+    ${lockouts.map(lockout => html`
+    <tr>
+      <td>${lockout.scope === 'customer' ? 'Customer' : 'Caller'} ${lockout.id}</td>
+      <td>${lockout.lockedAt}</td>
+      <td>${lockout.lockedUntil}</td>
+      <td>
+        <form method="post" action="/admin/lockouts/${lockout.scope}/${encodeURIComponent(lockout.id)}/unlock">
+          <button type="submit">Unlock</button>
+        </form>
+      </td>
+    </tr>`)}
+  </table>` : html`<p>Nobody is locked out.</p>`}`);
+}
+
+// Credentials are write-only: the form never shows them, only whether one is on file
+const SECRET_FIELDS = ['last4ssn', 'dob', 'zip', 'accountNumber'];
+const CUSTOMER_INPUTS = [
+  ['name', 'Name'],
+  ['phoneNumber', 'Phone (E.164)'],
+  ['last4ssn', 'SSN last 4'],
+  ['dob', 'Date of birth (MMDDYYYY)'],
+  ['zip', 'ZIP'],
+  ['accountNumber', 'Account number (optional)']
+];
+
+function customerForm({ action, customer, submit }) {
+  const editing = !!customer;
+  return html`
+  <form method="post" action="${action}">
+    <table>
+      ${CUSTOMER_INPUTS.map(([field, label]) => html`
+      <tr>
+        <th><label for="${field}">${label}</label></th>
+        <td>
+          <input id="${field}" name="${field}" value="${editing && ['name', 'phoneNumber'].includes(field) ? customer[field] : ''}"
+            ${raw(SECRET_FIELDS.includes(field) ? 'type="password" autocomplete="off"' : '')}>
+          ${editing && SECRET_FIELDS.includes(field) ? html`<span class="muted">${customer.credentials.includes(field) ? 'on file; leave empty to keep' : 'not set'}</span>` : ''}
+        </td>
+      </tr>`)}
+    </table>
+    <button type="submit">${submit}</button>
+  </form>`;
+}
+
+function customers({ customers: records, ...flash }) {
+  return layout('Customers', flash, html`
+  <table>
+    <tr><th>Name</th><th>Phone</th><th>Credentials on file</th></tr>
+    ${records.map(customer => html`
+    <tr>
+      <td><a href="/admin/customers/${encodeURIComponent(customer.id)}">${customer.name || customer.id}</a></td>
+      <td>${customer.phoneNumber || '-'}</td>
+      <td>${customer.credentials.join(', ') || 'none'}</td>
+    </tr>`)}
+  </table>
+  <h2>New customer</h2>
+  ${customerForm({ action: '/admin/customers', submit: 'Create customer' })}`);
+}
+
+function customer({ customer: record, ...flash }) {
+  const path = `/admin/customers/${encodeURIComponent(record.id)}`;
+  return layout(record.name || record.id, flash, html`
+  <p class="muted">Customer ${record.id}</p>
+  ${customerForm({ action: path, customer: record, submit: 'Save' })}
+  <form method="post" action="${path}/delete">
+    <button type="submit">Delete customer</button>
+  </form>`);
+}
+
+function prompts({ language, languages, prompts: entries, ...flash }) {
+  return layout('Prompts', flash, html`
+  <p>${languages.map(code => (code === language ? html`<strong>${code}</strong> ` : html`<a href="/admin/prompts?language=${code}">${code}</a> `))}</p>
+  <table>
+    ${entries.map(prompt => html`
+    <tr>
+      <th>${prompt.key}</th>
+      <td>
+        <form method="post" action="/admin/prompts/${language}/${prompt.key}">
+          <textarea name="text" rows="2">${prompt.text}</textarea>
+          ${prompt.text !== prompt.default ? html`<p class="muted">Shipped text: ${prompt.default}</p>` : ''}
+          <button type="submit" name="action" value="save">Save</button>
+          ${prompt.text !== prompt.default ? html`<button type="submit" name="action" value="reset">Restore shipped text</button>` : ''}
+        </form>
+      </td>
+    </tr>`)}
+  </table>`);
+}
+
+function settings({ settings: entries, ...flash }) {
+  return layout('Settings', flash, html`
+  <p class="muted">Values are JSON. Changes take effect immediately and survive restarts.</p>
+  <table>
+    ${entries.map(setting => html`
+    <tr>
+      <th>${setting.name}<p class="muted">${setting.description}</p></th>
+      <td>
+        <form method="post" action="/admin/settings/${setting.name}">
+          <textarea name="value" rows="${Math.min(12, JSON.stringify(setting.value, null, 2).split('\n').length)}">${JSON.stringify(setting.value, null, 2)}</textarea>
+          <button type="submit" name="action" value="save">Save</button>
+          ${JSON.stringify(setting.value) !== JSON.stringify(setting.default) ? html`<button type="submit" name="action" value="reset">Restore default</button>` : ''}
+        </form>
+      </td>
+    </tr>`)}
+  </table>`);
+}
+
+module.exports = { dashboard, customers, customer, prompts, settings };
@@ -0,0 +1,311 @@
+/**
+ * Admin routes (API key or admin Basic credentials, see lib/api-auth.js)
+ *
+ * REST API:
+ * - GET    /api/admin/customers                 list customers (credentials are never returned)
+ * - GET    /api/admin/customers/:id             fetch one customer
+ * - POST   /api/admin/customers                 create, body { name, phoneNumber, last4ssn, dob, zip, accountNumber }
+ * - PATCH  /api/admin/customers/:id             change any of those fields
+ * - DELETE /api/admin/customers/:id             remove a customer
+ * - GET    /api/admin/prompts/:language         prompt text of a language, with the shipped default
+ * - PUT    /api/admin/prompts/:language/:key    body { text }
+ * - DELETE /api/admin/prompts/:language/:key    back to the shipped text
+ * - GET    /api/admin/settings                  editable CONFIG values
+ * - PUT    /api/admin/settings/:name            body { value }
+ * - DELETE /api/admin/settings/:name            back to the shipped value
+ * - GET    /api/admin/sessions                  calls in progress
+ * - GET    /api/admin/lockouts                  callers and customers locked out of verification
+ * - DELETE /api/admin/lockouts/:scope/:id       lift a lock (scope 'caller' or 'customer')
+ *
+ * Console: server-rendered pages under /admin that post HTML forms to the
+ * same operations (routes/admin-console.js renders them). Form posts must
+ * come from the console's own origin.
+ */
+
+const express = require('express');
+const defaultLogger = require('../lib/logger');
+const { isValidDOB } = require('../lib/validators');
+const { CREDENTIAL_FIELDS } = require('../lib/credentials');
+const pages = require('./admin-console');
+
+const CUSTOMER_FIELDS = {
+  name: value => typeof value === 'string' && value.trim() !== '' && value.length <= 100 || 'name must be 1 to 100 characters',
+  phoneNumber: value => value === null || /^\+[1-9]\d{7,14}$/.test(value) || 'phoneNumber must be E.164 (e.g. +15551234567) or null',
+  last4ssn: value => /^\d{4}$/.test(value) || 'last4ssn must be 4 digits',
+  dob: value => (typeof value === 'string' && isValidDOB(value)) || 'dob must be a past date as MMDDYYYY',
+  zip: value => /^\d{5}$/.test(value) || 'zip must be 5 digits',
+  accountNumber: value => value === null || /^\d{8}$/.test(value) || 'accountNumber must be 8 digits or null'
+};
+const OPTIONAL_FIELDS = ['phoneNumber', 'accountNumber'];
+
+// Changes to a customer from a request body, or the problems with it
+function customerChanges(body, { partial }) {
+  const problems = [];
+  const changes = {};
+  Object.keys(body || {}).filter(field => !CUSTOMER_FIELDS[field]).forEach(field => problems.push(`unknown field "${field}"`));
+  Object.entries(CUSTOMER_FIELDS).forEach(([field, check]) => {
+    if (!body || body[field] === undefined) {
+      if (!partial && !OPTIONAL_FIELDS.includes(field)) problems.push(`${field} is required`);
+      return;
+    }
+    const result = check(body[field]);
+    if (result === true) changes[field] = body[field];
+    else problems.push(result);
+  });
+  return { changes, problems };
+}
+
+// A customer as shown to admins: which credentials are on file, never their hashes
+function publicCustomer(record) {
+  const { id, name = null, phoneNumber = null } = record;
+  return { id, name, phoneNumber, credentials: CREDENTIAL_FIELDS.filter(field => record[field] != null) };
+}
+
+// What a supervisor may see of a call in progress (no identity data)
+function sessionSummary({ callSid, session, expiresAt }) {
+  const { currentStep, language, questionType, verified, customerId, attempts, recording = null, recordingConsent = null } = session;
+  return {
+    callSid, currentStep, language, questionType, verified: !!verified, customerId, attempts, recording, recordingConsent,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+// Console forms may only be posted from the console itself
+function sameOrigin(req, res, next) {
+  const source = req.get('origin') || req.get('referer');
+  let host = null;
+  try {
+    host = source && new URL(source).host;
+  } catch (error) {
+    host = null;
+  }
+  if (host && host === req.get('host')) return next();
+  res.status(403).type('text/plain').send('Forbidden');
+}
+
+const LOCK_SCOPES = ['caller', 'customer'];
+
+function createAdminRouter({ customers, sessions, overrides, lockouts, languages, requireAdmin, logger = defaultLogger }) {
+  const router = express.Router();
+  const api = express.Router();
+  const consolePages = express.Router();
+  router.use('/api/admin', requireAdmin, api);
+  router.use('/admin', requireAdmin, consolePages);
+
+  const promptExists = (language, key) => (overrides.messages(language) || []).some(prompt => prompt.key === key);
+  const settingExists = name => overrides.settings().some(setting => setting.name === name);
+
+  async function activeSessions() {
+    return (await sessions.list()).map(sessionSummary).sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+  }
+
+  // ===== REST API =====
+
+  api.get('/customers', async (req, res) => {
+    res.json((await customers.list()).map(publicCustomer));
+  });
+
+  api.get('/customers/:id', async (req, res) => {
+    const record = await customers.get(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Customer not found' });
+    res.json(publicCustomer(record));
+  });
+
+  api.post('/customers', async (req, res) => {
+    const { changes, problems } = customerChanges(req.body, { partial: false });
+    if (problems.length) return res.status(400).json({ error: problems.join('; ') });
+    const record = await customers.create({ phoneNumber: null, ...changes });
+    logger.info('Customer created', { customerId: record.id, by: req.adminUser });
+    res.status(201).json(publicCustomer(record));
+  });
+
+  api.patch('/customers/:id', async (req, res) => {
+    const { changes, problems } = customerChanges(req.body, { partial: true });
+    if (problems.length) return res.status(400).json({ error: problems.join('; ') });
+    const record = await customers.update(req.params.id, changes);
+    if (!record) return res.status(404).json({ error: 'Customer not found' });
+    logger.info('Customer updated', { customerId: record.id, fields: Object.keys(changes), by: req.adminUser });
+    res.json(publicCustomer(record));
+  });
+
+  api.delete('/customers/:id', async (req, res) => {
+    if (!(await customers.delete(req.params.id))) return res.status(404).json({ error: 'Customer not found' });
+    logger.info('Customer deleted', { customerId: req.params.id, by: req.adminUser });
+    res.sendStatus(204);
+  });
+
+  api.get('/prompts/:language', (req, res) => {
+    const prompts = overrides.messages(req.params.language);
+    if (!prompts) return res.status(404).json({ error: 'Language not installed' });
+    res.json(prompts);
+  });
+
+  api.put('/prompts/:language/:key', async (req, res) => {
+    const { language, key } = req.params;
+    if (!promptExists(language, key)) return res.status(404).json({ error: 'Prompt not found' });
+    const text = req.body && req.body.text;
+    const problem = overrides.checkMessage(language, key, text);
+    if (problem) return res.status(400).json({ error: problem });
+    await overrides.setMessage(language, key, text);
+    res.json(overrides.messages(language).find(prompt => prompt.key === key));
+  });
+
+  api.delete('/prompts/:language/:key', async (req, res) => {
+    const { language, key } = req.params;
+    if (!promptExists(language, key)) return res.status(404).json({ error: 'Prompt not found' });
+    await overrides.resetMessage(language, key);
+    res.json(overrides.messages(language).find(prompt => prompt.key === key));
+  });
+
+  api.get('/settings', (req, res) => {
+    res.json(overrides.settings());
+  });
+
+  api.put('/settings/:name', async (req, res) => {
+    const { name } = req.params;
+    const value = req.body ? req.body.value : undefined;
+    const problem = overrides.checkSetting(name, value);
+    if (problem) return res.status(settingExists(name) ? 400 : 404).json({ error: problem });
+    await overrides.setSetting(name, value);
+    res.json(overrides.settings().find(setting => setting.name === name));
+  });
+
+  api.delete('/settings/:name', async (req, res) => {
+    const { name } = req.params;
+    if (!settingExists(name)) return res.status(404).json({ error: `Unknown setting "${name}"` });
+    await overrides.resetSetting(name);
+    res.json(overrides.settings().find(setting => setting.name === name));
+  });
+
+  api.get('/sessions', async (req, res) => {
+    res.json(await activeSessions());
+  });
+
+  api.get('/lockouts', async (req, res) => {
+    res.json(await lockouts.list());
+  });
+
+  api.delete('/lockouts/:scope/:id', async (req, res) => {
+    const { scope, id } = req.params;
+    if (!LOCK_SCOPES.includes(scope) || !(await lockouts.unlock(scope, id))) return res.status(404).json({ error: 'No such lockout' });
+    logger.info('Lockout lifted', { scope, id, by: req.adminUser });
+    res.sendStatus(204);
+  });
+
+  // ===== CONSOLE =====
+
+  function render(res, page) {
+    res.type('html').send(page);
+  }
+
+  // Back to `path` with a notice or an error for the next page
+  function redirect(res, path, { notice, error }) {
+    const query = new URLSearchParams(error ? { error } : { notice });
+    res.redirect(303, `${path}${path.includes('?') ? '&' : '?'}${query}`);
+  }
+
+  const flash = req => ({ notice: req.query.notice, error: req.query.error });
+
+  // Empty form fields mean "leave unchanged" (or no phone number on create)
+  function formCustomer(body) {
+    return Object.fromEntries(Object.entries(body)
+      .map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value])
+      .filter(([field, value]) => value !== '' || field === 'phoneNumber')
+      .map(([field, value]) => [field, field === 'phoneNumber' && value === '' ? null : value]));
+  }
+
+  consolePages.use((req, res, next) => (req.method === 'POST' ? sameOrigin(req, res, next) : next()));
+
+  consolePages.get('/', async (req, res) => {
+    render(res, pages.dashboard({ sessions: await activeSessions(), lockouts: await lockouts.list(), ...flash(req) }));
+  });
+
+  consolePages.post('/lockouts/:scope/:id/unlock', async (req, res) => {
+    const { scope, id } = req.params;
+    if (!LOCK_SCOPES.includes(scope) || !(await lockouts.unlock(scope, id))) return redirect(res, '/admin', { error: 'That lockout has already ended' });
+    logger.info('Lockout lifted', { scope, id, by: req.adminUser });
+    redirect(res, '/admin', { notice: 'Lockout lifted' });
+  });
+
+  consolePages.get('/customers', async (req, res) => {
+    render(res, pages.customers({ customers: (await customers.list()).map(publicCustomer), ...flash(req) }));
+  });
+
+  consolePages.post('/customers', async (req, res) => {
+    const { changes, problems } = customerChanges(formCustomer(req.body), { partial: false });
+    if (problems.length) return redirect(res, '/admin/customers', { error: problems.join('; ') });
+    const record = await customers.create({ phoneNumber: null, ...changes });
+    logger.info('Customer created', { customerId: record.id, by: req.adminUser });
+    redirect(res, '/admin/customers', { notice: `Created ${record.name}` });
+  });
+
+  consolePages.get('/customers/:id', async (req, res) => {
+    const record = await customers.get(req.params.id);
+    if (!record) return res.status(404).type('text/plain').send('Customer not found');
+    render(res, pages.customer({ customer: publicCustomer(record), ...flash(req) }));
+  });
+
+  consolePages.post('/customers/:id', async (req, res) => {
+    const path = `/admin/customers/${encodeURIComponent(req.params.id)}`;
+    const { changes, problems } = customerChanges(formCustomer(req.body), { partial: true });
+    if (problems.length) return redirect(res, path, { error: problems.join('; ') });
+    const record = await customers.update(req.params.id, changes);
+    if (!record) return res.status(404).type('text/plain').send('Customer not found');
+    logger.info('Customer updated', { customerId: record.id, fields: Object.keys(changes), by: req.adminUser });
+    redirect(res, path, { notice: 'Saved' });
+  });
+
+  consolePages.post('/customers/:id/delete', async (req, res) => {
+    if (!(await customers.delete(req.params.id))) return res.status(404).type('text/plain').send('Customer not found');
+    logger.info('Customer deleted', { customerId: req.params.id, by: req.adminUser });
+    redirect(res, '/admin/customers', { notice: 'Customer deleted' });
+  });
+
+  consolePages.get('/prompts', (req, res) => {
+    const language = req.query.language || languages[0];
+    const prompts = overrides.messages(language);
+    if (!prompts) return res.status(404).type('text/plain').send('Language not installed');
+    render(res, pages.prompts({ language, languages, prompts, ...flash(req) }));
+  });
+
+  consolePages.post('/prompts/:language/:key', async (req, res) => {
+    const { language, key } = req.params;
+    const path = `/admin/prompts?language=${encodeURIComponent(language)}`;
+    if (req.body.action === 'reset') {
+      if (!promptExists(language, key)) return res.status(404).type('text/plain').send('Prompt not found');
+      await overrides.resetMessage(language, key);
+      return redirect(res, path, { notice: `Restored ${key}` });
+    }
+    const problem = overrides.checkMessage(language, key, req.body.text);
+    if (problem) return redirect(res, path, { error: problem });
+    await overrides.setMessage(language, key, req.body.text);
+    redirect(res, path, { notice: `Saved ${key}` });
+  });
+
+  consolePages.get('/settings', (req, res) => {
+    render(res, pages.settings({ settings: overrides.settings(), ...flash(req) }));
+  });
+
+  consolePages.post('/settings/:name', async (req, res) => {
+    const { name } = req.params;
+    if (!settingExists(name)) return res.status(404).type('text/plain').send('Unknown setting');
+    if (req.body.action === 'reset') {
+      await overrides.resetSetting(name);
+      return redirect(res, '/admin/settings', { notice: `Restored ${name}` });
+    }
+    let value;
+    try {
+      value = JSON.parse(req.body.value);
+    } catch (error) {
+      return redirect(res, '/admin/settings', { error: `${name} must be valid JSON` });
+    }
+    const problem = overrides.checkSetting(name, value);
+    if (problem) return redirect(res, '/admin/settings', { error: `${name}: ${problem}` });
+    await overrides.setSetting(name, value);
+    redirect(res, '/admin/settings', { notice: `Saved ${name}` });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
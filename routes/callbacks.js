@@ -0,0 +1,108 @@
+/**
+ * Callback routes
+ *
+ * Twilio webhooks for outbound callback calls (signature-validated):
+ * - POST /callbacks/connect?id=<request>  machines are hung up on; people hear a short
+ *                                         greeting, then are bridged to the agent line
+ * - POST /callbacks/dialed?id=<request>   <Dial> outcome: completed once an agent
+ *                                         answered, otherwise a failed attempt (retried)
+ * - POST /callbacks/status?id=<request>   outbound call outcome; a call that ended
+ *                                         before reaching an agent is a failed attempt
+ *
+ * REST API (API key required):
+ * - GET /api/callbacks?status=pending     list callback requests
+ * - GET /api/callbacks/:id                fetch one callback request
+ */
+
+const express = require('express');
+const { twiml: { VoiceResponse } } = require('twilio');
+const defaultLogger = require('../lib/logger');
+const { STATUSES } = require('../lib/callback-queue');
+
+const ENDED_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+const isMachine = answeredBy => /^(machine|fax)/.test(answeredBy || '');
+
+// `target()` is the agent line to bridge to, read per call since admins can change it
+function createCallbackRouter({ callbacks, say, messages, defaultLanguage = 'en', target, callerId, url = path => path, validateTwilioWebhook, requireApiKey, logger = defaultLogger }) {
+  const router = express.Router();
+
+  const languageOf = request => (messages[request.language] ? request.language : defaultLanguage);
+
+  router.post('/callbacks/connect', validateTwilioWebhook, async (req, res) => {
+    const id = req.query.id;
+    const log = logger.child({ callbackId: id, callSid: req.body.CallSid });
+    const vr = new VoiceResponse();
+
+    if (isMachine(req.body.AnsweredBy)) {
+      const request = await callbacks.attemptFailed(id, 'machine');
+      log.info('Callback reached a machine', { answeredBy: req.body.AnsweredBy, status: request && request.status });
+      vr.hangup();
+      return res.type('text/xml').send(vr.toString());
+    }
+
+    const request = await callbacks.connected(id);
+    if (!request) {
+      log.warn('Callback connect for a request that is not being dialed');
+      vr.hangup();
+      return res.type('text/xml').send(vr.toString());
+    }
+
+    const lang = languageOf(request);
+    say(vr, messages[lang].callbackGreeting, lang);
+    vr.dial({ callerId, action: url(`/callbacks/dialed?id=${encodeURIComponent(id)}`), method: 'POST' }).number(target());
+    log.info('Callback answered, bridging to agent');
+    res.type('text/xml').send(vr.toString());
+  });
+
+  router.post('/callbacks/dialed', validateTwilioWebhook, async (req, res) => {
+    const id = req.query.id;
+    const dialStatus = req.body.DialCallStatus;
+    const log = logger.child({ callbackId: id, callSid: req.body.CallSid });
+    const vr = new VoiceResponse();
+
+    if (dialStatus === 'completed') {
+      await callbacks.completed(id);
+      log.info('Callback completed');
+    } else {
+      const request = await callbacks.attemptFailed(id, `agent-${dialStatus}`);
+      log.warn('Callback did not reach an agent', { dialStatus, status: request && request.status });
+      if (request) {
+        const lang = languageOf(request);
+        say(vr, messages[lang].callbackRetryLater, lang);
+      }
+    }
+    vr.hangup();
+    res.type('text/xml').send(vr.toString());
+  });
+
+  // Arrives after the <Dial> outcome; only requests still being called are affected
+  router.post('/callbacks/status', validateTwilioWebhook, async (req, res) => {
+    const callStatus = req.body.CallStatus;
+    const log = logger.child({ callbackId: req.query.id, callSid: req.body.CallSid });
+
+    if (ENDED_CALL_STATUSES.includes(callStatus)) {
+      const request = await callbacks.attemptFailed(req.query.id, callStatus === 'completed' ? 'ended-before-agent' : callStatus);
+      if (request) log.warn('Callback attempt failed', { callStatus, status: request.status });
+    }
+    res.sendStatus(204);
+  });
+
+  router.get('/api/callbacks', requireApiKey, async (req, res) => {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    res.json(await callbacks.list({ status }));
+  });
+
+  router.get('/api/callbacks/:id', requireApiKey, async (req, res) => {
+    const request = await callbacks.get(req.params.id);
+    if (!request) return res.status(404).json({ error: 'Callback request not found' });
+    res.json(request);
+  });
+
+  return router;
+}
+
+module.exports = { createCallbackRouter };
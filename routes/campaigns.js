@@ -0,0 +1,106 @@
+/**
+ * Campaign routes
+ *
+ * Twilio webhooks for outbound campaign calls (signature-validated):
+ * - POST /campaigns/answer?campaign=<id>&contact=<id>  machines are hung up on; people enter the IVR flow
+ * - POST /campaigns/status?campaign=<id>&contact=<id>  outbound call outcome
+ *
+ * REST API (API key required):
+ * - POST /api/campaigns                  create from JSON { name, language, contacts: [...] }
+ *                                        or a CSV body (text/csv) with ?name=&language=
+ * - GET /api/campaigns                   list campaigns with contact counts
+ * - GET /api/campaigns/:id               one campaign with each contact's outcomes
+ * - POST /api/campaigns/:id/pause        stop placing calls (calls in progress go on)
+ * - POST /api/campaigns/:id/resume
+ */
+
+const express = require('express');
+const { twiml: { VoiceResponse } } = require('twilio');
+const defaultLogger = require('../lib/logger');
+const { parseContacts } = require('../lib/campaigns');
+
+// Final call statuses of an unanswered call, and the outcome they are recorded as
+const UNANSWERED = { 'no-answer': 'no-answer', busy: 'busy', failed: 'failed', canceled: 'no-answer' };
+
+const isMachine = answeredBy => /^(machine|fax)/.test(answeredBy || '');
+
+// `startCall(callSid, { campaign, contact })` answers with the TwiML that enters the flow;
+// `callEnded(callSid, params)` does the same clean-up as the inbound call-status callback
+function createCampaignRouter({ campaigns, languages, defaultLanguage = 'en', startCall, callEnded, validateTwilioWebhook, requireApiKey, logger = defaultLogger }) {
+  const router = express.Router();
+
+  router.post('/campaigns/answer', validateTwilioWebhook, async (req, res) => {
+    const { campaign: campaignId, contact: contactId } = req.query;
+    const log = logger.child({ campaignId, contactId, callSid: req.body.CallSid });
+    const campaign = await campaigns.get(campaignId);
+    const contact = campaign && campaign.contacts.find(c => c.id === contactId);
+    const vr = new VoiceResponse();
+
+    if (!contact) {
+      log.warn('Campaign answer for unknown contact');
+      vr.hangup();
+      return res.type('text/xml').send(vr.toString());
+    }
+    if (isMachine(req.body.AnsweredBy)) {
+      await campaigns.recordOutcome(campaignId, contactId, 'machine');
+      log.info('Campaign call reached a machine', { answeredBy: req.body.AnsweredBy });
+      vr.hangup();
+      return res.type('text/xml').send(vr.toString());
+    }
+
+    await campaigns.recordOutcome(campaignId, contactId, 'answered');
+    log.info('Campaign call answered');
+    res.type('text/xml').send(await startCall(req.body.CallSid, { campaign, contact }));
+  });
+
+  router.post('/campaigns/status', validateTwilioWebhook, async (req, res) => {
+    const { campaign: campaignId, contact: contactId } = req.query;
+    const callStatus = req.body.CallStatus;
+    const log = logger.child({ campaignId, contactId, callSid: req.body.CallSid });
+
+    if (callStatus === 'completed') {
+      await campaigns.finished(campaignId, contactId);
+      log.info('Campaign call completed');
+    } else if (UNANSWERED[callStatus]) {
+      const updated = await campaigns.attemptFailed(campaignId, contactId, UNANSWERED[callStatus]);
+      log.warn('Campaign call not answered', { callStatus, status: updated && updated.contact.status });
+    }
+    await callEnded(req.body.CallSid, req.body);
+    res.sendStatus(204);
+  });
+
+  router.post('/api/campaigns', requireApiKey, express.text({ type: 'text/csv' }), async (req, res) => {
+    const csv = typeof req.body === 'string';
+    const { name, language = defaultLanguage } = csv ? req.query : (req.body || {});
+    const problems = [];
+    if (typeof name !== 'string' || name.trim() === '') problems.push('name is required');
+    if (!languages.includes(language)) problems.push(`language must be one of: ${languages.join(', ')}`);
+    const parsed = parseContacts(csv ? req.body : (req.body || {}).contacts, { languages });
+    problems.push(...parsed.problems);
+    if (problems.length) return res.status(400).json({ error: problems.join('; ') });
+
+    res.status(201).json(await campaigns.create({ name: name.trim(), language, contacts: parsed.contacts }));
+  });
+
+  router.get('/api/campaigns', requireApiKey, async (req, res) => {
+    res.json(await campaigns.list());
+  });
+
+  router.get('/api/campaigns/:id', requireApiKey, async (req, res) => {
+    const campaign = await campaigns.get(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(campaign);
+  });
+
+  [['pause', 'paused'], ['resume', 'active']].forEach(([action, status]) => {
+    router.post(`/api/campaigns/:id/${action}`, requireApiKey, async (req, res) => {
+      const campaign = await campaigns.setStatus(req.params.id, status);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found or already completed' });
+      res.json(campaign);
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createCampaignRouter };
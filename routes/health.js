@@ -0,0 +1,55 @@
+/**
+ * Health, readiness and metrics routes
+ *
+ * - GET /healthz   liveness: the process is up and answering
+ * - GET /readyz    readiness: every named check resolves within `timeoutSeconds`;
+ *                  503 with the failing checks otherwise, and while the server
+ *                  drains for shutdown, so load balancers stop sending calls
+ * - GET /metrics   Prometheus text format (lib/metrics.js), API key required
+ *
+ *   { status: 'ready', checks: { customers: 'ok' } }
+ */
+
+const express = require('express');
+const defaultLogger = require('../lib/logger');
+
+function withTimeout(promise, seconds) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${seconds} seconds`)), seconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// `checks`: { name: async () => {} }, each throwing when its dependency is unusable
+function createHealthRouter({ checks = {}, draining = () => false, timeoutSeconds = 2, metrics, requireApiKey, logger = defaultLogger }) {
+  const router = express.Router();
+
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  router.get('/readyz', async (req, res) => {
+    const results = Object.fromEntries(await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      try {
+        await withTimeout(Promise.resolve().then(check), timeoutSeconds);
+        return [name, 'ok'];
+      } catch (error) {
+        logger.warn('Readiness check failed', { check: name, error });
+        return [name, 'failed'];
+      }
+    })));
+
+    if (draining()) return res.status(503).json({ status: 'draining', checks: results });
+    const ready = Object.values(results).every(result => result === 'ok');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks: results });
+  });
+
+  router.get('/metrics', requireApiKey, async (req, res) => {
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,96 @@
+/**
+ * Hold queue routes
+ *
+ * Twilio webhooks for callers in an <Enqueue> waiting room whose waitUrl is
+ * /hold/wait (signature-validated):
+ * - POST /hold/wait    requested when the caller joins the queue and again each
+ *                      time the hold music ends: their position and estimated
+ *                      wait (lib/queue-stats.js) in their language, an offer to
+ *                      leave a callback number every `callbackOfferMinutes`, then
+ *                      the music. Once they have waited `maxWaitMinutes` they
+ *                      leave the queue instead (overflow)
+ * - POST /hold/choice  1 leaves the queue to leave a callback number; anything
+ *                      else goes back to the music
+ *
+ * Leaving records why in `session.hold.exit` ('callback' or 'overflow') and
+ * answers <Leave>, so the transfer step gets QueueResult 'leave'.
+ */
+
+const express = require('express');
+const { twiml: { VoiceResponse } } = require('twilio');
+const defaultLogger = require('../lib/logger');
+const { interpolate } = require('../lib/i18n');
+
+function createHoldRouter({ sessions, queueStats, say, messages, defaultLanguage, musicUrl, callbackOfferMinutes, maxWaitMinutes, url = path => path, audit = () => {}, validateTwilioWebhook, logger = defaultLogger }) {
+  const router = express.Router();
+
+  function languageOf(s) {
+    return s && messages[s.language] ? s.language : defaultLanguage;
+  }
+
+  function waitText(seconds, text) {
+    const minutes = Math.max(1, Math.ceil(seconds / 60));
+    return minutes === 1 ? text.holdWaitOneMinute : interpolate(text.holdWaitMinutes, { minutes });
+  }
+
+  async function leave(callSid, s, reason, vr) {
+    s.hold.exit = reason;
+    await sessions.set(callSid, s);
+    logger.info('Caller left the hold queue', { callSid, reason, queueTime: s.hold.queueTime });
+    audit('hold.left', { callSid, session: s, reason, queueTime: s.hold.queueTime });
+    vr.leave();
+  }
+
+  router.post('/hold/wait', validateTwilioWebhook, async (req, res) => {
+    const callSid = req.body.CallSid;
+    const position = Number(req.body.QueuePosition) || null;
+    const queueTime = Number(req.body.QueueTime) || 0;
+    const s = await sessions.get(callSid);
+    const language = languageOf(s);
+    const text = messages[language];
+    const vr = new VoiceResponse();
+
+    // A new stay in the queue starts with its clock back at zero
+    const hold = s && s.hold && queueTime >= s.hold.queueTime ? s.hold : { queueTime: 0, callbackOfferedAt: null, exit: null };
+    hold.queueTime = queueTime;
+
+    if (s && queueTime >= maxWaitMinutes * 60) {
+      s.hold = hold;
+      await leave(callSid, s, 'overflow', vr);
+      return res.type('text/xml').send(vr.toString());
+    }
+
+    // Offered callers can press 1 at any point until the music ends
+    const offer = !!s && (hold.callbackOfferedAt === null || queueTime - hold.callbackOfferedAt >= callbackOfferMinutes * 60);
+    const parent = offer
+      ? vr.gather({ input: 'dtmf', numDigits: 1, action: url('/hold/choice'), method: 'POST' })
+      : vr;
+    if (position) say(parent, interpolate(text.holdPosition, { position }), language);
+    const wait = position ? queueStats.estimatedWaitSeconds(callSid, position) : null;
+    if (wait !== null) say(parent, waitText(wait, text), language);
+    if (offer) {
+      say(parent, text.holdCallbackOffer, language);
+      hold.callbackOfferedAt = queueTime;
+    }
+    parent.play(musicUrl);
+
+    if (s) {
+      s.hold = hold;
+      await sessions.set(callSid, s);
+    }
+    res.type('text/xml').send(vr.toString());
+  });
+
+  router.post('/hold/choice', validateTwilioWebhook, async (req, res) => {
+    const callSid = req.body.CallSid;
+    const s = await sessions.get(callSid);
+    const vr = new VoiceResponse();
+    // An empty response ends this document, so Twilio requests the wait URL again
+    if (req.body.Digits === '1' && s && s.hold) await leave(callSid, s, 'callback', vr);
+    res.type('text/xml').send(vr.toString());
+  });
+
+  return router;
+}
+
+module.exports = { createHoldRouter };
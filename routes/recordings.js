@@ -0,0 +1,33 @@
+/**
+ * Call recording routes
+ *
+ * Twilio callback (signature-validated):
+ * - POST /recordings/status  progress of a call recording (in-progress, completed,
+ *                            absent), recorded as a 'recording.status' call event
+ */
+
+const express = require('express');
+const defaultLogger = require('../lib/logger');
+
+function createRecordingRouter({ audit = () => {}, validateTwilioWebhook, logger = defaultLogger }) {
+  const router = express.Router();
+
+  router.post('/recordings/status', validateTwilioWebhook, (req, res) => {
+    const { CallSid, RecordingSid, RecordingStatus, RecordingUrl, RecordingDuration, RecordingChannels } = req.body;
+    logger.info('Call recording status', { callSid: CallSid, recordingSid: RecordingSid, status: RecordingStatus });
+
+    audit('recording.status', {
+      callSid: CallSid,
+      recordingSid: RecordingSid,
+      status: RecordingStatus,
+      recordingUrl: RecordingStatus === 'completed' ? RecordingUrl : null,
+      duration: Number(RecordingDuration) || 0,
+      channels: Number(RecordingChannels) || null
+    });
+    res.sendStatus(204);
+  });
+
+  return router;
+}
+
+module.exports = { createRecordingRouter };
@@ -0,0 +1,58 @@
+/**
+ * Reporting routes (API key required)
+ *
+ * - GET /api/reports/daily?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv
+ *     per-day call volume, language and question-type split, verification
+ *     pass rate, transfers, average seconds to transfer and abandoned calls
+ * - GET /api/reports/abandonment?from=&to=&format=csv
+ *     per step: calls that reached it, abandoned there, drop-off rate and
+ *     invalid inputs
+ * - GET /api/calls/:callSid/events
+ *     the audit trail of one call
+ *
+ * Dates are local to the reporting timezone; `format` is 'json' (default) or 'csv'.
+ */
+
+const express = require('express');
+const { summarizeCalls, dailyReport, abandonmentReport } = require('../lib/call-reports');
+const { toCsv } = require('../lib/csv');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FORMATS = ['json', 'csv'];
+
+function createReportRouter({ events, timeZone, staleAfterSeconds, requireApiKey, now = () => new Date() }) {
+  const router = express.Router();
+
+  function report(name, build) {
+    return async (req, res) => {
+      const { from, to, format = 'json' } = req.query;
+      if ([from, to].some(date => date !== undefined && !DATE_PATTERN.test(date))) {
+        return res.status(400).json({ error: 'from and to must be dates as YYYY-MM-DD' });
+      }
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+      }
+
+      const calls = summarizeCalls(await events.list(), { timeZone, now: now(), staleAfterSeconds });
+      const rows = build(calls, { from, to });
+      if (format === 'csv') {
+        res.attachment(`${name}.csv`);
+        return res.type('text/csv').send(toCsv(rows));
+      }
+      res.json({ timeZone, from: from || null, to: to || null, rows });
+    };
+  }
+
+  router.get('/api/reports/daily', requireApiKey, report('daily', dailyReport));
+  router.get('/api/reports/abandonment', requireApiKey, report('abandonment', abandonmentReport));
+
+  router.get('/api/calls/:callSid/events', requireApiKey, async (req, res) => {
+    const trail = await events.list({ callSid: req.params.callSid });
+    if (!trail.length) return res.status(404).json({ error: 'No events for this call' });
+    res.json(trail);
+  });
+
+  return router;
+}
+
+module.exports = { createReportRouter };
@@ -0,0 +1,70 @@
+/**
+ * Warm transfer routes
+ *
+ * Twilio webhooks for the agent leg of a whispering transfer (signature-validated):
+ * - POST /transfers/whisper?call=<CallSid>  read the caller's context to the agent
+ *                                           and ask them to press 1
+ * - POST /transfers/accept?call=<CallSid>   1 connects the caller; anything else, or
+ *                                           no answer, hangs up the agent leg so the
+ *                                           caller moves on to the next destination
+ *
+ * `call` is the caller's CallSid. The whisper is spoken in `language` (the agents'),
+ * whatever language the caller chose.
+ */
+
+const express = require('express');
+const { twiml: { VoiceResponse } } = require('twilio');
+const defaultLogger = require('../lib/logger');
+const { interpolate } = require('../lib/i18n');
+
+// `context(callSid)` -> { name, verified, language, questionType } for the caller, or null
+function createTransferRouter({ context, say, messages, language, timeoutSeconds = 8, url = path => path, audit = () => {}, validateTwilioWebhook, logger = defaultLogger }) {
+  const router = express.Router();
+  const text = messages[language];
+  const languageName = new Intl.DisplayNames([language], { type: 'language' });
+
+  function whisperText(caller) {
+    if (!caller) return text.whisperNoContext;
+    return interpolate(text.whisperContext, {
+      name: caller.name || text.whisperUnknownCaller,
+      verification: caller.verified ? text.whisperVerified : text.whisperNotVerified,
+      language: languageName.of(caller.language || language),
+      topic: caller.questionType === 'account-specific' ? text.whisperAccount : text.whisperGeneral
+    });
+  }
+
+  router.post('/transfers/whisper', validateTwilioWebhook, async (req, res) => {
+    const callSid = req.query.call;
+    const caller = await context(callSid);
+    if (!caller) logger.warn('Whisper for a call without a session', { callSid });
+
+    const vr = new VoiceResponse();
+    const gather = vr.gather({
+      input: 'dtmf',
+      numDigits: 1,
+      timeout: timeoutSeconds,
+      action: url(`/transfers/accept?call=${encodeURIComponent(callSid)}`),
+      method: 'POST'
+    });
+    say(gather, whisperText(caller), language);
+    say(gather, text.whisperAccept, language);
+    vr.hangup();
+    res.type('text/xml').send(vr.toString());
+  });
+
+  router.post('/transfers/accept', validateTwilioWebhook, (req, res) => {
+    const callSid = req.query.call;
+    const accepted = req.body.Digits === '1';
+    logger.info(accepted ? 'Agent accepted the transfer' : 'Agent declined the transfer', { callSid, agentCallSid: req.body.CallSid });
+    audit(accepted ? 'transfer.accepted' : 'transfer.declined', { callSid, agentCallSid: req.body.CallSid });
+
+    // An empty response ends the whisper and bridges the two legs
+    const vr = new VoiceResponse();
+    if (!accepted) vr.hangup();
+    res.type('text/xml').send(vr.toString());
+  });
+
+  return router;
+}
+
+module.exports = { createTransferRouter };
@@ -0,0 +1,74 @@
+/**
+ * Voicemail routes
+ *
+ * Twilio callbacks (signature-validated):
+ * - POST /voicemail/recording-status  recording finished, store URL and duration
+ * - POST /voicemail/transcription     transcript ready for a recording (kept
+ *                                     until the recording if it comes first)
+ *
+ * REST API for the morning shift (API key required):
+ * - GET  /api/voicemails?status=new   list voicemails, oldest first
+ * - GET  /api/voicemails/:id          fetch one voicemail
+ * - POST /api/voicemails/:id/handled  mark as handled, body { handledBy }
+ */
+
+const express = require('express');
+const defaultLogger = require('../lib/logger');
+const { STATUSES } = require('../lib/voicemail-store');
+
+function createVoicemailRouter({ voicemails, validateTwilioWebhook, requireApiKey, logger = defaultLogger }) {
+  const router = express.Router();
+
+  router.post('/voicemail/recording-status', validateTwilioWebhook, async (req, res) => {
+    const { CallSid, RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus } = req.body;
+    logger.info('Voicemail recording status', { callSid: CallSid, recordingSid: RecordingSid, status: RecordingStatus });
+
+    if (RecordingStatus === 'completed') {
+      const voicemail = await voicemails.recordingCompleted(CallSid, {
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl,
+        recordingDuration: Number(RecordingDuration) || 0
+      });
+      if (!voicemail) logger.warn('Recording for unknown voicemail', { callSid: CallSid });
+    }
+    res.sendStatus(204);
+  });
+
+  router.post('/voicemail/transcription', validateTwilioWebhook, async (req, res) => {
+    const { CallSid, RecordingSid, TranscriptionText, TranscriptionStatus } = req.body;
+    logger.info('Voicemail transcription received', { callSid: CallSid, recordingSid: RecordingSid, status: TranscriptionStatus });
+
+    const voicemail = await voicemails.transcriptionReceived(RecordingSid, {
+      callSid: CallSid,
+      transcript: TranscriptionStatus === 'completed' ? TranscriptionText : null,
+      transcriptionStatus: TranscriptionStatus
+    });
+    if (!voicemail) logger.warn('Transcription for unknown voicemail', { callSid: CallSid });
+    res.sendStatus(204);
+  });
+
+  router.get('/api/voicemails', requireApiKey, async (req, res) => {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    res.json(await voicemails.list({ status }));
+  });
+
+  router.get('/api/voicemails/:id', requireApiKey, async (req, res) => {
+    const voicemail = await voicemails.get(req.params.id);
+    if (!voicemail) return res.status(404).json({ error: 'Voicemail not found' });
+    res.json(voicemail);
+  });
+
+  router.post('/api/voicemails/:id/handled', requireApiKey, async (req, res) => {
+    const voicemail = await voicemails.markHandled(req.params.id, req.body && req.body.handledBy);
+    if (!voicemail) return res.status(404).json({ error: 'Voicemail not found or not yet recorded' });
+    logger.info('Voicemail handled', { voicemailId: voicemail.id });
+    res.json(voicemail);
+  });
+
+  return router;
+}
+
+module.exports = { createVoicemailRouter };
@@ -0,0 +1,41 @@
+/**
+ * Converts a customer JSON file (db.json) with plaintext verification fields
+ * into salted hashes. Safe to run more than once: already-hashed values are
+ * left alone. The file is replaced atomically and no plaintext copy is kept.
+ *
+ * Usage: npm run migrate-credentials -- [path/to/db.json]
+ */
+
+const fs = require('fs').promises;
+const logger = require('../lib/logger');
+const { hashCredentials, hasPlaintextCredentials } = require('../lib/credentials');
+
+async function migrate(file) {
+  const records = JSON.parse(await fs.readFile(file, 'utf8'));
+  const pending = records.filter(hasPlaintextCredentials).length;
+
+  if (!pending) {
+    logger.info('No plaintext credentials found', { file, records: records.length });
+    return 0;
+  }
+
+  const migrated = [];
+  for (const record of records) {
+    migrated.push(await hashCredentials(record));
+  }
+
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(migrated, null, 4));
+  await fs.rename(tmp, file);
+  logger.info('Hashed plaintext credentials', { file, records: records.length, migrated: pending });
+  return pending;
+}
+
+if (require.main === module) {
+  migrate(process.argv[2] || './db.json').catch(error => {
+    logger.error('Credential migration failed', { error });
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { migrate };
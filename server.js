@@ -1,51 +1,303 @@
 /**
  * Complete Twilio IVR Flow Implementation
- * 0. English-spanish language selection (first step)
+ * 0. Language selection among the installed languages (first step), skipped for
+ *    returning callers whose record has a saved language
  * 1. Mini-miranda (in selected language)
- * 2. Time-based CSR availability check:
- *    - If before 8pm EST: Skip CSR notice, go directly to question
- *    - If after 8pm EST: Show "no agents available" message, then continue
+ * 2. Business-hours CSR availability check:
+ *    - If open: Skip CSR notice, go directly to question
+ *    - If closed (after hours, weekend, holiday, closure): "no agents available", then the closed branch
  * 3. Ask user to choose question type via DTMF:
  *    - Press 1: General information (transfer with Twilio number)
  *    - Press 2: Account-specific/Payment questions (verify identity first)
  * 4. Route based on selection:
- *   - If account-specific: ask for dob, last 4 ssn digits, and zip code, verify user, save phone_number to db.json, then transfer call to +19343453827 FROM the customer's phone number
- *   - If general: transfer call to +19343453827 FROM the assistant's Twilio phone number (+12295446861)
+ *   - If account-specific: ask for dob, last 4 ssn digits, and zip code, verify user, save phone_number to the customer database,
+ *     read the account summary (balance, due date, last payment) when the record has one and offer to repeat it, pay by card or transfer
+ *   - If general: transfer directly
+ *   - Transfers go to the destinations selected by CONFIG.ROUTING (by default +19343453827 FROM the Twilio number +12295446861, then the hold queue)
  * 
  * VOICE CONFIGURATION:
- * - Uses Google TTS with different voices for English and Spanish
+ * - Uses Google TTS with a voice per language
  * - English: Google.en-AU-Chirp3-HD-Aoede 
  * - Spanish: Google.es-ES-Chirp3-HD-Aoede
- * - Language selection plays English with English voice, Spanish with Spanish voice
+ * - Portuguese: Google.pt-BR-Chirp3-HD-Aoede
+ * - Vietnamese: Google.vi-VN-Chirp3-HD-Aoede
+ * - Language selection plays each option in its own language and voice
  * - All subsequent prompts use the voice matching the selected language
  * - Voice configuration can be updated in CONFIG.VOICES section
  * 
  * CSR AVAILABILITY:
- * - Automatically checks current time in EST timezone
- * - CSR agents available: Before 8pm EST (skip notice entirely)
- * - CSR agents unavailable: After 8pm EST (show unavailability message)
- * - Configurable in CONFIG.CSR_HOURS section
- * - Test availability at GET /test-csr-availability endpoint
- * - Test flow behavior at GET /test-csr-flow endpoint
+ * - Weekly open/close windows per queue, holidays and special closures (lib/business-hours.js)
+ * - Evaluated on the wall clock of CONFIG.BUSINESS_HOURS.TIMEZONE, so DST is handled
+ * - CSR agents available: inside an open window (skip notice entirely)
+ * - CSR agents unavailable: show unavailability message and take the closed branch
+ * - Configurable in CONFIG.BUSINESS_HOURS section
+ * - Covered by the call-simulator tests with a frozen clock (see TESTING)
+ * 
+ * SHORTCUT KEYS:
+ * - In every menu and prompt after the mini-miranda (the language menu before it
+ *   takes them as ordinary keys): * repeats it, # goes back to the previous question,
+ *   9 returns to the main (question type) menu and 0 goes to an operator (or the
+ *   after-hours menu); announced once after the mini-miranda in the caller's language
+ * - Shortcuts never count as invalid attempts and never replace a valid answer (a
+ *   menu option on the same key, or an amount of 9 cents); # cannot go back past the
+ *   identity check or a payment, and prompts ended with # (payment amount, card
+ *   number, security code) keep # as their end key: # pressed on its own goes back
+ * - The language menu skips the 9 and 0 shortcut keys, so it offers at most 8 languages
+ * - Declared in `shortcuts` in flows/ivr.js, handled by lib/flow-engine.js
  * 
  * QUESTION TYPE CLASSIFICATION:
- * - Simple DTMF-based selection (no AI/LLM needed)
+ * - Simple DTMF-based selection (no AI/LLM needed), or the spoken equivalent
  * - Press 1: General information (direct transfer)
  * - Press 2: Account-specific/Payment (identity verification required)
- * - Test question type prompts at GET /test-question-flow endpoint
+ * 
+ * LOCALIZATION:
+ * - Prompts live in locales/<language>.json (lib/i18n.js); locales/en.json is the
+ *   reference and every catalog must have its keys and placeholders, or startup fails
+ * - Adding a catalog adds the language to the menu (default first, then alphabetical);
+ *   add its locale to CONFIG.LANGUAGES and optionally a voice to CONFIG.VOICES
+ * - Languages without a locale are spoken with the default language's voice
+ * 
+ * SPEECH INPUT:
+ * - Every gather accepts 'dtmf speech' with language-specific hints (CONFIG.SPEECH,
+ *   SPEECH_INPUT=false to turn it off)
+ * - lib/speech.js normalizes SpeechResult into keypad values: "uno"/"one"/"English" -> 1,
+ *   "January seventh nineteen ninety" -> 01071990, spoken digit strings for SSN/ZIP
+ * - A low-confidence result asks for the keypad and disables speech for that step
+ * - Only offered in CONFIG.SPEECH.LANGUAGES (English and Spanish); other languages use the keypad
+ * 
+ * CUSTOMER DATA:
+ * - Records are read and updated only through lib/customer-repository
+ * - Backends: 'json' (db.json, atomic queued writes) or 'sqlite', via CUSTOMER_STORE
+ * 
+ * CALL SESSIONS:
+ * - Per-call state lives in a pluggable store (lib/session-store): 'memory' or 'file'
+ * - Select with SESSION_STORE / SESSION_DIR; sessions expire after CONFIG.SESSIONS.TTL_SECONDS
+ * - Point the number's status callback at POST /call-status so sessions are
+ *   deleted as soon as the call ends
+ * 
+ * SELF-SERVICE:
+ * - Verified callers whose record has an `account` ({ balanceCents, dueDate: 'YYYY-MM-DD',
+ *   lastPayment: { amountCents, date } }) hear their balance, due date and last payment
+ * - lib/spoken-format.js writes amounts and dates the way each language says them
+ * - Then: 1 repeats, 2 goes to an agent (or the after-hours menu), 3 pays by card, 4 ends the call
+ * 
+ * PAYMENTS:
+ * - Option 3 of the self-service menu takes a card payment: amount, card number,
+ *   expiry and security code on the keypad, a read-back, then the charge
+ * - Card details are gathered by `secure` flow nodes and held in memory only until
+ *   the charge (lib/secure-input.js); sessions, call events and logs never see them
+ * - Charges go through CONFIG.PAYMENTS.GATEWAY (lib/payment-gateway.js); every
+ *   attempt is recorded under the customer's `payments` with the card's last 4, and
+ *   approved ones update the account balance and last payment
+ * - When the gateway fails (e.g. times out) the charge may have gone through, so it is
+ *   recorded as 'unknown', the caller hears that an agent will confirm it, and the call
+ *   takes no other payment that could charge the card twice
+ * - Without PAYMENT_GATEWAY_URL charges are approved by a fake gateway; with
+ *   NODE_ENV=production the server refuses to start instead
+ * 
+ * OUTBOUND CAMPAIGNS:
+ * - POST /api/campaigns loads a call list (JSON or CSV: number,name,language,customerId,timezone)
+ * - lib/campaign-worker.js calls due contacts while the CONFIG.CAMPAIGNS.HOURS_QUEUE
+ *   calendar is open both for CSRs and in the contact's local time (their timezone,
+ *   or else every zone of their area code), at most CONFIG.CAMPAIGNS.MAX_CONCURRENT_CALLS at a time, with
+ *   answering-machine detection (CAMPAIGN_DIALER=fake records calls instead)
+ * - People who answer hear a greeting and the mini-miranda in the contact's language,
+ *   then go through the same verification, self-service and transfer steps as inbound callers
+ * - Each contact keeps its outcomes (answered, machine, no-answer, busy, failed,
+ *   verified, transferred): GET /api/campaigns/:id
+ * 
+ * RETURNING CALLERS:
+ * - /start looks the calling number up among the numbers saved on customer records
+ * - A number saved on exactly one record is a returning caller: the saved language
+ *   replaces the language menu, they are greeted by name, and account questions only
+ *   ask CONFIG.RETURNING_CALLERS.STEP_UP (DOB by default), checked against that record
+ * - A failed step-up check counts towards the lockouts and the retry asks the whole policy
+ * - Numbers saved on several records, and numbers on the BLOCKLIST, get the full flow;
+ *   blocklisted numbers are never saved on a record
+ * - Verification saves the calling number and the chosen language on the record
+ * 
+ * VERIFICATION POLICIES:
+ * - Account questions ask the factors of a policy (CONFIG.VERIFICATION.POLICIES), in
+ *   order: any of last4ssn, dob, zip, accountNumber and otp (flows/ivr.js FACTORS)
+ * - The menu option picks the policy (`set: { verificationPolicy }`); DEFAULT_POLICY otherwise
+ * - otp texts a one-time PIN (lib/one-time-pins.js, lib/sms.js) to the number on the record
+ *   the factors before it identify; the prompt is the same whether or not one was sent
+ * - Callers only hear that the details did not match; the failed factor is recorded
+ *   on the 'verification' call event
+ * 
+ * VERIFICATION LOCKOUTS:
+ * - A call may fail the identity check CONFIG.LOCKOUT.MAX_FAILURES_PER_CALL times
+ * - Failures are also counted across calls per calling number and per targeted
+ *   customer record; too many within the window lock them (lib/lockouts.js)
+ * - Locked callers hear the accountLocked prompt and are transferred to an agent
+ *   (when available and TRANSFER_TO_AGENT is set) or the call ends
+ * - Each lock is recorded as a 'lockout' call event
+ * 
+ * IDENTITY DATA:
+ * - SSN/DOB/ZIP and account numbers are stored as salted hashes and compared in
+ *   constant time (lib/credentials.js)
+ * - A blind index (HMAC keyed with CREDENTIAL_INDEX_KEY, required in production) picks
+ *   the records worth comparing, so verification does not hash against every customer
+ * - Details matching several customers identify nobody (an 'ambiguous' failure)
+ * - Convert a plaintext db.json with: npm run migrate-credentials -- ./db.json
+ * - Log only through lib/logger.js; it redacts SSN, DOB, ZIP and phone numbers by default
+ * 
+ * CALL RECORDING:
+ * - A dual-channel recording starts once the mini-miranda disclosure has played; the
+ *   session keeps when and in which language it was heard (recordingConsent)
+ * - It is paused while SSN/DOB/ZIP, account numbers, one-time PINs and card details are
+ *   keyed in, and resumed at the next step (flow engine, lib/call-recorder.js)
+ * - A recording that cannot be paused is stopped; one that cannot be stopped either
+ *   sends the caller to an agent (or after hours) before anything is keyed in
+ * - POST /recordings/status receives Twilio's recording progress (with PUBLIC_BASE_URL)
+ *   and records it as 'recording.status' call events
+ * - CALL_RECORDING=false turns it off; CALL_RECORDER=fake records nothing
+ * 
+ * AFTER-HOURS VOICEMAIL:
+ * - When agents are unavailable, the transfer step is replaced by a voicemail offer
+ * - <Record> prompts play in the caller's language; Twilio callbacks store the
+ *   recording and transcript in CONFIG.VOICEMAIL.FILE (routes/voicemails.js)
+ * - GET /api/voicemails, GET /api/voicemails/:id, POST /api/voicemails/:id/handled
+ *   require an API key from API_KEYS
+ * 
+ * AFTER-HOURS CALLBACKS:
+ * - The after-hours menu also offers a callback: confirm the calling number or key
+ *   in another, then pick a slot from the next business-hours window
+ * - Requests are queued in CONFIG.CALLBACKS.FILE (pending, dialing, connected,
+ *   completed, failed, expired)
+ * - lib/callback-worker.js dials due requests through lib/dialer.js and bridges the
+ *   customer to TARGET_PHONE; GET /api/callbacks lists requests (API key required)
+ * - A request is only completed once an agent answered; machines, unanswered or busy
+ *   agents and hang-ups are retried, and requests whose slot is over expire
+ * 
+ * ROUTING:
+ * - Transfers follow CONFIG.ROUTING (lib/routing.js): the first rule matching the
+ *   caller's question type, language and verification picks an ordered list of
+ *   destinations (phone number, SIP URI, TaskRouter queue or <Enqueue> waiting room)
+ * - Each destination has its own callerId policy ('caller', a CONFIG key or a number)
+ * - Busy, unanswered or failed destinations fall through to the next one; when all
+ *   fail the caller is offered voicemail or a callback
+ * - By default the CSR line is rung first, then the caller waits in the 'csr' hold queue
+ * 
+ * HOLD QUEUE:
+ * - <Enqueue> destinations with waitUrl /hold/wait (routes/hold.js) play CONFIG.HOLD.MUSIC_URL
+ *   and announce the caller's position and estimated wait in their language
+ * - Estimated waits come from lib/queue-stats.js, fed by the callers entering and
+ *   leaving the queue (transfer.dial / transfer.outcome call events)
+ * - Every CALLBACK_OFFER_MINUTES callers may press 1 to leave the queue and leave a
+ *   callback number (the callback request steps)
+ * - After MAX_WAIT_MINUTES they overflow to the 'overflow' route of CONFIG.ROUTING (e.g.
+ *   an alternate number), or to voicemail; each exit is a 'hold.left' call event
+ * 
+ * WARM TRANSFERS:
+ * - Destinations with `whisper: true` (the CSR line by default) play the caller's name,
+ *   verification status, language and question type to the agent before connecting;
+ *   the agent presses 1 to take the call (routes/transfers.js), otherwise the caller
+ *   falls through to the next destination
+ * - With CRM_WEBHOOK_URL and CRM_WEBHOOK_SECRET set, every transfer attempt posts an
+ *   HMAC-signed 'transfer.started' screen pop to the CRM, retried on failure
+ *   (payload and signature documented in lib/crm-webhook.js)
+ * 
+ * CALL EVENTS AND REPORTS:
+ * - Step transitions, invalid inputs, verification results and transfer outcomes are
+ *   appended per CallSid to CONFIG.REPORTS.EVENTS_FILE (lib/call-events.js)
+ * - GET /api/reports/daily and /api/reports/abandonment (JSON, or CSV with ?format=csv)
+ *   and GET /api/calls/:callSid/events (API key required)
+ * 
+ * ADMIN API AND CONSOLE:
+ * - /api/admin/* (routes/admin.js): customer CRUD, prompt text per locale, runtime
+ *   settings (ADMIN_SETTINGS: MAX_ATTEMPTS, TARGET_PHONE, CSR hours, holidays,
+ *   closures, verification policies, returning-caller step-up and blocklist) and the
+ *   calls in progress
+ * - /admin is a server-rendered console over the same operations for supervisors
+ * - Either an API key or Basic credentials from ADMIN_USERS ('name:password,...')
+ * - Verification lockouts can be listed and lifted (GET/DELETE /api/admin/lockouts)
+ * - Changes are validated, applied without a restart and saved to
+ *   CONFIG.ADMIN.OVERRIDES_FILE, which is applied again at startup
+ * 
+ * HEALTH, METRICS AND SHUTDOWN:
+ * - GET /healthz (liveness) and GET /readyz (the customer file or database answers within
+ *   CONFIG.SERVER.READINESS_TIMEOUT_SECONDS; 503 while shutting down) need no credentials
+ * - GET /metrics (API key) exposes Prometheus metrics (lib/metrics.js): requests and
+ *   handler latency per route and flow step, verification results, active sessions
+ * - PORT and BIND_ADDRESS set the listener; on SIGTERM/SIGINT the workers stop, and the
+ *   webhooks in flight are answered and the work they left running (call events, CRM
+ *   posts, worker passes) finishes before the process exits (lib/graceful-shutdown.js)
+ * 
+ * WEBHOOK SECURITY:
+ * - /start, /action and /call-status require a valid X-Twilio-Signature (TWILIO_AUTH_TOKEN)
+ * - Set PUBLIC_BASE_URL when behind ngrok/a proxy that rewrites the host
+ * - URLs returned in TwiML are stamped (ts/nonce); stale or replayed requests get 403
+ * - Number webhooks and status callbacks cannot be stamped: only the replay check covers
+ *   them, for REPLAY_WINDOW_SECONDS, kept in the SESSION_STORE backend (file: shared
+ *   across restarts and instances on the same SESSION_DIR; memory: this process only)
+ * - Local development without Twilio: TWILIO_SKIP_SIGNATURE_VALIDATION=true
+ * 
+ * TESTING:
+ * - npm test runs the scenario tests in test/ against this app without a phone:
+ *   test/support/call-simulator.js posts signed webhooks to /start and /action the
+ *   way Twilio does, follows <Redirect>, answers <Gather> and captures <Say>/<Dial>
+ * - `clock` (exported with `app`) drives business hours and stored timestamps;
+ *   tests freeze it to land inside or outside CSR hours
  * 
  * MAINTENANCE NOTES:
- * - Action-based architecture: all steps handled through ACTIONS mapping
- * - Multi-language support through MESSAGES object
+ * - Flow-based architecture: steps are declared as data in flows/ivr.js and
+ *   interpreted by lib/flow-engine.js through the /action router
+ * - New menus/steps only need a node in the flow definition; named conditions,
+ *   validators and verifiers are registered in createFlowEngine() below
+ * - Multi-language support through the message catalogs in locales/
  * - Voice routing through addSayWithVoice() utility function
- * - Easy to add new languages by updating CONFIG.VOICES and MESSAGES
- * - Time-based logic in areCSRAgentsAvailable() function
+ * - Easy to add new languages by adding a catalog and its CONFIG.LANGUAGES/VOICES entries
+ * - Time-based logic in areCSRAgentsAvailable() function (backed by the business-hours calendar)
  * - Removed OpenAI/LLM dependency - using direct user selection instead
  */
 
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const { twiml: { VoiceResponse } } = require('twilio');
-const fs = require('fs').promises;
+const { createFlowEngine } = require('./lib/flow-engine');
+const { createSessionStore } = require('./lib/session-store');
+const { createCustomerRepository } = require('./lib/customer-repository');
+const logger = require('./lib/logger');
+const { createTwilioWebhookValidator, stampUrl } = require('./lib/twilio-webhook');
+const { createBusinessHours, validateSchedule, validateHolidays, validateClosures, localParts } = require('./lib/business-hours');
+const { createVoicemailStore } = require('./lib/voicemail-store');
+const { createApiKeyAuth, createAdminAuth } = require('./lib/api-auth');
+const { createVoicemailRouter } = require('./routes/voicemails');
+const { createCallbackQueue } = require('./lib/callback-queue');
+const { callbackSlots } = require('./lib/callback-slots');
+const { createCallbackWorker } = require('./lib/callback-worker');
+const { createTwilioDialer, createFakeDialer } = require('./lib/dialer');
+const { createCallbackRouter } = require('./routes/callbacks');
+const { createCampaignStore } = require('./lib/campaigns');
+const { createCampaignWorker } = require('./lib/campaign-worker');
+const { createCampaignRouter } = require('./routes/campaigns');
+const { createRouter } = require('./lib/routing');
+const { createCrmWebhook } = require('./lib/crm-webhook');
+const { createTransferRouter } = require('./routes/transfers');
+const { createQueueStats } = require('./lib/queue-stats');
+const { createHoldRouter } = require('./routes/hold');
+const { createMetrics } = require('./lib/metrics');
+const { createHealthRouter } = require('./routes/health');
+const { createGracefulShutdown, createBackgroundWork } = require('./lib/graceful-shutdown');
+const { createCallEventStore } = require('./lib/call-events');
+const { createReportRouter } = require('./routes/reports');
+const { createAdminRouter } = require('./routes/admin');
+const { createOverrides } = require('./lib/overrides');
+const { createLockoutStore } = require('./lib/lockouts');
+const { CREDENTIAL_FIELDS } = require('./lib/credentials');
+const { ONE_TIME_PIN, validatePolicies, matchFactors } = require('./lib/verification');
+const { createOneTimePins } = require('./lib/one-time-pins');
+const { createTwilioSms, createFakeSms } = require('./lib/sms');
+const { createTwilioRecorder, createFakeRecorder } = require('./lib/call-recorder');
+const { createRecordingRouter } = require('./routes/recordings');
+const { spokenAmount, spokenDate } = require('./lib/spoken-format');
+const { createSecureInput } = require('./lib/secure-input');
+const { createPaymentGateway } = require('./lib/payment-gateway');
+const { loadCatalogs, installedLanguages, interpolate } = require('./lib/i18n');
+const validators = require('./lib/validators');
+const { createIvrFlow, FACTORS } = require('./flows/ivr');
 
 const app = express();
 app.use(express.urlencoded({ extended: false }));
@@ -55,133 +307,357 @@ app.use(express.json());
 const CONFIG = {
   TARGET_PHONE: '+19343453827',
   TWILIO_PHONE: '+12295446861',
+  TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID,
+  // HTTP listener (npm start). On SIGTERM/SIGINT /readyz fails, new connections are
+  // refused and webhooks in flight, then the background work they started, get
+  // SHUTDOWN_TIMEOUT_SECONDS to finish.
+  SERVER: {
+    PORT: process.env.PORT ? Number(process.env.PORT) : 3000,
+    BIND_ADDRESS: process.env.BIND_ADDRESS, // every interface when unset
+    SHUTDOWN_TIMEOUT_SECONDS: 20,
+    READINESS_TIMEOUT_SECONDS: 2
+  },
+  // Webhook authentication (X-Twilio-Signature). PUBLIC_BASE_URL is the URL Twilio
+  // calls (e.g. the ngrok URL) when it differs from what this server sees.
+  WEBHOOKS: {
+    AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN,
+    PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL,
+    MAX_AGE_SECONDS: 5 * 60,
+    REPLAY_WINDOW_SECONDS: 60 * 60,
+    // Development only: skip signature checks (ignored when NODE_ENV=production)
+    SKIP_VALIDATION: process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true'
+  },
   MAX_ATTEMPTS: 4,
+  // Spoken answers on every gather (see lib/speech.js); results below
+  // MIN_CONFIDENCE send the caller to the keypad for that step
+  SPEECH: {
+    ENABLED: process.env.SPEECH_INPUT !== 'false',
+    MIN_CONFIDENCE: 0.5,
+    // Languages lib/speech.js can read; other callers answer with the keypad
+    LANGUAGES: ['en', 'es']
+  },
   OPENAI_API_URL: 'https://api.openai.com/v1/chat/completions',
-  DB_FILE: './db.json',
-  // CSR availability hours (EST)
-  CSR_HOURS: {
-    CLOSING_HOUR: 20, // 8pm EST (24-hour format)
-    TIMEZONE: 'America/New_York' // EST timezone
+  // Customer records ('json' file or 'sqlite'); the SQLite store is seeded from JSON_FILE when empty
+  CUSTOMERS: {
+    STORE: process.env.CUSTOMER_STORE || 'json',
+    JSON_FILE: process.env.CUSTOMER_DB_FILE || './db.json',
+    SQLITE_FILE: process.env.CUSTOMER_SQLITE_FILE || './customers.sqlite'
+  },
+  // Internal REST API keys (comma-separated API_KEYS), sent as Bearer token or X-API-Key
+  API_KEYS: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+  // Admin API and console (/admin): API keys or Basic credentials from
+  // ADMIN_USERS ('name:password,...'). Runtime changes are kept in OVERRIDES_FILE.
+  ADMIN: {
+    USERS: (process.env.ADMIN_USERS || '').split(',').filter(Boolean).map(entry => {
+      const separator = entry.indexOf(':');
+      return { username: entry.slice(0, separator).trim(), password: entry.slice(separator + 1) };
+    }),
+    OVERRIDES_FILE: process.env.ADMIN_OVERRIDES_FILE || './data/admin-overrides.json'
+  },
+  // Identity verification policies (lib/verification.js): the factors asked, in order,
+  // from flows/ivr.js FACTORS (last4ssn, dob, zip, accountNumber, otp). Menu options
+  // pick a policy; callers who picked none get DEFAULT_POLICY. 'otp' texts a PIN, valid
+  // for OTP.TTL_SECONDS, to the number on the record the factors before it identify,
+  // through the 'twilio' SMS provider, or the 'fake' one that only records messages.
+  VERIFICATION: {
+    DEFAULT_POLICY: 'standard',
+    POLICIES: {
+      standard: ['last4ssn', 'dob', 'zip'],
+      'account-zip': ['accountNumber', 'zip'],
+      'dob-ssn': ['dob', 'last4ssn'],
+      'account-sms': ['accountNumber', 'otp']
+    },
+    OTP: {
+      TTL_SECONDS: 5 * 60,
+      SMS: process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'fake')
+    }
+  },
+  // Verification lockouts (lib/lockouts.js). A call may fail the identity check
+  // MAX_FAILURES_PER_CALL times; failures are also counted across calls per calling
+  // number and per targeted customer (records matching the policy's first credential
+  // entered, e.g. the SSN last 4), and
+  // MAX_FAILURES within WINDOW_MINUTES lock that number or record for LOCK_MINUTES.
+  // Locked callers are transferred when TRANSFER_TO_AGENT is set and agents are
+  // available; otherwise the call ends.
+  LOCKOUT: {
+    FILE: process.env.LOCKOUT_FILE || './data/lockouts.json',
+    MAX_FAILURES_PER_CALL: 3,
+    CALLER: { MAX_FAILURES: 5, WINDOW_MINUTES: 60, LOCK_MINUTES: 24 * 60 },
+    CUSTOMER: { MAX_FAILURES: 5, WINDOW_MINUTES: 60, LOCK_MINUTES: 24 * 60 },
+    TRANSFER_TO_AGENT: true
+  },
+  // Returning callers: a calling number saved on exactly one customer record skips
+  // the language menu (when the record has a saved language), is greeted by name and
+  // is asked only the STEP_UP factors; an empty STEP_UP asks the whole policy. Numbers
+  // shared by several records or on BLOCKLIST are never recognized nor saved.
+  RETURNING_CALLERS: {
+    ENABLED: process.env.RETURNING_CALLERS !== 'false',
+    STEP_UP: ['dob'],
+    BLOCKLIST: []
+  },
+  // Card payments for verified callers. Card details are kept in memory for at most
+  // CARD_TTL_SECONDS; charges go to the 'http' gateway at GATEWAY_URL (abandoned after
+  // GATEWAY_TIMEOUT_SECONDS), or are approved locally (except test decline cards) by
+  // the 'fake' one, which the server refuses to start with when NODE_ENV=production.
+  PAYMENTS: {
+    GATEWAY: process.env.PAYMENT_GATEWAY || (process.env.PAYMENT_GATEWAY_URL ? 'http' : 'fake'),
+    GATEWAY_URL: process.env.PAYMENT_GATEWAY_URL,
+    GATEWAY_API_KEY: process.env.PAYMENT_GATEWAY_API_KEY,
+    GATEWAY_TIMEOUT_SECONDS: 10,
+    CURRENCY: 'USD',
+    CARD_TTL_SECONDS: 10 * 60
+  },
+  // Call recording (lib/call-recorder.js): dual-channel, started once the mini-miranda
+  // disclosure has played and paused while identity factors and card details are keyed
+  // in. The 'twilio' recorder uses the Calls Recordings REST API ('skip' leaves paused
+  // stretches out of the file); 'fake' only records what it was asked to do.
+  RECORDING: {
+    ENABLED: process.env.CALL_RECORDING !== 'false',
+    RECORDER: process.env.CALL_RECORDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'fake'),
+    PAUSE_BEHAVIOR: 'skip'
+  },
+  // After-hours voicemail. Twilio's <Record> transcription only supports English.
+  VOICEMAIL: {
+    FILE: process.env.VOICEMAIL_FILE || './data/voicemails.json',
+    TRANSCRIBE_LANGUAGES: ['en']
+  },
+  // After-hours callback requests. Slots come from the next open window of QUEUE;
+  // the worker places calls with the 'twilio' dialer, or records them with 'fake'.
+  CALLBACKS: {
+    FILE: process.env.CALLBACK_FILE || './data/callbacks.json',
+    QUEUE: 'csr',
+    SLOT_MINUTES: 60,
+    MAX_SLOTS: 3,
+    LEAD_MINUTES: 15,
+    MAX_ATTEMPTS: 3,
+    RETRY_MINUTES: 15,
+    // Requests still dialing this long after the call was placed (e.g. across a restart) are retried
+    DIALING_TIMEOUT_MINUTES: 10,
+    POLL_SECONDS: 30,
+    DIALER: process.env.CALLBACK_DIALER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'fake')
+  },
+  // Outbound campaigns. Contacts are called while the HOURS_QUEUE calendar is open,
+  // in the business timezone and in the contact's own, at most MAX_CONCURRENT_CALLS at a time; unanswered ones are retried after
+  // RETRY_MINUTES, MAX_ATTEMPTS calls in all.
+  CAMPAIGNS: {
+    FILE: process.env.CAMPAIGN_FILE || './data/campaigns.json',
+    HOURS_QUEUE: 'campaigns',
+    MAX_CONCURRENT_CALLS: 2,
+    MAX_ATTEMPTS: 2,
+    RETRY_MINUTES: 120,
+    POLL_SECONDS: 30,
+    DIALER: process.env.CAMPAIGN_DIALER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'fake')
+  },
+  // Transfer routing table (see lib/routing.js). Rules are checked in order and
+  // match on questionType, language and verified; destinations are tried in order.
+  // Callers who wait too long on hold go to the 'overflow' route, or to voicemail
+  // when it has no destinations.
+  //   'csr-sip':   { type: 'sip', to: 'sip:csr@example.sip.twilio.com', callerId: 'caller' }
+  //   'csr-queue': { type: 'queue', to: 'csr', workflowSid: process.env.TWILIO_WORKFLOW_SID }
+  //   'csr-cold':  { type: 'number', to: 'TARGET_PHONE', callerId: 'TWILIO_PHONE' } (no whisper)
+  //   'overflow-line': { type: 'number', to: '+15550100200', callerId: 'TWILIO_PHONE' }
+  //   { questionType: 'account-specific', verified: true, destinations: ['csr-queue', 'csr-line'] }
+  //   { route: 'overflow', destinations: ['overflow-line'] }
+  ROUTING: {
+    DESTINATIONS: {
+      'csr-line': { type: 'number', to: 'TARGET_PHONE', callerId: 'TWILIO_PHONE', timeout: 25, whisper: true },
+      'csr-hold': { type: 'enqueue', to: 'csr', waitUrl: '/hold/wait' }
+    },
+    RULES: [
+      { destinations: ['csr-line', 'csr-hold'] }
+    ]
+  },
+  // Hold queue (<Enqueue> destinations whose waitUrl is /hold/wait, routes/hold.js).
+  // Callers hear their position and estimated wait, from the answers of the last
+  // STATS_WINDOW_MINUTES (lib/queue-stats.js), between plays of MUSIC_URL; they are
+  // offered to leave a callback number every CALLBACK_OFFER_MINUTES and overflow after
+  // MAX_WAIT_MINUTES (checked each time the music ends). Agents take callers with
+  // <Dial><Queue>csr</Queue></Dial>.
+  HOLD: {
+    MUSIC_URL: 'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3',
+    CALLBACK_OFFER_MINUTES: 2,
+    MAX_WAIT_MINUTES: 10,
+    STATS_WINDOW_MINUTES: 30
+  },
+  // Warm transfers. Destinations with `whisper: true` tell the agent (in AGENT_LANGUAGE)
+  // who is calling; the agent presses 1 within WHISPER_TIMEOUT_SECONDS to take the call,
+  // otherwise the caller moves on to the next destination. With CRM_WEBHOOK.URL set,
+  // every transfer attempt is also posted to the CRM, signed with CRM_WEBHOOK.SECRET.
+  WARM_TRANSFER: {
+    AGENT_LANGUAGE: 'en',
+    WHISPER_TIMEOUT_SECONDS: 8,
+    CRM_WEBHOOK: {
+      URL: process.env.CRM_WEBHOOK_URL,
+      SECRET: process.env.CRM_WEBHOOK_SECRET,
+      MAX_ATTEMPTS: 4,
+      RETRY_SECONDS: 5,
+      TIMEOUT_SECONDS: 5
+    }
+  },
+  // Call-event audit trail; calls with no final status count as over (and possibly
+  // abandoned) ABANDON_AFTER_SECONDS after their last event
+  REPORTS: {
+    EVENTS_FILE: process.env.CALL_EVENTS_FILE || './data/call-events.jsonl',
+    ABANDON_AFTER_SECONDS: 60 * 60
+  },
+  // Call-session storage ('memory' or 'file'); sessions expire after TTL_SECONDS
+  SESSIONS: {
+    STORE: process.env.SESSION_STORE || 'file',
+    DIR: process.env.SESSION_DIR || './sessions',
+    TTL_SECONDS: 60 * 60,
+    PRUNE_INTERVAL_SECONDS: 5 * 60
+  },
+  // CSR availability calendar, evaluated in TIMEZONE (see lib/business-hours.js)
+  BUSINESS_HOURS: {
+    TIMEZONE: 'America/New_York', // EST/EDT
+    QUEUES: {
+      csr: {
+        weekly: {
+          mon: [['08:00', '20:00']],
+          tue: [['08:00', '20:00']],
+          wed: [['08:00', '20:00']],
+          thu: [['08:00', '20:00']],
+          fri: [['08:00', '20:00']],
+          sat: [['09:00', '14:00']],
+          sun: []
+        }
+      },
+      // Outbound campaign calling hours, inside CSR hours so verified contacts can be transferred;
+      // also applied on each contact's local clock
+      campaigns: {
+        weekly: {
+          mon: [['09:00', '19:00']],
+          tue: [['09:00', '19:00']],
+          wed: [['09:00', '19:00']],
+          thu: [['09:00', '19:00']],
+          fri: [['09:00', '19:00']],
+          sat: [],
+          sun: []
+        }
+      }
+    },
+    // Closed all day on every queue; 'MM-DD' repeats yearly
+    HOLIDAYS: [
+      { date: '01-01', name: "New Year's Day" },
+      { date: '07-04', name: 'Independence Day' },
+      { date: '12-25', name: 'Christmas Day' }
+    ],
+    // One-off closures in local time, e.g. { start: '2026-11-27T12:00', end: '2026-11-28T00:00', reason: 'Thanksgiving' }
+    CLOSURES: []
   },
-  // Voice configuration based on Twilio documentation
+  // Language of the language menu, of callers who have not chosen one and the
+  // reference catalog in locales/
+  DEFAULT_LANGUAGE: 'en',
+  // Voice configuration based on Twilio documentation; a language without a
+  // VOICES entry is read by the locale's default voice
   LANGUAGES: {
     en: 'en-US', // Google voice for English
-    es: 'es-ES'  // Google voice for Spanish (US)
+    es: 'es-ES', // Google voice for Spanish (US)
+    pt: 'pt-BR', // Google voice for Portuguese (Brazil)
+    vi: 'vi-VN'  // Google voice for Vietnamese
   },
   VOICES: {
     en: 'Google.en-AU-Chirp3-HD-Aoede',
-    es: 'Google.es-ES-Chirp3-HD-Aoede'
+    es: 'Google.es-ES-Chirp3-HD-Aoede',
+    pt: 'Google.pt-BR-Chirp3-HD-Aoede',
+    vi: 'Google.vi-VN-Chirp3-HD-Aoede'
   }
 };
 
-// Load database
-let dummyDB = require('./db.json');
-
-// Enhanced state store with complete flow tracking
-const state = {};
-
-function getState(callSid) {
-  if (!state[callSid]) {
-    state[callSid] = {
-      currentStep: 'language-selection', // Start with language selection
-      language: null, // 'en' or 'es'
-      questionType: null, // 'account-specific' or 'general'
-      last4ssn: null,
-      dob: null,
-      zip: null,
-      phoneNumber: null,
-      attempts: {
-        language: 0,
-        questionType: 0,
-        last4ssn: 0,
-        dob: 0,
-        zip: 0
-      }
-    };
-  }
-  return state[callSid];
-}
+// Wall clock for business hours, callback slots and stored timestamps; tests freeze it
+const clock = { now: () => new Date() };
 
-// Utility functions
-function tooManyAttempts(vr, step, callSid, res) {
-  const s = getState(callSid);
-  if (s.attempts[step] >= CONFIG.MAX_ATTEMPTS) {
-    const lang = s.language || 'en';
-    addSayWithVoice(vr, MESSAGES[lang].tooManyAttempts, lang);
-    vr.hangup();
-    res.type("text/xml").send(vr.toString());
-    return true;
-  }
-  return false;
-}
+// Customer database
+const customers = createCustomerRepository({
+  backend: CONFIG.CUSTOMERS.STORE,
+  file: CONFIG.CUSTOMERS.STORE === 'sqlite' ? CONFIG.CUSTOMERS.SQLITE_FILE : CONFIG.CUSTOMERS.JSON_FILE,
+  seedFile: CONFIG.CUSTOMERS.JSON_FILE
+});
 
-function isValidDOB(dob) {
-  if (!/^\d{8}$/.test(dob)) return false;
-  const month = parseInt(dob.slice(0,2));
-  const day   = parseInt(dob.slice(2,4));
-  const year  = parseInt(dob.slice(4,8));
+// Call-session store with complete flow tracking; survives restarts with the file backend
+const sessionStore = createSessionStore({
+  backend: CONFIG.SESSIONS.STORE,
+  dir: CONFIG.SESSIONS.DIR,
+  ttlSeconds: CONFIG.SESSIONS.TTL_SECONDS
+});
 
-  if (month < 1 || month > 12) return false;
-  if (year < 1900) return false;
+// Twilio call statuses after which the session is no longer needed
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
 
-  const date = new Date(year, month - 1, day);
-  const now = new Date();
-  if (date.getFullYear() !== year || date.getMonth() + 1 !== month || date.getDate() !== day) return false;
-  if (date > now) return false;
-  return true;
+function newState() {
+  return {
+    currentStep: ivrFlow.start, // Start with language selection
+    language: null, // an installed language code, e.g. 'en'
+    questionType: null, // 'account-specific' or 'general'
+    verified: false,
+    customerId: null,
+    verificationPolicy: null, // CONFIG.VERIFICATION.POLICIES name picked in the menu
+    last4ssn: null,
+    dob: null,
+    zip: null,
+    accountNumber: null,
+    otp: null, // one-time PIN keyed in
+    phoneNumber: null,
+    callbackDigits: null, // alternate callback number keyed in by the caller
+    callbackSlot: null, // { value: { start, end }, label }
+    transferIndex: 0, // routing destination currently being dialed
+    hold: null, // { queueTime, callbackOfferedAt, exit } in the hold queue (routes/hold.js)
+    keypadOnly: [], // gather steps where speech failed; DTMF only from then on
+    history: [], // gather steps visited, for the 'back' shortcut
+    verificationFailures: 0, // failed identity checks on this call (see CONFIG.LOCKOUT)
+    account: null, // verified customer's balance, due date and last payment, for self-service
+    paymentCents: null, // amount keyed in for a card payment
+    payment: null, // { amountCents, cardLast4, status, confirmationNumber }; card details are never kept here
+    campaign: null, // { id, contactId, customerId } on outbound campaign calls
+    recording: null, // 'in-progress', 'paused' or 'stopped' once the call recording started (flow engine)
+    recordingConsent: null, // { at, language } of the disclosure heard before recording started
+    returning: null, // { customerId, name } when the calling number is saved on one record
+    stepUp: false, // verify a returning caller with CONFIG.RETURNING_CALLERS.STEP_UP only
+    attempts: {
+      language: 0,
+      questionType: 0,
+      last4ssn: 0,
+      dob: 0,
+      zip: 0,
+      accountNumber: 0,
+      otp: 0,
+      afterHours: 0,
+      callbackNumber: 0,
+      callbackSlot: 0,
+      selfService: 0,
+      paymentAmount: 0,
+      cardNumber: 0,
+      cardExpiry: 0,
+      cardCvc: 0,
+      paymentConfirm: 0
+    }
+  };
 }
 
-// Multi-language messages
-const MESSAGES = {
-  en: {
-    miniMiranda: "This call may be monitored or recorded for quality and training purposes.",
-    languagePromptEn: "For English, press 1.",
-    languagePromptEs: "Para Español, presiona 2.",
-    noCSRAgents: "Please note that there are currently no customer service representatives available.",
-    questionTypePrompt: "For general information, press 1. For account specific questions or to make a payment, press 2.",
-    invalidQuestionType: "Invalid selection. Please try again.",
-    invalidLanguage: "Invalid selection. Please try again.",
-    ssn4Prompt: "Please enter the last four digits of your social security number using your phone keypad.",
-    dobPrompt: "Enter your date of birth as month, month, day, day, year, year, year, year using your phone keypad.",
-    zipPrompt: "Enter your five digit zip code using your phone keypad.",
-    invalidSSN: "That was not four digits. Please try again using your keypad.",
-    invalidDOB: "That date of birth was not valid. Please try again using your keypad.",
-    invalidZIP: "That zip code did not look right. Please try again using your keypad.",
-    verificationSuccess: "Welcome {name}, you are verified. Transferring you now.",
-    verificationFailed: "Those details did not match our records. Please try again.",
-    transferring: "Please hold while we transfer your call.",
-    tooManyAttempts: "Too many invalid attempts. Goodbye.",
-    systemError: "An error occurred. Please try again later.",
-    noInput: "Sorry, I did not get that."
-  },
-  es: {
-    miniMiranda: "Esta llamada puede ser monitoreada o grabada para propósitos de calidad y entrenamiento.",
-    languagePromptEn: "For English, press 1.",
-    languagePromptEs: "Para Español, presiona 2.",
-    noCSRAgents: "Por favor tenga en cuenta que actualmente no hay representantes de servicio al cliente disponibles.",
-    questionTypePrompt: "Para información general, presiona 1. Para preguntas específicas de su cuenta o hacer un pago, presiona 2.",
-    invalidQuestionType: "Selección inválida. Por favor intente de nuevo.",
-    invalidLanguage: "Selección inválida. Por favor intente de nuevo.",
-    ssn4Prompt: "Por favor ingrese los últimos cuatro dígitos de su número de seguro social usando el teclado de su teléfono.",
-    dobPrompt: "Ingrese su fecha de nacimiento como mes mes día día año año año año usando el teclado de su teléfono.",
-    zipPrompt: "Ingrese su código postal de cinco dígitos usando el teclado de su teléfono.",
-    invalidSSN: "Eso no fueron cuatro dígitos. Por favor intente de nuevo usando su teclado.",
-    invalidDOB: "Esa fecha de nacimiento no fue válida. Por favor intente de nuevo usando su teclado.",
-    invalidZIP: "Ese código postal no se ve correcto. Por favor intente de nuevo usando su teclado.",
-    verificationSuccess: "Bienvenido {name}, está verificado. Transfiriéndolo ahora.",
-    verificationFailed: "Esos detalles no coincidieron con nuestros registros. Por favor intente de nuevo.",
-    transferring: "Por favor manténgase en línea mientras transferimos su llamada.",
-    tooManyAttempts: "Demasiados intentos inválidos. Adiós.",
-    systemError: "Ocurrió un error. Por favor intente de nuevo más tarde.",
-    noInput: "Lo siento, no recibí eso."
-  }
-};
+async function getState(callSid) {
+  return (await sessionStore.get(callSid)) || newState();
+}
+
+function saveState(callSid, s) {
+  return sessionStore.set(callSid, s);
+}
+
+// Message catalogs (locales/<language>.json); incomplete catalogs stop startup
+const MESSAGES = loadCatalogs({ dir: path.join(__dirname, 'locales'), defaultLanguage: CONFIG.DEFAULT_LANGUAGE });
+const LANGUAGES = installedLanguages(MESSAGES, CONFIG.DEFAULT_LANGUAGE);
+const ivrFlow = createIvrFlow({ languages: LANGUAGES });
+
+LANGUAGES.filter(language => !CONFIG.LANGUAGES[language]).forEach(language => {
+  logger.warn('No CONFIG.LANGUAGES locale for installed language; speaking it with the default voice', { language });
+});
 
 // Utility functions for voice-specific TwiML
+// A language without a locale uses the default language's voice; one without a voice the locale's default
 function addSayWithVoice(parent, text, simpleLanguage) {
-  const language = CONFIG.LANGUAGES[simpleLanguage];
-  const voice = CONFIG.VOICES[simpleLanguage];
-  const say = parent.say({ language, voice }, text);
+  const voiced = CONFIG.LANGUAGES[simpleLanguage] ? simpleLanguage : CONFIG.DEFAULT_LANGUAGE;
+  const attributes = { language: CONFIG.LANGUAGES[voiced] };
+  if (CONFIG.VOICES[voiced]) attributes.voice = CONFIG.VOICES[voiced];
+  const say = parent.say(attributes, text);
   return say;
 }
 
@@ -189,476 +665,963 @@ function createVoiceResponse() {
   return new VoiceResponse();
 }
 
-// Check if CSR agents are available based on current time in EST
+const businessHours = createBusinessHours({
+  timezone: CONFIG.BUSINESS_HOURS.TIMEZONE,
+  queues: CONFIG.BUSINESS_HOURS.QUEUES,
+  holidays: CONFIG.BUSINESS_HOURS.HOLIDAYS,
+  closures: CONFIG.BUSINESS_HOURS.CLOSURES,
+  now: () => clock.now()
+});
+
+// ===== VERIFICATION POLICIES =====
+
+const FACTOR_NAMES = Object.keys(FACTORS);
+
+// Policies the flow's menu options pick, and the default; these must stay defined
+function policiesInUse() {
+  const picked = Object.values(ivrFlow.nodes)
+    .flatMap(node => Object.values(node.options || {}))
+    .map(option => option.set && option.set.verificationPolicy)
+    .filter(Boolean);
+  return [...new Set([CONFIG.VERIFICATION.DEFAULT_POLICY, ...picked])];
+}
+
+validatePolicies(CONFIG.VERIFICATION.POLICIES, { factors: FACTOR_NAMES, required: policiesInUse() });
+
+// ===== ADMIN OVERRIDES =====
+
+// CONFIG values supervisors may change at runtime (lib/overrides.js)
+const ADMIN_SETTINGS = {
+  MAX_ATTEMPTS: {
+    description: 'Invalid or missing answers allowed per question before the call ends',
+    validate(value) {
+      if (!Number.isInteger(value) || value < 1 || value > 10) throw new Error('must be a whole number from 1 to 10');
+    }
+  },
+  TARGET_PHONE: {
+    description: 'Agent line dialed by transfers and callbacks',
+    validate(value) {
+      if (typeof value !== 'string' || !/^\+[1-9]\d{7,14}$/.test(value)) throw new Error('must be an E.164 number such as +15551234567');
+    }
+  },
+  'LOCKOUT.MAX_FAILURES_PER_CALL': {
+    description: 'Failed identity checks allowed on one call before the caller is locked out',
+    validate(value) {
+      if (!Number.isInteger(value) || value < 1 || value > 10) throw new Error('must be a whole number from 1 to 10');
+    }
+  },
+  'VERIFICATION.POLICIES': {
+    description: `Factors each verification policy asks, in order (any of ${FACTOR_NAMES.join(', ')})`,
+    validate: policies => validatePolicies(policies, { factors: FACTOR_NAMES, required: policiesInUse() })
+  },
+  'RETURNING_CALLERS.STEP_UP': {
+    description: `Factors asked of recognized returning callers (any of ${FACTOR_NAMES.join(', ')}); none asks the whole policy`,
+    validate(value) {
+      if (!Array.isArray(value) || value.some(factor => !FACTOR_NAMES.includes(factor)) || new Set(value).size !== value.length) {
+        throw new Error(`must be a list of distinct factors from: ${FACTOR_NAMES.join(', ')}`);
+      }
+    }
+  },
+  'RETURNING_CALLERS.BLOCKLIST': {
+    description: 'Calling numbers never recognized as returning callers nor saved on customer records',
+    validate(value) {
+      if (!Array.isArray(value) || value.some(number => typeof number !== 'string' || !/^\+[1-9]\d{7,14}$/.test(number))) {
+        throw new Error('must be a list of E.164 numbers such as +15551234567');
+      }
+    }
+  },
+  'BUSINESS_HOURS.QUEUES.csr.weekly': {
+    description: `CSR opening hours per weekday, 24-hour local time (${CONFIG.BUSINESS_HOURS.TIMEZONE})`,
+    validate: weekly => validateSchedule('csr', { weekly })
+  },
+  'BUSINESS_HOURS.HOLIDAYS': {
+    description: "Days closed on every queue: { date: 'YYYY-MM-DD' or 'MM-DD', name }",
+    validate: validateHolidays
+  },
+  'BUSINESS_HOURS.CLOSURES': {
+    description: "Special closures in local time: { start: 'YYYY-MM-DDTHH:MM', end, reason }",
+    validate: validateClosures
+  }
+};
+
+const overrides = createOverrides({
+  file: CONFIG.ADMIN.OVERRIDES_FILE,
+  config: CONFIG,
+  settings: ADMIN_SETTINGS,
+  messages: MESSAGES,
+  defaultLanguage: CONFIG.DEFAULT_LANGUAGE
+});
+overrides.load().catch(error => logger.error('Error loading admin overrides', { error }));
+
+// Check if CSR agents are available according to the business-hours calendar
 function areCSRAgentsAvailable() {
-  const now = new Date();
-  const estTime = new Date(now.toLocaleString("en-US", { timeZone: CONFIG.CSR_HOURS.TIMEZONE }));
-  const currentHour = estTime.getHours();
+  const { open, reason, local } = businessHours.check('csr');
   
-  const isAvailable = currentHour < CONFIG.CSR_HOURS.CLOSING_HOUR;
+  logger.debug('CSR availability checked', { localTime: `${local.weekday} ${local.date} ${local.time}`, available: open, reason });
   
-  console.log(`🕐 Current EST time: ${estTime.toLocaleString()}, Hour: ${currentHour}, CSR Available: ${isAvailable}`);
-  
-  return isAvailable;
+  return open;
 }
 
-// Action-based routing system
-const ACTIONS = {
-  'mini-miranda': handleMiniMiranda,
-  'language-selection': handleLanguageSelection,
-  'process-language': processLanguageSelection,
-  'csr-notice': handleCSRNotice,
-  'ask-question-type': handleQuestionTypePrompt,
-  'process-question-type': processQuestionType,
-  'ask-ssn': handleSSNPrompt,
-  'process-ssn': processSSN,
-  'ask-dob': handleDOBPrompt,
-  'process-dob': processDOB,
-  'ask-zip': handleZIPPrompt,
-  'process-zip': processZIP,
-  'verify-user': verifyUser,
-  'transfer-call': transferCall
-};
-
-async function savePhoneNumberToDB(phoneNumber, userRecord) {
+// Remember the verified caller's number (unless blocklisted) and language on their record
+async function saveCallerToDB(s, userRecord) {
   try {
-    console.log("💾 Attempting to save phone number:", phoneNumber);
-    console.log("👤 For user record:", JSON.stringify(userRecord, null, 2));
-    
-    if (!phoneNumber) {
-      console.error("❌ Phone number is null or undefined!");
-      return;
+    const changes = {};
+    if (!s.phoneNumber) {
+      logger.error('No phone number to save', { customerId: userRecord.id });
+    } else if (!isBlocklisted(s.phoneNumber)) {
+      changes.phoneNumber = s.phoneNumber;
     }
+    if (s.language) changes.language = s.language;
+    if (!Object.keys(changes).length) return;
     
-    // Add phone number to the user record
-    const updatedRecord = { ...userRecord, phoneNumber };
+    const updatedRecord = await customers.update(userRecord.id, changes);
     
-    // Find and update the record in the array
-    const recordIndex = dummyDB.findIndex(r => 
-      r.last4ssn === userRecord.last4ssn && 
-      r.dob === userRecord.dob && 
-      r.zip === userRecord.zip
-    );
-    
-    console.log("🔍 Found record at index:", recordIndex);
-    
-    if (recordIndex !== -1) {
-      console.log("📝 Updating record:", JSON.stringify(updatedRecord, null, 2));
-      dummyDB[recordIndex] = updatedRecord;
-      // Save to file
-      await fs.writeFile(CONFIG.DB_FILE, JSON.stringify(dummyDB, null, 4));
-      console.log("✅ Phone number saved to database successfully:", phoneNumber);
+    if (updatedRecord) {
+      logger.info('Caller details saved', { customerId: userRecord.id, fields: Object.keys(changes) });
     } else {
-      console.error("❌ User record not found in database");
+      logger.error('Customer record not found', { customerId: userRecord.id });
     }
   } catch (error) {
-    console.error("❌ Error saving phone number to database:", error);
+    logger.error('Error saving caller details', { customerId: userRecord.id, error });
   }
 }
 
-// ===== ACTION HANDLERS =====
+// ===== RETURNING CALLERS =====
 
-// 0. Mini-miranda handler
-function handleMiniMiranda(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en'; // Use selected language
-  console.log("📢 Mini-miranda for CallSid:", callSid, "Language:", lang);
-  
-  const vr = new VoiceResponse();
-  addSayWithVoice(vr, MESSAGES[lang].miniMiranda, lang); // Use selected language
-  
-  // Check CSR availability and route accordingly
-  if (areCSRAgentsAvailable()) {
-    console.log("CSR agents available, skipping notice");
-    s.currentStep = 'ask-question-type'; // Skip CSR notice, go directly to question type selection
-  } else {
-    console.log("CSR agents not available, showing notice");
-    s.currentStep = 'csr-notice'; // Show unavailability notice
+const isBlocklisted = number => CONFIG.RETURNING_CALLERS.BLOCKLIST.includes(number);
+
+// A number saved on exactly one record identifies a returning caller; shared and
+// blocklisted numbers get the full flow. With a saved language the menu is skipped.
+async function recognizeCaller(s, callSid) {
+  if (!CONFIG.RETURNING_CALLERS.ENABLED || !isCallerNumber(s.phoneNumber)) return;
+  if (isBlocklisted(s.phoneNumber)) {
+    logger.info('Blocklisted number; not recognizing the caller', { callSid });
+    return;
+  }
+  try {
+    const records = await customers.findByPhoneNumber(s.phoneNumber);
+    if (records.length > 1) {
+      logger.warn('Number saved on several customers; not recognizing the caller', { callSid, customerIds: records.map(r => r.id) });
+      return;
+    }
+    if (!records.length) return;
+
+    const [record] = records;
+    s.returning = { customerId: record.id, name: record.name || '' };
+    s.stepUp = CONFIG.RETURNING_CALLERS.STEP_UP.length > 0;
+    if (LANGUAGES.includes(record.language)) {
+      s.language = record.language;
+      s.currentStep = ivrFlow.returningStart;
+    }
+    logger.info('Returning caller recognized', { callSid, customerId: record.id, language: s.language, stepUp: s.stepUp });
+  } catch (error) {
+    logger.error('Error looking up returning caller', { callSid, error });
   }
-  
-  vr.redirect('/action');
-  res.type('text/xml').send(vr.toString());
 }
 
-// 1. Language selection handler
-function handleLanguageSelection(req, res) {
-  const vr = new VoiceResponse();
-  const g = vr.gather({
-    input: 'dtmf',
-    numDigits: 1,
-    action: '/action?step=process-language',
-    method: 'POST'
+// ===== VERIFICATION LOCKOUTS =====
+
+const lockouts = createLockoutStore({
+  file: CONFIG.LOCKOUT.FILE,
+  policies: Object.fromEntries([['caller', CONFIG.LOCKOUT.CALLER], ['customer', CONFIG.LOCKOUT.CUSTOMER]].map(([scope, policy]) => [scope, {
+    maxFailures: policy.MAX_FAILURES,
+    windowMinutes: policy.WINDOW_MINUTES,
+    lockMinutes: policy.LOCK_MINUTES
+  }])),
+  now: () => clock.now()
+});
+
+const isCallerNumber = number => /^\+\d{8,15}$/.test(number || '');
+
+// Customers the call's first credential factor (or the step-up check) points at,
+// whatever the other factors say
+async function targetedCustomerIds(s) {
+  const [identifier] = factorsToAsk(s).filter(factor => CREDENTIAL_FIELDS.includes(factor));
+  const ids = identifier && s[identifier]
+    ? (await customers.findAllByCredentials({ [identifier]: s[identifier] })).map(record => record.id)
+    : [];
+  if (s.stepUp && !ids.includes(s.returning.customerId)) ids.push(s.returning.customerId);
+  return ids;
+}
+
+// Count a failed check against the caller and every record the policy's first
+// credential (or the step-up check) points at; true when the call may not try again
+async function verificationFailed(s, params) {
+  s.verificationFailures = (s.verificationFailures || 0) + 1;
+  const targeted = await targetedCustomerIds(s);
+  const results = await Promise.all([
+    ...(isCallerNumber(s.phoneNumber) ? [lockouts.recordFailure('caller', s.phoneNumber).then(result => ({ scope: 'caller', ...result }))] : []),
+    ...targeted.map(customerId => lockouts.recordFailure('customer', customerId).then(result => ({ scope: 'customer', customerId, ...result })))
+  ]);
+  if (s.verificationFailures >= CONFIG.LOCKOUT.MAX_FAILURES_PER_CALL) results.push({ scope: 'call', locked: true, lockedUntil: null });
+
+  const locked = results.filter(result => result.locked);
+  locked.forEach(({ scope, customerId = null, lockedUntil }) => {
+    logger.warn('Verification locked', { callSid: params.CallSid, scope, customerId, lockedUntil });
+    auditCall('lockout', { callSid: params.CallSid, step: s.currentStep, session: s, scope, customerId, lockedUntil });
   });
-  
-  // Play English part with English voice
-  addSayWithVoice(g, MESSAGES.en.languagePromptEn, 'en');
-  
-  // Play Spanish part with Spanish voice
-  addSayWithVoice(g, MESSAGES.es.languagePromptEs, 'es');
-  
-  // Use English voice for fallback
-  addSayWithVoice(vr, MESSAGES.en.noInput, 'en');
-  vr.redirect('/action?step=language-selection');
-  res.type('text/xml').send(vr.toString());
+  return locked.length > 0;
 }
 
-function processLanguageSelection(req, res) {
-  const callSid = req.body.CallSid;
-  const digit = req.body.Digits;
-  const s = getState(callSid);
-  console.log("🌐 Language selection for CallSid:", callSid, "Digit:", digit);
-  
-  const vr = new VoiceResponse();
-  
-  if (digit === '1') {
-    s.language = 'en';
-    s.currentStep = 'mini-miranda';  // Go to mini-miranda after language selection
-    vr.redirect('/action');
-  } else if (digit === '2') {
-    s.language = 'es';
-    s.currentStep = 'mini-miranda';  // Go to mini-miranda after language selection
-    vr.redirect('/action');
-  } else {
-    s.attempts.language++;
-    if (tooManyAttempts(vr, 'language', callSid, res)) return;
-    addSayWithVoice(vr, MESSAGES.en.invalidLanguage, 'en');
-    vr.redirect('/action?step=language-selection');
-  }
-  
-  res.type('text/xml').send(vr.toString());
+// ===== IDENTITY VERIFICATION =====
+
+// Policy name and factors asked on this call: the step-up factors for recognized
+// callers, else the policy picked in the menu
+const policyName = s => (s.stepUp ? 'step-up' : s.verificationPolicy || CONFIG.VERIFICATION.DEFAULT_POLICY);
+const factorsToAsk = s => (s.stepUp ? CONFIG.RETURNING_CALLERS.STEP_UP : CONFIG.VERIFICATION.POLICIES[policyName(s)]);
+
+// The factor after the one just collected, or the first. Transitions resolve while the
+// collect step answered is still the session's currentStep.
+function nextFactor(s) {
+  const factors = factorsToAsk(s);
+  return factors[factors.findIndex(factor => FACTORS[factor].step === s.currentStep) + 1] || null;
 }
 
-// 2. CSR notice handler (only called when agents are not available)
-function handleCSRNotice(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("👥 CSR unavailable notice for CallSid:", callSid, "Language:", lang);
-  
-  const vr = new VoiceResponse();
-  
-  // Double-check availability (should be false if we got here)
-  if (!areCSRAgentsAvailable()) {
-    addSayWithVoice(vr, MESSAGES[lang].noCSRAgents, lang);
-    console.log("📢 Played CSR unavailable message");
+// The customer the collected credential factors point at ({ record, failedFactor, ambiguous },
+// lib/verification.js). Only the records the blind index of the first factor points at
+// are checked (the later factors still narrow them one by one, so the failed factor is
+// known); a step-up check only looks at the recognized caller's record, and a campaign
+// call for a contact with a customerId only at that customer's.
+async function identify(s, factors) {
+  let candidates;
+  if (s.stepUp) {
+    const record = await customers.get(s.returning.customerId);
+    candidates = record && record.phoneNumber === s.phoneNumber ? [record] : [];
   } else {
-    console.log("⚠️ Warning: CSR notice called but agents are available");
+    const [identifier] = factors.filter(factor => CREDENTIAL_FIELDS.includes(factor));
+    candidates = identifier ? await customers.findCandidates({ [identifier]: s[identifier] }) : [];
   }
-  
-  s.currentStep = 'ask-question-type';
-  vr.redirect('/action');
-  res.type('text/xml').send(vr.toString());
+  // A campaign call for a known customer is only ever that customer's
+  if (s.campaign && s.campaign.customerId) candidates = candidates.filter(record => record.id === s.campaign.customerId);
+  return matchFactors(candidates, factors, s);
 }
 
-// 3. Question type prompt handler
-function handleQuestionTypePrompt(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("❓ Question type prompt for CallSid:", callSid, "Language:", lang);
-  
-  const vr = new VoiceResponse();
-  const g = vr.gather({
-    input: 'dtmf',
-    numDigits: 1,
-    action: '/action?step=process-question-type',
-    method: 'POST'
-  });
-  addSayWithVoice(g, MESSAGES[lang].questionTypePrompt, lang);
-  addSayWithVoice(vr, MESSAGES[lang].noInput, lang);
-  vr.redirect('/action?step=ask-question-type');
-  res.type('text/xml').send(vr.toString());
-}
+const oneTimePins = createOneTimePins({
+  digits: FACTORS[ONE_TIME_PIN].numDigits,
+  ttlSeconds: CONFIG.VERIFICATION.OTP.TTL_SECONDS,
+  now: () => clock.now().getTime()
+});
 
-function processQuestionType(req, res) {
-  const callSid = req.body.CallSid;
-  const digit = req.body.Digits;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("🔢 Question type selection for CallSid:", callSid, "Digit:", digit);
-  
-  const vr = new VoiceResponse();
-  
-  if (digit === '1') {
-    // General information
-    s.questionType = 'general';
-    console.log("📋 Selected: General information");
-    s.currentStep = 'transfer-call';
-    vr.redirect('/action');
-  } else if (digit === '2') {
-    // Account-specific or payment
-    s.questionType = 'account-specific';
-    console.log("🏦 Selected: Account-specific/Payment");
-    s.currentStep = 'ask-ssn';
-    // Store phone number for later saving to DB
-    const callerPhone = req.body.From;
-    s.phoneNumber = callerPhone;
-    console.log("📞 Capturing phone number for account verification:", callerPhone);
-    console.log("💾 Phone number stored in state:", s.phoneNumber);
-    vr.redirect('/action');
-  } else {
-    s.attempts.questionType++;
-    if (tooManyAttempts(vr, 'questionType', callSid, res)) return;
-    addSayWithVoice(vr, MESSAGES[lang].invalidQuestionType, lang);
-    vr.redirect('/action?step=ask-question-type');
+const sms = CONFIG.VERIFICATION.OTP.SMS === 'twilio'
+  ? createTwilioSms({ accountSid: CONFIG.TWILIO_ACCOUNT_SID, authToken: CONFIG.WEBHOOKS.AUTH_TOKEN, from: CONFIG.TWILIO_PHONE })
+  : createFakeSms();
+
+// Text a PIN to the number on the record the factors so far point at. Callers hear the
+// same prompt when nobody matched (the PIN then checks for nobody); one PIN per call
+// until it is checked or expires, so repeating the prompt does not send another.
+async function sendOneTimePin(s, params) {
+  const callSid = params.CallSid;
+  if (oneTimePins.pending(callSid)) return;
+
+  const factors = factorsToAsk(s);
+  const { record } = await identify(s, factors.slice(0, factors.indexOf(ONE_TIME_PIN)));
+  const to = record && record.phoneNumber;
+  const pin = oneTimePins.issue(callSid, to ? record.id : null);
+  if (!to) {
+    logger.info('No customer with a number on file; one-time PIN not sent', { callSid, customerId: record ? record.id : null });
+    return;
+  }
+  const language = s.language || CONFIG.DEFAULT_LANGUAGE;
+  try {
+    await sms.send({ to, body: interpolate(MESSAGES[language].otpMessage, { pin, minutes: Math.round(CONFIG.VERIFICATION.OTP.TTL_SECONDS / 60) }) });
+    logger.info('One-time PIN sent', { callSid, customerId: record.id });
+  } catch (error) {
+    logger.error('Error sending one-time PIN', { callSid, customerId: record.id, error });
   }
-  
-  res.type('text/xml').send(vr.toString());
 }
 
-// SSN, DOB, ZIP handlers (account-specific path)
-function handleSSNPrompt(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  
-  const vr = new VoiceResponse();
-  const g = vr.gather({
-    input: 'dtmf',
-    numDigits: 4,
-    action: '/action?step=process-ssn',
-    method: 'POST'
-  });
-  addSayWithVoice(g, MESSAGES[lang].ssn4Prompt, lang);
-  addSayWithVoice(vr, MESSAGES[lang].noInput, lang);
-  vr.redirect('/action?step=ask-ssn');
-  res.type('text/xml').send(vr.toString());
-}
+// Identity check against the call's policy; locked callers, and locked customers the
+// first credential factor points at, are refused before any comparison, so a locked
+// account answers right and wrong details alike (whatever number calls). Which factor
+// failed goes to the verification event only.
+// A failed step-up check counts as a failure and the retry asks the whole policy.
+async function verifyCustomer(s, params) {
+  if (isCallerNumber(s.phoneNumber) && (await lockouts.lockedUntil('caller', s.phoneNumber))) return { locked: true };
+  const targeted = await targetedCustomerIds(s);
+  if ((await Promise.all(targeted.map(id => lockouts.lockedUntil('customer', id)))).some(Boolean)) return { locked: true };
 
-function processSSN(req, res) {
-  const callSid = req.body.CallSid;
-  const last4ssn = (req.body.Digits || '').replace(/\D/g, '');
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("🔢 Processing SSN for CallSid:", callSid, "Value:", last4ssn);
-  
-  const vr = new VoiceResponse();
+  const policy = policyName(s);
+  const factors = factorsToAsk(s);
+  let { record, failedFactor, ambiguous } = await identify(s, factors);
+  if (factors.includes(ONE_TIME_PIN) && !oneTimePins.check(params.CallSid, record ? record.id : null, s.otp)) {
+    failedFactor = failedFactor || ONE_TIME_PIN;
+    record = null;
+  }
 
-  if (!last4ssn || last4ssn.length !== 4) {
-    s.attempts.last4ssn++;
-    if (tooManyAttempts(vr, 'last4ssn', callSid, res)) return;
-    addSayWithVoice(vr, MESSAGES[lang].invalidSSN, lang);
-    vr.redirect('/action?step=ask-ssn');
-    return res.type('text/xml').send(vr.toString());
+  if (!record) {
+    const locked = await verificationFailed(s, params);
+    s.stepUp = false;
+    return locked ? { locked: true } : { failed: true, details: { policy, factor: failedFactor, ...(ambiguous && { ambiguous: true }) } };
   }
+  await Promise.all([
+    lockouts.recordSuccess('customer', record.id),
+    isCallerNumber(s.phoneNumber) && lockouts.recordSuccess('caller', s.phoneNumber)
+  ]);
+  // Save phone number and language to database
+  await saveCallerToDB(s, record);
+  s.account = record.account || null;
+  return record;
+}
 
-  s.last4ssn = last4ssn;
-  s.currentStep = 'ask-dob';
-  vr.redirect('/action');
-  res.type('text/xml').send(vr.toString());
+// ===== PAYMENTS =====
+
+// Card fields from secure gathers, by call
+const secureInput = createSecureInput({ ttlSeconds: CONFIG.PAYMENTS.CARD_TTL_SECONDS });
+
+const paymentGateway = createPaymentGateway({
+  gateway: CONFIG.PAYMENTS.GATEWAY,
+  url: CONFIG.PAYMENTS.GATEWAY_URL,
+  apiKey: CONFIG.PAYMENTS.GATEWAY_API_KEY,
+  timeoutSeconds: CONFIG.PAYMENTS.GATEWAY_TIMEOUT_SECONDS
+});
+
+// What is read back before charging: the amount and the card's last 4 digits
+function preparePayment(s, params) {
+  const card = secureInput.get(params.CallSid) || {};
+  s.payment = { amountCents: Number(s.paymentCents), cardLast4: (card.cardNumber || '').slice(-4), status: null, confirmationNumber: null };
 }
 
-function handleDOBPrompt(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  
-  const vr = new VoiceResponse();
-  const g = vr.gather({
-    input: 'dtmf',
-    numDigits: 8,
-    action: '/action?step=process-dob',
-    method: 'POST'
-  });
-  addSayWithVoice(g, MESSAGES[lang].dobPrompt, lang);
-  addSayWithVoice(vr, MESSAGES[lang].noInput, lang);
-  vr.redirect('/action?step=ask-dob');
-  res.type('text/xml').send(vr.toString());
+function cancelPayment(s, params) {
+  secureInput.delete(params.CallSid);
+  s.paymentCents = null;
+  s.payment = null;
 }
 
-function processDOB(req, res) {
-  const callSid = req.body.CallSid;
-  const dob = (req.body.Digits || '').replace(/\D/g, '');
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("📅 Processing DOB for CallSid:", callSid, "Value:", dob);
-  
-  const vr = new VoiceResponse();
+// Keep the attempt on the customer record; an approved payment also lowers the balance.
+// The changes are worked out from the record as it is when written, so concurrent
+// payments and admin edits are not lost.
+async function recordPayment(s, entry) {
+  try {
+    const record = await customers.update(s.customerId, current => {
+      const changes = { payments: [...(current.payments || []), entry] };
+      if (entry.status === 'approved' && current.account) {
+        changes.account = {
+          ...current.account,
+          balanceCents: current.account.balanceCents - entry.amountCents,
+          lastPayment: { amountCents: entry.amountCents, date: localParts(new Date(entry.at), CONFIG.BUSINESS_HOURS.TIMEZONE).date }
+        };
+      }
+      return changes;
+    });
+    if (!record) {
+      logger.error('Customer record not found for payment', { customerId: s.customerId });
+      return;
+    }
+    if (entry.status === 'approved' && record.account) s.account = record.account;
+  } catch (error) {
+    logger.error('Error recording payment', { customerId: s.customerId, error });
+  }
+}
 
-  if (!dob || !isValidDOB(dob)) {
-    s.attempts.dob++;
-    if (tooManyAttempts(vr, 'dob', callSid, res)) return;
-    addSayWithVoice(vr, MESSAGES[lang].invalidDOB, lang);
-    vr.redirect('/action?step=ask-dob');
-    return res.type('text/xml').send(vr.toString());
+// Charge the card; its details are forgotten whatever the outcome. When the gateway
+// fails the card may have been charged anyway, so the payment is left 'unknown' for an
+// agent to confirm and the call is not offered another try.
+async function submitPayment(s, params) {
+  const card = secureInput.get(params.CallSid);
+  secureInput.delete(params.CallSid);
+  const payment = s.payment;
+  let result;
+  let charging = false;
+  try {
+    if (!card || !card.cardNumber || !card.cardExpiry || !card.cardCvc) throw new Error('Card details are no longer available');
+    charging = true;
+    result = await paymentGateway.charge({
+      amountCents: payment.amountCents,
+      currency: CONFIG.PAYMENTS.CURRENCY,
+      card: {
+        number: card.cardNumber,
+        expMonth: Number(card.cardExpiry.slice(0, 2)),
+        expYear: 2000 + Number(card.cardExpiry.slice(2)),
+        cvc: card.cardCvc
+      },
+      reference: params.CallSid
+    });
+    payment.status = result.approved ? 'approved' : 'declined';
+  } catch (error) {
+    logger.error('Error charging card', { callSid: params.CallSid, error, unconfirmed: charging });
+    result = { approved: false, transactionId: null, declineCode: null };
+    payment.status = charging ? 'unknown' : 'error';
   }
+  payment.confirmationNumber = result.approved ? String(crypto.randomInt(10000000, 100000000)) : null;
+  s.paymentCents = null;
 
-  s.dob = dob;
-  s.currentStep = 'ask-zip';
-  vr.redirect('/action');
-  res.type('text/xml').send(vr.toString());
+  logger.info('Payment processed', { callSid: params.CallSid, customerId: s.customerId, status: payment.status, declineCode: result.declineCode });
+  auditCall('payment', { callSid: params.CallSid, step: s.currentStep, session: s, status: payment.status, amountCents: payment.amountCents });
+  await recordPayment(s, {
+    at: clock.now().toISOString(),
+    callSid: params.CallSid,
+    amountCents: payment.amountCents,
+    currency: CONFIG.PAYMENTS.CURRENCY,
+    cardLast4: payment.cardLast4,
+    status: payment.status,
+    confirmationNumber: payment.confirmationNumber,
+    transactionId: result.transactionId,
+    declineCode: result.declineCode
+  });
 }
 
-function handleZIPPrompt(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  
-  const vr = new VoiceResponse();
-  const g = vr.gather({
-    input: 'dtmf',
-    numDigits: 5,
-    action: '/action?step=process-zip',
-    method: 'POST'
+// Voicemail store for the after-hours branch
+const voicemails = createVoicemailStore({ file: CONFIG.VOICEMAIL.FILE, now: () => clock.now() });
+
+// Snapshot who is leaving the voicemail; the recording callbacks fill in the rest
+async function startVoicemail(s, params) {
+  await voicemails.start({
+    callSid: params.CallSid,
+    caller: s.phoneNumber,
+    language: s.language || CONFIG.DEFAULT_LANGUAGE,
+    questionType: s.questionType,
+    verified: !!s.verified
   });
-  addSayWithVoice(g, MESSAGES[lang].zipPrompt, lang);
-  addSayWithVoice(vr, MESSAGES[lang].noInput, lang);
-  vr.redirect('/action?step=ask-zip');
-  res.type('text/xml').send(vr.toString());
 }
 
-function processZIP(req, res) {
-  const callSid = req.body.CallSid;
-  const zip = (req.body.Digits || '').replace(/\D/g, '');
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("📮 Processing ZIP for CallSid:", callSid, "Value:", zip);
-  
-  const vr = new VoiceResponse();
+// Callback requests for the after-hours branch
+const callbacks = createCallbackQueue({
+  file: CONFIG.CALLBACKS.FILE,
+  maxAttempts: CONFIG.CALLBACKS.MAX_ATTEMPTS,
+  retryMinutes: CONFIG.CALLBACKS.RETRY_MINUTES,
+  dialingTimeoutMinutes: CONFIG.CALLBACKS.DIALING_TIMEOUT_MINUTES,
+  now: () => clock.now()
+});
 
-  if (!zip || zip.length !== 5) {
-    s.attempts.zip++;
-    if (tooManyAttempts(vr, 'zip', callSid, res)) return;
-    addSayWithVoice(vr, MESSAGES[lang].invalidZIP, lang);
-    vr.redirect('/action?step=ask-zip');
-    return res.type('text/xml').send(vr.toString());
-  }
+function callbackSlotsFor(s) {
+  return callbackSlots({
+    businessHours,
+    queue: CONFIG.CALLBACKS.QUEUE,
+    timeZone: CONFIG.BUSINESS_HOURS.TIMEZONE,
+    language: s.language || CONFIG.DEFAULT_LANGUAGE,
+    from: clock.now(),
+    slotMinutes: CONFIG.CALLBACKS.SLOT_MINUTES,
+    maxSlots: CONFIG.CALLBACKS.MAX_SLOTS,
+    leadMinutes: CONFIG.CALLBACKS.LEAD_MINUTES
+  });
+}
 
-  s.zip = zip;
-  s.currentStep = 'verify-user';
-  vr.redirect('/action');
-  res.type('text/xml').send(vr.toString());
+async function scheduleCallback(s, params) {
+  const request = await callbacks.create({
+    callSid: params.CallSid,
+    number: s.callbackDigits ? `+1${s.callbackDigits}` : s.phoneNumber,
+    language: s.language || CONFIG.DEFAULT_LANGUAGE,
+    questionType: s.questionType,
+    verified: !!s.verified,
+    customerId: s.customerId,
+    slot: s.callbackSlot.value
+  });
+  logger.info('Callback scheduled', { callSid: params.CallSid, callbackId: request.id, slotStart: request.slotStart });
 }
 
-// User verification and transfer
-async function verifyUser(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("🔍 Verifying user for CallSid:", callSid);
-  
-  const vr = new VoiceResponse();
-  
-  try {
-    const record = dummyDB.find(r => 
-      r.last4ssn === s.last4ssn && 
-      r.dob === s.dob && 
-      r.zip === s.zip
-    );
-    
-    if (record) {
-      console.log("✅ User verified:", record.name);
-      console.log("📞 Phone number from state for saving:", s.phoneNumber);
-      console.log("📋 Complete state object:", JSON.stringify(s, null, 2));
-      // Save phone number to database
-      await savePhoneNumberToDB(s.phoneNumber, record);
-      
-      addSayWithVoice(vr, MESSAGES[lang].verificationSuccess.replace('{name}', record.name), lang);
-      s.currentStep = 'transfer-call';
-      console.log("🔄 Setting currentStep to 'transfer-call'");
-      console.log("🎯 About to redirect to /action for transfer");
-      vr.redirect('/action');
-    } else {
-      console.log("❌ User verification failed");
-      addSayWithVoice(vr, MESSAGES[lang].verificationFailed, lang);
-      // Reset for another attempt
-      s.currentStep = 'ask-ssn';
-      s.attempts.last4ssn = 0;
-      s.attempts.dob = 0;
-      s.attempts.zip = 0;
-      vr.redirect('/action');
-    }
-  } catch (error) {
-    console.error("❌ Error verifying user:", error);
-    addSayWithVoice(vr, MESSAGES[lang].systemError, lang);
-    vr.hangup();
+// ===== CALL EVENTS =====
+
+const callEvents = createCallEventStore({ file: CONFIG.REPORTS.EVENTS_FILE, now: () => clock.now() });
+
+// Work calls leave running (audit writes, campaign outcomes, screen pops); shutdown waits for it
+const background = createBackgroundWork();
+
+// Events that move a campaign contact's outcome along
+const CAMPAIGN_PROGRESS = {
+  verification: details => details.result === 'passed' && 'verified',
+  'transfer.dial': () => 'transferred'
+};
+
+// Audit events never block or fail the call
+function auditCall(type, { session, ...details }) {
+  background.track(callEvents.record({
+    ...details,
+    type,
+    language: session ? session.language : null,
+    questionType: session ? session.questionType : null
+  }).catch(error => logger.error('Error recording call event', { error, type })));
+
+  if (type === 'transfer.dial' && session) screenPop(session, details);
+  if (type === 'transfer.dial' || type === 'transfer.outcome') trackQueue(type, details);
+  if (type === 'verification') verificationResults.inc({ result: details.result });
+
+  const outcome = session && session.campaign && CAMPAIGN_PROGRESS[type] && CAMPAIGN_PROGRESS[type](details);
+  if (outcome) {
+    background.track(campaigns.recordOutcome(session.campaign.id, session.campaign.contactId, outcome)
+      .catch(error => logger.error('Error recording campaign outcome', { error, outcome })));
   }
+}
 
-  res.type('text/xml').send(vr.toString());
+// ===== WARM TRANSFERS =====
+
+const crmWebhook = CONFIG.WARM_TRANSFER.CRM_WEBHOOK.URL
+  ? createCrmWebhook({
+    url: CONFIG.WARM_TRANSFER.CRM_WEBHOOK.URL,
+    secret: CONFIG.WARM_TRANSFER.CRM_WEBHOOK.SECRET,
+    maxAttempts: CONFIG.WARM_TRANSFER.CRM_WEBHOOK.MAX_ATTEMPTS,
+    retrySeconds: CONFIG.WARM_TRANSFER.CRM_WEBHOOK.RETRY_SECONDS,
+    timeoutSeconds: CONFIG.WARM_TRANSFER.CRM_WEBHOOK.TIMEOUT_SECONDS,
+    now: () => clock.now()
+  })
+  : null;
+
+// Who the agent is about to talk to; the customer only once verified
+async function callerContext(s) {
+  const customer = s.verified && s.customerId ? await customers.get(s.customerId) : null;
+  return {
+    name: customer ? customer.name : null,
+    customerId: customer ? customer.id : null,
+    verified: !!s.verified,
+    language: s.language || CONFIG.DEFAULT_LANGUAGE,
+    questionType: s.questionType
+  };
 }
 
-// Transfer call based on question type
-function transferCall(req, res) {
-  const callSid = req.body.CallSid;
-  const s = getState(callSid);
-  const lang = s.language || 'en';
-  console.log("📞 Transferring call for CallSid:", callSid, "Type:", s.questionType);
-  console.log("📱 Customer phone number:", s.phoneNumber);
-  console.log("🎯 Target phone:", CONFIG.TARGET_PHONE);
-  console.log("🏢 Twilio phone:", CONFIG.TWILIO_PHONE);
-  
+// Screen pop for the CRM (payload documented in lib/crm-webhook.js); delivery runs in the background
+function screenPop(s, { callSid, destination, destinationType }) {
+  if (!crmWebhook) return;
+  const snapshot = { ...s };
+  background.track(callerContext(snapshot)
+    .then(caller => crmWebhook.send('transfer.started', {
+      callSid,
+      caller: snapshot.phoneNumber || null,
+      language: caller.language,
+      questionType: caller.questionType,
+      verified: caller.verified,
+      customer: caller.customerId ? { id: caller.customerId, name: caller.name } : null,
+      destination: { name: destination, type: destinationType },
+      campaignId: snapshot.campaign ? snapshot.campaign.id : null
+    }))
+    .catch(error => logger.error('Error sending screen pop', { error, callSid })));
+}
+
+// ===== OUTBOUND CAMPAIGNS =====
+
+const campaigns = createCampaignStore({
+  file: CONFIG.CAMPAIGNS.FILE,
+  maxAttempts: CONFIG.CAMPAIGNS.MAX_ATTEMPTS,
+  retryMinutes: CONFIG.CAMPAIGNS.RETRY_MINUTES,
+  now: () => clock.now()
+});
+
+const campaignDialer = CONFIG.CAMPAIGNS.DIALER === 'twilio'
+  ? createTwilioDialer({ accountSid: CONFIG.TWILIO_ACCOUNT_SID, authToken: CONFIG.WEBHOOKS.AUTH_TOKEN })
+  : createFakeDialer();
+
+// Twilio needs absolute webhook URLs, so the worker only runs with PUBLIC_BASE_URL (see below)
+const publicUrl = pathname => (CONFIG.WEBHOOKS.PUBLIC_BASE_URL || '').replace(/\/+$/, '') + pathname;
+
+const campaignWorker = createCampaignWorker({
+  campaigns,
+  dialer: campaignDialer,
+  businessHours,
+  hoursQueue: CONFIG.CAMPAIGNS.HOURS_QUEUE,
+  callerId: CONFIG.TWILIO_PHONE,
+  answerUrl: (campaign, contact) => publicUrl(`/campaigns/answer?campaign=${campaign.id}&contact=${contact.id}`),
+  statusUrl: (campaign, contact) => publicUrl(`/campaigns/status?campaign=${campaign.id}&contact=${contact.id}`),
+  maxConcurrent: CONFIG.CAMPAIGNS.MAX_CONCURRENT_CALLS,
+  pollSeconds: CONFIG.CAMPAIGNS.POLL_SECONDS,
+  now: () => clock.now()
+});
+
+// A contact picked up: their session starts at the campaign greeting, in their language
+async function startCampaignCall(callSid, { campaign, contact }) {
+  const language = contact.language || campaign.language;
+  const s = Object.assign(newState(), {
+    currentStep: ivrFlow.outboundStart,
+    language: LANGUAGES.includes(language) ? language : CONFIG.DEFAULT_LANGUAGE,
+    questionType: 'account-specific',
+    phoneNumber: contact.number,
+    campaign: { id: campaign.id, contactId: contact.id, customerId: contact.customerId || null }
+  });
+  await saveState(callSid, s);
+  auditCall('call.started', { callSid, session: s, campaignId: campaign.id });
+
   const vr = new VoiceResponse();
-  addSayWithVoice(vr, MESSAGES[lang].transferring, lang);
-  
-  const dial = vr.dial();
-  if (s.questionType === 'account-specific' && s.phoneNumber) {
-    // Transfer FROM customer's phone number for account-specific questions
-    dial.number(CONFIG.TARGET_PHONE, { callerId: s.phoneNumber });
-    console.log("📱 Transferring account-specific call TO:", CONFIG.TARGET_PHONE, "FROM:", s.phoneNumber);
-  } else {
-    // Transfer FROM Twilio's phone number for general questions  
-    dial.number(CONFIG.TARGET_PHONE, { callerId: CONFIG.TWILIO_PHONE });
-    console.log("📱 Transferring general call TO:", CONFIG.TARGET_PHONE, "FROM:", CONFIG.TWILIO_PHONE);
+  vr.redirect(stampUrl('/action'));
+  return vr.toString();
+}
+
+// ===== HOLD QUEUE =====
+
+const queueStats = createQueueStats({ windowMinutes: CONFIG.HOLD.STATS_WINDOW_MINUTES, now: () => clock.now() });
+
+// Callers put on hold and taken off it feed the estimated waits
+function trackQueue(type, { callSid, destination, destinationType, outcome, queueTime }) {
+  if (type === 'transfer.dial' && destinationType === 'enqueue') {
+    queueStats.enqueued(CONFIG.ROUTING.DESTINATIONS[destination].to, callSid);
+  } else if (type === 'transfer.outcome') {
+    queueStats.dequeued(callSid, { outcome, waitSeconds: queueTime });
   }
-  
-  const twimlOutput = vr.toString();
-  console.log("📄 Generated TwiML for transfer:");
-  console.log(twimlOutput);
-  
-  res.type('text/xml').send(twimlOutput);
 }
 
+// ===== CALL RECORDING =====
+
+const callRecorder = CONFIG.RECORDING.RECORDER === 'twilio'
+  ? createTwilioRecorder({ accountSid: CONFIG.TWILIO_ACCOUNT_SID, authToken: CONFIG.WEBHOOKS.AUTH_TOKEN, pauseBehavior: CONFIG.RECORDING.PAUSE_BEHAVIOR })
+  : createFakeRecorder();
+
+// What the flow engine drives; starting records when and in which language the
+// caller heard the disclosure. Status callbacks need an absolute URL (PUBLIC_BASE_URL).
+const recording = {
+  async start(s, params) {
+    s.recordingConsent = { at: clock.now().toISOString(), language: s.language || CONFIG.DEFAULT_LANGUAGE };
+    const statusCallback = CONFIG.WEBHOOKS.PUBLIC_BASE_URL ? publicUrl('/recordings/status') : undefined;
+    const { sid } = await callRecorder.start(params.CallSid, { statusCallback });
+    logger.info('Call recording started', { callSid: params.CallSid, recordingSid: sid, language: s.recordingConsent.language });
+  },
+  pause: (s, params) => callRecorder.pause(params.CallSid),
+  resume: (s, params) => callRecorder.resume(params.CallSid),
+  stop: (s, params) => callRecorder.stop(params.CallSid)
+};
+
+// ===== FLOW ENGINE =====
+
+const spellOut = digits => (digits || '').split('').join(' ');
+
+const flowEngine = createFlowEngine({
+  flow: ivrFlow,
+  messages: MESSAGES,
+  config: CONFIG,
+  say: addSayWithVoice,
+  conditions: {
+    csrAvailable: () => areCSRAgentsAvailable(),
+    transcribableLanguage: s => CONFIG.VOICEMAIL.TRANSCRIBE_LANGUAGES.includes(s.language || CONFIG.DEFAULT_LANGUAGE),
+    hasCallerNumber: s => isCallerNumber(s.phoneNumber),
+    lockedCallerToAgent: () => CONFIG.LOCKOUT.TRANSFER_TO_AGENT && areCSRAgentsAvailable(),
+    hasAccount: s => !!s.account,
+    hasBalanceDue: s => s.account.balanceCents > 0 && !!s.account.dueDate,
+    hasLastPayment: s => !!s.account.lastPayment,
+    outboundCall: s => !!s.campaign,
+    hasBalance: s => s.account.balanceCents > 0,
+    hasCredit: s => s.account.balanceCents < 0,
+    paymentWithinBalance: s => Number(s.paymentCents) <= s.account.balanceCents,
+    paymentApproved: s => !!s.payment && s.payment.status === 'approved',
+    paymentUnconfirmed: s => !!s.payment && s.payment.status === 'unknown',
+    returningCaller: s => !!s.returning,
+    holdCallbackRequested: s => !!s.hold && s.hold.exit === 'callback',
+    ...Object.fromEntries(FACTOR_NAMES.map(factor => [`nextFactor.${factor}`, s => nextFactor(s) === factor]))
+  },
+  validators,
+  verifiers: {
+    customer: verifyCustomer
+  },
+  hooks: {
+    sendOneTimePin,
+    startVoicemail,
+    scheduleCallback,
+    preparePayment,
+    submitPayment,
+    cancelPayment
+  },
+  variables: {
+    // Digits spaced out so they are read one by one
+    callerNumber: s => ({ last4: spellOut((s.phoneNumber || '').slice(-4)) }),
+    callbackSlot: s => ({ label: s.callbackSlot ? s.callbackSlot.label : '' }),
+    returningCaller: s => ({ name: s.returning.name }),
+    // Amounts and dates spelled out for text-to-speech in the caller's language
+    account: s => {
+      const language = s.language || CONFIG.DEFAULT_LANGUAGE;
+      const { balanceCents, dueDate, lastPayment } = s.account;
+      return {
+        balance: balanceCents >= 0 ? spokenAmount(balanceCents, language) : '',
+        credit: balanceCents < 0 ? spokenAmount(-balanceCents, language) : '',
+        dueDate: dueDate ? spokenDate(dueDate, language) : '',
+        amount: lastPayment ? spokenAmount(lastPayment.amountCents, language) : '',
+        date: lastPayment ? spokenDate(lastPayment.date, language) : ''
+      };
+    },
+    payment: s => ({
+      amount: spokenAmount(s.payment.amountCents, s.language || CONFIG.DEFAULT_LANGUAGE),
+      last4: spellOut(s.payment.cardLast4),
+      confirmation: spellOut(s.payment.confirmationNumber)
+    })
+  },
+  choices: {
+    callbackSlots: callbackSlotsFor
+  },
+  router: createRouter({
+    destinations: CONFIG.ROUTING.DESTINATIONS,
+    rules: CONFIG.ROUTING.RULES,
+    config: CONFIG,
+    whisperUrl: callSid => stampUrl(`/transfers/whisper?call=${encodeURIComponent(callSid)}`)
+  }),
+  secureInput,
+  recorder: CONFIG.RECORDING.ENABLED ? recording : undefined,
+  url: stampUrl,
+  audit: auditCall
+});
+
+// Every Twilio webhook must carry a valid, fresh, unique signature
+const validateTwilioWebhook = createTwilioWebhookValidator({
+  authToken: CONFIG.WEBHOOKS.AUTH_TOKEN,
+  publicBaseUrl: CONFIG.WEBHOOKS.PUBLIC_BASE_URL,
+  maxAgeSeconds: CONFIG.WEBHOOKS.MAX_AGE_SECONDS,
+  replayWindowSeconds: CONFIG.WEBHOOKS.REPLAY_WINDOW_SECONDS,
+  // Shared like the sessions: the file store covers restarts and instances on one directory
+  replayCache: createSessionStore({
+    backend: CONFIG.SESSIONS.STORE,
+    dir: path.join(CONFIG.SESSIONS.DIR, 'replay'),
+    ttlSeconds: CONFIG.WEBHOOKS.REPLAY_WINDOW_SECONDS
+  }),
+  allowUnsigned: CONFIG.WEBHOOKS.SKIP_VALIDATION
+});
+
+// Internal REST endpoints
+const requireApiKey = createApiKeyAuth({ keys: CONFIG.API_KEYS });
+const requireAdmin = createAdminAuth({ keys: CONFIG.API_KEYS, users: CONFIG.ADMIN.USERS.filter(user => user.username && user.password) });
+
+// ===== METRICS AND HEALTH =====
+
+const metrics = createMetrics();
+const httpRequests = metrics.counter({
+  name: 'ivr_http_requests_total',
+  help: 'HTTP requests by route, flow step (on /action) and status code',
+  labels: ['method', 'route', 'step', 'status']
+});
+const httpDuration = metrics.histogram({
+  name: 'ivr_http_request_duration_seconds',
+  help: 'Time to answer HTTP requests; Twilio gives up on a webhook after 15 seconds',
+  labels: ['route', 'step'],
+  buckets: [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15]
+});
+const httpInFlight = metrics.gauge({ name: 'ivr_http_requests_in_flight', help: 'HTTP requests being handled' });
+const verificationResults = metrics.counter({
+  name: 'ivr_verifications_total',
+  help: 'Identity checks by result (passed, failed, locked, error)',
+  labels: ['result']
+});
+metrics.gauge({
+  name: 'ivr_active_sessions',
+  help: 'Calls with a session in the session store',
+  collect: async () => (await sessionStore.list()).length
+});
+
+// Set once a shutdown starts, so readiness fails
+let draining = false;
+
+// Counts and times every request by route and, on /action, by the flow step it ran
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  httpInFlight.inc();
+  res.on('close', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const step = res.locals.step || '';
+    httpInFlight.dec();
+    httpRequests.inc({ method: req.method, route, step, status: res.statusCode });
+    httpDuration.observe({ route, step }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+  next();
+});
+
 // ===== ROUTING =====
 
 // Main entry point - starts the flow
-app.post('/start', (req, res) => {
+app.post('/start', validateTwilioWebhook, async (req, res) => {
   const callSid = req.body.CallSid;
   const callerPhone = req.body.From;
-  console.log("🎯 Starting complete IVR flow for CallSid:", callSid);
-  console.log("📞 Caller phone number:", callerPhone);
-  console.log("📋 Full request body:", JSON.stringify(req.body, null, 2));
+  logger.info('Starting IVR flow', { callSid, from: callerPhone });
   
   // Store the caller's phone number
-  const s = getState(callSid);
+  const s = await getState(callSid);
   s.phoneNumber = callerPhone;
-  s.currentStep = 'language-selection';  // Ask for language first
-  
-  console.log("💾 Stored phone number in state:", s.phoneNumber);
+  s.currentStep = flowEngine.start;  // Ask for language first
+  await recognizeCaller(s, callSid); // unless the number belongs to a returning caller
+  await saveState(callSid, s);
+  auditCall('call.started', { callSid, session: s });
   
   const vr = new VoiceResponse();
-  vr.redirect('/action');
+  vr.redirect(stampUrl('/action'));
   res.type('text/xml').send(vr.toString());
 });
 
-// Action router - handles all steps through the actions system
-app.post('/action', async (req, res) => {
+// Action router - runs the current step of the flow definition
+app.post('/action', validateTwilioWebhook, async (req, res) => {
   const callSid = req.body.CallSid;
-  const s = getState(callSid);
+  const s = await getState(callSid);
   const step = req.query.step || s.currentStep;
+  res.locals.step = ivrFlow.nodes[step] ? step : 'unknown';
   
-  console.log("🎬 Action router - CallSid:", callSid, "Step:", step);
+  logger.debug('Action router', { callSid, step });
   
   // Ensure phone number is always available as backup
   if (!s.phoneNumber && req.body.From) {
-    console.log("🔄 Backup: Setting phone number from request body:", req.body.From);
     s.phoneNumber = req.body.From;
   }
   
-  const actionHandler = ACTIONS[step];
-  if (actionHandler) {
-    console.log("✅ Found action handler for step:", step);
-    if (step === 'transfer-call') {
-      console.log("📞 About to execute transfer-call action");
-    }
-    await actionHandler(req, res);
+  const twimlOutput = await flowEngine.run({
+    step,
+    phase: req.query.phase,
+    session: s,
+    params: req.body
+  });
+  await saveState(callSid, s);
+  res.type('text/xml').send(twimlOutput);
+});
+
+// Drops the session once Twilio reports the call is over
+async function callEnded(callSid, params) {
+  if (!FINAL_CALL_STATUSES.includes(params.CallStatus)) return;
+  auditCall('call.ended', {
+    callSid,
+    callStatus: params.CallStatus,
+    duration: Number(params.CallDuration) || 0,
+    session: await sessionStore.get(callSid)
+  });
+  await sessionStore.delete(callSid);
+  secureInput.delete(callSid);
+  oneTimePins.delete(callSid);
+  queueStats.dequeued(callSid, { outcome: 'hangup' });
+  logger.debug('Session removed', { callSid });
+}
+
+// Call status callback
+app.post('/call-status', validateTwilioWebhook, async (req, res) => {
+  logger.info('Call status received', { callSid: req.body.CallSid, callStatus: req.body.CallStatus });
+  await callEnded(req.body.CallSid, req.body);
+  res.sendStatus(204);
+});
+
+// Whisper to the agent on warm transfers
+app.use(createTransferRouter({
+  context: async callSid => {
+    const s = callSid && (await sessionStore.get(callSid));
+    return s ? callerContext(s) : null;
+  },
+  say: addSayWithVoice,
+  messages: MESSAGES,
+  language: LANGUAGES.includes(CONFIG.WARM_TRANSFER.AGENT_LANGUAGE) ? CONFIG.WARM_TRANSFER.AGENT_LANGUAGE : CONFIG.DEFAULT_LANGUAGE,
+  timeoutSeconds: CONFIG.WARM_TRANSFER.WHISPER_TIMEOUT_SECONDS,
+  url: stampUrl,
+  audit: auditCall,
+  validateTwilioWebhook
+}));
+
+// Hold music and announcements for callers in the hold queue
+app.use(createHoldRouter({
+  sessions: sessionStore,
+  queueStats,
+  say: addSayWithVoice,
+  messages: MESSAGES,
+  defaultLanguage: CONFIG.DEFAULT_LANGUAGE,
+  musicUrl: CONFIG.HOLD.MUSIC_URL,
+  callbackOfferMinutes: CONFIG.HOLD.CALLBACK_OFFER_MINUTES,
+  maxWaitMinutes: CONFIG.HOLD.MAX_WAIT_MINUTES,
+  url: stampUrl,
+  audit: auditCall,
+  validateTwilioWebhook
+}));
+
+// Voicemail recording/transcription callbacks and the voicemail REST API
+app.use(createVoicemailRouter({ voicemails, validateTwilioWebhook, requireApiKey }));
+
+// Call recording status callbacks
+app.use(createRecordingRouter({ audit: auditCall, validateTwilioWebhook }));
+
+// Outbound callback webhooks and the callback REST API
+app.use(createCallbackRouter({
+  callbacks,
+  say: addSayWithVoice,
+  messages: MESSAGES,
+  defaultLanguage: CONFIG.DEFAULT_LANGUAGE,
+  target: () => CONFIG.TARGET_PHONE,
+  callerId: CONFIG.TWILIO_PHONE,
+  url: stampUrl,
+  validateTwilioWebhook,
+  requireApiKey
+}));
+
+// Outbound campaign webhooks and the campaign REST API; campaign calls that never
+// entered the flow (unanswered, machines) have no session to end
+app.use(createCampaignRouter({
+  campaigns,
+  languages: LANGUAGES,
+  defaultLanguage: CONFIG.DEFAULT_LANGUAGE,
+  startCall: startCampaignCall,
+  callEnded: async (callSid, params) => {
+    if (await sessionStore.get(callSid)) await callEnded(callSid, params);
+  },
+  validateTwilioWebhook,
+  requireApiKey
+}));
+
+// Audit-trail reports
+app.use(createReportRouter({
+  events: callEvents,
+  timeZone: CONFIG.BUSINESS_HOURS.TIMEZONE,
+  staleAfterSeconds: CONFIG.REPORTS.ABANDON_AFTER_SECONDS,
+  requireApiKey,
+  now: () => clock.now()
+}));
+
+// Admin API and console
+app.use(createAdminRouter({
+  customers,
+  sessions: sessionStore,
+  overrides,
+  lockouts,
+  languages: LANGUAGES,
+  requireAdmin
+}));
+
+// Liveness, readiness (the customer store answers) and Prometheus metrics
+app.use(createHealthRouter({
+  checks: {
+    // The backend itself (the file, or the database); lookups may be served from memory
+    customers: () => customers.ping()
+  },
+  draining: () => draining,
+  timeoutSeconds: CONFIG.SERVER.READINESS_TIMEOUT_SECONDS,
+  metrics,
+  requireApiKey
+}));
+
+// Background jobs and the listener only run when started directly (npm start),
+// not when the tests require the app
+if (require.main === module) {
+  const workers = [];
+
+  // Places due callbacks and campaign calls; Twilio needs absolute webhook URLs, so PUBLIC_BASE_URL is required
+  if (CONFIG.WEBHOOKS.PUBLIC_BASE_URL) {
+    const baseUrl = CONFIG.WEBHOOKS.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    workers.push(createCallbackWorker({
+      queue: callbacks,
+      dialer: CONFIG.CALLBACKS.DIALER === 'twilio'
+        ? createTwilioDialer({ accountSid: CONFIG.TWILIO_ACCOUNT_SID, authToken: CONFIG.WEBHOOKS.AUTH_TOKEN })
+        : createFakeDialer(),
+      businessHours,
+      hoursQueue: CONFIG.CALLBACKS.QUEUE,
+      callerId: CONFIG.TWILIO_PHONE,
+      connectUrl: request => `${baseUrl}/callbacks/connect?id=${request.id}`,
+      statusUrl: request => `${baseUrl}/callbacks/status?id=${request.id}`,
+      pollSeconds: CONFIG.CALLBACKS.POLL_SECONDS,
+      now: () => clock.now()
+    }), campaignWorker);
+    workers.forEach(worker => worker.start());
   } else {
-    console.error("❌ Unknown action:", step);
-    const vr = new VoiceResponse();
-    addSayWithVoice(vr, MESSAGES[s.language || 'en'].systemError, s.language || 'en');
-    vr.hangup();
-    res.type('text/xml').send(vr.toString());
+    logger.warn('PUBLIC_BASE_URL is not set; callback and campaign workers disabled');
   }
-});
 
-app.listen(3000, () => console.log('🚀 Server running on port 3000'));
+  if (CONFIG.PAYMENTS.GATEWAY === 'fake') {
+    logger.warn('PAYMENT_GATEWAY_URL is not set; payments are approved by the fake gateway (development only)');
+  }
+
+  // Sweep sessions whose call-status callback never arrived
+  const pruning = setInterval(async () => {
+    try {
+      const removed = await sessionStore.prune();
+      if (removed) logger.info('Pruned expired sessions', { removed });
+    } catch (error) {
+      logger.error('Error pruning sessions', { error });
+    }
+  }, CONFIG.SESSIONS.PRUNE_INTERVAL_SECONDS * 1000).unref();
+
+  const server = app.listen(CONFIG.SERVER.PORT, CONFIG.SERVER.BIND_ADDRESS, () => {
+    logger.info('Server running', { port: CONFIG.SERVER.PORT, address: CONFIG.SERVER.BIND_ADDRESS || 'all interfaces' });
+  });
+
+  const shutdown = createGracefulShutdown({
+    server,
+    timeoutSeconds: CONFIG.SERVER.SHUTDOWN_TIMEOUT_SECONDS,
+    background,
+    beforeClose: () => {
+      draining = true;
+      workers.forEach(worker => background.track(worker.stop()));
+      clearInterval(pruning);
+    }
+  });
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { app, clock, background, campaignWorker, campaignDialer, sms, callRecorder };
@@ -0,0 +1,268 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { startHarness, ADMIN_USER } = require('./support/harness');
+
+// Monday 11:00 in New York
+const OPEN = '2026-10-19T15:00:00Z';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ now: OPEN });
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.freezeClock(OPEN));
+
+const basicAuth = ({ username, password }) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+// Post a console form the way a browser on the console would
+function submitForm(pathname, fields, headers = { Origin: harness.baseUrl }) {
+  return fetch(harness.baseUrl + pathname, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { Authorization: basicAuth(ADMIN_USER), 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(fields).toString()
+  });
+}
+
+async function callAndVerify({ ssn, dob, zip }) {
+  const call = harness.simulator.call();
+  await call.start();
+  await call.press('1');
+  await call.press('2');
+  await call.press(ssn);
+  await call.press(dob);
+  await call.press(zip);
+  return call;
+}
+
+describe('admin authentication', () => {
+  it('challenges requests without credentials', async () => {
+    const response = await fetch(`${harness.baseUrl}/api/admin/customers`);
+
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get('www-authenticate'), /^Basic realm="IVR admin"/);
+  });
+
+  it('rejects a wrong password', async () => {
+    const response = await fetch(`${harness.baseUrl}/admin`, { headers: { Authorization: basicAuth({ ...ADMIN_USER, password: 'nope' }) } });
+    assert.equal(response.status, 401);
+  });
+
+  it('accepts admin Basic credentials', async () => {
+    const response = await fetch(`${harness.baseUrl}/api/admin/customers`, { headers: { Authorization: basicAuth(ADMIN_USER) } });
+    assert.equal(response.status, 200);
+  });
+});
+
+describe('customers API', () => {
+  it('lists customers without their credentials', async () => {
+    const { status, body } = await harness.api('/api/admin/customers');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.find(customer => customer.id === 'cust-tony'), {
+      id: 'cust-tony',
+      name: 'Tony',
+      phoneNumber: '+16282928074',
+      credentials: ['last4ssn', 'dob', 'zip']
+    });
+  });
+
+  it('creates a customer who can then verify on a call', async () => {
+    const { status, body } = await harness.api('/api/admin/customers', {
+      method: 'POST',
+      body: { name: 'Ana', phoneNumber: null, last4ssn: '4242', dob: '03151980', zip: '33101' }
+    });
+    assert.equal(status, 201);
+
+    const stored = (await harness.readCustomers()).find(record => record.id === body.id);
+    assert.match(stored.last4ssn, /^scrypt\$/);
+    const call = await callAndVerify({ ssn: '4242', dob: '03151980', zip: '33101' });
+    assert.ok(call.said().includes('Welcome Ana, you are verified.'));
+  });
+
+  it('rejects invalid fields', async () => {
+    const { status, body } = await harness.api('/api/admin/customers', {
+      method: 'POST',
+      body: { name: 'Bad', last4ssn: '12', dob: '13011990', zip: '33101', ssn: '123456789' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'unknown field "ssn"; last4ssn must be 4 digits; dob must be a past date as MMDDYYYY');
+  });
+
+  it('changes credentials and deletes customers', async () => {
+    const { body: created } = await harness.api('/api/admin/customers', {
+      method: 'POST',
+      body: { name: 'Luis', last4ssn: '1111', dob: '02021972', zip: '60601' }
+    });
+    const patched = await harness.api(`/api/admin/customers/${created.id}`, { method: 'PATCH', body: { zip: '60602' } });
+    assert.equal(patched.status, 200);
+    const call = await callAndVerify({ ssn: '1111', dob: '02021972', zip: '60602' });
+    assert.ok(call.said().includes('Welcome Luis, you are verified.'));
+
+    assert.equal((await harness.api(`/api/admin/customers/${created.id}`, { method: 'DELETE' })).status, 204);
+    assert.equal((await harness.api(`/api/admin/customers/${created.id}`)).status, 404);
+  });
+});
+
+describe('prompts API', () => {
+  it('changes what callers hear and restores the shipped text', async () => {
+    const updated = await harness.api('/api/admin/prompts/es/transferring', {
+      method: 'PUT',
+      body: { text: 'Un momento, por favor.' }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.default, 'Por favor manténgase en línea mientras transferimos su llamada.');
+
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('2');
+    await call.press('1');
+    assert.equal(call.lastSaid(), 'Un momento, por favor.');
+
+    await harness.api('/api/admin/prompts/es/transferring', { method: 'DELETE' });
+    const { body } = await harness.api('/api/admin/prompts/es');
+    assert.equal(body.find(prompt => prompt.key === 'transferring').text, 'Por favor manténgase en línea mientras transferimos su llamada.');
+  });
+
+  it('keeps the placeholders of the default language', async () => {
+    const { status, body } = await harness.api('/api/admin/prompts/pt/verificationSuccess', {
+      method: 'PUT',
+      body: { text: 'Bem-vindo, você está verificado.' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, '"verificationSuccess" must use placeholders {name}, found {}');
+  });
+
+  it('answers 404 for unknown prompts', async () => {
+    assert.equal((await harness.api('/api/admin/prompts/fr')).status, 404);
+    assert.equal((await harness.api('/api/admin/prompts/en/nope', { method: 'PUT', body: { text: 'x' } })).status, 404);
+  });
+});
+
+describe('settings API', () => {
+  it('applies a new attempt limit to calls and saves it', async () => {
+    const { status } = await harness.api('/api/admin/settings/MAX_ATTEMPTS', { method: 'PUT', body: { value: 2 } });
+    assert.equal(status, 200);
+
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('8');
+    await call.press('8');
+    assert.equal(call.lastSaid(), 'Too many invalid attempts. Goodbye.');
+
+    const saved = JSON.parse(await fs.readFile(path.join(harness.dir, 'admin-overrides.json'), 'utf8'));
+    assert.deepEqual(saved.settings, { MAX_ATTEMPTS: 2 });
+
+    const reset = await harness.api('/api/admin/settings/MAX_ATTEMPTS', { method: 'DELETE' });
+    assert.equal(reset.body.value, 4);
+  });
+
+  it('closes CSR hours for the day', async () => {
+    const { body: settings } = await harness.api('/api/admin/settings');
+    const weekly = settings.find(setting => setting.name === 'BUSINESS_HOURS.QUEUES.csr.weekly').value;
+    await harness.api('/api/admin/settings/BUSINESS_HOURS.QUEUES.csr.weekly', { method: 'PUT', body: { value: { ...weekly, mon: [['08:00', '10:00']] } } });
+
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('1');
+    assert.ok(call.said().includes('Please note that there are currently no customer service representatives available.'));
+
+    await harness.api('/api/admin/settings/BUSINESS_HOURS.QUEUES.csr.weekly', { method: 'DELETE' });
+  });
+
+  it('rejects invalid values', async () => {
+    const attempts = await harness.api('/api/admin/settings/MAX_ATTEMPTS', { method: 'PUT', body: { value: 0 } });
+    assert.equal(attempts.status, 400);
+    assert.equal(attempts.body.error, 'must be a whole number from 1 to 10');
+
+    const closures = await harness.api('/api/admin/settings/BUSINESS_HOURS.CLOSURES', {
+      method: 'PUT',
+      body: { value: [{ start: '2026-11-27T18:00', end: '2026-11-27T12:00' }] }
+    });
+    assert.equal(closures.status, 400);
+
+    assert.equal((await harness.api('/api/admin/settings/OPENAI_API_URL', { method: 'PUT', body: { value: 'x' } })).status, 404);
+  });
+});
+
+describe('sessions API', () => {
+  it('lists calls in progress without identity data', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('1');
+    await call.press('2');
+    await call.press('3071');
+
+    const { body } = await harness.api('/api/admin/sessions');
+    const session = body.find(entry => entry.callSid === call.callSid);
+    assert.equal(session.currentStep, 'ask-dob');
+    assert.equal(session.language, 'en');
+    assert.ok(!('last4ssn' in session));
+  });
+
+  it('drops the session once Twilio reports the call over', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('1');
+    const live = async () => (await harness.api('/api/admin/sessions')).body.some(entry => entry.callSid === call.callSid);
+    assert.equal(await live(), true);
+
+    await call.hangup('completed');
+    assert.equal(await live(), false);
+  });
+});
+
+describe('console', () => {
+  it('renders the pages', async () => {
+    for (const page of ['/admin', '/admin/customers', '/admin/customers/cust-tony', '/admin/prompts?language=vi', '/admin/settings']) {
+      const response = await fetch(harness.baseUrl + page, { headers: { Authorization: basicAuth(ADMIN_USER) } });
+      assert.equal(response.status, 200, page);
+      assert.match(response.headers.get('content-type'), /text\/html/);
+    }
+  });
+
+  it('saves a form and redirects back with a notice', async () => {
+    const response = await submitForm('/admin/settings/TARGET_PHONE', { action: 'save', value: '"+15557654321"' });
+    assert.equal(response.status, 303);
+    assert.equal(response.headers.get('location'), '/admin/settings?notice=Saved+TARGET_PHONE');
+
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('1');
+    await call.press('1');
+    assert.deepEqual(call.lastDial.targets.map(target => target.value), ['+15557654321']);
+
+    await submitForm('/admin/settings/TARGET_PHONE', { action: 'reset' });
+  });
+
+  it('shows validation problems instead of saving', async () => {
+    const response = await submitForm('/admin/customers/cust-tony', { name: 'Tony', phoneNumber: '555', last4ssn: '', dob: '', zip: '' });
+    const page = await fetch(harness.baseUrl + response.headers.get('location'), { headers: { Authorization: basicAuth(ADMIN_USER) } });
+
+    assert.match(await page.text(), /phoneNumber must be E\.164/);
+  });
+
+  it('escapes stored text', async () => {
+    await harness.api('/api/admin/customers/cust-maria', { method: 'PATCH', body: { name: '<script>alert(1)</script>' } });
+    const page = await fetch(`${harness.baseUrl}/admin/customers`, { headers: { Authorization: basicAuth(ADMIN_USER) } });
+    const text = await page.text();
+
+    assert.ok(!text.includes('<script>'));
+    assert.ok(text.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    await harness.api('/api/admin/customers/cust-maria', { method: 'PATCH', body: { name: 'María' } });
+  });
+
+  it('refuses forms posted from another site', async () => {
+    const response = await submitForm('/admin/customers/cust-tony/delete', {}, { Origin: 'https://evil.example' });
+
+    assert.equal(response.status, 403);
+    assert.equal((await harness.api('/api/admin/customers/cust-tony')).status, 200);
+  });
+});
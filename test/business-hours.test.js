@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBusinessHours, validateSchedule, validateClosures } = require('../lib/business-hours');
+
+const WEEKDAYS = { mon: [['08:00', '20:00']], tue: [['08:00', '20:00']], wed: [['08:00', '20:00']], thu: [['08:00', '20:00']], fri: [['08:00', '20:00']], sat: [], sun: [] };
+
+function hours(options = {}) {
+  return createBusinessHours({ timezone: 'America/New_York', queues: { csr: { weekly: WEEKDAYS } }, ...options });
+}
+
+const at = stamp => new Date(stamp);
+const span = found => found && [found.start.toISOString(), found.end.toISOString()];
+
+describe('business hours', () => {
+  it('opens on the opening minute and closes on the closing minute', () => {
+    const calendar = hours();
+    // Monday 19 October 2026, EDT (UTC-4)
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T11:59:00Z')), false);
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T12:00:00Z')), true);
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T23:59:00Z')), true);
+    assert.deepEqual(calendar.check('csr', at('2026-10-20T00:00:00Z')), {
+      open: false,
+      reason: 'outside business hours',
+      local: { date: '2026-10-19', time: '20:00', weekday: 'mon' }
+    });
+  });
+
+  it('stays closed on holidays, yearly or dated, and per queue', () => {
+    const calendar = createBusinessHours({
+      timezone: 'America/New_York',
+      queues: { csr: { weekly: WEEKDAYS, holidays: [{ date: '2026-11-27', name: 'Day after Thanksgiving' }] }, sales: { weekly: WEEKDAYS } },
+      holidays: [{ date: '12-25', name: 'Christmas' }]
+    });
+    assert.equal(calendar.check('csr', at('2026-12-25T15:00:00Z')).reason, 'holiday: Christmas');
+    assert.equal(calendar.check('csr', at('2027-12-24T15:00:00Z')).open, true);
+    assert.equal(calendar.check('csr', at('2026-11-27T15:00:00Z')).reason, 'holiday: Day after Thanksgiving');
+    assert.equal(calendar.check('sales', at('2026-11-27T15:00:00Z')).open, true);
+  });
+
+  it('stays closed during special closures, end exclusive', () => {
+    const calendar = hours({ closures: [{ start: '2026-10-19T12:00', end: '2026-10-19T14:30', reason: 'training' }] });
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T15:59:00Z')), true);
+    assert.equal(calendar.check('csr', at('2026-10-19T16:00:00Z')).reason, 'closure: training');
+    assert.equal(calendar.check('csr', at('2026-10-19T18:29:00Z')).reason, 'closure: training');
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T18:30:00Z')), true);
+  });
+
+  it('skips weekends and holidays when looking for the next window', () => {
+    const calendar = hours({ holidays: [{ date: '2026-10-26', name: 'Office move' }] });
+    // Friday evening, closed until Tuesday
+    assert.deepEqual(span(calendar.nextWindow('csr', at('2026-10-24T01:00:00Z'))), ['2026-10-27T12:00:00.000Z', '2026-10-28T00:00:00.000Z']);
+    assert.deepEqual(span(calendar.nextWindow('csr', at('2026-10-19T13:00:00Z'))), ['2026-10-19T12:00:00.000Z', '2026-10-20T00:00:00.000Z']);
+    assert.equal(hours().nextWindow('csr', at('2026-10-24T01:00:00Z'), 1), null);
+  });
+
+  it('follows the wall clock of other timezones', () => {
+    const calendar = createBusinessHours({ timezone: 'Europe/Berlin', queues: { csr: { weekly: { mon: [['09:00', '17:00']] } } } });
+    // CEST (UTC+2) on Monday 19 October; CET (UTC+1) after 25 October
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T06:59:00Z')), false);
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T07:00:00Z')), true);
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T15:00:00Z')), false);
+    assert.equal(calendar.isOpen('csr', at('2026-10-26T07:00:00Z')), false);
+    assert.equal(calendar.isOpen('csr', at('2026-10-26T08:00:00Z')), true);
+    assert.deepEqual(span(calendar.nextWindow('csr', at('2026-10-20T12:00:00Z'))), ['2026-10-26T08:00:00.000Z', '2026-10-26T16:00:00.000Z']);
+  });
+
+  it('reads the schedule on another zone\'s wall clock when asked', () => {
+    const calendar = hours();
+    // Monday 19 October, 08:30 in New York and 05:30 in Los Angeles
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T12:30:00Z')), true);
+    assert.equal(calendar.isOpen('csr', at('2026-10-19T12:30:00Z'), 'America/Los_Angeles'), false);
+    assert.deepEqual(calendar.check('csr', at('2026-10-19T15:00:00Z'), 'America/Los_Angeles').local, { date: '2026-10-19', time: '08:00', weekday: 'mon' });
+  });
+
+  it('keeps local hours on the day clocks spring forward', () => {
+    // 8 March 2026: 02:00 EST jumps to 03:00 EDT
+    const calendar = createBusinessHours({ timezone: 'America/New_York', queues: { night: { weekly: { sun: [['01:00', '04:00']] } } } });
+    assert.equal(calendar.isOpen('night', at('2026-03-08T05:59:00Z')), false);
+    assert.equal(calendar.isOpen('night', at('2026-03-08T06:59:00Z')), true);
+    assert.equal(calendar.check('night', at('2026-03-08T07:00:00Z')).local.time, '03:00');
+    assert.equal(calendar.isOpen('night', at('2026-03-08T07:59:00Z')), true);
+    assert.equal(calendar.isOpen('night', at('2026-03-08T08:00:00Z')), false);
+    assert.deepEqual(span(calendar.nextWindow('night', at('2026-03-07T12:00:00Z'))), ['2026-03-08T06:00:00.000Z', '2026-03-08T08:00:00.000Z']);
+  });
+
+  it('keeps local hours on the day clocks fall back', () => {
+    // 1 November 2026: 02:00 EDT falls back to 01:00 EST, so 01:30 happens twice
+    const calendar = createBusinessHours({ timezone: 'America/New_York', queues: { night: { weekly: { sun: [['00:00', '03:00']] } } } });
+    assert.equal(calendar.isOpen('night', at('2026-11-01T03:59:00Z')), false);
+    assert.equal(calendar.isOpen('night', at('2026-11-01T05:30:00Z')), true);
+    assert.equal(calendar.isOpen('night', at('2026-11-01T06:30:00Z')), true);
+    assert.equal(calendar.check('night', at('2026-11-01T06:30:00Z')).local.time, '01:30');
+    assert.equal(calendar.isOpen('night', at('2026-11-01T07:59:00Z')), true);
+    assert.equal(calendar.isOpen('night', at('2026-11-01T08:00:00Z')), false);
+    assert.deepEqual(span(calendar.nextWindow('night', at('2026-10-31T12:00:00Z'))), ['2026-11-01T04:00:00.000Z', '2026-11-01T08:00:00.000Z']);
+  });
+
+  it('rejects malformed schedules and closures', () => {
+    assert.throws(() => validateSchedule('csr', { weekly: { funday: [] } }), /unknown weekday "funday"/);
+    assert.throws(() => hours({ queues: { csr: { weekly: { mon: [['8:00', '20:00']] } } } }), /csr/);
+    assert.throws(() => validateClosures([{ start: '2026-10-19T14:00', end: '2026-10-19T12:00' }]), /ends before it starts/);
+    assert.throws(() => hours().check('billing'), /No business hours configured for queue "billing"/);
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { summarizeCalls, dailyReport, abandonmentReport } = require('../lib/call-reports');
+const { toCsv, parseCsv } = require('../lib/csv');
+const { createReportRouter } = require('../routes/reports');
+
+const TIME_ZONE = 'America/New_York';
+const NOW = new Date('2026-10-19T15:20:00Z');
+
+// Events as lib/call-events.js records them, in order
+function callEvents(callSid, start, { language = 'en', questionType = null } = {}) {
+  const events = [];
+  let at = new Date(start).getTime();
+  const api = {
+    events,
+    add(seconds, type, details = {}) {
+      at += seconds * 1000;
+      events.push({ at: new Date(at).toISOString(), callSid, type, language, questionType, ...details });
+      return api;
+    }
+  };
+  return api.add(0, 'call.started');
+}
+
+const EVENTS = [
+  // 23:30 on the 18th in New York, although already the 19th in UTC; transferred after 90 seconds
+  ...callEvents('CA1', '2026-10-19T03:30:00Z', { questionType: 'account-specific' })
+    .add(0, 'step', { step: 'language-selection' })
+    .add(10, 'step', { step: 'ask-question-type' })
+    .add(20, 'step', { step: 'ask-ssn' })
+    .add(40, 'verification', { result: 'passed' })
+    .add(20, 'transfer.dial', { destination: 'csr-line' })
+    .add(300, 'transfer.outcome', { outcome: 'completed' })
+    .add(1, 'call.ended').events,
+  // Fails the SSN twice, then hangs up there
+  ...callEvents('CA2', '2026-10-19T04:10:00Z', { language: 'es', questionType: 'account-specific' })
+    .add(0, 'step', { step: 'language-selection' })
+    .add(10, 'step', { step: 'ask-question-type' })
+    .add(10, 'step', { step: 'ask-ssn' })
+    .add(10, 'input.invalid', { step: 'ask-ssn' })
+    .add(10, 'input.invalid', { step: 'ask-ssn' })
+    .add(5, 'call.ended').events,
+  // Fails verification once, passes on the retry, transferred after 30 seconds
+  ...callEvents('CA3', '2026-10-19T15:00:00Z', { questionType: 'account-specific' })
+    .add(0, 'step', { step: 'language-selection' })
+    .add(5, 'step', { step: 'ask-ssn' })
+    .add(10, 'verification', { result: 'failed' })
+    .add(10, 'verification', { result: 'passed' })
+    .add(5, 'transfer.dial', { destination: 'csr-line' })
+    .add(1, 'call.ended').events,
+  // General question, still in the menu
+  ...callEvents('CA4', '2026-10-19T15:15:00Z', { questionType: 'general' })
+    .add(0, 'step', { step: 'language-selection' })
+    .add(5, 'step', { step: 'ask-question-type' }).events,
+  // Never pressed anything useful
+  ...callEvents('CA5', '2026-10-19T15:16:00Z')
+    .add(0, 'step', { step: 'language-selection' })
+    .add(10, 'input.invalid', { step: 'language-selection' })
+    .add(10, 'flow.ended', { reason: 'too-many-attempts' })
+    .add(1, 'call.ended').events
+];
+
+const byCall = calls => Object.fromEntries(calls.map(call => [call.callSid, call]));
+
+describe('call summaries', () => {
+  it('folds each call into an outcome on its local date', () => {
+    const calls = byCall(summarizeCalls(EVENTS, { timeZone: TIME_ZONE, now: NOW }));
+
+    assert.deepEqual(Object.values(calls).map(call => [call.callSid, call.date, call.outcome]), [
+      ['CA1', '2026-10-18', 'transferred'],
+      ['CA2', '2026-10-19', 'abandoned'],
+      ['CA3', '2026-10-19', 'transferred'],
+      ['CA4', '2026-10-19', 'in-progress'],
+      ['CA5', '2026-10-19', 'too-many-attempts']
+    ]);
+    assert.equal(calls.CA2.abandonedAt, 'ask-ssn');
+    assert.deepEqual(calls.CA2.invalidInputs, { 'ask-ssn': 2 });
+    assert.deepEqual([calls.CA1.secondsToTransfer, calls.CA3.secondsToTransfer], [90, 30]);
+    assert.deepEqual(calls.CA3.verification, { passed: 1, failed: 1, error: 0 });
+  });
+
+  it('treats calls without news for too long as abandoned', () => {
+    const later = new Date(NOW.getTime() + 2 * 3600 * 1000);
+    const calls = byCall(summarizeCalls(EVENTS, { timeZone: TIME_ZONE, now: later, staleAfterSeconds: 3600 }));
+    assert.deepEqual([calls.CA4.outcome, calls.CA4.abandonedAt], ['abandoned', 'ask-question-type']);
+  });
+});
+
+describe('daily report', () => {
+  const calls = summarizeCalls(EVENTS, { timeZone: TIME_ZONE, now: NOW });
+
+  it('splits calls by local day, with a total', () => {
+    const [first, second, total] = dailyReport(calls);
+    assert.deepEqual([first.date, first.calls, second.date, second.calls, total.date, total.calls], ['2026-10-18', 1, '2026-10-19', 4, 'total', 5]);
+    assert.deepEqual([second.language_en, second.language_es, second.general, second.accountSpecific], [3, 1, 1, 2]);
+  });
+
+  it('rates verification per call and averages the time to transfer', () => {
+    const total = dailyReport(calls).pop();
+    assert.deepEqual(
+      [total.verificationCalls, total.verifiedCalls, total.verificationPassRate, total.transfers, total.avgSecondsToTransfer, total.abandoned],
+      [2, 2, 1, 2, 60, 1]
+    );
+    const day = dailyReport(calls, { from: '2026-10-19', to: '2026-10-19' });
+    assert.deepEqual(day.map(row => row.date), ['2026-10-19', 'total']);
+    assert.deepEqual([day[1].calls, day[1].avgSecondsToTransfer, day[1].abandoned], [4, 30, 1]);
+  });
+});
+
+describe('abandonment report', () => {
+  it('counts who reached, abandoned and stumbled at each step', () => {
+    const rows = abandonmentReport(summarizeCalls(EVENTS, { timeZone: TIME_ZONE, now: NOW }));
+    assert.deepEqual(rows[0], { step: 'ask-ssn', reached: 3, abandoned: 1, dropOffRate: 0.333, invalidInputs: 2 });
+    assert.deepEqual(rows.find(row => row.step === 'language-selection'), { step: 'language-selection', reached: 5, abandoned: 0, dropOffRate: 0, invalidInputs: 1 });
+  });
+});
+
+describe('csv', () => {
+  it('quotes commas, quotes and line breaks, and reads them back', () => {
+    const rows = [
+      { step: 'ask-ssn', note: 'plain', count: 3 },
+      { step: 'menu, main', note: 'said "agent"', count: null },
+      { step: 'multi\nline', note: 'a\r\nb', count: 0 }
+    ];
+    const csv = toCsv(rows);
+    assert.equal(csv, 'step,note,count\r\nask-ssn,plain,3\r\n"menu, main","said ""agent""",\r\n"multi\nline","a\r\nb",0\r\n');
+    assert.deepEqual(parseCsv(csv), rows.map(row => ({ step: row.step, note: row.note, count: row.count === null ? '' : String(row.count) })));
+  });
+
+  it('writes only the header for no rows when columns are given', () => {
+    assert.equal(toCsv([], ['date', 'calls']), 'date,calls\r\n');
+  });
+});
+
+describe('report routes', () => {
+  it('serves the reports as JSON or CSV and checks the query', async () => {
+    const app = express().use(createReportRouter({
+      events: { list: async ({ callSid } = {}) => EVENTS.filter(event => !callSid || event.callSid === callSid) },
+      timeZone: TIME_ZONE,
+      staleAfterSeconds: 3600,
+      requireApiKey: (req, res, next) => next(),
+      now: () => NOW
+    }));
+    const server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const daily = await (await fetch(`${base}/api/reports/daily?from=2026-10-18&to=2026-10-18`)).json();
+      assert.deepEqual([daily.timeZone, daily.rows.length, daily.rows[0].calls], [TIME_ZONE, 2, 1]);
+
+      const csv = await fetch(`${base}/api/reports/abandonment?format=csv`);
+      assert.match(csv.headers.get('content-type'), /text\/csv/);
+      assert.match(csv.headers.get('content-disposition'), /abandonment\.csv/);
+      assert.equal((await csv.text()).split('\r\n')[0], 'step,reached,abandoned,dropOffRate,invalidInputs');
+
+      assert.equal((await fetch(`${base}/api/reports/daily?from=19-10-2026`)).status, 400);
+      assert.equal((await fetch(`${base}/api/reports/daily?format=xml`)).status, 400);
+
+      const trail = await (await fetch(`${base}/api/calls/CA5/events`)).json();
+      assert.equal(trail.length, 5);
+      assert.equal((await fetch(`${base}/api/calls/CA404/events`)).status, 404);
+    } finally {
+      server.close();
+    }
+  });
+});
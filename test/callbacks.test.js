@@ -0,0 +1,240 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createCallbackQueue } = require('../lib/callback-queue');
+const { createCallbackWorker } = require('../lib/callback-worker');
+const { createFakeDialer } = require('../lib/dialer');
+const { createCallbackRouter } = require('../routes/callbacks');
+const { createLogger } = require('../lib/logger');
+
+const quiet = createLogger({ write: () => {} });
+const SLOT = { start: '2026-10-20T13:00:00.000Z', end: '2026-10-20T14:00:00.000Z' };
+const REQUEST = { callSid: 'CA1', number: '+16282928074', language: 'es', questionType: 'general', verified: false, slot: SLOT };
+
+let dir;
+let at;
+let queue;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-callbacks-'));
+  at = new Date('2026-10-20T13:05:00Z');
+  queue = createCallbackQueue({ file: path.join(dir, 'callbacks.json'), maxAttempts: 2, retryMinutes: 15, dialingTimeoutMinutes: 10, now: () => new Date(at) });
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const advance = minutes => { at = new Date(at.getTime() + minutes * 60000); };
+
+describe('callback queue', () => {
+  it('is only completed once connected to an agent', async () => {
+    const { id } = await queue.create(REQUEST);
+    assert.equal((await queue.due()).length, 1);
+
+    await queue.claim(id);
+    assert.equal(await queue.completed(id), null);
+    assert.equal((await queue.connected(id)).status, 'connected');
+    assert.equal((await queue.completed(id)).status, 'completed');
+    assert.equal(await queue.attemptFailed(id, 'no-answer'), null);
+  });
+
+  it('retries failed attempts later, then gives up', async () => {
+    const { id } = await queue.create(REQUEST);
+    await queue.claim(id);
+    await queue.connected(id);
+    const retry = await queue.attemptFailed(id, 'agent-no-answer');
+    assert.deepEqual([retry.status, retry.lastError, retry.notBefore], ['pending', 'agent-no-answer', '2026-10-20T13:20:00.000Z']);
+    assert.equal((await queue.due()).length, 0);
+
+    advance(15);
+    await queue.claim(id);
+    assert.equal((await queue.attemptFailed(id, 'busy')).status, 'failed');
+  });
+
+  it('expires requests whose slot is over', async () => {
+    const { id } = await queue.create(REQUEST);
+    advance(50);
+    assert.deepEqual(await queue.expire(), []);
+    assert.equal((await queue.due()).length, 1);
+
+    advance(5);
+    assert.equal((await queue.due()).length, 0);
+    assert.deepEqual((await queue.expire()).map(request => [request.id, request.status]), [[id, 'expired']]);
+    assert.equal(await queue.claim(id), null);
+  });
+
+  it('recovers requests left dialing', async () => {
+    const { id } = await queue.create(REQUEST);
+    await queue.claim(id);
+    advance(5);
+    assert.deepEqual(await queue.recover(), []);
+
+    advance(5);
+    const [recovered] = await queue.recover();
+    assert.deepEqual([recovered.id, recovered.status, recovered.lastError], [id, 'pending', 'interrupted']);
+  });
+});
+
+describe('callback worker', () => {
+  function workerWith({ open = true, dialer = createFakeDialer() } = {}) {
+    const worker = createCallbackWorker({
+      queue,
+      dialer,
+      businessHours: { isOpen: () => open },
+      hoursQueue: 'csr',
+      callerId: '+12295446861',
+      connectUrl: request => `https://ivr.example.com/callbacks/connect?id=${request.id}`,
+      statusUrl: request => `https://ivr.example.com/callbacks/status?id=${request.id}`,
+      now: () => new Date(at),
+      logger: quiet
+    });
+    return { worker, dialer };
+  }
+
+  it('places due callbacks with machine detection while open', async () => {
+    const { id } = await queue.create(REQUEST);
+    const closed = workerWith({ open: false });
+    await closed.worker.tick();
+    assert.equal(closed.dialer.calls.length, 0);
+
+    const { worker, dialer } = workerWith();
+    await worker.tick();
+    assert.equal(dialer.calls.length, 1);
+    assert.deepEqual(
+      { to: dialer.calls[0].to, from: dialer.calls[0].from, url: dialer.calls[0].url, machineDetection: dialer.calls[0].machineDetection },
+      { to: '+16282928074', from: '+12295446861', url: `https://ivr.example.com/callbacks/connect?id=${id}`, machineDetection: 'Enable' }
+    );
+    const request = await queue.get(id);
+    assert.deepEqual([request.status, request.attempts, request.outboundCallSid], ['dialing', 1, dialer.calls[0].sid]);
+
+    await worker.tick();
+    assert.equal(dialer.calls.length, 1);
+  });
+
+  it('stops after the pass in progress', async () => {
+    const { id } = await queue.create(REQUEST);
+    let answer;
+    const dialer = { placeCall: () => new Promise(resolve => { answer = () => resolve({ sid: 'CA9' }); }) };
+    const { worker } = workerWith({ dialer });
+    worker.tick();
+    while (!answer) await new Promise(resolve => setImmediate(resolve));
+
+    let stopped = false;
+    const stopping = worker.stop().then(() => { stopped = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(stopped, false);
+    answer();
+    await stopping;
+    assert.equal((await queue.get(id)).outboundCallSid, 'CA9');
+    await worker.stop();
+  });
+
+  it('counts a call that could not be placed as a failed attempt', async () => {
+    const { id } = await queue.create(REQUEST);
+    const { worker } = workerWith({ dialer: createFakeDialer({ fail: () => 'Invalid number' }) });
+    await worker.tick();
+
+    const request = await queue.get(id);
+    assert.deepEqual([request.status, request.lastError], ['pending', 'Invalid number']);
+  });
+
+  it('does not dial once the slot is over', async () => {
+    const { id } = await queue.create(REQUEST);
+    advance(60);
+    const { worker, dialer } = workerWith();
+    await worker.tick();
+
+    assert.equal(dialer.calls.length, 0);
+    assert.equal((await queue.get(id)).status, 'expired');
+  });
+});
+
+describe('callback webhooks', () => {
+  const MESSAGES = {
+    en: { callbackGreeting: 'Hello, this is your callback.', callbackRetryLater: 'We will call you again later.' },
+    es: { callbackGreeting: 'Hola, esta es su llamada.', callbackRetryLater: 'Le llamaremos más tarde.' }
+  };
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(createCallbackRouter({
+      callbacks: queue,
+      say: (parent, text, language) => parent.say({ language }, text),
+      messages: MESSAGES,
+      target: () => '+19343453827',
+      callerId: '+12295446861',
+      validateTwilioWebhook: (req, res, next) => next(),
+      requireApiKey: (req, res, next) => next(),
+      logger: quiet
+    }));
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  async function post(pathname, params) {
+    const response = await fetch(baseUrl + pathname, { method: 'POST', body: new URLSearchParams(params) });
+    return { status: response.status, body: await response.text() };
+  }
+
+  async function dialing() {
+    const { id } = await queue.create(REQUEST);
+    await queue.claim(id);
+    return id;
+  }
+
+  it('bridges a person to the agent line and completes once the agent answers', async () => {
+    const id = await dialing();
+    const connect = await post(`/callbacks/connect?id=${id}`, { CallSid: 'CA2', AnsweredBy: 'human' });
+    assert.match(connect.body, /<Say language="es">Hola, esta es su llamada.<\/Say>/);
+    assert.match(connect.body, new RegExp(`<Dial callerId="\\+12295446861" action="/callbacks/dialed\\?id=${id}" method="POST"><Number>\\+19343453827</Number></Dial>`));
+    assert.equal((await queue.get(id)).status, 'connected');
+
+    await post(`/callbacks/dialed?id=${id}`, { CallSid: 'CA2', DialCallStatus: 'completed' });
+    await post(`/callbacks/status?id=${id}`, { CallSid: 'CA2', CallStatus: 'completed' });
+    assert.equal((await queue.get(id)).status, 'completed');
+  });
+
+  it('retries when the agent leg is not answered', async () => {
+    const id = await dialing();
+    await post(`/callbacks/connect?id=${id}`, { CallSid: 'CA2' });
+    const dialed = await post(`/callbacks/dialed?id=${id}`, { CallSid: 'CA2', DialCallStatus: 'no-answer' });
+    assert.match(dialed.body, /Le llamaremos más tarde.<\/Say><Hangup\/>/);
+    await post(`/callbacks/status?id=${id}`, { CallSid: 'CA2', CallStatus: 'completed' });
+
+    const request = await queue.get(id);
+    assert.deepEqual([request.status, request.lastError], ['pending', 'agent-no-answer']);
+  });
+
+  it('hangs up on machines and retries', async () => {
+    const id = await dialing();
+    const connect = await post(`/callbacks/connect?id=${id}`, { CallSid: 'CA2', AnsweredBy: 'machine_start' });
+    assert.doesNotMatch(connect.body, /<Dial/);
+    await post(`/callbacks/status?id=${id}`, { CallSid: 'CA2', CallStatus: 'completed' });
+
+    const request = await queue.get(id);
+    assert.deepEqual([request.status, request.lastError], ['pending', 'machine']);
+  });
+
+  it('retries calls that ended before reaching an agent', async () => {
+    const busy = await dialing();
+    await post(`/callbacks/status?id=${busy}`, { CallSid: 'CA2', CallStatus: 'busy' });
+    assert.equal((await queue.get(busy)).lastError, 'busy');
+
+    const hungUp = await dialing();
+    await post(`/callbacks/connect?id=${hungUp}`, { CallSid: 'CA3' });
+    await post(`/callbacks/status?id=${hungUp}`, { CallSid: 'CA3', CallStatus: 'completed' });
+    assert.deepEqual([(await queue.get(hungUp)).status, (await queue.get(hungUp)).lastError], ['pending', 'ended-before-agent']);
+  });
+});
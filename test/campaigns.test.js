@@ -0,0 +1,206 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, API_KEY } = require('./support/harness');
+
+// Monday 11:00 in New York (calling hours) and Sunday 11:00 (no calls). Contacts
+// dialled at OPEN have New York (212) numbers.
+const OPEN = '2026-10-19T15:00:00Z';
+const CLOSED = '2026-10-18T15:00:00Z';
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ now: OPEN });
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.freezeClock(OPEN));
+
+function createCampaign(contacts, { name = 'Payment reminders', language } = {}) {
+  return harness.api('/api/campaigns', { method: 'POST', body: { name, language, contacts } });
+}
+
+// Run the worker once; the calls it placed
+async function placeCalls() {
+  const before = harness.campaignDialer.calls.length;
+  await harness.campaignWorker.tick();
+  return harness.campaignDialer.calls.slice(before);
+}
+
+// Play the contact's phone for a call the worker placed
+function phoneFor(placed) {
+  return harness.simulator.call({
+    from: placed.from,
+    to: placed.to,
+    direction: 'outbound-api',
+    callSid: placed.sid,
+    statusCallback: placed.statusCallback
+  });
+}
+
+async function contactOf(campaignId, number) {
+  const { body } = await harness.api(`/api/campaigns/${campaignId}`);
+  return body.contacts.find(contact => contact.number === number);
+}
+
+describe('call lists', () => {
+  it('loads a CSV call list', async () => {
+    const response = await fetch(`${harness.baseUrl}/api/campaigns?name=October&language=es`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${API_KEY}`, 'Content-Type': 'text/csv' },
+      body: 'number,name,language\r\n+15550006001,"Pérez, Ana",\r\n+15550006002,Bob,en\r\n'
+    });
+    const campaign = await response.json();
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(
+      { name: campaign.name, language: campaign.language, status: campaign.status, contacts: campaign.contacts, pending: campaign.counts.pending },
+      { name: 'October', language: 'es', status: 'active', contacts: 2, pending: 2 }
+    );
+    const { body } = await harness.api(`/api/campaigns/${campaign.id}`);
+    assert.deepEqual(body.contacts.map(({ number, name, language }) => ({ number, name, language })), [
+      { number: '+15550006001', name: 'Pérez, Ana', language: null },
+      { number: '+15550006002', name: 'Bob', language: 'en' }
+    ]);
+
+    assert.equal((await harness.api(`/api/campaigns/${campaign.id}/pause`, { method: 'POST' })).body.status, 'paused');
+  });
+
+  it('rejects invalid contacts', async () => {
+    const { status, body } = await createCampaign([
+      { number: '5550006003', language: 'fr' },
+      { number: '+15550006004', email: 'x@example.com' },
+      { number: '+15550006005', timezone: 'Mars/Olympus_Mons' }
+    ]);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'contact 1 number must be E.164 (e.g. +15551234567); contact 1 language must be one of: en, es, pt, vi; contact 2 has unknown field "email"; contact 3 timezone must be an IANA time zone (e.g. America/Chicago)');
+  });
+});
+
+describe('dialing', () => {
+  it('calls within calling hours, a limited number at a time', async () => {
+    const { body: campaign } = await createCampaign([
+      { number: '+12125550701' },
+      { number: '+12125550702' },
+      { number: '+12125550703' }
+    ]);
+
+    harness.freezeClock(CLOSED);
+    assert.deepEqual(await placeCalls(), []);
+
+    harness.freezeClock(OPEN);
+    const first = await placeCalls();
+    assert.deepEqual(first.map(call => call.to), ['+12125550701', '+12125550702']);
+    assert.equal(first[0].machineDetection, 'Enable');
+    assert.deepEqual(await placeCalls(), []);
+
+    await phoneFor(first[0]).hangup('busy');
+    const second = await placeCalls();
+    assert.deepEqual(second.map(call => call.to), ['+12125550703']);
+
+    await phoneFor(first[1]).hangup('no-answer');
+    await phoneFor(second[0]).hangup('no-answer');
+    await harness.api(`/api/campaigns/${campaign.id}/pause`, { method: 'POST' });
+  });
+
+  it('calls contacts within calling hours on their own clock', async () => {
+    const { body: campaign } = await createCampaign([
+      { number: '+14155551001' },
+      { number: '+12125551002', timezone: 'America/Los_Angeles' },
+      { number: '+18505551003' },
+      { number: '+15555551004' }
+    ]);
+    const dialledAt = async stamp => {
+      harness.freezeClock(stamp);
+      const calls = await placeCalls();
+      await Promise.all(calls.map(call => phoneFor(call).hangup()));
+      return calls.map(call => call.to);
+    };
+
+    // 08:00 in California, for the 415 number and the 212 one whose contact lives there
+    assert.deepEqual(await dialledAt(OPEN), ['+18505551003']);
+    assert.deepEqual(await dialledAt('2026-10-19T16:00:00Z'), ['+14155551001', '+12125551002']);
+    // Unknown area code: only once it is 09:00 in Honolulu too
+    assert.deepEqual(await dialledAt('2026-10-19T18:59:00Z'), []);
+    assert.deepEqual(await dialledAt('2026-10-19T19:00:00Z'), ['+15555551004']);
+    await harness.api(`/api/campaigns/${campaign.id}/pause`, { method: 'POST' });
+  });
+
+  it('retries unanswered contacts and hangs up on machines', async () => {
+    const { body: campaign } = await createCampaign([{ number: '+12125550801' }, { number: '+12125550802' }]);
+    const [machine, unanswered] = await placeCalls();
+
+    const phone = phoneFor(machine);
+    await phone.answer(machine.url, { answeredBy: 'machine_start' });
+    assert.equal(phone.status, 'ended');
+    assert.deepEqual(phone.transcript, []);
+    await phone.hangup();
+    await phoneFor(unanswered).hangup('no-answer');
+
+    assert.deepEqual(await placeCalls(), []);
+    harness.freezeClock('2026-10-19T17:01:00Z');
+    const [retry] = await placeCalls();
+    assert.equal(retry.to, '+12125550802');
+    await phoneFor(retry).hangup('no-answer');
+
+    const { body } = await harness.api(`/api/campaigns/${campaign.id}`);
+    assert.equal(body.status, 'completed');
+    assert.deepEqual(body.contacts.map(({ status, outcome, attempts }) => ({ status, outcome, attempts })), [
+      { status: 'completed', outcome: 'machine', attempts: 1 },
+      { status: 'failed', outcome: 'no-answer', attempts: 2 }
+    ]);
+  });
+});
+
+describe('answered calls', () => {
+  it('plays the mini-miranda, verifies and transfers in the contact language', async () => {
+    const { body: campaign } = await createCampaign([{ number: '+12125550901', language: 'es' }]);
+    const [placed] = await placeCalls();
+    const phone = phoneFor(placed);
+    await phone.answer(placed.url);
+
+    assert.deepEqual(phone.said(), [
+      'Hola, esta es una llamada de cortesía sobre su cuenta.',
+      'Esta llamada puede ser monitoreada o grabada para propósitos de calidad y entrenamiento.',
+      'En cualquier momento, presione asterisco para repetir, numeral para regresar, 9 para el menú principal o 0 para hablar con un operador.',
+      'Por favor ingrese los últimos cuatro dígitos de su número de seguro social usando el teclado de su teléfono.'
+    ]);
+    await phone.press('3071');
+    await phone.press('01071990');
+    await phone.press('90140');
+    assert.equal(phone.lastSaid(), 'Por favor manténgase en línea mientras transferimos su llamada.');
+    assert.equal(phone.status, 'dialing');
+
+    await phone.dialOutcome('completed');
+    await phone.hangup();
+    const contact = await contactOf(campaign.id, '+12125550901');
+    assert.equal(contact.status, 'completed');
+    assert.equal(contact.outcome, 'transferred');
+    assert.deepEqual(contact.history.map(entry => entry.outcome), ['answered', 'verified', 'transferred']);
+  });
+
+  it('only verifies the customer the contact was called about', async () => {
+    const { body: campaign } = await createCampaign([{ number: '+12125550902', customerId: 'cust-maria' }]);
+    const [placed] = await placeCalls();
+    const phone = phoneFor(placed);
+    await phone.answer(placed.url);
+
+    // Tony's details, on a call meant for María
+    await phone.press('3071');
+    await phone.press('01071990');
+    await phone.press('90140');
+    assert.equal(phone.said().includes('Those details did not match our records. Please try again.'), true);
+    assert.equal(phone.status, 'gathering');
+
+    await phone.press('5512');
+    await phone.press('12251985');
+    await phone.press('10001');
+    assert.equal(phone.lastSaid(), 'Please hold while we transfer your call.');
+    await phone.dialOutcome('completed');
+    await phone.hangup();
+    const contact = await contactOf(campaign.id, '+12125550902');
+    assert.deepEqual(contact.history.map(entry => entry.outcome), ['answered', 'verified', 'transferred']);
+  });
+});
@@ -0,0 +1,79 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { hashSecret, verifySecret, hashCredentials, hasPlaintextCredentials, matchesCredentials, mayMatchCredentials, isHashed } = require('../lib/credentials');
+const { migrate } = require('../scripts/migrate-credentials');
+
+describe('credentials', () => {
+  it('hashes with a fresh salt and verifies only the original value', async () => {
+    const first = await hashSecret('3071');
+    const second = await hashSecret('3071');
+
+    assert.ok(isHashed(first));
+    assert.ok(!first.includes('3071'));
+    assert.notEqual(first, second);
+    assert.equal(await verifySecret('3071', first), true);
+    assert.equal(await verifySecret('3072', first), false);
+    assert.equal(await verifySecret('3071', '3071'), false);
+    assert.equal(await verifySecret(null, first), false);
+  });
+
+  it('hashes only the plaintext credential fields of a record', async () => {
+    const hashedZip = await hashSecret('90140');
+    const record = await hashCredentials({ id: 'cust-1', name: 'Tony', last4ssn: '3071', dob: '01071990', zip: hashedZip });
+
+    assert.equal(record.name, 'Tony');
+    assert.equal(record.zip, hashedZip);
+    assert.equal(hasPlaintextCredentials(record), false);
+    assert.equal(await matchesCredentials(record, { last4ssn: '3071', dob: '01071990', zip: '90140' }), true);
+    assert.equal(await matchesCredentials(record, { last4ssn: '3071', dob: '01071991' }), false);
+    assert.equal(await matchesCredentials(record, {}), false);
+  });
+
+  it('indexes the hashed fields with a keyed HMAC to rule records out cheaply', async () => {
+    const record = await hashCredentials({ id: 'cust-1', last4ssn: '3071', dob: '01071990' });
+    assert.deepEqual(Object.keys(record.credentialIndex).sort(), ['dob', 'last4ssn']);
+    assert.ok(!Object.values(record.credentialIndex).some(index => index.includes('3071') || index.includes('01071990')));
+
+    assert.equal(mayMatchCredentials(record, { last4ssn: '3071', dob: '01071990' }), true);
+    assert.equal(mayMatchCredentials(record, { last4ssn: '3072' }), false);
+    assert.equal(mayMatchCredentials(record, { zip: '90140' }), false);
+    assert.equal(mayMatchCredentials(record, { last4ssn: '3071' }, 'another-key'), false);
+
+    // Hashed before indexes existed: only the scrypt check can tell
+    const { credentialIndex, ...unindexed } = record;
+    assert.ok(credentialIndex);
+    assert.equal(mayMatchCredentials(unindexed, { last4ssn: '3072' }), true);
+  });
+});
+
+describe('credential migration', () => {
+  it('hashes plaintext records in place and leaves migrated files alone', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-migrate-'));
+    const file = path.join(dir, 'db.json');
+    try {
+      const hashedSsn = await hashSecret('5512');
+      await fs.writeFile(file, JSON.stringify([
+        { id: 'cust-tony', name: 'Tony', last4ssn: '3071', dob: '01071990', zip: '90140' },
+        { id: 'cust-maria', name: 'María', last4ssn: hashedSsn }
+      ]));
+
+      assert.equal(await migrate(file), 1);
+      const raw = await fs.readFile(file, 'utf8');
+      const records = JSON.parse(raw);
+      ['3071', '01071990', '90140'].forEach(value => assert.ok(!raw.includes(`"${value}"`), value));
+      assert.equal(records[1].last4ssn, hashedSsn);
+      assert.equal(await matchesCredentials(records[0], { last4ssn: '3071', dob: '01071990', zip: '90140' }), true);
+      assert.deepEqual(await fs.readdir(dir), ['db.json']);
+
+      assert.equal(await migrate(file), 0);
+      assert.equal(await fs.readFile(file, 'utf8'), raw);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
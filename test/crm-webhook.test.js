@@ -0,0 +1,78 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createCrmWebhook, signPayload } = require('../lib/crm-webhook');
+const { createLogger } = require('../lib/logger');
+
+const SECRET = 'test-crm-secret';
+const logger = createLogger({ write: () => {} });
+
+// A CRM endpoint answering with the queued statuses (200 once they run out)
+let receiver;
+let baseUrl;
+let statuses;
+let deliveries;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+beforeEach(() => {
+  statuses = [];
+  deliveries = [];
+});
+
+const webhook = (options = {}) => createCrmWebhook({ url: `${baseUrl}/hooks/ivr`, secret: SECRET, retrySeconds: 0.01, logger, ...options });
+
+describe('CRM webhook', () => {
+  it('signs the timestamp and raw body', async () => {
+    const result = await webhook({ now: () => new Date('2026-10-19T15:00:00Z') }).send('transfer.started', { callSid: 'CA1' });
+
+    assert.deepEqual(result, { delivered: true, attempts: 1 });
+    const [{ headers, body }] = deliveries;
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-ivr-timestamp'], '1792422000');
+    assert.equal(headers['x-ivr-signature'], signPayload(SECRET, '1792422000', body));
+    const payload = JSON.parse(body);
+    assert.deepEqual({ ...payload, id: 'id' }, { id: 'id', event: 'transfer.started', occurredAt: '2026-10-19T15:00:00.000Z', callSid: 'CA1' });
+  });
+
+  it('retries server errors with the same delivery id', async () => {
+    statuses = [500, 503];
+    const result = await webhook().send('transfer.started', { callSid: 'CA2' });
+
+    assert.deepEqual(result, { delivered: true, attempts: 3 });
+    assert.equal(new Set(deliveries.map(delivery => JSON.parse(delivery.body).id)).size, 1);
+  });
+
+  it('does not retry a refused delivery', async () => {
+    statuses = [400];
+    assert.deepEqual(await webhook().send('transfer.started', {}), { delivered: false, attempts: 1 });
+  });
+
+  it('gives up after the last attempt', async () => {
+    statuses = [500, 500, 500];
+    assert.deepEqual(await webhook({ maxAttempts: 2 }).send('transfer.started', {}), { delivered: false, attempts: 2 });
+    assert.equal(deliveries.length, 2);
+  });
+
+  it('retries when the CRM cannot be reached', async () => {
+    const result = await createCrmWebhook({ url: 'http://127.0.0.1:9/hooks/ivr', secret: SECRET, maxAttempts: 2, retrySeconds: 0.01, logger }).send('transfer.started', {});
+    assert.deepEqual(result, { delivered: false, attempts: 2 });
+  });
+
+  it('needs a signing secret', () => {
+    assert.throws(() => createCrmWebhook({ url: baseUrl }), /signing secret/);
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createCustomerRepository } = require('../lib/customer-repository');
+const { hashCredentials, isHashed } = require('../lib/credentials');
+
+const RECORDS = [
+  { id: 'cust-tony', last4ssn: '3071', dob: '01071990', zip: '90140', name: 'Tony', phoneNumber: '+16282928074' },
+  { id: 'cust-maria', last4ssn: '5512', dob: '12251985', zip: '10001', name: 'María', phoneNumber: null },
+  { id: 'cust-twin', last4ssn: '3071', dob: '02021992', zip: '10001', name: 'Twin', phoneNumber: '+16282928074' }
+];
+
+// Each backend opened on `dir`, holding RECORDS; open() again reads what the first one wrote
+const BACKENDS = {
+  json: {
+    file: 'customers.json',
+    async setup(dir) {
+      const file = path.join(dir, 'customers.json');
+      await fs.writeFile(file, JSON.stringify(await Promise.all(RECORDS.map(record => hashCredentials(record)))));
+      return () => createCustomerRepository({ backend: 'json', file });
+    }
+  },
+  sqlite: {
+    file: 'customers.sqlite',
+    async setup(dir) {
+      const seedFile = path.join(dir, 'seed.json');
+      await fs.writeFile(seedFile, JSON.stringify(RECORDS));
+      return () => createCustomerRepository({ backend: 'sqlite', file: path.join(dir, 'customers.sqlite'), seedFile });
+    }
+  }
+};
+
+Object.entries(BACKENDS).forEach(([backend, { file, setup }]) => {
+  describe(`${backend} customer repository`, () => {
+    let dir;
+    let open;
+    let customers;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), `ivr-customers-${backend}-`));
+      open = await setup(dir);
+      customers = open();
+    });
+
+    afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('lists and gets copies of the records, with credentials hashed', async () => {
+      const records = await customers.list();
+      assert.deepEqual(records.map(record => record.id).sort(), ['cust-maria', 'cust-tony', 'cust-twin']);
+      assert.ok(records.every(record => isHashed(record.last4ssn) && isHashed(record.dob) && isHashed(record.zip)));
+
+      const tony = await customers.get('cust-tony');
+      assert.equal(tony.name, 'Tony');
+      tony.name = 'Changed';
+      assert.equal((await customers.get('cust-tony')).name, 'Tony');
+      assert.equal(await customers.get('cust-nobody'), null);
+    });
+
+    it('finds records by credentials', async () => {
+      assert.equal((await customers.findByCredentials({ last4ssn: '3071', dob: '01071990', zip: '90140' })).id, 'cust-tony');
+      assert.equal(await customers.findByCredentials({ last4ssn: '3071', dob: '01071990', zip: '10001' }), null);
+      assert.equal(await customers.findByCredentials({}), null);
+      assert.deepEqual((await customers.findAllByCredentials({ last4ssn: '3071' })).map(record => record.id).sort(), ['cust-tony', 'cust-twin']);
+    });
+
+    it('narrows candidates by blind index before any hash is checked', async () => {
+      assert.deepEqual((await customers.findCandidates({ last4ssn: '3071' })).map(record => record.id).sort(), ['cust-tony', 'cust-twin']);
+      assert.deepEqual((await customers.findCandidates({ last4ssn: '3071', zip: '10001' })).map(record => record.id), ['cust-twin']);
+      assert.deepEqual(await customers.findCandidates({ last4ssn: '0000' }), []);
+
+      // A changed credential gets a new index; the others keep theirs
+      await customers.update('cust-maria', { last4ssn: '0000' });
+      assert.deepEqual((await customers.findCandidates({ last4ssn: '0000', dob: '12251985' })).map(record => record.id), ['cust-maria']);
+    });
+
+    it('finds records by saved phone number', async () => {
+      assert.deepEqual((await customers.findByPhoneNumber('+16282928074')).map(record => record.id).sort(), ['cust-tony', 'cust-twin']);
+      assert.deepEqual(await customers.findByPhoneNumber('+15550000000'), []);
+    });
+
+    it('updates, hashing credentials on the way in', async () => {
+      const updated = await customers.update('cust-maria', { language: 'es', zip: '10002' });
+      assert.equal(updated.language, 'es');
+      assert.equal(updated.name, 'María');
+      assert.ok(isHashed(updated.zip));
+      assert.equal((await customers.findByCredentials({ last4ssn: '5512', zip: '10002' })).id, 'cust-maria');
+      assert.equal(await customers.update('cust-nobody', { language: 'es' }), null);
+    });
+
+    it('updates from the current record, refusing credential changes', async () => {
+      const updated = await customers.update('cust-tony', record => ({ name: `${record.name} Stark` }));
+      assert.equal(updated.name, 'Tony Stark');
+      await assert.rejects(customers.update('cust-tony', () => ({ zip: '90141' })), /Credential fields cannot be set/);
+      assert.equal(await customers.update('cust-nobody', () => ({ name: 'x' })), null);
+    });
+
+    it('loses no concurrent update', async () => {
+      await Promise.all([
+        ...Array.from({ length: 10 }, (_, index) => customers.update('cust-tony', record => ({ payments: [...(record.payments || []), index] }))),
+        customers.update('cust-tony', { language: 'en' }),
+        customers.update('cust-tony', { phoneNumber: '+16282928075' })
+      ]);
+
+      const tony = await customers.get('cust-tony');
+      assert.deepEqual([...tony.payments].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      assert.deepEqual([tony.language, tony.phoneNumber], ['en', '+16282928075']);
+    });
+
+    it('answers ping only while its file is there, whatever is cached', async () => {
+      assert.equal((await customers.get('cust-tony')).name, 'Tony');
+      await customers.ping();
+
+      await fs.rename(path.join(dir, file), path.join(dir, `${file}.moved`));
+      assert.equal((await customers.get('cust-tony')).name, 'Tony');
+      await assert.rejects(customers.ping(), { code: 'ENOENT' });
+    });
+
+    it('creates and deletes records, and keeps changes for the next start', async () => {
+      const created = await customers.create({ last4ssn: '1111', dob: '03031993', zip: '30301', name: 'New' });
+      assert.ok(created.id);
+      assert.ok(isHashed(created.last4ssn));
+      assert.equal(await customers.delete('cust-maria'), true);
+      assert.equal(await customers.delete('cust-maria'), false);
+      await customers.update('cust-tony', { language: 'es' });
+
+      const reopened = open();
+      assert.deepEqual((await reopened.list()).map(record => record.id).sort(), [created.id, 'cust-tony', 'cust-twin'].sort());
+      assert.equal((await reopened.get('cust-tony')).language, 'es');
+      assert.equal((await reopened.findByCredentials({ last4ssn: '1111', dob: '03031993', zip: '30301' })).name, 'New');
+    });
+  });
+});
+
+describe('json customer repository files', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-customers-json-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('replaces the file atomically, leaving no temp files', async () => {
+    const file = path.join(dir, 'customers.json');
+    await fs.writeFile(file, JSON.stringify(await Promise.all(RECORDS.map(record => hashCredentials(record)))));
+    const customers = createCustomerRepository({ backend: 'json', file });
+
+    await Promise.all(Array.from({ length: 5 }, (_, index) => customers.update('cust-tony', { visits: index })));
+    assert.deepEqual(await fs.readdir(dir), ['customers.json']);
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).length, 3);
+  });
+
+  it('refuses plaintext credentials and gives records without an id one', async () => {
+    const plaintext = path.join(dir, 'plaintext.json');
+    await fs.writeFile(plaintext, JSON.stringify(RECORDS));
+    await assert.rejects(createCustomerRepository({ backend: 'json', file: plaintext }).list(), /plaintext credentials; run "npm run migrate-credentials/);
+
+    const withoutIds = path.join(dir, 'without-ids.json');
+    await fs.writeFile(withoutIds, JSON.stringify([await hashCredentials({ ...RECORDS[0], id: undefined })]));
+    const [record] = await createCustomerRepository({ backend: 'json', file: withoutIds }).list();
+    assert.ok(record.id);
+    assert.equal(JSON.parse(await fs.readFile(withoutIds, 'utf8'))[0].id, record.id);
+  });
+});
+
+describe('sqlite customer repository seeding', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-customers-sqlite-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('seeds an empty database once, hashing plaintext credentials', async () => {
+    const file = path.join(dir, 'customers.sqlite');
+    const seedFile = path.join(dir, 'seed.json');
+    await fs.writeFile(seedFile, JSON.stringify([{ ...RECORDS[0], id: undefined }]));
+
+    const [seeded] = await createCustomerRepository({ backend: 'sqlite', file, seedFile }).list();
+    assert.ok(seeded.id);
+    assert.ok(isHashed(seeded.last4ssn));
+
+    await fs.writeFile(seedFile, JSON.stringify(RECORDS));
+    assert.deepEqual((await createCustomerRepository({ backend: 'sqlite', file, seedFile }).list()).map(record => record.id), [seeded.id]);
+  });
+
+  it('starts empty without a seed file', async () => {
+    const customers = createCustomerRepository({ backend: 'sqlite', file: path.join(dir, 'customers.sqlite'), seedFile: path.join(dir, 'missing.json') });
+    assert.deepEqual(await customers.list(), []);
+  });
+});
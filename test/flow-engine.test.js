@@ -0,0 +1,249 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlowEngine } = require('../lib/flow-engine');
+const { createSecureInput } = require('../lib/secure-input');
+const validators = require('../lib/validators');
+const { createLogger } = require('../lib/logger');
+const { createRouter } = require('../lib/routing');
+const { createIvrFlow } = require('../flows/ivr');
+
+const CONFIG = { DEFAULT_LANGUAGE: 'en', MAX_ATTEMPTS: 3, LANGUAGES: { en: 'en-US' }, SPEECH: { ENABLED: true, MIN_CONFIDENCE: 0.5 } };
+const MESSAGES = { en: { cardPrompt: 'Enter your card.', invalidCard: 'Try again.', done: 'Done.', noInput: 'Nothing.', systemError: 'Something went wrong.', menuPrompt: 'Press 1 to pay.' } };
+
+function engineWith(secureInput) {
+  return createFlowEngine({
+    flow: {
+      start: 'card',
+      nodes: {
+        card: { type: 'collect', prompt: 'cardPrompt', invalid: 'invalidCard', finishOnKey: '#', secure: true, validator: 'cardNumber', field: 'cardNumber', attempts: 'card', next: 'done' },
+        done: { type: 'hangup', message: 'done' }
+      }
+    },
+    messages: MESSAGES,
+    config: CONFIG,
+    say: (parent, text) => parent.say(text),
+    validators,
+    secureInput
+  });
+}
+
+describe('secure collect', () => {
+  it('gathers on the keypad only and keeps the input off the session', async () => {
+    const secureInput = createSecureInput({ ttlSeconds: 60 });
+    const engine = engineWith(secureInput);
+    const session = { attempts: { card: 0 } };
+
+    const prompt = await engine.run({ step: 'card', session, params: { CallSid: 'CA1' } });
+    assert.match(prompt, /<Gather input="dtmf" action="\/action\?step=card&amp;phase=input" method="POST" finishOnKey="#">/);
+
+    await engine.run({ step: 'card', phase: 'input', session, params: { CallSid: 'CA1', Digits: '4242424242424242' } });
+    assert.deepEqual(secureInput.get('CA1'), { cardNumber: '4242424242424242' });
+    assert.ok(!JSON.stringify(session).includes('4242'));
+  });
+
+  it('needs a secure input store', () => {
+    assert.throws(() => engineWith(undefined), /Flow node "card" is secure but no secureInput store was given/);
+  });
+});
+
+describe('secure input', () => {
+  it('forgets a call after its time to live', () => {
+    let at = 0;
+    const secureInput = createSecureInput({ ttlSeconds: 60, now: () => at });
+    secureInput.put('CA1', 'cardCvc', '123');
+    at = 59 * 1000;
+    assert.deepEqual(secureInput.get('CA1'), { cardCvc: '123' });
+    at = 120 * 1000;
+    assert.equal(secureInput.get('CA1'), null);
+  });
+});
+
+describe('shortcuts', () => {
+  const flowWith = shortcuts => ({
+    start: 'done',
+    shortcuts,
+    nodes: { done: { type: 'hangup', message: 'done' } }
+  });
+  const create = shortcuts => createFlowEngine({ flow: flowWith(shortcuts), messages: MESSAGES, config: CONFIG, say: (parent, text) => parent.say(text) });
+
+  it('must be single keys with a known action and target', () => {
+    assert.throws(() => create({ '**': { action: 'repeat' } }), /Shortcut "\*\*" is not a single keypad key/);
+    assert.throws(() => create({ '*': { action: 'skip' } }), /Shortcut "\*" has unknown action "skip"/);
+    assert.throws(() => create({ '9': { action: 'goto', next: 'main-menu' } }), /points to unknown node "main-menu"/);
+    assert.doesNotThrow(() => create({ '9': { action: 'goto', next: 'done' } }));
+  });
+
+  it('can only be turned off on a node', () => {
+    const flow = { start: 'done', nodes: { done: { type: 'hangup', message: 'done', shortcuts: { '*': { action: 'repeat' } } } } };
+    assert.throws(() => createFlowEngine({ flow, messages: MESSAGES, config: CONFIG, say: (parent, text) => parent.say(text) }), /can only turn shortcuts off/);
+  });
+
+  describe('on gathers ended with a key', () => {
+    const engineWithShortcuts = shortcuts => createFlowEngine({
+      flow: {
+        start: 'menu',
+        shortcuts,
+        nodes: {
+          menu: { type: 'menu', prompt: 'menuPrompt', invalid: 'invalidCard', attempts: 'menu', options: { 1: { next: 'card' } } },
+          card: { type: 'collect', prompt: 'cardPrompt', invalid: 'invalidCard', finishOnKey: '#', secure: true, validator: 'cardNumber', field: 'cardNumber', attempts: 'card', next: 'done' },
+          done: { type: 'hangup', message: 'done' }
+        }
+      },
+      messages: MESSAGES,
+      config: CONFIG,
+      say: (parent, text) => parent.say(text),
+      validators,
+      secureInput: createSecureInput({ ttlSeconds: 60 })
+    });
+
+    it('takes the key pressed alone as its shortcut', async () => {
+      const engine = engineWithShortcuts({ '#': { action: 'back' } });
+      const session = { attempts: {}, history: ['menu', 'card'] };
+      const twiml = await engine.run({ step: 'card', phase: 'input', session, params: { CallSid: 'CA1', Digits: '' } });
+      assert.match(twiml, /<Redirect>\/action<\/Redirect>/);
+      assert.equal(session.currentStep, 'menu');
+      assert.deepEqual(session.attempts, {});
+    });
+
+    it('treats the key pressed alone as no input without a shortcut', async () => {
+      const engine = engineWithShortcuts({ '*': { action: 'repeat' } });
+      const session = { attempts: {}, history: ['menu', 'card'] };
+      const twiml = await engine.run({ step: 'card', phase: 'input', session, params: { CallSid: 'CA1' } });
+      assert.match(twiml, /<Say>Nothing.<\/Say><Redirect>\/action\?step=card<\/Redirect>/);
+      assert.deepEqual(session.attempts, {});
+
+      const star = await engine.run({ step: 'card', phase: 'input', session, params: { CallSid: 'CA1', Digits: '*' } });
+      assert.match(star, /<Redirect>\/action\?step=card<\/Redirect>/);
+      assert.deepEqual(session.attempts, {});
+    });
+  });
+});
+
+describe('ivr flow', () => {
+  const LANGUAGES = ['en', 'es', 'pt', 'vi', 'fr', 'de', 'it', 'ja'];
+
+  it('numbers the language menu around the shortcut keys', () => {
+    const flow = createIvrFlow({ languages: LANGUAGES });
+    const menu = flow.nodes['language-selection'];
+    assert.deepEqual(Object.keys(menu.options), ['1', '2', '3', '4', '5', '6', '7', '8']);
+    assert.ok(Object.keys(menu.options).every(key => !flow.shortcuts[key]));
+    assert.deepEqual(menu.prompt.map(prompt => prompt.values.digit), ['1', '2', '3', '4', '5', '6', '7', '8']);
+  });
+
+  it('offers at most 8 languages', () => {
+    assert.throws(() => createIvrFlow({ languages: [...LANGUAGES, 'ko'] }), /The language menu supports at most 8 languages/);
+  });
+});
+
+describe('call recording', () => {
+  const flow = {
+    start: 'intro',
+    nodes: {
+      intro: { type: 'say', startRecording: true, message: 'done', next: 'pin' },
+      pin: { type: 'collect', sensitive: true, prompt: 'cardPrompt', invalid: 'invalidCard', numDigits: 4, validator: 'digits', field: 'pin', attempts: 'pin', next: 'done' },
+      done: { type: 'hangup', message: 'done' }
+    }
+  };
+  const create = (recorder, audit) => createFlowEngine({
+    flow, messages: MESSAGES, config: CONFIG, say: (parent, text) => parent.say(text), validators, recorder, audit, logger: createLogger({ write: () => {} })
+  });
+
+  const recorderFailing = actions => ({
+    start: async () => {},
+    pause: async () => { if (actions.includes('pause')) throw new Error('Twilio unavailable'); },
+    resume: async () => {},
+    stop: async () => { if (actions.includes('stop')) throw new Error('Twilio unavailable'); }
+  });
+  const recordingEvents = events => events.filter(event => event.type === 'recording').map(({ action, result }) => [action, result]);
+
+  it('stops the recording before the gather when it cannot be paused', async () => {
+    const events = [];
+    const engine = create(recorderFailing(['pause']), (type, details) => events.push({ type, ...details }));
+    const session = { attempts: { pin: 0 }, recording: null };
+
+    await engine.run({ step: 'intro', session, params: { CallSid: 'CA1' } });
+    const prompt = await engine.run({ step: 'pin', session, params: { CallSid: 'CA1' } });
+
+    assert.match(prompt, /<Gather/);
+    assert.equal(session.recording, 'stopped');
+    assert.deepEqual(recordingEvents(events), [['start', 'ok'], ['pause', 'error'], ['stop', 'ok']]);
+
+    // Stopped for good: the next node neither resumes nor restarts it
+    await engine.run({ step: 'intro', session, params: { CallSid: 'CA1' } });
+    assert.equal(session.recording, 'stopped');
+  });
+
+  it('never renders the gather while the recording can be neither paused nor stopped', async () => {
+    const events = [];
+    const engine = create(recorderFailing(['pause', 'stop']), (type, details) => events.push({ type, ...details }));
+    const session = { attempts: { pin: 0 }, recording: null };
+
+    await engine.run({ step: 'intro', session, params: { CallSid: 'CA1' } });
+    const prompt = await engine.run({ step: 'pin', session, params: { CallSid: 'CA1' } });
+
+    assert.doesNotMatch(prompt, /<Gather/);
+    assert.match(prompt, /<Say>Something went wrong.<\/Say><Hangup\/>/);
+    assert.equal(session.recording, 'in-progress');
+    assert.deepEqual(recordingEvents(events), [['start', 'ok'], ['pause', 'error'], ['stop', 'error']]);
+  });
+
+  it('moves to onRecordingFailure instead when the flow has one', async () => {
+    const engine = createFlowEngine({
+      flow: { ...flow, onRecordingFailure: 'done' },
+      messages: MESSAGES, config: CONFIG, say: (parent, text) => parent.say(text), validators, recorder: recorderFailing(['pause', 'stop']), logger: createLogger({ write: () => {} })
+    });
+    const session = { attempts: { pin: 0 }, recording: null };
+
+    await engine.run({ step: 'intro', session, params: { CallSid: 'CA1' } });
+    const prompt = await engine.run({ step: 'pin', session, params: { CallSid: 'CA1' } });
+
+    assert.doesNotMatch(prompt, /<Gather/);
+    assert.match(prompt, /<Redirect/);
+    assert.equal(session.currentStep, 'done');
+  });
+
+  it('only marks gathers as sensitive', () => {
+    const nodes = { ...flow.nodes, intro: { ...flow.nodes.intro, sensitive: true } };
+    assert.throws(() => createFlowEngine({ flow: { ...flow, nodes }, messages: MESSAGES, config: CONFIG, say: () => {}, validators }), /Flow node "intro" is sensitive but gathers nothing/);
+  });
+});
+
+describe('transfer routes', () => {
+  const flow = {
+    start: 'transfer',
+    nodes: {
+      transfer: { type: 'transfer', message: 'done', onExhausted: 'done', onLeave: 'overflow' },
+      overflow: { type: 'transfer', route: 'overflow', onExhausted: 'done' },
+      done: { type: 'hangup', message: 'done' }
+    }
+  };
+  const destinations = {
+    hold: { type: 'enqueue', to: 'csr', waitUrl: '/hold/wait' },
+    alternate: { type: 'number', to: '+15550100200' }
+  };
+  const create = rules => createFlowEngine({
+    flow, messages: MESSAGES, config: CONFIG, say: (parent, text) => parent.say(text), validators, logger: createLogger({ write: () => {} }),
+    router: createRouter({ destinations, rules, config: { TWILIO_PHONE: '+12295446861' } })
+  });
+
+  it('follows onLeave out of a queue, to the destinations of the named route', async () => {
+    const engine = create([{ destinations: ['hold'] }, { route: 'overflow', destinations: ['alternate'] }]);
+    const session = { attempts: {} };
+
+    assert.match(await engine.run({ step: 'transfer', session, params: { CallSid: 'CA1' } }), /<Enqueue [^>]*waitUrl="\/hold\/wait"[^>]*>csr<\/Enqueue>/);
+    await engine.run({ step: 'transfer', phase: 'input', session, params: { CallSid: 'CA1', QueueResult: 'leave', QueueTime: '600' } });
+    assert.equal(session.currentStep, 'overflow');
+
+    const overflow = await engine.run({ step: 'overflow', session, params: { CallSid: 'CA1' } });
+    assert.match(overflow, /<Number>\+15550100200<\/Number>/);
+    assert.doesNotMatch(overflow, /<Say>/);
+  });
+
+  it('has no destinations for a route without rules', async () => {
+    const engine = create([{ destinations: ['hold'] }]);
+    const session = { attempts: {} };
+
+    await engine.run({ step: 'overflow', session, params: { CallSid: 'CA1' } });
+    assert.equal(session.currentStep, 'done');
+  });
+});
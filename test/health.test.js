@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { startHarness } = require('./support/harness');
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ now: '2026-10-19T15:00:00Z' });
+});
+
+after(() => harness.close());
+
+describe('health checks', () => {
+  it('answers liveness and readiness without credentials', async () => {
+    const live = await fetch(`${harness.baseUrl}/healthz`);
+    assert.equal(live.status, 200);
+
+    const ready = await fetch(`${harness.baseUrl}/readyz`);
+    assert.equal(ready.status, 200);
+    assert.deepEqual(await ready.json(), { status: 'ready', checks: { customers: 'ok' } });
+  });
+
+  it('is not ready once the customer file is gone, although records are cached', async () => {
+    const file = path.join(harness.dir, 'customers.json');
+    await fs.rename(file, `${file}.moved`);
+    try {
+      const ready = await fetch(`${harness.baseUrl}/readyz`);
+      assert.equal(ready.status, 503);
+      assert.deepEqual(await ready.json(), { status: 'unavailable', checks: { customers: 'failed' } });
+    } finally {
+      await fs.rename(`${file}.moved`, file);
+    }
+    assert.equal((await fetch(`${harness.baseUrl}/readyz`)).status, 200);
+  });
+});
+
+describe('metrics endpoint', () => {
+  it('needs an API key', async () => {
+    assert.equal((await fetch(`${harness.baseUrl}/metrics`)).status, 401);
+  });
+
+  it('counts and times webhooks per flow step, verifications and sessions', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('1');
+    await call.press('2');
+    await call.press('0000');
+    await call.press('01011990');
+    await call.press('00000');
+
+    const { status, body } = await harness.api('/metrics');
+    assert.equal(status, 200);
+    assert.match(body, /^ivr_http_requests_total\{method="POST",route="\/start",step="",status="200"\} 1$/m);
+    assert.match(body, /^ivr_http_requests_total\{method="POST",route="\/action",step="language-selection",status="200"\} \d+$/m);
+    assert.match(body, /^ivr_http_request_duration_seconds_bucket\{route="\/action",step="verify-user",le="15"\} 1$/m);
+    assert.match(body, /^ivr_http_request_duration_seconds_count\{route="\/action",step="verify-user"\} 1$/m);
+    assert.match(body, /^ivr_verifications_total\{result="failed"\} 1$/m);
+    assert.match(body, /^ivr_active_sessions 1$/m);
+    assert.match(body, /^ivr_http_requests_in_flight 1$/m);
+    await call.hangup();
+  });
+});
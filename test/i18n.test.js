@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { interpolate, checkCatalogs, loadCatalogs, installedLanguages, languageNames } = require('../lib/i18n');
+
+const LOCALES = path.join(__dirname, '..', 'locales');
+
+describe('interpolate', () => {
+  it('fills known placeholders and leaves the others', () => {
+    assert.equal(interpolate('For {label}, press {digit}.', { digit: 2 }), 'For {label}, press 2.');
+  });
+});
+
+describe('checkCatalogs', () => {
+  const en = { greeting: 'Hello {name}.', goodbye: 'Goodbye.' };
+
+  it('accepts catalogs with the same keys and placeholders', () => {
+    assert.doesNotThrow(() => checkCatalogs({ en, es: { greeting: 'Hola {name}.', goodbye: 'Adiós.' } }, 'en'));
+  });
+
+  it('lists every missing key, placeholder mismatch and unknown key', () => {
+    assert.throws(() => checkCatalogs({ en, pt: { greeting: 'Olá {nome}.', farewell: 'Tchau.' } }, 'en'), {
+      message: [
+        'Message catalogs are incomplete:',
+        '- pt: "greeting" must use placeholders {name}, found {nome}',
+        '- pt: missing "goodbye"',
+        '- pt: unknown key "farewell"'
+      ].join('\n')
+    });
+  });
+
+  it('requires a catalog for the default language', () => {
+    assert.throws(() => checkCatalogs({ es: {} }, 'en'), /No message catalog for the default language "en"/);
+  });
+});
+
+describe('shipped catalogs', () => {
+  it('are complete', () => {
+    const catalogs = loadCatalogs({ dir: LOCALES, defaultLanguage: 'en' });
+    assert.deepEqual(installedLanguages(catalogs, 'en'), ['en', 'es', 'pt', 'vi']);
+  });
+
+  it('put the default language first in the menu', () => {
+    const catalogs = loadCatalogs({ dir: LOCALES, defaultLanguage: 'es' });
+    assert.deepEqual(installedLanguages(catalogs, 'es'), ['es', 'en', 'pt', 'vi']);
+  });
+});
+
+describe('languageNames', () => {
+  it('names a language in every installed language', () => {
+    assert.deepEqual(languageNames('es', ['en', 'es', 'pt']), ['spanish', 'español', 'espanhol']);
+  });
+});
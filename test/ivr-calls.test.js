@@ -0,0 +1,1242 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// Monday 11:00 in New York (open) and Sunday 11:00 (closed)
+const OPEN = '2026-10-19T15:00:00Z';
+const CLOSED = '2026-10-18T15:00:00Z';
+const TARGET_PHONE = '+19343453827';
+const TWILIO_PHONE = '+12295446861';
+const LANGUAGE_MENU = [
+  'For English, press 1.',
+  'Para Español, presiona 2.',
+  'Para Português, pressione 3.',
+  'Để nghe bằng Tiếng Việt, xin bấm 4.'
+];
+const MENU_LENGTH = LANGUAGE_MENU.length;
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ now: OPEN });
+});
+
+after(() => harness.close());
+
+beforeEach(() => harness.freezeClock(OPEN));
+
+// Start a call and get to the question-type menu in `language`
+async function callInto(language = 'en', options) {
+  const call = harness.simulator.call(options);
+  await call.start();
+  await call.press(String(['en', 'es', 'pt', 'vi'].indexOf(language) + 1));
+  return call;
+}
+
+async function verifyWith(call, { ssn, dob, zip }) {
+  await call.press(ssn);
+  await call.press(dob);
+  return call.press(zip);
+}
+
+describe('language selection', () => {
+  it('offers each language in its own voice', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+
+    assert.equal(call.status, 'gathering');
+    assert.deepEqual(call.transcript.slice(0, MENU_LENGTH), [
+      { text: LANGUAGE_MENU[0], language: 'en-US', voice: 'Google.en-AU-Chirp3-HD-Aoede' },
+      { text: LANGUAGE_MENU[1], language: 'es-ES', voice: 'Google.es-ES-Chirp3-HD-Aoede' },
+      { text: LANGUAGE_MENU[2], language: 'pt-BR', voice: 'Google.pt-BR-Chirp3-HD-Aoede' },
+      { text: LANGUAGE_MENU[3], language: 'vi-VN', voice: 'Google.vi-VN-Chirp3-HD-Aoede' }
+    ]);
+  });
+
+  it('continues in English after pressing 1', async () => {
+    const call = await callInto('en');
+
+    assert.deepEqual(call.said(MENU_LENGTH), [
+      'This call may be monitored or recorded for quality and training purposes.',
+      'At any time, press star to repeat, pound to go back, 9 for the main menu, or 0 for an operator.',
+      'For general information, press 1. For account specific questions or to make a payment, press 2.'
+    ]);
+  });
+
+  it('continues in Spanish after pressing 2', async () => {
+    const call = await callInto('es');
+
+    assert.deepEqual(call.said(MENU_LENGTH), [
+      'Esta llamada puede ser monitoreada o grabada para propósitos de calidad y entrenamiento.',
+      'En cualquier momento, presione asterisco para repetir, numeral para regresar, 9 para el menú principal o 0 para hablar con un operador.',
+      'Para información general, presiona 1. Para preguntas específicas de su cuenta o hacer un pago, presiona 2.'
+    ]);
+    assert.ok(call.transcript.slice(MENU_LENGTH).every(entry => entry.language === 'es-ES'));
+  });
+
+  it('continues in Portuguese after pressing 3', async () => {
+    const call = await callInto('pt');
+
+    assert.deepEqual(call.transcript.slice(MENU_LENGTH), [
+      {
+        text: 'Esta chamada pode ser monitorada ou gravada para fins de qualidade e treinamento.',
+        language: 'pt-BR',
+        voice: 'Google.pt-BR-Chirp3-HD-Aoede'
+      },
+      {
+        text: 'A qualquer momento, pressione asterisco para repetir, cerquilha para voltar, 9 para o menu principal ou 0 para falar com um atendente.',
+        language: 'pt-BR',
+        voice: 'Google.pt-BR-Chirp3-HD-Aoede'
+      },
+      {
+        text: 'Para informações gerais, pressione 1. Para perguntas sobre a sua conta ou para fazer um pagamento, pressione 2.',
+        language: 'pt-BR',
+        voice: 'Google.pt-BR-Chirp3-HD-Aoede'
+      }
+    ]);
+  });
+
+  it('verifies and transfers a Vietnamese caller on the keypad', async () => {
+    const call = await callInto('vi');
+
+    assert.equal(call.gather.input, 'dtmf');
+    await call.press('2');
+    await verifyWith(call, { ssn: '3071', dob: '01071990', zip: '90140' });
+
+    assert.ok(call.transcript.slice(MENU_LENGTH).every(entry => entry.language === 'vi-VN'));
+    assert.deepEqual(call.lastDial.targets.map(target => target.value), [TARGET_PHONE]);
+  });
+
+  it('repeats the menu after an invalid key', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    await call.press('8');
+
+    assert.deepEqual(call.said(MENU_LENGTH), ['Invalid selection. Please try again.', ...LANGUAGE_MENU]);
+    await call.press('2');
+    assert.match(call.said(2 * MENU_LENGTH + 1)[0], /^Esta llamada puede ser monitoreada/);
+  });
+
+  it('repeats the menu when nothing is pressed', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    await call.silence();
+
+    assert.deepEqual(call.said(MENU_LENGTH), ['Sorry, I did not get that.', ...LANGUAGE_MENU]);
+    assert.equal(call.status, 'gathering');
+  });
+
+  it('hangs up after too many invalid keys', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    for (let attempt = 0; attempt < 4; attempt++) await call.press('8');
+
+    assert.equal(call.lastSaid(), 'Too many invalid attempts. Goodbye.');
+    assert.equal(call.status, 'ended');
+  });
+});
+
+describe('question type', () => {
+  it('repeats the question after an invalid key', async () => {
+    const call = await callInto('en');
+    const before = call.transcript.length;
+    await call.press('7');
+
+    assert.deepEqual(call.said(before), [
+      'Invalid selection. Please try again.',
+      'For general information, press 1. For account specific questions or to make a payment, press 2.'
+    ]);
+  });
+
+  it('hangs up in Spanish after too many invalid keys', async () => {
+    const call = await callInto('es');
+    for (let attempt = 0; attempt < 4; attempt++) await call.press('7');
+
+    assert.equal(call.lastSaid(), 'Demasiados intentos inválidos. Adiós.');
+    assert.equal(call.status, 'ended');
+  });
+});
+
+describe('general questions', () => {
+  it('transfers straight away from the Twilio number', async () => {
+    const call = await callInto('en');
+    await call.press('1');
+
+    assert.equal(call.lastSaid(), 'Please hold while we transfer your call.');
+    assert.equal(call.status, 'dialing');
+    assert.equal(call.lastDial.attributes.callerId, TWILIO_PHONE);
+    assert.deepEqual(call.lastDial.targets.map(target => target.value), [TARGET_PHONE]);
+  });
+
+  it('announces the transfer in Spanish', async () => {
+    const call = await callInto('es');
+    await call.press('1');
+
+    assert.equal(call.lastSaid(), 'Por favor manténgase en línea mientras transferimos su llamada.');
+    assert.equal(call.status, 'dialing');
+  });
+});
+
+describe('account-specific questions', () => {
+  it('asks for SSN, DOB and ZIP, verifies and transfers', async () => {
+    const call = await callInto('en', { from: '+15550001111' });
+    await call.press('2');
+    assert.equal(call.lastSaid(), 'Please enter the last four digits of your social security number using your phone keypad.');
+    await call.press('3071');
+    assert.match(call.lastSaid(), /^Enter your date of birth/);
+    await call.press('01071990');
+    assert.equal(call.lastSaid(), 'Enter your five digit zip code using your phone keypad.');
+    const before = call.transcript.length;
+    await call.press('90140');
+
+    assert.deepEqual(call.said(before), ['Welcome Tony, you are verified.', 'Please hold while we transfer your call.']);
+    assert.equal(call.status, 'dialing');
+    assert.deepEqual(call.lastDial.targets.map(target => target.value), [TARGET_PHONE]);
+  });
+
+  it('saves the verified caller number on the customer', async () => {
+    const call = await callInto('en', { from: '+15550002222' });
+    await call.press('2');
+    await verifyWith(call, { ssn: '3071', dob: '01071990', zip: '90140' });
+
+    const tony = (await harness.readCustomers()).find(record => record.id === 'cust-tony');
+    assert.equal(tony.phoneNumber, '+15550002222');
+  });
+
+  it('verifies in Spanish', async () => {
+    const call = await callInto('es');
+    await call.press('2');
+    const before = call.transcript.length;
+    await verifyWith(call, { ssn: '5512', dob: '12251985', zip: '10001' });
+
+    assert.deepEqual(call.said(before).slice(-2), [
+      'Bienvenido María, está verificado.',
+      'Por favor manténgase en línea mientras transferimos su llamada.'
+    ]);
+  });
+
+  it('starts over when the details do not match', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    const before = call.transcript.length;
+    await verifyWith(call, { ssn: '3071', dob: '01071990', zip: '90141' });
+
+    assert.deepEqual(call.said(before).slice(-2), [
+      'Those details did not match our records. Please try again.',
+      'Please enter the last four digits of your social security number using your phone keypad.'
+    ]);
+    assert.equal(call.status, 'gathering');
+
+    await verifyWith(call, { ssn: '3071', dob: '01071990', zip: '90140' });
+    assert.equal(call.status, 'dialing');
+  });
+
+  it('audits the failed verification without identity data', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await verifyWith(call, { ssn: '3071', dob: '01071990', zip: '90141' });
+
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    const verification = events.find(event => event.type === 'verification');
+    assert.equal(verification.result, 'failed');
+    assert.equal(verification.policy, 'standard');
+    assert.equal(verification.factor, 'zip');
+    assert.doesNotMatch(JSON.stringify(events), /3071|01071990|90141/);
+  });
+
+  it('re-asks for each field after invalid input', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+
+    await call.press('12');
+    assert.deepEqual(call.said(call.transcript.length - 2), [
+      'That was not four digits. Please try again using your keypad.',
+      'Please enter the last four digits of your social security number using your phone keypad.'
+    ]);
+    await call.press('3071');
+
+    await call.press('13071990');
+    assert.equal(call.said(call.transcript.length - 2)[0], 'That date of birth was not valid. Please try again using your keypad.');
+    await call.press('01071990');
+
+    await call.press('901');
+    assert.equal(call.said(call.transcript.length - 2)[0], 'That zip code did not look right. Please try again using your keypad.');
+    await call.press('90140');
+
+    assert.equal(call.status, 'dialing');
+  });
+
+  it('hangs up after too many invalid dates of birth', async () => {
+    const call = await callInto('es');
+    await call.press('2');
+    await call.press('3071');
+    for (let attempt = 0; attempt < 4; attempt++) await call.press('99999999');
+
+    assert.equal(call.lastSaid(), 'Demasiados intentos inválidos. Adiós.');
+    assert.equal(call.status, 'ended');
+  });
+});
+
+describe('self-service', () => {
+  const LEE = { ssn: '7788', dob: '06151975', zip: '94103' };
+  const SELF_SERVICE_MENU = 'To hear this information again, press 1. To speak with a representative, press 2. To make a payment, press 3. If you are finished, press 4.';
+
+  it('reads the balance, due date and last payment after verification', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    const before = call.transcript.length;
+    await verifyWith(call, LEE);
+
+    assert.deepEqual(call.said(before).slice(-5), [
+      'Welcome Lee, you are verified.',
+      'Your current balance is 1,250 dollars and 75 cents.',
+      'Your next payment is due on November 5, 2026.',
+      'Your last payment of 200 dollars was received on October 1, 2026.',
+      SELF_SERVICE_MENU
+    ]);
+    assert.equal(call.status, 'gathering');
+  });
+
+  it('speaks amounts and dates in Spanish', async () => {
+    const call = await callInto('es');
+    await call.press('2');
+    await verifyWith(call, LEE);
+
+    assert.deepEqual(call.said().slice(-4, -1), [
+      'Su saldo actual es de 1,250 dólares con 75 centavos.',
+      'Su próximo pago vence el 5 de noviembre de 2026.',
+      'Su último pago de 200 dólares fue recibido el 1 de octubre de 2026.'
+    ]);
+  });
+
+  it('repeats the summary, then transfers to an agent', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await verifyWith(call, LEE);
+    const before = call.transcript.length;
+    await call.press('1');
+    assert.equal(call.said(before)[0], 'Your current balance is 1,250 dollars and 75 cents.');
+    assert.equal(call.lastSaid(), SELF_SERVICE_MENU);
+
+    await call.press('2');
+    assert.equal(call.lastSaid(), 'Please hold while we transfer your call.');
+    assert.equal(call.status, 'dialing');
+  });
+
+  it('says goodbye when the caller is finished', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await verifyWith(call, LEE);
+    await call.press('4');
+
+    assert.equal(call.lastSaid(), 'Thank you for calling. Goodbye.');
+    assert.equal(call.status, 'ended');
+  });
+
+  it('skips the due date and last payment when there are none', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    const before = call.transcript.length;
+    await verifyWith(call, { ssn: '6600', dob: '09091999', zip: '30301' });
+
+    assert.deepEqual(call.said(before).slice(-2), ['Your current balance is 0 dollars.', SELF_SERVICE_MENU]);
+  });
+
+  it('offers the after-hours options instead of an agent when closed', async () => {
+    harness.freezeClock(CLOSED);
+    const call = await callInto('en');
+    await call.press('2');
+    await verifyWith(call, LEE);
+    await call.press('2');
+
+    assert.match(call.lastSaid(), /voicemail/);
+    assert.equal(call.status, 'gathering');
+  });
+});
+
+describe('payments', () => {
+  const SAM = { ssn: '8899', dob: '04041984', zip: '73301' };
+  const CARD = '4242424242424242';
+
+  async function startPayment(from) {
+    const call = await callInto('en', { from });
+    await call.press('2');
+    await verifyWith(call, SAM);
+    await call.press('3');
+    return call;
+  }
+
+  async function enterCard(call, { number = CARD, expiry = '1230', cvc = '123' } = {}) {
+    await call.press(number);
+    await call.press(expiry);
+    return call.press(cvc);
+  }
+
+  const sam = async () => (await harness.readCustomers()).find(record => record.id === 'cust-sam');
+
+  it('takes a card payment and reads back a confirmation number', async () => {
+    const call = await startPayment('+15550004001');
+    assert.match(call.lastSaid(), /^Enter the amount you would like to pay/);
+    await call.press('2500');
+    assert.equal(call.lastSaid(), 'Enter your card number using your phone keypad, followed by the pound key.');
+    assert.equal(call.gather.input, 'dtmf');
+    assert.equal(call.gather.finishOnKey, '#');
+    await enterCard(call);
+    assert.equal(call.lastSaid(), 'You are about to pay 25 dollars with the card ending in 4 2 4 2. To confirm, press 1. To cancel, press 2.');
+
+    const before = call.transcript.length;
+    await call.press('1');
+    const [processing, approved] = call.said(before);
+    assert.equal(processing, 'Please wait while we process your payment.');
+    const [, confirmation] = approved.match(/^Your payment of 25 dollars was approved\. Your confirmation number is ([\d ]{15})\.$/);
+
+    const { payments, account } = await sam();
+    assert.deepEqual(payments.map(({ status, amountCents, cardLast4, confirmationNumber }) => ({ status, amountCents, cardLast4, confirmationNumber })), [
+      { status: 'approved', amountCents: 2500, cardLast4: '4242', confirmationNumber: confirmation.replace(/ /g, '') }
+    ]);
+    assert.equal(account.balanceCents, 47500);
+    assert.deepEqual(account.lastPayment, { amountCents: 2500, date: '2026-10-19' });
+
+    await call.press('1');
+    assert.ok(call.said().includes('Your current balance is 475 dollars.'));
+  });
+
+  it('keeps card details out of call events and the customer record', async () => {
+    const call = await startPayment('+15550004002');
+    await call.press('1000');
+    await enterCard(call, { cvc: '987' });
+    await call.press('1');
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.ok(events.some(event => event.type === 'payment' && event.status === 'approved'));
+
+    const stored = [];
+    JSON.stringify([events, await sam()], (key, value) => {
+      if (typeof value !== 'object') stored.push(String(value));
+      return value;
+    });
+    assert.ok(!stored.some(value => value.includes(CARD) || value === '1230' || value === '987'));
+  });
+
+  it('records a declined card without changing the balance', async () => {
+    const { account: before } = await sam();
+    const call = await startPayment('+15550004003');
+    await call.press('5000');
+    await enterCard(call, { number: '4000000000000002' });
+    await call.press('1');
+
+    assert.ok(call.said().includes('We were unable to process your payment.'));
+    assert.equal(call.status, 'gathering');
+    const { payments, account } = await sam();
+    assert.equal(payments[payments.length - 1].status, 'declined');
+    assert.equal(payments[payments.length - 1].declineCode, 'card_declined');
+    assert.deepEqual(account, before);
+  });
+
+  it('leaves a charge the gateway could not confirm to an agent instead of taking it again', async () => {
+    const { account: before } = await sam();
+    const call = await startPayment('+15550004006');
+    await call.press('3000');
+    await enterCard(call, { number: '4000000000000119' });
+    const count = call.transcript.length;
+    await call.press('1');
+
+    assert.deepEqual(call.said(count).slice(0, 2), [
+      'Please wait while we process your payment.',
+      'We could not confirm whether your payment went through. Please do not pay again; an agent will confirm it and contact you.'
+    ]);
+    const { payments, account } = await sam();
+    assert.deepEqual(payments.slice(-1).map(({ status, amountCents, cardLast4, confirmationNumber }) => ({ status, amountCents, cardLast4, confirmationNumber })), [
+      { status: 'unknown', amountCents: 3000, cardLast4: '0119', confirmationNumber: null }
+    ]);
+    assert.deepEqual(account, before);
+
+    await call.press('3');
+    assert.equal(call.said(call.transcript.length - 2)[0], 'We could not confirm whether your payment went through. Please do not pay again; an agent will confirm it and contact you.');
+    assert.equal((await sam()).payments.length, payments.length);
+  });
+
+  it('re-asks for an invalid card number or an amount over the balance', async () => {
+    const call = await startPayment('+15550004004');
+    await call.press('999999');
+    const [overBalance, prompt] = call.said(call.transcript.length - 2);
+    assert.match(overBalance, /^You can pay up to your current balance of \d+ dollars\.$/);
+    assert.match(prompt, /^Enter the amount you would like to pay/);
+    await call.press('100');
+    await call.press('4242424242424241');
+    assert.deepEqual(call.said(call.transcript.length - 2), [
+      'That card number was not valid. Please try again.',
+      'Enter your card number using your phone keypad, followed by the pound key.'
+    ]);
+  });
+
+  it('cancels before charging', async () => {
+    const call = await startPayment('+15550004005');
+    const count = (await sam()).payments.length;
+    await call.press('100');
+    await enterCard(call);
+    await call.press('2');
+
+    assert.ok(call.said().includes('Your payment has been cancelled.'));
+    assert.equal((await sam()).payments.length, count);
+  });
+
+  it('reads a credit balance as a credit, in every language', async () => {
+    const said = {
+      en: ['You have a credit of 25 dollars on your account.', 'You have no balance due.'],
+      es: ['Tiene un saldo a favor de 25 dólares en su cuenta.', 'No tiene saldo pendiente.'],
+      pt: ['Você tem um crédito de 25 dólares na sua conta.', 'Você não tem saldo a pagar.'],
+      vi: ['Quý vị có khoản tín dụng 25 đô la trong tài khoản.', 'Quý vị không có số dư cần thanh toán.']
+    };
+    for (const [language, [credit, nothingToPay]] of Object.entries(said)) {
+      const call = await callInto(language);
+      await call.press('2');
+      await verifyWith(call, { ssn: '7171', dob: '07071977', zip: '30301' });
+      assert.equal(call.said(call.transcript.length - 2)[0], credit);
+      await call.press('3');
+      assert.equal(call.said(call.transcript.length - 2)[0], nothingToPay);
+    }
+  });
+
+  it('has nothing to pay without a balance', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await verifyWith(call, { ssn: '6600', dob: '09091999', zip: '30301' });
+    await call.press('3');
+
+    assert.equal(call.said(call.transcript.length - 2)[0], 'You have no balance due.');
+  });
+});
+
+describe('returning callers', () => {
+  async function createCustomer(record) {
+    const { body } = await harness.api('/api/admin/customers', { method: 'POST', body: record });
+    return body;
+  }
+
+  it('skips the language menu and only asks for the date of birth', async () => {
+    const from = '+15550004001';
+    const first = await callInto('es', { from });
+    await first.press('2');
+    await verifyWith(first, { ssn: '5512', dob: '12251985', zip: '10001' });
+    await first.hangup();
+    const maria = (await harness.readCustomers()).find(record => record.id === 'cust-maria');
+    assert.equal(maria.phoneNumber, from);
+    assert.equal(maria.language, 'es');
+
+    const call = harness.simulator.call({ from });
+    await call.start();
+    assert.deepEqual(call.said(), [
+      'Bienvenido de nuevo, María.',
+      'Esta llamada puede ser monitoreada o grabada para propósitos de calidad y entrenamiento.',
+      'En cualquier momento, presione asterisco para repetir, numeral para regresar, 9 para el menú principal o 0 para hablar con un operador.',
+      'Para información general, presiona 1. Para preguntas específicas de su cuenta o hacer un pago, presiona 2.'
+    ]);
+    await call.press('2');
+    assert.equal(call.lastSaid(), 'Ingrese su fecha de nacimiento como mes mes día día año año año año usando el teclado de su teléfono.');
+    const before = call.transcript.length;
+    await call.press('12251985');
+
+    assert.deepEqual(call.said(before).slice(0, 1), ['Bienvenido María, está verificado.']);
+    assert.equal(call.status, 'dialing');
+  });
+
+  it('greets after the language menu, then asks every credential when the step-up check fails', async () => {
+    const from = '+15550004002';
+    const ana = await createCustomer({ name: 'Ana', phoneNumber: from, last4ssn: '4321', dob: '03031980', zip: '60601' });
+    const call = await callInto('en', { from });
+    assert.equal(call.said(MENU_LENGTH)[0], 'Welcome back, Ana.');
+    await call.press('2');
+    assert.match(call.lastSaid(), /^Enter your date of birth/);
+    await call.press('03031981');
+    assert.deepEqual(call.said().slice(-2), [
+      'Those details did not match our records. Please try again.',
+      'Please enter the last four digits of your social security number using your phone keypad.'
+    ]);
+
+    const before = call.transcript.length;
+    await verifyWith(call, { ssn: '4321', dob: '03031980', zip: '60601' });
+    assert.ok(call.said(before).includes('Welcome Ana, you are verified.'));
+    const saved = (await harness.readCustomers()).find(record => record.id === ana.id);
+    assert.equal(saved.language, 'en');
+  });
+
+  it('does not recognize a number saved on several customers', async () => {
+    const from = '+15550004003';
+    await createCustomer({ name: 'Bo', phoneNumber: from, last4ssn: '1111', dob: '01011970', zip: '02101' });
+    await createCustomer({ name: 'Cy', phoneNumber: from, last4ssn: '2222', dob: '02021970', zip: '02101' });
+    const call = harness.simulator.call({ from });
+    await call.start();
+    assert.deepEqual(call.said(), LANGUAGE_MENU);
+
+    await call.press('1');
+    assert.ok(!call.said().some(text => text.startsWith('Welcome back')));
+    await call.press('2');
+    assert.match(call.lastSaid(), /^Please enter the last four digits/);
+  });
+
+  it('neither recognizes nor saves blocklisted numbers', async () => {
+    const from = '+15550004004';
+    await createCustomer({ name: 'Di', phoneNumber: from, last4ssn: '3333', dob: '03031970', zip: '02101' });
+    const { status } = await harness.api('/api/admin/settings/RETURNING_CALLERS.BLOCKLIST', { method: 'PUT', body: { value: [from] } });
+    assert.equal(status, 200);
+
+    try {
+      const call = await callInto('en', { from });
+      assert.ok(!call.said().includes('Welcome back, Di.'));
+      await call.press('2');
+      await verifyWith(call, { ssn: '6600', dob: '09091999', zip: '30301' });
+      assert.ok(call.said().includes('Welcome Kim, you are verified.'));
+      const kim = (await harness.readCustomers()).find(record => record.id === 'cust-kim');
+      assert.notEqual(kim.phoneNumber, from);
+    } finally {
+      await harness.api('/api/admin/settings/RETURNING_CALLERS.BLOCKLIST', { method: 'DELETE' });
+    }
+  });
+
+  it('only accepts credentials in the step-up policy', async () => {
+    const { status, body } = await harness.api('/api/admin/settings/RETURNING_CALLERS.STEP_UP', { method: 'PUT', body: { value: ['dob', 'pin'] } });
+    assert.equal(status, 400);
+    assert.match(body.error, /last4ssn, dob, zip/);
+  });
+});
+
+describe('verification policies', () => {
+  const ACCOUNT_PROMPT = 'Enter your eight digit account number using your phone keypad.';
+  const OTP_PROMPT = 'If we found your account, we have sent a six digit code by text message to the phone number on file. Please enter it now.';
+  const MISMATCH = 'Those details did not match our records. Please try again.';
+
+  // Run `test` with the account menu option's policy set to `factors`
+  async function withPolicy(factors, test) {
+    const { status } = await harness.api('/api/admin/settings/VERIFICATION.POLICIES', { method: 'PUT', body: { value: { standard: factors } } });
+    assert.equal(status, 200);
+    try {
+      await test();
+    } finally {
+      await harness.api('/api/admin/settings/VERIFICATION.POLICIES', { method: 'DELETE' });
+    }
+  }
+
+  const textsTo = number => harness.sms.messages.filter(message => message.to === number);
+
+  async function failedFactor(call) {
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    return events.filter(event => event.type === 'verification').map(event => event.factor);
+  }
+
+  it('verifies with an account number and ZIP', () => withPolicy(['accountNumber', 'zip'], async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    assert.equal(call.lastSaid(), ACCOUNT_PROMPT);
+    await call.press('40001234');
+    assert.equal(call.lastSaid(), 'Enter your five digit zip code using your phone keypad.');
+    await call.press('94103');
+
+    assert.ok(call.said().includes('Welcome Lee, you are verified.'));
+  }));
+
+  it('asks the factors in the policy order', () => withPolicy(['dob', 'last4ssn'], async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    assert.match(call.lastSaid(), /^Enter your date of birth/);
+    await call.press('09091999');
+    assert.match(call.lastSaid(), /^Please enter the last four digits/);
+    await call.press('6600');
+
+    assert.ok(call.said().includes('Welcome Kim, you are verified.'));
+  }));
+
+  it('tells the caller nothing about which factor failed', () => withPolicy(['accountNumber', 'zip'], async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await call.press('40001234');
+    await call.press('94104');
+    assert.deepEqual(call.said().slice(-2), [MISMATCH, ACCOUNT_PROMPT]);
+    await call.press('40009999');
+    await call.press('94103');
+    assert.deepEqual(call.said().slice(-2), [MISMATCH, ACCOUNT_PROMPT]);
+
+    assert.deepEqual(await failedFactor(call), ['zip', 'accountNumber']);
+  }));
+
+  it('texts a one-time PIN to the number on file', () => withPolicy(['accountNumber', 'otp'], async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await call.press('40005678');
+    assert.equal(call.lastSaid(), OTP_PROMPT);
+    const [text] = textsTo('+15550107788');
+    const [pin] = text.body.match(/\d{6}/);
+    assert.equal(text.body, `Your verification code is ${pin}. It expires in 5 minutes. Never share it with anyone.`);
+
+    await call.press('*');
+    assert.equal(textsTo('+15550107788').length, 1);
+    await call.press(pin);
+    assert.ok(call.said().includes('Welcome Ola, you are verified.'));
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.doesNotMatch(JSON.stringify(events), new RegExp(pin));
+  }));
+
+  it('asks for a PIN even when no account matched, and fails the same way', () => withPolicy(['accountNumber', 'otp'], async () => {
+    await harness.api('/api/admin/customers', { method: 'POST', body: { name: 'Flo', last4ssn: '6161', dob: '06061986', zip: '02101', accountNumber: '40006161' } });
+    const sent = harness.sms.messages.length;
+    const call = await callInto('en');
+    await call.press('2');
+    await call.press('40009999');
+    assert.equal(call.lastSaid(), OTP_PROMPT);
+    assert.equal(harness.sms.messages.length, sent);
+    await call.press('123456');
+    assert.deepEqual(call.said().slice(-2), [MISMATCH, ACCOUNT_PROMPT]);
+
+    // Flo has no phone number on file
+    await call.press('40006161');
+    assert.equal(call.lastSaid(), OTP_PROMPT);
+    assert.equal(harness.sms.messages.length, sent);
+    await call.press('123456');
+    assert.deepEqual(call.said().slice(-2), [MISMATCH, ACCOUNT_PROMPT]);
+
+    assert.deepEqual(await failedFactor(call), ['accountNumber', 'otp']);
+  }));
+
+  it('can step up returning callers with a texted PIN', async () => {
+    const from = '+15550005001';
+    await harness.api('/api/admin/customers', { method: 'POST', body: { name: 'Eve', phoneNumber: from, last4ssn: '5151', dob: '05051985', zip: '02101' } });
+    await harness.api('/api/admin/settings/RETURNING_CALLERS.STEP_UP', { method: 'PUT', body: { value: ['otp'] } });
+    try {
+      const call = await callInto('en', { from });
+      await call.press('2');
+      assert.equal(call.lastSaid(), OTP_PROMPT);
+      const [pin] = textsTo(from)[0].body.match(/\d{6}/);
+      await call.press(pin);
+      assert.ok(call.said().includes('Welcome Eve, you are verified.'));
+    } finally {
+      await harness.api('/api/admin/settings/RETURNING_CALLERS.STEP_UP', { method: 'DELETE' });
+    }
+  });
+
+  it('only accepts policies the flow can use', async () => {
+    const put = value => harness.api('/api/admin/settings/VERIFICATION.POLICIES', { method: 'PUT', body: { value } });
+
+    let response = await put({ standard: ['otp', 'zip'] });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /cannot start with otp/);
+    response = await put({ sms: ['accountNumber', 'otp'] });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /missing: standard/);
+  });
+});
+
+describe('call recording', () => {
+  const recorded = call => harness.callRecorder.actions.filter(entry => entry.callSid === call.callSid).map(entry => entry.action);
+
+  // Rendered steps and recording changes, in the order the TwiML was generated
+  async function timeline(call) {
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    return events
+      .filter(event => event.type === 'step' || event.type === 'recording')
+      .map(event => (event.type === 'step' ? event.step : `recording ${event.action}`));
+  }
+
+  it('starts after the disclosure and pauses while identity digits are keyed in', async () => {
+    const call = await callInto('en');
+    assert.deepEqual(recorded(call), ['start']);
+    await call.press('2');
+    assert.deepEqual(recorded(call), ['start', 'pause']);
+    await call.press('3071');
+    await call.press('01071990');
+    assert.deepEqual(recorded(call), ['start', 'pause']);
+    await call.press('90140');
+    assert.deepEqual(recorded(call), ['start', 'pause', 'resume']);
+
+    assert.deepEqual(await timeline(call), [
+      'language-selection', 'mini-miranda', 'shortcuts-notice', 'recording start', 'ask-question-type',
+      'ask-ssn', 'recording pause', 'ask-dob', 'ask-zip',
+      'verify-user', 'recording resume', 'transfer-call'
+    ]);
+  });
+
+  it('stays paused through retries and resumes when the caller leaves with a shortcut', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await call.press('12');
+    await call.press('*');
+    assert.deepEqual(recorded(call), ['start', 'pause']);
+    await call.press('9');
+
+    assert.deepEqual(recorded(call), ['start', 'pause', 'resume']);
+    assert.deepEqual((await timeline(call)).slice(-4), ['ask-ssn', 'ask-ssn', 'ask-question-type', 'recording resume']);
+  });
+
+  it('pauses for card details', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await verifyWith(call, { ssn: '7788', dob: '06151975', zip: '94103' });
+    await call.press('3');
+    await call.press('2500');
+    await call.press('4242424242424242');
+    await call.press('1230');
+    await call.press('123');
+
+    assert.deepEqual(recorded(call), ['start', 'pause', 'resume', 'pause', 'resume']);
+    assert.deepEqual((await timeline(call)).slice(-7), [
+      'payment-amount', 'payment-card-number', 'recording pause', 'payment-card-expiry', 'payment-card-cvc',
+      'payment-confirm', 'recording resume'
+    ]);
+  });
+
+  it('keeps the consent time and language on the session', async () => {
+    const call = await callInto('es');
+    const { body } = await harness.api('/api/admin/sessions');
+    const session = body.find(entry => entry.callSid === call.callSid);
+
+    assert.equal(session.recording, 'in-progress');
+    assert.deepEqual(session.recordingConsent, { at: new Date(OPEN).toISOString(), language: 'es' });
+  });
+
+  it('does not record before the disclosure', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    assert.deepEqual(recorded(call), []);
+  });
+
+  it('records recording status callbacks as call events', async () => {
+    const call = await callInto('en');
+    const { status } = await harness.simulator.post(`${harness.baseUrl}/recordings/status`, {
+      AccountSid: 'AC00000000000000000000000000000000',
+      CallSid: call.callSid,
+      RecordingSid: 'RE00000000000000000000000000000001',
+      RecordingStatus: 'completed',
+      RecordingUrl: 'https://api.twilio.com/recordings/RE00000000000000000000000000000001',
+      RecordingDuration: '42',
+      RecordingChannels: '2'
+    });
+    assert.equal(status, 204);
+
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    const { type, recordingSid, duration, channels } = events.find(event => event.type === 'recording.status');
+    assert.deepEqual({ type, recordingSid, duration, channels }, { type: 'recording.status', recordingSid: 'RE00000000000000000000000000000001', duration: 42, channels: 2 });
+  });
+});
+
+describe('shortcut keys', () => {
+  const SSN_PROMPT = 'Please enter the last four digits of your social security number using your phone keypad.';
+  const QUESTION_TYPE_PROMPT = 'For general information, press 1. For account specific questions or to make a payment, press 2.';
+
+  it('are ordinary keys at the language menu, ahead of the disclosure and the recording', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    assert.equal(call.gather.finishOnKey, '');
+    for (const key of ['0', '9', '*']) {
+      const before = call.transcript.length;
+      await call.press(key);
+      assert.deepEqual(call.said(before), ['Invalid selection. Please try again.', ...LANGUAGE_MENU]);
+    }
+    await call.press('#');
+
+    assert.equal(call.lastSaid(), 'Too many invalid attempts. Goodbye.');
+    assert.equal(call.status, 'ended');
+    assert.deepEqual(call.dials, []);
+    assert.ok(!call.said().some(text => /monitored or recorded/.test(text)));
+    assert.ok(!harness.callRecorder.actions.some(entry => entry.callSid === call.callSid));
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.ok(!events.some(event => event.type === 'shortcut'));
+    assert.deepEqual([...new Set(events.filter(event => event.type === 'step').map(event => event.step))], ['language-selection']);
+    assert.equal(events.filter(event => event.type === 'input.invalid').length, 4);
+  });
+
+  it('repeats the prompt with star without using up attempts', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await call.press('3071');
+    for (let press = 0; press < 5; press++) await call.press('*');
+
+    assert.equal(call.status, 'gathering');
+    assert.match(call.lastSaid(), /^Enter your date of birth/);
+    assert.ok(!call.said().some(text => /not valid/.test(text)));
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.equal(events.filter(event => event.type === 'shortcut' && event.key === '*').length, 5);
+    assert.ok(!events.some(event => event.type === 'input.invalid'));
+  });
+
+  it('goes back to the previous question with pound', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await call.press('3071');
+    assert.equal(call.gather.finishOnKey, '');
+    await call.press('#');
+    assert.equal(call.lastSaid(), SSN_PROMPT);
+    await call.press('#');
+    assert.equal(call.lastSaid(), QUESTION_TYPE_PROMPT);
+
+    await call.press('2');
+    await verifyWith(call, { ssn: '3071', dob: '01071990', zip: '90140' });
+    assert.ok(call.said().includes('Welcome Tony, you are verified.'));
+  });
+
+  it('does not go back past the identity check', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await verifyWith(call, { ssn: '7788', dob: '06151975', zip: '94103' });
+    const before = call.transcript.length;
+    await call.press('#');
+
+    assert.deepEqual(call.said(before), [
+      'To hear this information again, press 1. To speak with a representative, press 2. To make a payment, press 3. If you are finished, press 4.'
+    ]);
+  });
+
+  it('returns to the main menu with 9', async () => {
+    const call = await callInto('es');
+    await call.press('2');
+    await call.press('9');
+
+    assert.equal(call.lastSaid(), 'Para información general, presiona 1. Para preguntas específicas de su cuenta o hacer un pago, presiona 2.');
+  });
+
+  it('goes to an operator with 0', async () => {
+    const call = await callInto('en');
+    await call.press('2');
+    await call.press('3071');
+    await call.press('0');
+
+    assert.equal(call.lastSaid(), 'Please hold while we transfer your call.');
+    assert.equal(call.status, 'dialing');
+  });
+
+  it('offers the after-hours options for an operator when closed', async () => {
+    harness.freezeClock(CLOSED);
+    const call = await callInto('en');
+    await call.press('0');
+
+    assert.match(call.lastSaid(), /^Our office is currently closed/);
+  });
+});
+
+describe('transfer outcomes', () => {
+  it('ends the IVR once the agent call is over', async () => {
+    const call = await callInto('en');
+    await call.press('1');
+    await call.dialOutcome('completed');
+
+    assert.equal(call.status, 'ended');
+  });
+
+  it('puts the caller on hold when nobody answers', async () => {
+    const call = await callInto('en');
+    await call.press('1');
+    await call.dialOutcome('no-answer');
+
+    assert.equal(call.status, 'queued');
+    assert.equal(call.lastDial.queue, 'csr');
+    assert.equal(call.lastDial.attributes.waitUrl, '/hold/wait');
+  });
+
+  it('offers voicemail or a callback when the hold queue is full', async () => {
+    const call = await callInto('en');
+    await call.press('1');
+    await call.dialOutcome('no-answer');
+    await call.dialOutcome('queue-full');
+
+    assert.equal(call.lastSaid(), 'All of our representatives are busy right now. To leave a voicemail for our team, press 1. To request a callback, press 2.');
+    assert.equal(call.status, 'gathering');
+  });
+});
+
+describe('hold queue', () => {
+  // Ring the CSR line unanswered and land in the hold queue
+  async function onHold(language = 'en') {
+    const call = await callInto(language);
+    await call.press('1');
+    await call.dialOutcome('no-answer');
+    return call;
+  }
+
+  it('announces the position and offers a callback over the music, in the caller language', async () => {
+    const call = await onHold('es');
+    const since = call.transcript.length;
+    await call.wait({ position: 3 });
+
+    assert.deepEqual(call.said(since), [
+      'Usted es el número 3 en la fila.',
+      'Para dejar un número para que le devolvamos la llamada en lugar de esperar, presione 1.'
+    ]);
+    assert.ok(call.transcript.slice(since).every(entry => entry.language === 'es-ES'));
+    assert.equal(call.status, 'gathering');
+
+    await call.silence();
+    assert.equal(call.status, 'queued');
+  });
+
+  it('offers the callback again every two minutes', async () => {
+    const call = await onHold();
+    await call.wait({ queueTime: 0 });
+    await call.silence();
+    await call.wait({ queueTime: 90 });
+    assert.equal(call.status, 'queued');
+    assert.doesNotMatch(call.lastSaid(), /press 1/);
+
+    await call.wait({ queueTime: 125 });
+    assert.equal(call.status, 'gathering');
+    assert.equal(call.lastSaid(), 'To leave a callback number instead of waiting, press 1.');
+  });
+
+  it('estimates the wait from the callers answered recently', async () => {
+    // Another hour, so no earlier answer is in the statistics window
+    harness.freezeClock('2026-10-19T18:00:00Z');
+    const first = await onHold();
+    const second = await onHold();
+    const caller = await onHold();
+    await first.dialOutcome('bridged', { queueTime: 120 });
+    await second.dialOutcome('bridged', { queueTime: 300 });
+
+    // One answer every three minutes: about six minutes for the second in line
+    await caller.wait({ position: 2 });
+    assert.deepEqual(caller.said().slice(-3), [
+      'You are number 2 in line.',
+      'Your estimated wait is about 6 minutes.',
+      'To leave a callback number instead of waiting, press 1.'
+    ]);
+  });
+
+  it('leaves the queue to leave a callback number on 1', async () => {
+    const call = await onHold();
+    await call.wait({ queueTime: 30 });
+    await call.press('1');
+
+    assert.match(call.lastSaid(), /^We can call you back at the number ending in/);
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.ok(events.some(event => event.type === 'hold.left' && event.reason === 'callback' && event.queueTime === 30));
+    assert.ok(events.some(event => event.type === 'transfer.outcome' && event.outcome === 'leave' && event.queueTime === 30));
+  });
+
+  it('goes back to the music on any other key', async () => {
+    const call = await onHold();
+    await call.wait();
+    await call.press('5');
+
+    assert.equal(call.status, 'queued');
+  });
+
+  it('overflows to voicemail after the longest wait', async () => {
+    const call = await onHold();
+    await call.wait({ queueTime: 10 * 60 });
+
+    assert.deepEqual(call.said().slice(-2), [
+      'We are sorry for the long wait. All of our representatives are still busy.',
+      'Please leave your name, phone number and a brief message after the tone. Press the pound key when you are finished.'
+    ]);
+    assert.equal(call.status, 'recording');
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.ok(events.some(event => event.type === 'hold.left' && event.reason === 'overflow'));
+  });
+});
+
+describe('speech input', () => {
+  it('gathers speech with hints in the caller language', async () => {
+    const call = await callInto('es');
+
+    assert.equal(call.gather.input, 'dtmf speech');
+    assert.equal(call.gather.language, 'es-ES');
+    assert.match(call.gather.hints, /cuenta/);
+  });
+
+  it('picks the language by name', async () => {
+    const call = harness.simulator.call();
+    await call.start();
+    await call.speak('Spanish');
+
+    assert.match(call.said(MENU_LENGTH)[0], /^Esta llamada puede ser monitoreada/);
+  });
+
+  it('verifies a caller who speaks every answer', async () => {
+    const call = await callInto('en');
+    await call.speak('account');
+    await call.speak('three oh seven one');
+    await call.speak('January seventh nineteen ninety');
+    const before = call.transcript.length;
+    await call.speak('nine zero one four zero');
+
+    assert.deepEqual(call.said(before), ['Welcome Tony, you are verified.', 'Please hold while we transfer your call.']);
+  });
+
+  it('verifies a caller who speaks Spanish', async () => {
+    const call = await callInto('es');
+    await call.speak('cuenta');
+    await call.speak('cinco cinco uno dos');
+    await call.speak('veinticinco de diciembre de mil novecientos ochenta y cinco');
+    await call.speak('diez cero cero uno');
+
+    assert.ok(call.said().includes('Bienvenido María, está verificado.'));
+  });
+
+  it('treats speech it cannot map as an invalid answer', async () => {
+    const call = await callInto('en');
+    await call.speak('account');
+    await call.speak('I do not remember');
+
+    assert.equal(call.said(call.transcript.length - 2)[0], 'That was not four digits. Please try again using your keypad.');
+    assert.equal(call.gather.input, 'dtmf speech');
+  });
+
+  it('falls back to the keypad after a low-confidence result', async () => {
+    const call = await callInto('en');
+    await call.speak('account');
+    await call.speak('three oh seven one', { confidence: 0.2 });
+
+    assert.equal(call.said(call.transcript.length - 2)[0], 'Sorry, I could not understand that. Please use your phone keypad.');
+    assert.equal(call.gather.input, 'dtmf');
+    await call.press('3071');
+    assert.equal(call.gather.input, 'dtmf speech');
+  });
+});
+
+describe('outside business hours', () => {
+  it('tells the caller no agents are available', async () => {
+    harness.freezeClock(CLOSED);
+    const call = await callInto('en');
+
+    assert.deepEqual(call.said(MENU_LENGTH), [
+      'This call may be monitored or recorded for quality and training purposes.',
+      'At any time, press star to repeat, pound to go back, 9 for the main menu, or 0 for an operator.',
+      'Please note that there are currently no customer service representatives available.',
+      'For general information, press 1. For account specific questions or to make a payment, press 2.'
+    ]);
+  });
+
+  it('offers voicemail or a callback instead of transferring', async () => {
+    harness.freezeClock(CLOSED);
+    const call = await callInto('es');
+    await call.press('1');
+
+    assert.match(call.lastSaid(), /^Nuestra oficina está cerrada en este momento/);
+    assert.equal(call.dials.length, 0);
+  });
+
+  it('still verifies account-specific callers before the closed branch', async () => {
+    harness.freezeClock(CLOSED);
+    const call = await callInto('en');
+    await call.press('2');
+    const before = call.transcript.length;
+    await verifyWith(call, { ssn: '3071', dob: '01071990', zip: '90140' });
+
+    assert.ok(call.said(before).includes('Welcome Tony, you are verified.'));
+    assert.match(call.lastSaid(), /^Our office is currently closed/);
+  });
+
+  it('is closed on holidays', async () => {
+    harness.freezeClock('2026-12-25T15:00:00Z');
+    const call = await callInto('en');
+
+    assert.equal(call.said(MENU_LENGTH + 2)[0], 'Please note that there are currently no customer service representatives available.');
+  });
+});
+
+describe('webhook security', () => {
+  it('rejects unsigned requests', async () => {
+    const response = await fetch(`${harness.baseUrl}/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'CallSid=CAunsigned&From=%2B15551234567'
+    });
+    assert.equal(response.status, 403);
+  });
+});
+
+describe('verification lockout', () => {
+  // Matches no customer, so only the call and the calling number count the failures
+  const WRONG = { ssn: '0000', dob: '02021990', zip: '90140' };
+
+  async function failTimes(call, times, credentials = WRONG) {
+    for (let failure = 0; failure < times; failure++) await verifyWith(call, credentials);
+  }
+
+  it('stops guessing after three failures on one call and hands over to an agent', async () => {
+    const call = await callInto('en', { from: '+15550003001' });
+    await call.press('2');
+    await failTimes(call, 2);
+    assert.equal(call.lastSaid(), 'Please enter the last four digits of your social security number using your phone keypad.');
+    await failTimes(call, 1);
+
+    assert.deepEqual(call.said().slice(-2), [
+      'For your security, we are unable to verify your identity by phone at this time.',
+      'Please hold while we transfer your call.'
+    ]);
+    assert.equal(call.status, 'dialing');
+  });
+
+  it('hangs up on locked callers outside business hours', async () => {
+    harness.freezeClock(CLOSED);
+    const call = await callInto('es', { from: '+15550003002' });
+    await call.press('2');
+    await failTimes(call, 3);
+
+    assert.equal(call.lastSaid(), 'Por favor comuníquese con nosotros más tarde. Adiós.');
+    assert.equal(call.status, 'ended');
+  });
+
+  it('locks the calling number across calls', async () => {
+    const from = '+15550003003';
+    const first = await callInto('en', { from });
+    await first.press('2');
+    await failTimes(first, 3);
+    await first.hangup();
+    const second = await callInto('en', { from });
+    await second.press('2');
+    await failTimes(second, 2);
+    assert.match(second.said().join(' '), /unable to verify your identity/);
+
+    const third = await callInto('en', { from });
+    await third.press('2');
+    await verifyWith(third, { ssn: '3071', dob: '01071990', zip: '90140' });
+    assert.ok(!third.said().includes('Welcome Tony, you are verified.'));
+    assert.match(third.said().join(' '), /unable to verify your identity/);
+  });
+
+  it('answers right and wrong details alike for a locked customer', async () => {
+    for (let caller = 0; caller < 5; caller++) {
+      const call = await callInto('en', { from: `+1555000320${caller}` });
+      await call.press('2');
+      await verifyWith(call, { ssn: '5512', dob: '01011980', zip: '10001' });
+      await call.hangup();
+    }
+
+    async function attempt(from, dob) {
+      const call = await callInto('es', { from });
+      await call.press('2');
+      const before = call.transcript.length;
+      await verifyWith(call, { ssn: '5512', dob, zip: '10001' });
+      const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+      const verification = events.find(event => event.type === 'verification');
+      return { said: call.said(before), status: call.status, result: verification.result, details: verification.factor };
+    }
+    const right = await attempt('+15550003298', '12251985');
+    const wrong = await attempt('+15550003299', '01011980');
+
+    assert.equal(right.result, 'locked');
+    assert.deepEqual(right, wrong);
+    assert.equal((await harness.api('/api/admin/lockouts/customer/cust-maria', { method: 'DELETE' })).status, 204);
+  });
+
+  it('locks the targeted customer whatever number calls', async () => {
+    for (let caller = 0; caller < 5; caller++) {
+      const call = await callInto('en', { from: `+1555000310${caller}` });
+      await call.press('2');
+      await verifyWith(call, { ssn: '5512', dob: '01011980', zip: '10001' });
+      await call.hangup();
+    }
+
+    const call = await callInto('es', { from: '+15550003199' });
+    await call.press('2');
+    await verifyWith(call, { ssn: '5512', dob: '12251985', zip: '10001' });
+    assert.ok(!call.said().includes('Bienvenido María, está verificado.'));
+
+    const { body } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.ok(body.some(event => event.type === 'verification' && event.result === 'locked'));
+    const { body: locks } = await harness.api('/api/admin/lockouts');
+    assert.ok(locks.some(lock => lock.scope === 'customer' && lock.id === 'cust-maria'));
+
+    assert.equal((await harness.api('/api/admin/lockouts/customer/cust-maria', { method: 'DELETE' })).status, 204);
+    const retry = await callInto('es', { from: '+15550003198' });
+    await retry.press('2');
+    await verifyWith(retry, { ssn: '5512', dob: '12251985', zip: '10001' });
+    assert.ok(retry.said().includes('Bienvenido María, está verificado.'));
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createLockoutStore } = require('../lib/lockouts');
+
+const POLICY = { maxFailures: 3, windowMinutes: 60, lockMinutes: 30 };
+
+describe('lockout store', () => {
+  let dir;
+  let at;
+  let lockouts;
+  const advance = minutes => { at = new Date(at.getTime() + minutes * 60000); };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-lockouts-'));
+    at = new Date('2026-10-19T15:00:00Z');
+    lockouts = createLockoutStore({ file: path.join(dir, 'lockouts.json'), policies: { caller: POLICY }, now: () => at });
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('locks after too many failures within the window', async () => {
+    assert.deepEqual(await lockouts.recordFailure('caller', '+15550001111'), { locked: false, lockedUntil: null });
+    await lockouts.recordFailure('caller', '+15550001111');
+    assert.deepEqual(await lockouts.recordFailure('caller', '+15550001111'), { locked: true, lockedUntil: '2026-10-19T15:30:00.000Z' });
+
+    assert.deepEqual(await lockouts.lockedUntil('caller', '+15550001111'), new Date('2026-10-19T15:30:00Z'));
+    assert.equal(await lockouts.lockedUntil('caller', '+15550002222'), null);
+  });
+
+  it('forgets failures older than the window', async () => {
+    await lockouts.recordFailure('caller', '+15550001111');
+    await lockouts.recordFailure('caller', '+15550001111');
+    advance(61);
+
+    assert.equal((await lockouts.recordFailure('caller', '+15550001111')).locked, false);
+  });
+
+  it('ends locks on their own or when lifted', async () => {
+    for (let failure = 0; failure < 3; failure++) await lockouts.recordFailure('caller', '+15550001111');
+    for (let failure = 0; failure < 3; failure++) await lockouts.recordFailure('caller', '+15550002222');
+    assert.equal((await lockouts.list()).length, 2);
+
+    assert.equal(await lockouts.unlock('caller', '+15550001111'), true);
+    assert.equal(await lockouts.unlock('caller', '+15550001111'), false);
+    advance(31);
+    assert.equal(await lockouts.lockedUntil('caller', '+15550002222'), null);
+    assert.deepEqual(await lockouts.list(), []);
+  });
+
+  it('clears the count after a success', async () => {
+    await lockouts.recordFailure('caller', '+15550001111');
+    await lockouts.recordFailure('caller', '+15550001111');
+    await lockouts.recordSuccess('caller', '+15550001111');
+
+    assert.equal((await lockouts.recordFailure('caller', '+15550001111')).locked, false);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+
+function capture(options) {
+  const lines = [];
+  const logger = createLogger({ level: 'debug', write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+describe('logger redaction', () => {
+  it('redacts identity fields by name at any depth, whatever their case', () => {
+    const { logger, lines } = capture();
+    logger.info('Webhook', {
+      callSid: 'CA1',
+      params: { From: '+16282928074', Digits: '3071', SpeechResult: 'three zero seven one', CallStatus: 'in-progress' },
+      customer: { last4ssn: '3071', DOB: '01071990', accountNumber: '40001234' }
+    });
+
+    assert.equal(lines[0].callSid, 'CA1');
+    assert.deepEqual(lines[0].params, { From: '[REDACTED]', Digits: '[REDACTED]', SpeechResult: '[REDACTED]', CallStatus: 'in-progress' });
+    assert.deepEqual(lines[0].customer, { last4ssn: '[REDACTED]', DOB: '[REDACTED]', accountNumber: '[REDACTED]' });
+  });
+
+  it('redacts the caller details Twilio adds to webhooks', () => {
+    const { logger, lines } = capture();
+    logger.info('x', { params: { FromZip: '90140', CallerZip: '90140', FromCity: 'Los Angeles', FromState: 'CA', CallerName: 'Jane Doe', ToCountry: 'US' } });
+
+    const output = JSON.stringify(lines[0]);
+    ['90140', 'Los Angeles', '"CA"', 'Jane Doe', '"US"'].forEach(value => assert.ok(!output.includes(value), value));
+  });
+
+  it('redacts phone numbers inside free text and error messages', () => {
+    const { logger, lines } = capture();
+    logger.error('Dial failed', { note: 'call +16282928074 or (628) 292-8074', error: new Error('Invalid number +16282928074') });
+
+    assert.equal(lines[0].note, 'call [REDACTED] or [REDACTED]');
+    assert.equal(lines[0].error.message, 'Invalid number [REDACTED]');
+  });
+
+  it('keeps everything when redaction is turned off', () => {
+    const { logger, lines } = capture({ redactEnabled: false });
+    logger.info('x', { from: '+16282928074' });
+    assert.equal(lines[0].from, '+16282928074');
+  });
+});
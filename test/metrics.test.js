@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+const { createLogger } = require('../lib/logger');
+
+describe('metrics registry', () => {
+  const quiet = createLogger({ write: () => {} });
+
+  it('renders counters and gauges with their labels', async () => {
+    const metrics = createMetrics({ logger: quiet });
+    const requests = metrics.counter({ name: 'requests_total', help: 'Requests', labels: ['route', 'status'] });
+    const inFlight = metrics.gauge({ name: 'in_flight', help: 'Requests in flight' });
+    requests.inc({ route: '/action', status: 200 });
+    requests.inc({ route: '/action', status: 200 }, 2);
+    requests.inc({ route: '/say "hi"\n', status: 500 });
+    inFlight.inc();
+    inFlight.inc();
+    inFlight.dec();
+
+    assert.equal(await metrics.render(), [
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{route="/action",status="200"} 3',
+      'requests_total{route="/say \\"hi\\"\\n",status="500"} 1',
+      '# HELP in_flight Requests in flight',
+      '# TYPE in_flight gauge',
+      'in_flight 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', async () => {
+    const metrics = createMetrics({ logger: quiet });
+    const latency = metrics.histogram({ name: 'latency_seconds', help: 'Latency', labels: ['step'], buckets: [1, 0.1] });
+    latency.observe({ step: 'menu' }, 0.05);
+    latency.observe({ step: 'menu' }, 0.5);
+    latency.observe({ step: 'menu' }, 3);
+
+    assert.deepEqual((await metrics.render()).trim().split('\n').slice(2), [
+      'latency_seconds_bucket{step="menu",le="0.1"} 1',
+      'latency_seconds_bucket{step="menu",le="1"} 2',
+      'latency_seconds_bucket{step="menu",le="+Inf"} 3',
+      'latency_seconds_sum{step="menu"} 3.55',
+      'latency_seconds_count{step="menu"} 3'
+    ]);
+  });
+
+  it('reads collected gauges at scrape time and leaves out failing ones', async () => {
+    const metrics = createMetrics({ logger: quiet });
+    let sessions = 2;
+    metrics.gauge({ name: 'sessions', help: 'Sessions', collect: async () => sessions });
+    metrics.gauge({ name: 'broken', help: 'Broken', collect: async () => { throw new Error('store down'); } });
+
+    assert.match(await metrics.render(), /^sessions 2$/m);
+    sessions = 5;
+    const rendered = await metrics.render();
+    assert.match(rendered, /^sessions 5$/m);
+    assert.doesNotMatch(rendered, /broken/);
+  });
+
+  it('refuses invalid and duplicate names and falling counters', () => {
+    const metrics = createMetrics({ logger: quiet });
+    const counter = metrics.counter({ name: 'calls_total', help: 'Calls' });
+    assert.throws(() => metrics.counter({ name: 'calls_total', help: 'Calls' }), /already registered/);
+    assert.throws(() => metrics.counter({ name: 'calls-total', help: 'Calls' }), /Invalid metric name/);
+    assert.throws(() => metrics.histogram({ name: 'latency', help: 'Latency', labels: ['le'] }), /invalid label "le"/);
+    assert.throws(() => counter.inc({}, -1), /can only go up/);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createPaymentGateway } = require('../lib/payment-gateway');
+
+const CHARGE = { amountCents: 5000, currency: 'USD', card: { number: '4242424242424242', expMonth: 12, expYear: 2030, cvc: '123' }, reference: 'CA1' };
+
+// A processor endpoint answering with `handle(req, res)`
+async function processor(handle) {
+  const server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/charges` };
+}
+
+describe('payment gateway', () => {
+  it('never uses the fake gateway in production', () => {
+    assert.throws(() => createPaymentGateway({ gateway: 'fake', production: true }), /cannot be used in production/);
+    assert.throws(() => createPaymentGateway({ gateway: 'http', production: true }), /PAYMENT_GATEWAY_URL/);
+    assert.equal(typeof createPaymentGateway({ gateway: 'fake', production: false }).charge, 'function');
+    assert.equal(typeof createPaymentGateway({ gateway: 'http', url: 'http://127.0.0.1/charges', production: true }).charge, 'function');
+  });
+
+  it('fakes a charge whose answer is lost', async () => {
+    const gateway = createPaymentGateway({ gateway: 'fake', production: false });
+    await assert.rejects(gateway.charge({ ...CHARGE, card: { ...CHARGE.card, number: '4000000000000119' } }), /timed out after charging/);
+    assert.deepEqual(gateway.charges.map(({ cardLast4, declineCode }) => ({ cardLast4, declineCode })), [{ cardLast4: '0119', declineCode: null }]);
+  });
+
+  it('posts the charge to the processor', async () => {
+    let received;
+    const { server, url } = await processor((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { authorization: req.headers.authorization, body: JSON.parse(body) };
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ approved: true, transactionId: 'tx_1' }));
+      });
+    });
+    try {
+      const gateway = createPaymentGateway({ gateway: 'http', url, apiKey: 'secret', production: true });
+      assert.deepEqual(await gateway.charge(CHARGE), { approved: true, transactionId: 'tx_1', declineCode: null });
+      assert.equal(received.authorization, 'Bearer secret');
+      assert.equal(received.body.amount, 5000);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it('gives up on a processor that does not answer', async () => {
+    const { server, url } = await processor(() => {});
+    try {
+      const gateway = createPaymentGateway({ gateway: 'http', url, apiKey: 'secret', timeoutSeconds: 0.2 });
+      const started = Date.now();
+      await assert.rejects(gateway.charge(CHARGE), { name: 'TimeoutError' });
+      assert.ok(Date.now() - started < 2000);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createQueueStats } = require('../lib/queue-stats');
+
+describe('queue statistics', () => {
+  function statsAt(start) {
+    let at = new Date(start).getTime();
+    const stats = createQueueStats({ windowMinutes: 30, now: () => new Date(at) });
+    return { stats, advance: seconds => { at += seconds * 1000; } };
+  }
+
+  it('knows nothing before the first answer', () => {
+    const { stats } = statsAt('2026-10-19T15:00:00Z');
+    stats.enqueued('csr', 'CA1');
+    assert.equal(stats.estimatedWaitSeconds('CA1', 1), null);
+    assert.equal(stats.estimatedWaitSeconds('CA-unknown', 1), null);
+  });
+
+  it('uses the wait of a single answer, then the gap between answers times the position', () => {
+    const { stats } = statsAt('2026-10-19T15:00:00Z');
+    ['CA1', 'CA2', 'CA3', 'CA4'].forEach(callSid => stats.enqueued('csr', callSid));
+
+    stats.dequeued('CA1', { outcome: 'bridged', waitSeconds: 60 });
+    assert.equal(stats.estimatedWaitSeconds('CA4', 3), 60);
+
+    stats.dequeued('CA2', { outcome: 'bridged', waitSeconds: 180 });
+    assert.equal(stats.estimatedWaitSeconds('CA4', 2), 240);
+  });
+
+  it('only counts answers, within the window and per queue', () => {
+    const { stats, advance } = statsAt('2026-10-19T15:00:00Z');
+    ['CA1', 'CA2', 'CA3'].forEach(callSid => stats.enqueued('csr', callSid));
+    stats.enqueued('billing', 'CA4');
+    stats.dequeued('CA1', { outcome: 'hangup', waitSeconds: 30 });
+    stats.dequeued('CA2', { outcome: 'bridged', waitSeconds: 60 });
+
+    assert.equal(stats.estimatedWaitSeconds('CA4', 1), null);
+    assert.equal(stats.estimatedWaitSeconds('CA3', 1), 60);
+
+    advance(31 * 60);
+    assert.equal(stats.estimatedWaitSeconds('CA3', 1), null);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../lib/session-store');
+
+let dir;
+let at;
+const advance = seconds => { at += seconds * 1000; };
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-sessions-'));
+  at = Date.parse('2026-10-19T15:00:00Z');
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+const BACKENDS = {
+  memory: () => createSessionStore({ backend: 'memory', ttlSeconds: 60, now: () => at }),
+  file: () => createSessionStore({ backend: 'file', dir, ttlSeconds: 60, now: () => at })
+};
+
+Object.entries(BACKENDS).forEach(([backend, create]) => {
+  describe(`${backend} session store`, () => {
+    it('keeps copies of sessions until they are deleted', async () => {
+      const sessions = create();
+      const session = { currentStep: 'ask-ssn', attempts: { ssn: 1 } };
+      await sessions.set('CA1', session);
+      session.attempts.ssn = 2;
+
+      assert.deepEqual(await sessions.get('CA1'), { currentStep: 'ask-ssn', attempts: { ssn: 1 } });
+      await sessions.delete('CA1');
+      assert.equal(await sessions.get('CA1'), null);
+      await sessions.delete('CA1');
+    });
+
+    it('expires sessions after their time to live, restarted on every set', async () => {
+      const sessions = create();
+      await sessions.set('CA1', { currentStep: 'language-selection' });
+      advance(50);
+      await sessions.set('CA1', { currentStep: 'ask-question-type' });
+      advance(50);
+      assert.deepEqual(await sessions.get('CA1'), { currentStep: 'ask-question-type' });
+
+      advance(10);
+      assert.equal(await sessions.get('CA1'), null);
+    });
+
+    it('lists live sessions only and prunes the expired ones', async () => {
+      const sessions = create();
+      await sessions.set('CA1', { currentStep: 'ask-ssn' });
+      advance(30);
+      await sessions.set('CA2', { currentStep: 'ask-dob' });
+      advance(40);
+
+      assert.deepEqual(await sessions.list(), [{ callSid: 'CA2', session: { currentStep: 'ask-dob' }, expiresAt: at + 20 * 1000 }]);
+      assert.equal(await sessions.prune(), 1);
+      assert.equal(await sessions.prune(), 0);
+      advance(20);
+      assert.equal(await sessions.prune(), 1);
+      assert.deepEqual(await sessions.list(), []);
+    });
+  });
+});
+
+describe('file session store', () => {
+  it('writes each session through a temp file renamed into place', async () => {
+    const sessions = BACKENDS.file();
+    await sessions.set('CA1', { currentStep: 'ask-ssn' });
+    await sessions.set('CA1', { currentStep: 'ask-dob' });
+
+    assert.deepEqual(await fs.readdir(dir), ['CA1.json']);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'CA1.json'), 'utf8')), {
+      callSid: 'CA1',
+      expiresAt: at + 60 * 1000,
+      session: { currentStep: 'ask-dob' }
+    });
+  });
+
+  it('survives a restart, with expiry still counting', async () => {
+    await BACKENDS.file().set('CA1', { currentStep: 'ask-ssn' });
+    const restarted = BACKENDS.file();
+    assert.deepEqual(await restarted.get('CA1'), { currentStep: 'ask-ssn' });
+    assert.deepEqual((await restarted.list()).map(entry => entry.callSid), ['CA1']);
+
+    advance(60);
+    assert.equal(await restarted.get('CA1'), null);
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+
+  it('prunes unreadable files and ignores everything else', async () => {
+    const sessions = BACKENDS.file();
+    await sessions.set('CA1', { currentStep: 'ask-ssn' });
+    await fs.writeFile(path.join(dir, 'CA2.json'), '{"callSid":');
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'not a session');
+
+    assert.deepEqual((await sessions.list()).map(entry => entry.callSid), ['CA1']);
+    assert.equal(await sessions.prune(), 1);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['CA1.json', 'notes.txt']);
+  });
+
+  it('keeps call SIDs inside its directory', async () => {
+    const sessions = BACKENDS.file();
+    await sessions.set('../CA1', { currentStep: 'ask-ssn' });
+    assert.deepEqual(await fs.readdir(dir), ['___CA1.json']);
+    assert.deepEqual(await sessions.get('../CA1'), { currentStep: 'ask-ssn' });
+  });
+});
+
+describe('session store backends', () => {
+  it('refuses unknown backends', () => {
+    assert.throws(() => createSessionStore({ backend: 'redis', ttlSeconds: 60 }), /Unknown session store backend "redis"/);
+  });
+});
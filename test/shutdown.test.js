@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createHealthRouter } = require('../routes/health');
+const { createGracefulShutdown, createBackgroundWork } = require('../lib/graceful-shutdown');
+const { createLogger } = require('../lib/logger');
+
+const quiet = createLogger({ write: () => {} });
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Serve `app` on a random local port
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('readiness', () => {
+  it('is not ready when a check fails or hangs, nor while draining', async () => {
+    let draining = false;
+    const app = express().use(createHealthRouter({
+      checks: {
+        customers: async () => {},
+        database: async () => { throw new Error('connection refused'); },
+        cache: () => new Promise(() => {})
+      },
+      draining: () => draining,
+      timeoutSeconds: 0.05,
+      requireApiKey: (req, res, next) => next(),
+      logger: quiet
+    }));
+    const server = await listen(app);
+    const url = `http://127.0.0.1:${server.address().port}/readyz`;
+    try {
+      const response = await fetch(url);
+      assert.equal(response.status, 503);
+      assert.deepEqual(await response.json(), { status: 'unavailable', checks: { customers: 'ok', database: 'failed', cache: 'failed' } });
+
+      draining = true;
+      assert.equal((await (await fetch(url)).json()).status, 'draining');
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('graceful shutdown', () => {
+  // A server whose /slow requests wait until release() is called
+  async function slowServer() {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const server = await listen(express().get('/slow', async (req, res) => {
+      await released;
+      res.send('done');
+    }));
+    return { server, release, url: `http://127.0.0.1:${server.address().port}/slow` };
+  }
+
+  it('answers the requests in flight, then exits cleanly', async () => {
+    const { server, release, url } = await slowServer();
+    let exit;
+    const exited = new Promise(resolve => { exit = resolve; });
+    const shutdown = createGracefulShutdown({ server, timeoutSeconds: 5, exit, logger: quiet });
+    const inFlight = fetch(url);
+    await delay(50);
+
+    shutdown('SIGTERM');
+    shutdown('SIGTERM');
+    await assert.rejects(fetch(url));
+    release();
+
+    assert.equal(await (await inFlight).text(), 'done');
+    assert.equal(await exited, 0);
+  });
+
+  it('waits for background work, including work started while waiting, before exiting', async () => {
+    const server = await listen(express());
+    const background = createBackgroundWork();
+    const landed = [];
+    const write = (name, ms) => background.track(delay(ms).then(() => landed.push(name)));
+    write('call event', 30);
+    background.track(delay(10).then(() => write('screen pop', 30)));
+    background.track(Promise.reject(new Error('CRM down'))).catch(() => {});
+
+    const code = await new Promise(resolve => {
+      createGracefulShutdown({ server, background, timeoutSeconds: 5, exit: resolve, logger: quiet })('SIGTERM');
+    });
+    assert.equal(code, 0);
+    assert.deepEqual(landed, ['call event', 'screen pop']);
+    assert.equal(background.size, 0);
+  });
+
+  it('gives up on background work still running at the timeout', async () => {
+    const server = await listen(express());
+    const background = createBackgroundWork();
+    // A post that never answers (its socket keeps the process alive)
+    const hung = setTimeout(() => {}, 5000);
+    background.track(new Promise(() => {}));
+    const code = await new Promise(resolve => {
+      createGracefulShutdown({ server, background, timeoutSeconds: 0.05, exit: resolve, logger: quiet })('SIGTERM');
+    });
+    clearTimeout(hung);
+    assert.equal(code, 1);
+  });
+
+  it('gives up on requests still running at the timeout', async () => {
+    const { server, release, url } = await slowServer();
+    fetch(url).catch(() => {});
+    await delay(50);
+    const code = await new Promise(resolve => {
+      createGracefulShutdown({ server, timeoutSeconds: 0.05, exit: resolve, logger: quiet })('SIGTERM');
+    });
+
+    assert.equal(code, 1);
+    release();
+    server.closeAllConnections();
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSpeech, speechHints } = require('../lib/speech');
+
+const LANGUAGE_OPTIONS = { '1': ['english', 'ingles'], '2': ['spanish', 'espanol'] };
+const QUESTION_OPTIONS = {
+  '1': { en: ['general', 'information'], es: ['general', 'informacion'] },
+  '2': { en: ['account', 'payment'], es: ['cuenta', 'pago'] }
+};
+
+const CASES = {
+  digits: [
+    ['en', 'three oh seven one', '3071'],
+    ['en', 'three zero seven one', '3071'],
+    ['en', '3 0 7 1', '3071'],
+    ['en', '30 71', '3071'],
+    ['en', 'thirty seventy one', '3071'],
+    ['en', 'nine zero one four zero', '90140'],
+    ['en', 'my zip is 90140', '90140'],
+    ['en', 'nine oh double one four', '90114'],
+    ['en', 'ninety-one forty', '9140'],
+    ['es', 'tres cero siete uno', '3071'],
+    ['es', 'treinta setenta y uno', '3071'],
+    ['es', 'nueve cero uno cuatro cero', '90140'],
+    ['es', 'noventa uno cuarenta', '90140'],
+    ['es', 'noventa y uno cuarenta', '9140'],
+    ['es', 'veintidós once', '2211'],
+    ['en', 'I do not know', null],
+    ['es', 'no sé', null]
+  ],
+  date: [
+    ['en', 'January seventh nineteen ninety', '01071990'],
+    ['en', 'January 7th, 1990', '01071990'],
+    ['en', 'the seventh of January nineteen ninety', '01071990'],
+    ['en', 'December twenty first two thousand five', '12212005'],
+    ['en', 'March thirty first nineteen hundred eighty five', '03311985'],
+    ['en', 'July fourth nineteen oh five', '07041905'],
+    ['en', '1/7/1990', '01071990'],
+    ['en', 'zero one zero seven one nine nine zero', '01071990'],
+    ['es', 'siete de enero de mil novecientos noventa', '01071990'],
+    ['es', 'el siete de enero de 1990', '01071990'],
+    ['es', 'treinta y uno de diciembre de dos mil cinco', '12312005'],
+    ['es', 'primero de marzo de mil novecientos ochenta y cinco', '03011985'],
+    ['es', 'diecinueve de julio de diecinueve noventa', '07191990'],
+    ['es', '7/1/1990', '01071990'],
+    ['en', 'January', null],
+    ['en', 'January seventh', null],
+    ['es', 'no me acuerdo', null]
+  ],
+  option: [
+    ['en', 'one', LANGUAGE_OPTIONS, '1'],
+    ['es', 'uno', LANGUAGE_OPTIONS, '1'],
+    ['en', 'English', LANGUAGE_OPTIONS, '1'],
+    ['es', 'inglés', LANGUAGE_OPTIONS, '1'],
+    ['en', '2', LANGUAGE_OPTIONS, '2'],
+    ['en', 'Spanish please', LANGUAGE_OPTIONS, '2'],
+    ['es', 'español', LANGUAGE_OPTIONS, '2'],
+    ['es', 'dos', LANGUAGE_OPTIONS, '2'],
+    ['en', 'general information', QUESTION_OPTIONS, '1'],
+    ['en', 'I want to make a payment', QUESTION_OPTIONS, '2'],
+    ['es', 'quiero hacer un pago', QUESTION_OPTIONS, '2'],
+    ['es', 'información general', QUESTION_OPTIONS, '1'],
+    ['en', 'one or two', LANGUAGE_OPTIONS, null],
+    ['en', 'hello', LANGUAGE_OPTIONS, null]
+  ]
+};
+
+describe('normalizeSpeech', () => {
+  for (const [language, text, expected] of CASES.digits) {
+    it(`reads digits from "${text}" (${language})`, () => {
+      assert.equal(normalizeSpeech(text, { expect: 'digits', language }), expected);
+    });
+  }
+
+  for (const [language, text, expected] of CASES.date) {
+    it(`reads a date from "${text}" (${language})`, () => {
+      assert.equal(normalizeSpeech(text, { expect: 'date', language }), expected);
+    });
+  }
+
+  for (const [language, text, options, expected] of CASES.option) {
+    it(`matches "${text}" to an option (${language})`, () => {
+      assert.equal(normalizeSpeech(text, { expect: 'option', language, options }), expected);
+    });
+  }
+
+  it('accepts number words in either language before one is chosen', () => {
+    assert.equal(normalizeSpeech('uno', { expect: 'option', language: null, options: LANGUAGE_OPTIONS }), '1');
+    assert.equal(normalizeSpeech('two', { expect: 'option', language: null, options: LANGUAGE_OPTIONS }), '2');
+  });
+});
+
+describe('speechHints', () => {
+  it('lists option keywords and number words in the caller language', () => {
+    assert.deepEqual(speechHints({ expect: 'option', language: 'es', options: QUESTION_OPTIONS }),
+      ['general', 'informacion', 'uno', 'una', 'cuenta', 'pago', 'dos']);
+  });
+
+  it('lists month names for dates', () => {
+    assert.equal(speechHints({ expect: 'date', language: 'en' })[0], 'january');
+    assert.equal(speechHints({ expect: 'date', language: 'es' })[0], 'enero');
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spokenAmount, spokenDate } = require('../lib/spoken-format');
+
+describe('spokenAmount', () => {
+  it('says dollars and cents in each language', () => {
+    assert.equal(spokenAmount(125075, 'en'), '1,250 dollars and 75 cents');
+    assert.equal(spokenAmount(125075, 'es'), '1,250 dólares con 75 centavos');
+  });
+
+  it('uses singular words and drops empty parts', () => {
+    assert.equal(spokenAmount(100, 'en'), '1 dollar');
+    assert.equal(spokenAmount(1, 'es'), '1 centavo');
+    assert.equal(spokenAmount(0, 'en'), '0 dollars');
+  });
+
+  it('refuses negative amounts instead of dropping the sign', () => {
+    assert.throws(() => spokenAmount(-2500, 'en'), RangeError);
+    assert.throws(() => spokenAmount(-2500, 'fr'), RangeError);
+  });
+
+  it('falls back to the currency format for other languages', () => {
+    assert.equal(spokenAmount(125075, 'fr'), new Intl.NumberFormat('fr', { style: 'currency', currency: 'USD' }).format(1250.75));
+  });
+});
+
+describe('spokenDate', () => {
+  it('says calendar dates in each language', () => {
+    assert.equal(spokenDate('2026-11-05', 'en'), 'November 5, 2026');
+    assert.equal(spokenDate('2026-11-05', 'es'), '5 de noviembre de 2026');
+  });
+});
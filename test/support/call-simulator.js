@@ -0,0 +1,257 @@
+/**
+ * Call simulator: plays the part of Twilio against a running IVR server.
+ *
+ * Every webhook is POSTed with the same parameters and X-Twilio-Signature
+ * Twilio would send. The TwiML that comes back is executed verb by verb:
+ *
+ * - <Say> is added to `call.transcript` ({ text, language, voice })
+ * - <Redirect> is followed immediately
+ * - <Gather> plays its prompts and waits: answer with press(digits),
+ *   speak(text) when it accepts speech, or silence() to let it time out and
+ *   run the verbs that follow it
+ * - <Dial>/<Enqueue> are captured in `call.dials` and wait for
+ *   dialOutcome(status), which posts DialCallStatus/QueueResult to the action
+ * - A queued call requests the <Enqueue> waitUrl on wait({ position, queueTime });
+ *   its document runs like any other until it runs out (still queued) or <Leave>
+ *   posts QueueResult 'leave' to the action
+ * - <Record> waits for finishRecording()
+ * - <Hangup>, or running out of verbs, ends the call
+ *
+ *   const call = simulator.call({ from: '+15551234567' }); // a random number by default
+ *   await call.start();
+ *   await call.press('1');
+ *   assert.match(call.lastSaid(), /Please hold/);
+ *
+ * Outbound calls the app placed (e.g. through the fake dialer) are picked up
+ * with answer(url, { answeredBy }) instead of start(); hangup() then reports
+ * to the call's own `statusCallback`.
+ */
+
+const crypto = require('crypto');
+const { getExpectedTwilioSignature } = require('twilio');
+const { parseTwiml } = require('./twiml');
+
+const MAX_REDIRECTS = 50;
+
+function createCallSimulator({ baseUrl, authToken, to: defaultTo = '+12295446861', accountSid = 'AC00000000000000000000000000000000' }) {
+  async function post(url, params) {
+    const signature = getExpectedTwilioSignature(authToken, url, params);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+      body: new URLSearchParams(params).toString()
+    });
+    return { status: response.status, body: await response.text() };
+  }
+
+  function call({
+    from = `+1555${crypto.randomInt(1000000, 10000000)}`,
+    to = defaultTo,
+    direction = 'inbound',
+    statusCallback = '/call-status',
+    callSid = `CA${crypto.randomBytes(16).toString('hex')}`
+  } = {}) {
+    // Verbs left to run when the pending <Gather> times out
+    let fallback = null;
+    let currentUrl = null;
+    let redirects = 0;
+
+    const state = {
+      callSid,
+      from,
+      status: 'new', // 'gathering', 'dialing', 'queued', 'recording' or 'ended'
+      transcript: [],
+      gather: null,
+      dials: [],
+      queue: null, // { queueTime } while an <Enqueue> holds the call
+      record: null,
+      requests: [],
+
+      // Texts spoken so far, optionally only those since the given index
+      said(since = 0) {
+        return state.transcript.slice(since).map(entry => entry.text);
+      },
+
+      lastSaid() {
+        const last = state.transcript[state.transcript.length - 1];
+        return last ? last.text : null;
+      },
+
+      get lastDial() {
+        return state.dials[state.dials.length - 1] || null;
+      },
+
+      start() {
+        return act('/start');
+      },
+
+      // Outbound call picked up; `answeredBy` as reported by machine detection
+      answer(url, { answeredBy = 'human' } = {}) {
+        return act(url, { AnsweredBy: answeredBy });
+      },
+
+      press(digits) {
+        expectStatus('gathering');
+        return act(state.gather.action, { Digits: String(digits) });
+      },
+
+      // Twilio's transcription of what the caller said
+      speak(text, { confidence = 0.9 } = {}) {
+        expectStatus('gathering');
+        if (!state.gather.input.split(' ').includes('speech')) throw new Error('Gather does not accept speech');
+        return act(state.gather.action, { SpeechResult: text, Confidence: String(confidence) });
+      },
+
+      silence() {
+        expectStatus('gathering');
+        state.gather = null;
+        redirects = 0;
+        return execute(fallback);
+      },
+
+      dialOutcome(outcome, { queueTime } = {}) {
+        if (state.status !== 'dialing' && state.status !== 'queued') {
+          throw new Error(`Call is ${state.status}, not dialing`);
+        }
+        const { action, verb } = state.lastDial;
+        state.queue = null;
+        if (!action) return end();
+        if (verb !== 'Enqueue') return act(action, { DialCallStatus: outcome });
+        return act(action, { QueueResult: outcome, ...(queueTime !== undefined && { QueueTime: String(queueTime) }) });
+      },
+
+      // Twilio requests the wait URL: on joining the queue and whenever its document ends
+      wait({ position = 1, queueTime = 0, size = position } = {}) {
+        expectStatus('queued');
+        state.queue.queueTime = queueTime;
+        return act(state.lastDial.attributes.waitUrl, {
+          QueuePosition: String(position),
+          QueueTime: String(queueTime),
+          CurrentQueueSize: String(size),
+          QueueSid: 'QU00000000000000000000000000000000'
+        });
+      },
+
+      finishRecording({ duration = 12 } = {}) {
+        expectStatus('recording');
+        const { action } = state.record;
+        state.record = null;
+        return act(action, {
+          RecordingSid: `RE${crypto.randomBytes(16).toString('hex')}`,
+          RecordingUrl: 'https://api.twilio.com/recordings/test',
+          RecordingDuration: String(duration),
+          Digits: '#'
+        });
+      },
+
+      // Caller hangs up; Twilio reports the final status
+      async hangup(callStatus = 'completed') {
+        end();
+        await post(new URL(statusCallback, baseUrl).toString(), params({ CallStatus: callStatus }));
+      }
+    };
+
+    function expectStatus(status) {
+      if (state.status !== status) throw new Error(`Call is ${state.status}, not ${status}`);
+    }
+
+    function params(extra = {}) {
+      return {
+        AccountSid: accountSid,
+        CallSid: callSid,
+        From: from,
+        To: to,
+        Direction: direction,
+        CallStatus: 'in-progress',
+        ...extra
+      };
+    }
+
+    function end() {
+      state.status = 'ended';
+      state.gather = null;
+      state.queue = null;
+    }
+
+    // A caller or Twilio action starts a new chain of redirects
+    function act(path, extra) {
+      redirects = 0;
+      return request(path, extra);
+    }
+
+    async function request(path, extra) {
+      const url = new URL(path, currentUrl || baseUrl).toString();
+      state.requests.push(url.slice(baseUrl.length));
+      const response = await post(url, params(extra));
+      if (response.status !== 200) {
+        throw new Error(`${url} answered ${response.status}: ${response.body}`);
+      }
+      currentUrl = url;
+      return execute(parseTwiml(response.body).children);
+    }
+
+    async function execute(verbs) {
+      for (let index = 0; index < verbs.length; index++) {
+        const verb = verbs[index];
+        const { attributes } = verb;
+        switch (verb.name) {
+          case 'Say':
+            state.transcript.push({ text: verb.text, language: attributes.language, voice: attributes.voice });
+            break;
+          case 'Pause':
+          case 'Play':
+            break;
+          case 'Gather':
+            verb.children.filter(child => child.name === 'Say').forEach(say => {
+              state.transcript.push({ text: say.text, language: say.attributes.language, voice: say.attributes.voice });
+            });
+            state.status = 'gathering';
+            state.gather = { ...attributes, action: attributes.action || currentUrl };
+            fallback = verbs.slice(index + 1);
+            return state;
+          case 'Redirect':
+            if (++redirects > MAX_REDIRECTS) throw new Error('Too many redirects');
+            return request(verb.text.trim());
+          case 'Dial':
+          case 'Enqueue':
+            state.dials.push({
+              verb: verb.name,
+              action: attributes.action,
+              attributes,
+              targets: verb.children.map(child => ({ type: child.name, value: child.text.trim(), attributes: child.attributes })),
+              queue: verb.text.trim() || null
+            });
+            state.status = verb.name === 'Dial' ? 'dialing' : 'queued';
+            if (verb.name === 'Enqueue') state.queue = { queueTime: 0 };
+            return state;
+          case 'Leave':
+            state.status = 'queued';
+            return state.dialOutcome('leave', { queueTime: state.queue.queueTime });
+          case 'Record':
+            state.status = 'recording';
+            state.record = { ...attributes, action: attributes.action || currentUrl };
+            return state;
+          case 'Hangup':
+            end();
+            return state;
+          default:
+            throw new Error(`Simulator does not support <${verb.name}>`);
+        }
+      }
+      // Twilio hangs up when a document runs out of verbs, or plays the wait URL again to queued calls
+      if (state.queue) {
+        state.status = 'queued';
+        state.gather = null;
+        return state;
+      }
+      end();
+      return state;
+    }
+
+    return state;
+  }
+
+  return { call, post };
+}
+
+module.exports = { createCallSimulator };
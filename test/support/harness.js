@@ -0,0 +1,107 @@
+/**
+ * Boots the IVR app for a test file.
+ *
+ * All stores point at a temporary directory, sessions are kept in memory
+ * and the customer fixture (test/fixtures/customers.json, plaintext for
+ * readability) is hashed into it first. Webhooks are signed with a test auth
+ * token, so signature validation runs exactly as in production.
+ *
+ * server.js is loaded once per process (node --test runs each file in its
+ * own process), so call startHarness() once per test file:
+ *
+ *   const harness = await startHarness({ now: '2026-10-19T15:00:00Z' });
+ *   const call = harness.simulator.call();
+ *   ...
+ *   await harness.close();
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { hashCredentials } = require('../../lib/credentials');
+const { createCallSimulator } = require('./call-simulator');
+
+const AUTH_TOKEN = 'test-auth-token';
+const API_KEY = 'test-api-key';
+const ADMIN_USER = { username: 'supervisor', password: 'test-password' };
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'customers.json');
+
+async function startHarness({ now } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-test-'));
+  const customers = JSON.parse(await fs.readFile(FIXTURE, 'utf8'));
+  const customerFile = path.join(dir, 'customers.json');
+  await fs.writeFile(customerFile, JSON.stringify(await Promise.all(customers.map(record => hashCredentials(record)))));
+
+  Object.assign(process.env, {
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    API_KEYS: API_KEY,
+    SESSION_STORE: 'memory',
+    CUSTOMER_STORE: 'json',
+    CUSTOMER_DB_FILE: customerFile,
+    VOICEMAIL_FILE: path.join(dir, 'voicemails.json'),
+    CALLBACK_FILE: path.join(dir, 'callbacks.json'),
+    CALL_EVENTS_FILE: path.join(dir, 'call-events.jsonl'),
+    ADMIN_OVERRIDES_FILE: path.join(dir, 'admin-overrides.json'),
+    LOCKOUT_FILE: path.join(dir, 'lockouts.json'),
+    CAMPAIGN_FILE: path.join(dir, 'campaigns.json'),
+    CAMPAIGN_DIALER: 'fake',
+    SMS_PROVIDER: 'fake',
+    CALL_RECORDER: 'fake',
+    ADMIN_USERS: `${ADMIN_USER.username}:${ADMIN_USER.password}`,
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+  });
+  delete process.env.PUBLIC_BASE_URL;
+  delete process.env.TWILIO_SKIP_SIGNATURE_VALIDATION;
+
+  const { app, clock, background, campaignWorker, campaignDialer, sms, callRecorder } = require('../../server');
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const harness = {
+    baseUrl,
+    dir,
+    clock,
+    // Places due campaign calls on tick(); the calls land in campaignDialer.calls
+    campaignWorker,
+    campaignDialer,
+    // Texts sent to callers (one-time PINs) land in sms.messages
+    sms,
+    // Recording starts, pauses and resumes, in order, land in callRecorder.actions
+    callRecorder,
+    simulator: createCallSimulator({ baseUrl, authToken: AUTH_TOKEN }),
+
+    // Stop the clock at `at` (anything new Date() accepts)
+    freezeClock(at) {
+      const frozen = new Date(at);
+      clock.now = () => new Date(frozen);
+    },
+
+    // Call an API endpoint with the test key; `body` is sent as JSON
+    async api(pathname, { method = 'GET', body } = {}) {
+      const headers = { Authorization: `Bearer ${API_KEY}` };
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      const response = await fetch(baseUrl + pathname, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+      const type = response.headers.get('content-type') || '';
+      return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+    },
+
+    async readCustomers() {
+      return JSON.parse(await fs.readFile(customerFile, 'utf8'));
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      // Audit events are written in the background; let them land first
+      await background.settled();
+      await fs.rm(dir, { recursive: true, force: true, maxRetries: 5 });
+    }
+  };
+
+  if (now) harness.freezeClock(now);
+  return harness;
+}
+
+module.exports = { startHarness, AUTH_TOKEN, API_KEY, ADMIN_USER };
@@ -0,0 +1,54 @@
+/**
+ * Minimal TwiML reader for the call simulator.
+ *
+ * Parses the XML the server sends back into { name, attributes, children, text }
+ * elements. Only what TwiML uses is supported: elements, attributes, text and
+ * the five predefined entities.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()];
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  source.replace(/([\w:-]+)="([^"]*)"/g, (match, name, value) => {
+    attributes[name] = decode(value);
+  });
+  return attributes;
+}
+
+function parseTwiml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const body = xml.replace(/<\?xml[^>]*\?>/, '');
+  const pattern = /<(\/?)([\w:-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(body))) {
+    const [, closing, name, attributes, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+    if (text !== undefined) {
+      parent.text += decode(text);
+    } else if (closing) {
+      if (parent.name !== name) throw new Error(`Unexpected </${name}> in TwiML`);
+      stack.pop();
+    } else {
+      const element = { name, attributes: parseAttributes(attributes), children: [], text: '' };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length !== 1) throw new Error('Unclosed element in TwiML');
+  const [response] = root.children;
+  if (!response || response.name !== 'Response') throw new Error('TwiML has no <Response>');
+  return response;
+}
+
+module.exports = { parseTwiml };
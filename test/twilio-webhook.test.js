@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { getExpectedTwilioSignature } = require('twilio');
+const { createTwilioWebhookValidator, stampUrl } = require('../lib/twilio-webhook');
+const { createFileSessionStore } = require('../lib/session-store');
+const { createLogger } = require('../lib/logger');
+
+const AUTH_TOKEN = 'test-auth-token';
+const quiet = createLogger({ write: () => {} });
+const PARAMS = { CallSid: 'CA1', From: '+16282928074' };
+
+let at;
+let server;
+let port;
+let validator;
+
+before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.post('/hook', (req, res, next) => validator(req, res, next), (req, res) => res.send('ok'));
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  at = Date.parse('2026-10-19T15:00:00Z');
+});
+
+function use(options = {}) {
+  validator = createTwilioWebhookValidator({ authToken: AUTH_TOKEN, maxAgeSeconds: 300, replayWindowSeconds: 3600, logger: quiet, now: () => at, ...options });
+}
+
+// POST `pathname` signed for `signedUrl` (what Twilio requested), with extra headers
+async function post(pathname, { signedUrl = `http://127.0.0.1:${port}${pathname}`, headers = {}, signature, params = PARAMS } = {}) {
+  const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+    method: 'POST',
+    headers: { 'X-Twilio-Signature': signature || getExpectedTwilioSignature(AUTH_TOKEN, signedUrl, params), ...headers },
+    body: new URLSearchParams(params)
+  });
+  return response.status;
+}
+
+describe('twilio webhook validation', () => {
+  it('accepts a signed request once and rejects a replay', async () => {
+    use();
+    assert.equal(await post('/hook'), 200);
+    assert.equal(await post('/hook'), 403);
+  });
+
+  it('rejects missing and bad signatures', async () => {
+    use();
+    assert.equal(await post('/hook', { signature: 'not-a-signature' }), 403);
+    assert.equal(await post('/hook', { signedUrl: `http://127.0.0.1:${port}/other` }), 403);
+    assert.equal(await post('/hook', { params: PARAMS, signature: getExpectedTwilioSignature(AUTH_TOKEN, `http://127.0.0.1:${port}/hook`, { ...PARAMS, From: '+15550000000' }) }), 403);
+
+    const response = await fetch(`http://127.0.0.1:${port}/hook`, { method: 'POST', body: new URLSearchParams(PARAMS) });
+    assert.equal(response.status, 403);
+  });
+
+  it('rejects stamped URLs past their maximum age', async () => {
+    use();
+    const fresh = stampUrl('/hook', () => at);
+    assert.equal(await post(fresh), 200);
+
+    const stale = stampUrl('/hook?step=ask-ssn', () => at);
+    at += 301 * 1000;
+    assert.equal(await post(stale), 403);
+    assert.equal(await post(`/hook?ts=yesterday&nonce=1`), 403);
+  });
+
+  it('forgets replays only after the replay window', async () => {
+    use();
+    assert.equal(await post('/hook'), 200);
+    at += 3599 * 1000;
+    assert.equal(await post('/hook'), 403);
+    at += 2 * 1000;
+    assert.equal(await post('/hook'), 200);
+  });
+
+  it('checks the URL Twilio called behind proxies, with or without the default port', async () => {
+    use();
+    const forwarded = { 'X-Forwarded-Proto': 'https', 'X-Forwarded-Host': 'ivr.example.com' };
+    assert.equal(await post('/hook?a=1', { signedUrl: 'https://ivr.example.com/hook?a=1', headers: forwarded }), 200);
+    assert.equal(await post('/hook?a=2', { signedUrl: 'https://ivr.example.com:443/hook?a=2', headers: forwarded }), 200);
+    assert.equal(await post('/hook?a=3', { signedUrl: 'http://ivr.example.com/hook?a=3', headers: forwarded }), 403);
+
+    use({ publicBaseUrl: 'https://public.example.com/' });
+    assert.equal(await post('/hook?a=4', { signedUrl: 'https://public.example.com/hook?a=4', headers: forwarded }), 200);
+    assert.equal(await post('/hook?a=5', { signedUrl: 'https://ivr.example.com/hook?a=5', headers: forwarded }), 403);
+  });
+
+  describe('development bypass', () => {
+    const environment = process.env.NODE_ENV;
+    afterEach(() => {
+      if (environment === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = environment;
+    });
+
+    it('skips the checks outside production only', async () => {
+      delete process.env.NODE_ENV;
+      use({ allowUnsigned: true });
+      assert.equal(await post('/hook', { signature: 'anything' }), 200);
+
+      process.env.NODE_ENV = 'production';
+      use({ allowUnsigned: true });
+      assert.equal(await post('/hook', { signature: 'anything' }), 403);
+    });
+  });
+
+  describe('shared replay cache', () => {
+    let dir;
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-replay-'));
+    });
+    afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('remembers replays across restarts and instances', async () => {
+      const replayCache = () => createFileSessionStore({ dir, ttlSeconds: 3600, now: () => at });
+      use({ replayCache: replayCache() });
+      assert.equal(await post('/hook'), 200);
+
+      use({ replayCache: replayCache() });
+      assert.equal(await post('/hook'), 403);
+    });
+  });
+});
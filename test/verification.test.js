@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePolicies, matchFactors } = require('../lib/verification');
+const { createOneTimePins } = require('../lib/one-time-pins');
+const { hashCredentials } = require('../lib/credentials');
+
+const FACTORS = ['last4ssn', 'dob', 'zip', 'accountNumber', 'otp'];
+
+describe('validatePolicies', () => {
+  it('accepts ordered lists of known factors', () => {
+    validatePolicies({ standard: ['last4ssn', 'dob', 'zip'], sms: ['accountNumber', 'otp'] }, { factors: FACTORS, required: ['standard'] });
+  });
+
+  it('refuses unknown, repeated and missing factors', () => {
+    assert.throws(() => validatePolicies({ standard: ['pin'] }, { factors: FACTORS }), /distinct factors from/);
+    assert.throws(() => validatePolicies({ standard: ['zip', 'zip'] }, { factors: FACTORS }), /distinct factors from/);
+    assert.throws(() => validatePolicies({ standard: [] }, { factors: FACTORS }), /distinct factors from/);
+    assert.throws(() => validatePolicies(['zip'], { factors: FACTORS }), /map policy names/);
+  });
+
+  it('needs a factor before the one-time PIN', () => {
+    assert.throws(() => validatePolicies({ sms: ['otp', 'zip'] }, { factors: FACTORS }), /cannot start with otp/);
+  });
+
+  it('keeps the policies in use', () => {
+    assert.throws(() => validatePolicies({ other: ['zip'] }, { factors: FACTORS, required: ['standard'] }), /missing: standard/);
+  });
+});
+
+describe('matchFactors', () => {
+  const records = () => Promise.all([
+    { id: 'a', last4ssn: '1111', dob: '01011980', zip: '10001' },
+    { id: 'b', last4ssn: '1111', dob: '02021980', zip: '10001', accountNumber: '40001234' }
+  ].map(record => hashCredentials(record, { cost: 1024 })));
+
+  it('narrows the candidates factor by factor', async () => {
+    const { record, failedFactor } = await matchFactors(await records(), ['last4ssn', 'dob', 'zip'], { last4ssn: '1111', dob: '02021980', zip: '10001' });
+    assert.equal(record.id, 'b');
+    assert.equal(failedFactor, null);
+  });
+
+  it('names the first factor nobody matched', async () => {
+    const candidates = await records();
+    assert.deepEqual(await matchFactors(candidates, ['last4ssn', 'dob', 'zip'], { last4ssn: '1111', dob: '02021980', zip: '10002' }), { record: null, failedFactor: 'zip' });
+    assert.deepEqual(await matchFactors(candidates, ['accountNumber', 'otp'], { accountNumber: '40009999', otp: '123456' }), { record: null, failedFactor: 'accountNumber' });
+  });
+
+  it('identifies nobody when several records match every factor', async () => {
+    assert.deepEqual(await matchFactors(await records(), ['last4ssn', 'zip'], { last4ssn: '1111', zip: '10001' }), { record: null, failedFactor: null, ambiguous: true });
+  });
+});
+
+describe('one-time PINs', () => {
+  it('checks once, for the customer it was issued to', () => {
+    const pins = createOneTimePins({ digits: 6, ttlSeconds: 60 });
+    const pin = pins.issue('CA1', 'cust-1');
+    assert.match(pin, /^\d{6}$/);
+    assert.equal(pins.pending('CA1'), true);
+
+    assert.equal(pins.check('CA1', 'cust-2', pin), false);
+    assert.equal(pins.pending('CA1'), false);
+    assert.equal(pins.check('CA1', 'cust-1', pin), false);
+
+    assert.equal(pins.check('CA1', 'cust-1', pins.issue('CA1', 'cust-1')), true);
+  });
+
+  it('never checks a PIN issued for nobody', () => {
+    const pins = createOneTimePins({ digits: 6, ttlSeconds: 60 });
+    assert.equal(pins.check('CA1', null, pins.issue('CA1', null)), false);
+  });
+
+  it('expires', () => {
+    let at = 0;
+    const pins = createOneTimePins({ digits: 6, ttlSeconds: 60, now: () => at });
+    const pin = pins.issue('CA1', 'cust-1');
+    at = 60 * 1000;
+    assert.equal(pins.pending('CA1'), false);
+    assert.equal(pins.check('CA1', 'cust-1', pin), false);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createVoicemailStore } = require('../lib/voicemail-store');
+const { createVoicemailRouter } = require('../routes/voicemails');
+const { createLogger } = require('../lib/logger');
+
+const quiet = createLogger({ write: () => {} });
+const CALLER = { callSid: 'CA1', caller: '+16282928074', language: 'en', questionType: 'general', verified: false };
+const RECORDING = { recordingSid: 'RE1', recordingUrl: 'https://api.twilio.com/recordings/RE1', recordingDuration: 12 };
+
+let dir;
+let voicemails;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ivr-voicemails-'));
+  voicemails = createVoicemailStore({ file: path.join(dir, 'voicemails.json'), now: () => new Date('2026-10-19T02:00:00Z') });
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('voicemail store', () => {
+  it('adds the transcript to a recorded voicemail', async () => {
+    await voicemails.start(CALLER);
+    await voicemails.recordingCompleted('CA1', RECORDING);
+    const voicemail = await voicemails.transcriptionReceived('RE1', { callSid: 'CA1', transcript: 'Call me back', transcriptionStatus: 'completed' });
+    assert.deepEqual([voicemail.status, voicemail.transcript, voicemail.transcriptionStatus], ['new', 'Call me back', 'completed']);
+  });
+
+  it('keeps a transcript that arrives before its recording', async () => {
+    const { id } = await voicemails.start(CALLER);
+    const parked = await voicemails.transcriptionReceived('RE1', { callSid: 'CA1', transcript: 'Call me back', transcriptionStatus: 'completed' });
+    assert.deepEqual([parked.status, parked.transcript], ['recording', null]);
+
+    await voicemails.recordingCompleted('CA1', RECORDING);
+    const voicemail = await voicemails.get(id);
+    assert.deepEqual(
+      [voicemail.status, voicemail.recordingSid, voicemail.transcript, voicemail.transcriptionStatus, voicemail.pendingTranscription],
+      ['new', 'RE1', 'Call me back', 'completed', null]
+    );
+  });
+
+  it('drops a parked transcript for a different recording', async () => {
+    const { id } = await voicemails.start(CALLER);
+    await voicemails.transcriptionReceived('RE0', { callSid: 'CA1', transcript: 'Old', transcriptionStatus: 'completed' });
+    await voicemails.recordingCompleted('CA1', RECORDING);
+    const voicemail = await voicemails.get(id);
+    assert.deepEqual([voicemail.transcript, voicemail.pendingTranscription], [null, null]);
+  });
+
+  it('ignores transcripts for unknown calls', async () => {
+    assert.equal(await voicemails.transcriptionReceived('RE9', { callSid: 'CA9', transcript: 'Hi', transcriptionStatus: 'completed' }), null);
+  });
+
+  it('is only handled once recorded', async () => {
+    const { id } = await voicemails.start(CALLER);
+    assert.equal(await voicemails.markHandled(id, 'agent-7'), null);
+    await voicemails.recordingCompleted('CA1', RECORDING);
+    const handled = await voicemails.markHandled(id, 'agent-7');
+    assert.deepEqual([handled.status, handled.handledBy, handled.handledAt], ['handled', 'agent-7', '2026-10-19T02:00:00.000Z']);
+  });
+});
+
+describe('voicemail routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+    app.use(createVoicemailRouter({
+      voicemails,
+      validateTwilioWebhook: (req, res, next) => next(),
+      requireApiKey: (req, res, next) => next(),
+      logger: quiet
+    }));
+    server = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  function webhook(pathname, params) {
+    return fetch(baseUrl + pathname, { method: 'POST', body: new URLSearchParams(params) });
+  }
+
+  it('fills in the voicemail from the callbacks in either order', async () => {
+    const { id } = await voicemails.start(CALLER);
+
+    const transcription = await webhook('/voicemail/transcription', {
+      CallSid: 'CA1', RecordingSid: 'RE1', TranscriptionText: 'Please call me back', TranscriptionStatus: 'completed'
+    });
+    assert.equal(transcription.status, 204);
+    const recording = await webhook('/voicemail/recording-status', {
+      CallSid: 'CA1', RecordingSid: 'RE1', RecordingUrl: RECORDING.recordingUrl, RecordingDuration: '12', RecordingStatus: 'completed'
+    });
+    assert.equal(recording.status, 204);
+
+    const voicemail = await (await fetch(`${baseUrl}/api/voicemails/${id}`)).json();
+    assert.deepEqual(
+      [voicemail.status, voicemail.recordingDuration, voicemail.transcript],
+      ['new', 12, 'Please call me back']
+    );
+  });
+
+  it('leaves out the text of failed transcriptions', async () => {
+    await voicemails.start(CALLER);
+    await webhook('/voicemail/recording-status', { CallSid: 'CA1', RecordingSid: 'RE1', RecordingStatus: 'completed' });
+    await webhook('/voicemail/transcription', { CallSid: 'CA1', RecordingSid: 'RE1', TranscriptionText: '', TranscriptionStatus: 'failed' });
+    const [voicemail] = await voicemails.list();
+    assert.deepEqual([voicemail.transcript, voicemail.transcriptionStatus], [null, 'failed']);
+  });
+
+  it('lists, fetches and marks voicemails handled', async () => {
+    const { id } = await voicemails.start(CALLER);
+    await voicemails.start({ ...CALLER, callSid: 'CA2' });
+
+    assert.equal((await fetch(`${baseUrl}/api/voicemails?status=new`).then(res => res.json())).length, 0);
+    assert.equal((await fetch(`${baseUrl}/api/voicemails?status=lost`)).status, 400);
+    const handle = () => fetch(`${baseUrl}/api/voicemails/${id}/handled`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ handledBy: 'agent-7' })
+    });
+    assert.equal((await handle()).status, 404);
+
+    await voicemails.recordingCompleted('CA1', RECORDING);
+    assert.deepEqual((await fetch(`${baseUrl}/api/voicemails?status=new`).then(res => res.json())).map(v => v.id), [id]);
+    assert.equal((await (await handle()).json()).handledBy, 'agent-7');
+    assert.equal((await fetch(`${baseUrl}/api/voicemails?status=handled`).then(res => res.json())).length, 1);
+    assert.equal((await fetch(`${baseUrl}/api/voicemails/missing`)).status, 404);
+  });
+});
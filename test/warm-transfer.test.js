@@ -0,0 +1,169 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startHarness } = require('./support/harness');
+const { signPayload } = require('../lib/crm-webhook');
+
+// Monday 11:00 in New York (open)
+const OPEN = '2026-10-19T15:00:00Z';
+const TARGET_PHONE = '+19343453827';
+const TWILIO_PHONE = '+12295446861';
+const CRM_SECRET = 'test-crm-secret';
+
+let harness;
+let crm;
+let screenPops;
+
+// Stands in for the CRM; screen pops are checked against the documented schema
+before(async () => {
+  screenPops = [];
+  crm = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      screenPops.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => crm.listen(0, '127.0.0.1', resolve));
+  process.env.CRM_WEBHOOK_URL = `http://127.0.0.1:${crm.address().port}/screen-pop`;
+  process.env.CRM_WEBHOOK_SECRET = CRM_SECRET;
+  harness = await startHarness({ now: OPEN });
+});
+
+after(async () => {
+  await harness.close();
+  await new Promise(resolve => crm.close(resolve));
+});
+
+beforeEach(() => harness.freezeClock(OPEN));
+
+async function transferredCall({ language = 'en', verifyAs } = {}) {
+  const call = harness.simulator.call();
+  await call.start();
+  await call.press(String(['en', 'es', 'pt', 'vi'].indexOf(language) + 1));
+  if (verifyAs) {
+    await call.press('2');
+    await call.press(verifyAs.ssn);
+    await call.press(verifyAs.dob);
+    await call.press(verifyAs.zip);
+  } else {
+    await call.press('1');
+  }
+  assert.equal(call.status, 'dialing');
+  return call;
+}
+
+// The agent's phone picking up the dialed number, which plays the whisper
+async function agentAnswers(call) {
+  const [target] = call.lastDial.targets;
+  assert.equal(target.value, TARGET_PHONE);
+  const agent = harness.simulator.call({ from: TWILIO_PHONE, to: TARGET_PHONE, direction: 'outbound-dial' });
+  await agent.answer(target.attributes.url);
+  return agent;
+}
+
+async function screenPopFor(callSid) {
+  for (let wait = 0; wait < 50; wait++) {
+    const found = screenPops.find(pop => JSON.parse(pop.body).callSid === callSid);
+    if (found) return found;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No screen pop for ${callSid}`);
+}
+
+function assertScreenPopSchema(payload) {
+  assert.deepEqual(Object.keys(payload).sort(), [
+    'callSid', 'caller', 'campaignId', 'customer', 'destination', 'event', 'id', 'language', 'occurredAt', 'questionType', 'verified'
+  ]);
+  assert.match(payload.id, /^[0-9a-f-]{36}$/);
+  assert.equal(payload.event, 'transfer.started');
+  assert.equal(new Date(payload.occurredAt).toISOString(), payload.occurredAt);
+  assert.match(payload.callSid, /^CA[0-9a-f]{32}$/);
+  assert.ok(payload.caller === null || /^\+\d{8,15}$/.test(payload.caller));
+  assert.equal(typeof payload.language, 'string');
+  assert.ok(['general', 'account-specific'].includes(payload.questionType));
+  assert.equal(typeof payload.verified, 'boolean');
+  assert.ok(payload.customer === null || (Object.keys(payload.customer).sort().join() === 'id,name' && typeof payload.customer.id === 'string'));
+  assert.deepEqual(Object.keys(payload.destination).sort(), ['name', 'type']);
+  assert.ok(payload.campaignId === null || typeof payload.campaignId === 'string');
+}
+
+describe('whisper', () => {
+  it('tells the agent who is calling before connecting', async () => {
+    const call = await transferredCall({ language: 'es', verifyAs: { ssn: '5512', dob: '12251985', zip: '10001' } });
+    const agent = await agentAnswers(call);
+
+    assert.deepEqual(agent.said(), [
+      'Incoming call from María, verified. Language: Spanish. Topic: account questions.',
+      'Press 1 to accept the call.'
+    ]);
+    assert.ok(agent.transcript.every(entry => entry.language === 'en-US'));
+
+    await agent.press('1');
+    assert.equal(agent.status, 'ended');
+    assert.equal(agent.said().length, 2);
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.ok(events.some(event => event.type === 'transfer.accepted'));
+  });
+
+  it('describes unverified general callers', async () => {
+    const call = await transferredCall();
+    const agent = await agentAnswers(call);
+
+    assert.equal(agent.said()[0], 'Incoming call from an unidentified caller, not verified. Language: English. Topic: general information.');
+  });
+
+  it('hangs up the agent leg unless they press 1', async () => {
+    const call = await transferredCall();
+    const agent = await agentAnswers(call);
+    await agent.press('2');
+    assert.equal(agent.status, 'ended');
+
+    const { body: events } = await harness.api(`/api/calls/${call.callSid}/events`);
+    assert.ok(events.some(event => event.type === 'transfer.declined'));
+    await call.dialOutcome('no-answer');
+    assert.equal(call.lastDial.queue, 'csr');
+  });
+
+  it('hangs up the agent leg when nothing is pressed', async () => {
+    const agent = await agentAnswers(await transferredCall());
+    await agent.silence();
+    assert.equal(agent.status, 'ended');
+  });
+});
+
+describe('screen pop', () => {
+  it('posts the signed call context to the CRM when the transfer starts', async () => {
+    const call = await transferredCall({ verifyAs: { ssn: '3071', dob: '01071990', zip: '90140' } });
+    const { headers, body } = await screenPopFor(call.callSid);
+
+    assert.equal(headers['x-ivr-signature'], signPayload(CRM_SECRET, headers['x-ivr-timestamp'], body));
+    const payload = JSON.parse(body);
+    assertScreenPopSchema(payload);
+    assert.deepEqual({ ...payload, id: null }, {
+      id: null,
+      event: 'transfer.started',
+      occurredAt: new Date(OPEN).toISOString(),
+      callSid: call.callSid,
+      caller: call.from,
+      language: 'en',
+      questionType: 'account-specific',
+      verified: true,
+      customer: { id: 'cust-tony', name: 'Tony' },
+      destination: { name: 'csr-line', type: 'number' },
+      campaignId: null
+    });
+  });
+
+  it('leaves the customer out for unverified callers', async () => {
+    const call = await transferredCall({ language: 'pt' });
+    const payload = JSON.parse((await screenPopFor(call.callSid)).body);
+
+    assertScreenPopSchema(payload);
+    assert.equal(payload.verified, false);
+    assert.equal(payload.customer, null);
+    assert.equal(payload.questionType, 'general');
+    assert.equal(payload.language, 'pt');
+  });
+});